@@ -0,0 +1,175 @@
+/**
+ * Append-only audit log of mutating admin actions
+ *
+ * Every entry is appended as one JSON line to a local file. When a bucket
+ * prefix is configured, each entry is also written to the bucket as its own
+ * object (`<prefix><YYYY-MM-DD>/<timestamp>-<id>.json`), since objects cannot
+ * be appended to. Entries are never rewritten or deleted by the admin app.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+// S3 header fields compared in metadata diffs
+const DIFF_FIELDS = [
+  'ContentType',
+  'ContentEncoding',
+  'ContentLanguage',
+  'ContentDisposition',
+  'CacheControl',
+  'Expires'
+];
+
+const MAX_QUERY_LIMIT = 1000;
+
+// A date without a time, e.g. '2026-10-19'
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Compare two HeadObject results
+ * @param {Object} before - Headers/Metadata before the change
+ * @param {Object} after - Headers/Metadata after the change
+ * @returns {Object} Changed fields, `{ field: { before, after } }`; custom metadata as `Metadata.<key>`
+ */
+function diffMetadata(before = {}, after = {}) {
+  const diff = {};
+  const normalize = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+  for (const field of DIFF_FIELDS) {
+    const a = normalize(before[field]);
+    const b = normalize(after[field]);
+    if (a !== b) diff[field] = { before: a, after: b };
+  }
+
+  const beforeMeta = before.Metadata || {};
+  const afterMeta = after.Metadata || {};
+  for (const key of new Set([...Object.keys(beforeMeta), ...Object.keys(afterMeta)])) {
+    const a = beforeMeta[key] ?? null;
+    const b = afterMeta[key] ?? null;
+    if (a !== b) diff[`Metadata.${key}`] = { before: a, after: b };
+  }
+  return diff;
+}
+
+/**
+ * Create the audit log
+ * @param {Object} options
+ * @param {string} options.file - Local JSONL file
+ * @param {Object} [options.storage] - Storage driver for the bucket copy
+ * @param {string} [options.bucketPrefix] - Key prefix for the bucket copy, disabled when empty
+ * @returns {Object} Audit log with record(entry) and query(filters)
+ */
+function createAuditLog({ file, storage, bucketPrefix }) {
+  // Appends are chained so entries land in the file in the order they were recorded
+  let writeQueue = fs.promises.mkdir(path.dirname(file), { recursive: true }).catch(() => {});
+
+  /**
+   * Record an action
+   * @param {Object} entry
+   * @param {Object} entry.actor - Authenticated user ({ name, role })
+   * @param {string} entry.action - Action name, e.g. 'metadata.update'
+   * @param {string} entry.key - Affected object key
+   * @param {string} [entry.outcome='success'] - 'success' or 'failure' (also refused requests)
+   * @param {string|null} [entry.etagBefore] - ETag before the change
+   * @param {string|null} [entry.etagAfter] - ETag after the change
+   * @param {Object} [entry.metadataDiff] - Result of diffMetadata
+   * @param {Object} [entry.details] - Action specific details
+   * @returns {Promise<Object>} The stored entry
+   */
+  const record = async ({ actor, action, key, outcome = 'success', etagBefore = null, etagAfter = null, metadataDiff = {}, details = {} }) => {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      actor: { name: actor?.name || 'unknown', role: actor?.role || null },
+      action,
+      key,
+      outcome,
+      etagBefore,
+      etagAfter,
+      metadataDiff,
+      details
+    };
+
+    const line = `${JSON.stringify(entry)}\n`;
+    const append = writeQueue.then(() => fs.promises.appendFile(file, line));
+    // A failed append must not block later ones
+    writeQueue = append.catch(() => {});
+    await append;
+
+    if (bucketPrefix && storage) {
+      const day = entry.timestamp.slice(0, 10);
+      const objectKey = `${bucketPrefix}${day}/${entry.timestamp.replace(/[:.]/g, '-')}-${entry.id}.json`;
+      try {
+        await storage.put(objectKey, line, { ContentType: 'application/json' });
+      } catch (error) {
+        // The local file is authoritative, the bucket copy is best effort
+        console.error(`Error writing audit entry ${entry.id} to bucket:`, error);
+      }
+    }
+
+    return entry;
+  };
+
+  /**
+   * Query entries, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.actor] - Actor name (case-insensitive substring)
+   * @param {string} [filters.action] - Exact action
+   * @param {string} [filters.key] - Key prefix
+   * @param {string} [filters.outcome] - 'success' or 'failure'
+   * @param {string} [filters.from] - ISO date/time, inclusive (a date alone starts at 00:00 UTC)
+   * @param {string} [filters.to] - ISO date/time, inclusive (a date alone includes that whole day, UTC)
+   * @param {number} [filters.limit=100] - Page size (max 1000)
+   * @param {number} [filters.offset=0] - Entries to skip
+   * @returns {Promise<{entries: Object[], total: number, limit: number, offset: number, actions: string[]}>}
+   */
+  const query = async ({ actor, action, key, outcome, from, to, limit = 100, offset = 0 } = {}) => {
+    const pageSize = Math.min(Math.max(Number(limit) || 100, 1), MAX_QUERY_LIMIT);
+    const skip = Math.max(Number(offset) || 0, 0);
+    const actorNeedle = actor ? actor.toLowerCase() : null;
+    const fromTime = from ? new Date(from).toISOString() : null;
+    const toTime = to ? new Date(DATE_ONLY.test(to) ? `${to}T23:59:59.999Z` : to).toISOString() : null;
+
+    // Wait for pending appends so a query sees every recorded entry
+    await writeQueue;
+
+    const matches = [];
+    const actions = new Set();
+    if (fs.existsSync(file)) {
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          continue;
+        }
+        actions.add(entry.action);
+
+        if (actorNeedle && !(entry.actor?.name || '').toLowerCase().includes(actorNeedle)) continue;
+        if (action && entry.action !== action) continue;
+        if (key && !(entry.key || '').startsWith(key)) continue;
+        if (outcome && entry.outcome !== outcome) continue;
+        if (fromTime && entry.timestamp < fromTime) continue;
+        if (toTime && entry.timestamp > toTime) continue;
+        matches.push(entry);
+      }
+    }
+
+    matches.reverse();
+    return {
+      entries: matches.slice(skip, skip + pageSize),
+      total: matches.length,
+      limit: pageSize,
+      offset: skip,
+      actions: [...actions].sort()
+    };
+  };
+
+  return { file, bucketPrefix: bucketPrefix || null, record, query };
+}
+
+module.exports = { createAuditLog, diffMetadata };
@@ -0,0 +1,199 @@
+/**
+ * Tests for the audit log
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog, diffMetadata } = require('./audit-log.js');
+const { createFsStorage } = require('./storage/fs.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+const ALICE = { name: 'Alice@example.com', role: 'editor' };
+const BOB = { name: 'bob@example.com', role: 'admin' };
+
+// An entry as record() writes it, with a fixed timestamp
+const entryLine = (id, timestamp, actor, action, key, outcome = 'success') => `${JSON.stringify({
+  id,
+  timestamp,
+  actor,
+  action,
+  key,
+  outcome,
+  etagBefore: null,
+  etagAfter: null,
+  metadataDiff: {},
+  details: {}
+})}\n`;
+
+const ids = (result) => result.entries.map(entry => entry.id);
+
+async function run() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+
+  // ==================== DIFF METADATA ====================
+
+  section('1. diffMetadata Tests');
+
+  assertDeepEqual(diffMetadata(
+    { ContentType: 'text/html', CacheControl: 'max-age=60', Metadata: { id: 'a', label: 'x' } },
+    { ContentType: 'text/html', CacheControl: null, Metadata: { id: 'a', path: 'org/repo/doc.html' } }
+  ), {
+    CacheControl: { before: 'max-age=60', after: null },
+    'Metadata.label': { before: 'x', after: null },
+    'Metadata.path': { before: null, after: 'org/repo/doc.html' }
+  }, 'Changed headers and custom metadata are listed, unchanged ones are not');
+  assertDeepEqual(diffMetadata(
+    { Expires: new Date('2026-01-01T00:00:00Z') },
+    { Expires: '2026-01-01T00:00:00.000Z' }
+  ), {}, 'Dates compare by their ISO string');
+  assertDeepEqual(diffMetadata(), {}, 'Nothing to compare gives an empty diff');
+
+  // ==================== RECORD ====================
+
+  section('2. Record Tests');
+
+  const storage = createFsStorage({ root: path.join(tmpDir, 'bucket') });
+  const recordFile = path.join(tmpDir, 'nested', 'record.jsonl');
+  const recordLog = createAuditLog({ file: recordFile, storage, bucketPrefix: '.admin-audit/' });
+
+  const [first, second] = await Promise.all([
+    recordLog.record({ actor: ALICE, action: 'metadata.update', key: 'org/repo/a.html', etagBefore: '"1"', etagAfter: '"2"' }),
+    recordLog.record({ action: 'version.restore', key: 'org/repo/b.html', outcome: 'failure', details: { status: 403 } })
+  ]);
+
+  const lines = fs.readFileSync(recordFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assertDeepEqual(lines.map(line => line.id), [first.id, second.id], 'Entries are appended in the order they were recorded');
+  assert(first.outcome === 'success' && first.etagAfter === '"2"', 'Outcome defaults to success');
+  assertDeepEqual(second.actor, { name: 'unknown', role: null }, 'A missing actor is stored as unknown');
+
+  const day = first.timestamp.slice(0, 10);
+  const copies = await storage.list(`.admin-audit/${day}/`);
+  assert((copies.Contents || []).length === 2, 'Each entry is also written to the bucket under the day');
+  const copy = await storage.get(copies.Contents.find(object => object.Key.endsWith(`${first.id}.json`)).Key);
+  const chunks = [];
+  for await (const chunk of copy.Body) chunks.push(chunk);
+  assert(JSON.parse(Buffer.concat(chunks).toString('utf8')).id === first.id, 'The bucket copy holds the entry');
+
+  const failing = createAuditLog({
+    file: path.join(tmpDir, 'failing.jsonl'),
+    storage: { put: async () => { throw new Error('bucket down'); } },
+    bucketPrefix: '.admin-audit/'
+  });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await failing.record({ actor: ALICE, action: 'trash.restore', key: 'org/repo/c.html' });
+  } finally {
+    console.error = originalError;
+  }
+  assert((await failing.query()).total === 1, 'A failed bucket write keeps the local entry');
+
+  // ==================== QUERY ====================
+
+  section('3. Query Tests');
+
+  const file = path.join(tmpDir, 'query.jsonl');
+  fs.writeFileSync(file, [
+    entryLine('e1', '2026-10-17T09:00:00.000Z', ALICE, 'metadata.update', 'org/repo/docs/a.html'),
+    entryLine('e2', '2026-10-18T00:00:00.000Z', BOB, 'version.restore', 'org/repo/docs/b.html', 'failure'),
+    'not json\n',
+    '\n',
+    entryLine('e3', '2026-10-19T12:30:00.000Z', BOB, 'trash.restore', 'org/repo-old/c.html'),
+    entryLine('e4', '2026-10-19T23:59:59.500Z', ALICE, 'metadata.update', 'org/repo/d.html', 'failure'),
+    entryLine('e5', '2026-10-20T00:00:00.000Z', ALICE, 'version.restore', 'other/site/e.html')
+  ].join(''));
+  const log = createAuditLog({ file });
+
+  const all = await log.query();
+  assertDeepEqual(ids(all), ['e5', 'e4', 'e3', 'e2', 'e1'], 'Entries come newest first, malformed and blank lines are skipped');
+  assert(all.total === 5 && all.limit === 100 && all.offset === 0, 'Total, limit and offset are reported');
+  assertDeepEqual(all.actions, ['metadata.update', 'trash.restore', 'version.restore'], 'Known actions are listed sorted');
+
+  assertDeepEqual(ids(await log.query({ actor: 'alice' })), ['e5', 'e4', 'e1'], 'actor matches a case-insensitive substring');
+  assertDeepEqual(ids(await log.query({ action: 'version.restore' })), ['e5', 'e2'], 'action matches exactly');
+  assertDeepEqual(ids(await log.query({ key: 'org/repo/' })), ['e4', 'e2', 'e1'], 'key matches a prefix, org/repo/ does not match org/repo-old/');
+  assertDeepEqual(ids(await log.query({ outcome: 'failure' })), ['e4', 'e2'], 'outcome filters failures');
+  assertDeepEqual(ids(await log.query({ actor: 'bob', outcome: 'success' })), ['e3'], 'Filters combine');
+
+  assertDeepEqual(ids(await log.query({ from: '2026-10-18T00:00:00.000Z', to: '2026-10-19T12:30:00.000Z' })), ['e3', 'e2'],
+    'from and to are inclusive');
+  assertDeepEqual(ids(await log.query({ from: '2026-10-18', to: '2026-10-19' })), ['e4', 'e3', 'e2'],
+    'A date-only to includes that whole day, a date-only from starts at midnight');
+  assertDeepEqual(ids(await log.query({ to: '2026-10-17' })), ['e1'], 'A date-only to ends before the next day');
+  assertDeepEqual(ids(await log.query({ to: '2026-10-19T12:00:00Z' })), ['e2', 'e1'], 'A to with a time is used as is');
+
+  const page = await log.query({ limit: 2, offset: 1 });
+  assertDeepEqual(ids(page), ['e4', 'e3'], 'limit and offset page through the matches');
+  assert(page.total === 5 && page.limit === 2 && page.offset === 1, 'The page reports the full total');
+  const clamped = await log.query({ limit: 5000, offset: -3 });
+  assert(clamped.limit === 1000 && clamped.offset === 0, 'limit is capped at 1000 and a negative offset is ignored');
+  assert((await log.query({ limit: 'abc' })).limit === 100, 'A non-numeric limit falls back to 100');
+
+  const empty = await createAuditLog({ file: path.join(tmpDir, 'missing', 'none.jsonl') }).query();
+  assert(empty.total === 0 && empty.entries.length === 0 && empty.actions.length === 0, 'A missing log file gives no entries');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -0,0 +1,16 @@
+/**
+ * Worker thread for regular expression searches
+ *
+ * Runs findMatches off the main event loop so a pattern with catastrophic
+ * backtracking only blocks this thread, which content-search.js terminates
+ * when an object takes longer than its time budget.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { compilePattern, findMatches } = require('./content-search.js');
+
+const pattern = compilePattern(workerData);
+
+parentPort.on('message', (text) => {
+  parentPort.postMessage(findMatches(text, pattern));
+});
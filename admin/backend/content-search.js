@@ -0,0 +1,253 @@
+/**
+ * Full-text content search across a prefix
+ *
+ * Runs as a background job (see jobs.js) over a sharded scan of the prefix
+ * (see shard-scan.js). Text objects are scanned for a literal or regular
+ * expression; every matching file becomes a job result with its match count
+ * and context snippets. Regular expressions run in a worker thread with a
+ * time budget per object (see content-search-worker.js), so a pattern with
+ * catastrophic backtracking cannot block the backend.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { scanPrefix, isHiddenKey } = require('./shard-scan.js');
+
+// Extensions searched when the request does not name any
+const DEFAULT_EXTENSIONS = ['html', 'htm', 'json', 'svg', 'xml', 'txt', 'md', 'css', 'js'];
+
+const MAX_OBJECT_SIZE = 10 * 1024 * 1024;
+const MAX_RESULTS = 5000;
+const MAX_SNIPPETS = 5;
+const SNIPPET_CONTEXT = 60;
+const MAX_QUERY_LENGTH = 500;
+// Time a regular expression may spend on one object before it is skipped
+const MATCH_TIMEOUT = 2000;
+
+/**
+ * Build the search pattern
+ * @param {Object} options
+ * @param {string} options.query - Literal text or regular expression source
+ * @param {boolean} [options.regex=false] - Treat query as a regular expression
+ * @param {boolean} [options.caseSensitive=false] - Match case
+ * @returns {RegExp} Global pattern
+ * @throws {SyntaxError} If the regular expression is invalid
+ */
+function compilePattern({ query, regex = false, caseSensitive = false }) {
+  const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Count matches and collect context snippets
+ * @param {string} text - Content to search
+ * @param {RegExp} pattern - Global pattern from compilePattern
+ * @returns {{count: number, snippets: Array<{line: number, before: string, match: string, after: string}>}}
+ */
+function findMatches(text, pattern) {
+  const snippets = [];
+  let count = 0;
+  let line = 1;
+  let lineCountedTo = 0;
+
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    // Zero-length matches would never advance
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    count++;
+    if (snippets.length >= MAX_SNIPPETS) continue;
+
+    for (let i = lineCountedTo; i < match.index; i++) {
+      if (text.charCodeAt(i) === 10) line++;
+    }
+    lineCountedTo = match.index;
+
+    const lineStart = text.lastIndexOf('\n', match.index - 1) + 1;
+    const lineEnd = text.indexOf('\n', match.index + match[0].length);
+    const start = Math.max(lineStart, match.index - SNIPPET_CONTEXT);
+    const end = Math.min(lineEnd === -1 ? text.length : lineEnd, match.index + match[0].length + SNIPPET_CONTEXT);
+
+    snippets.push({
+      line,
+      before: text.slice(start, match.index),
+      match: match[0].slice(0, 200),
+      after: text.slice(match.index + match[0].length, end)
+    });
+  }
+  return { count, snippets };
+}
+
+/**
+ * Create a matcher for a search
+ *
+ * Literal searches run in place. Regular expressions run in a worker thread,
+ * one object at a time; an object that takes longer than the timeout is
+ * rejected and the worker is replaced.
+ * @param {Object} options - query, regex and caseSensitive, as for compilePattern
+ * @param {number} [timeout=MATCH_TIMEOUT] - Milliseconds a regular expression may run per object
+ * @returns {{match: Function, close: Function}} match(text) resolves to findMatches() output,
+ *   close() stops the worker
+ */
+function createMatcher(options, timeout = MATCH_TIMEOUT) {
+  if (!options.regex) {
+    const pattern = compilePattern(options);
+    return { match: async (text) => findMatches(text, pattern), close: () => {} };
+  }
+
+  const workerData = { query: options.query, regex: true, caseSensitive: Boolean(options.caseSensitive) };
+  let worker = null;
+  let previous = Promise.resolve();
+
+  const stop = () => {
+    if (worker) worker.terminate();
+    worker = null;
+  };
+
+  const run = (text) => new Promise((resolve, reject) => {
+    if (!worker) {
+      worker = new Worker(path.join(__dirname, 'content-search-worker.js'), { workerData });
+      worker.unref();
+    }
+    const current = worker;
+    const cleanup = () => {
+      clearTimeout(timer);
+      current.off('message', onMessage);
+      current.off('error', onError);
+    };
+    const onMessage = (result) => {
+      cleanup();
+      resolve(result);
+    };
+    const onError = (error) => {
+      cleanup();
+      stop();
+      reject(error);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      stop();
+      reject(new Error(`Regular expression ran longer than ${timeout / 1000}s, file skipped`));
+    }, timeout);
+
+    current.on('message', onMessage);
+    current.on('error', onError);
+    current.postMessage(text);
+  });
+
+  return {
+    match(text) {
+      const result = previous.then(() => run(text));
+      previous = result.catch(() => {});
+      return result;
+    },
+    close: stop
+  };
+}
+
+/**
+ * Content search job definition for the job manager (type 'content-search')
+ * @param {Object} options
+ * @param {Object} options.storage - Storage driver
+ * @returns {Object} Job definition with validate(params) and handler(context)
+ */
+function createContentSearchJob({ storage }) {
+  /**
+   * Check and normalize search parameters
+   * @param {Object} params
+   * @param {string} params.prefix - Folder to search under, normalized to end with '/'
+   * @param {string} params.query - Literal text or regular expression
+   * @param {boolean} [params.regex=false] - Treat query as a regular expression
+   * @param {boolean} [params.caseSensitive=false] - Match case
+   * @param {string[]} [params.extensions] - File extensions to search (default: text formats)
+   * @returns {Object} Normalized parameters
+   * @throws {Error} On missing fields or an invalid regular expression
+   */
+  const validate = ({ prefix, query, regex = false, caseSensitive = false, extensions }) => {
+    if (typeof query !== 'string' || !query) {
+      throw new Error('query is required');
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+      throw new Error(`query must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    const folder = (typeof prefix === 'string' ? prefix : '').replace(/^\//, '').toLowerCase();
+    if (!folder) {
+      throw new Error('prefix is required (e.g. org/repo/)');
+    }
+    if (extensions !== undefined && (!Array.isArray(extensions) || extensions.some(ext => typeof ext !== 'string'))) {
+      throw new Error('extensions must be an array of strings');
+    }
+    try {
+      compilePattern({ query, regex, caseSensitive });
+    } catch (error) {
+      throw new Error(error.message);
+    }
+
+    return {
+      // Search whole folders, "org/repo" must not also match "org/repo-old/"
+      prefix: folder.endsWith('/') ? folder : `${folder}/`,
+      query,
+      regex: Boolean(regex),
+      caseSensitive: Boolean(caseSensitive),
+      extensions: extensions && extensions.length > 0
+        ? extensions.map(ext => ext.replace(/^\./, '').toLowerCase())
+        : DEFAULT_EXTENSIONS
+    };
+  };
+
+  const handler = async (context) => {
+    const { params, progress } = context;
+    const matcher = createMatcher(params);
+
+    Object.assign(progress, { matchedFiles: 0, totalMatches: 0 });
+    context.log(`Searching ${params.prefix} for ${params.regex ? `/${params.query}/` : `"${params.query}"`}`);
+
+    try {
+      await scanPrefix({
+        storage,
+        context,
+        prefix: params.prefix,
+        shouldProcess: (object) => {
+          if (isHiddenKey(object.Key) || object.Size > MAX_OBJECT_SIZE) return false;
+          const extension = object.Key.slice(object.Key.lastIndexOf('.') + 1).toLowerCase();
+          return params.extensions.includes(extension);
+        },
+        processObject: async (object, body) => {
+          const { count, snippets } = await matcher.match(body.toString('utf8'));
+          if (count === 0) return;
+
+          progress.matchedFiles++;
+          progress.totalMatches += count;
+          if (progress.matchedFiles > MAX_RESULTS) return;
+          context.addResult({
+            key: object.Key,
+            size: object.Size,
+            lastModified: object.LastModified,
+            matchCount: count,
+            snippets
+          });
+        }
+      });
+    } finally {
+      matcher.close();
+    }
+
+    const truncated = progress.matchedFiles > MAX_RESULTS;
+    if (truncated) {
+      context.log(`Only the first ${MAX_RESULTS} matching files were kept`, 'warn');
+    }
+    context.log(`Found ${progress.totalMatches} matches in ${progress.matchedFiles} of ${progress.processedObjects} files`);
+    return {
+      matchedFiles: progress.matchedFiles,
+      totalMatches: progress.totalMatches,
+      truncated
+    };
+  };
+
+  return { role: 'viewer', validate, handler };
+}
+
+module.exports = { createContentSearchJob, compilePattern, findMatches, createMatcher, DEFAULT_EXTENSIONS };
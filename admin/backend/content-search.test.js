@@ -0,0 +1,186 @@
+/**
+ * Tests for content search patterns, matching and the regular expression time budget
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createContentSearchJob, compilePattern, findMatches, createMatcher } = require('./content-search.js');
+const { createFsStorage } = require('./storage/fs.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+// Input on which (a+)+$ backtracks for minutes
+const CATASTROPHIC_INPUT = `${'a'.repeat(40)}!`;
+
+const throws = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+async function run() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-search-test-'));
+
+  // ==================== PATTERNS ====================
+
+  section('1. Pattern Tests');
+
+  {
+    const pattern = compilePattern({ query: 'a.b (c)' });
+    assert(pattern.test('x A.B (C) y') && !compilePattern({ query: 'a.b (c)' }).test('axb c'),
+      'Literal queries are escaped and case-insensitive');
+    assert(!compilePattern({ query: 'Hero', caseSensitive: true }).test('hero'), 'Case-sensitive search');
+    assert(compilePattern({ query: 'h(e|a)ro', regex: true }).test('haro'), 'Regular expression search');
+  }
+
+  {
+    const text = 'first line\nsecond hero line\nthird\nhero hero';
+    const { count, snippets } = findMatches(text, compilePattern({ query: 'hero' }));
+    assert(count === 3, 'Every match is counted');
+    assertDeepEqual(snippets.map(snippet => snippet.line), [2, 4, 4], 'Snippets carry line numbers');
+    assertDeepEqual(snippets[0], { line: 2, before: 'second ', match: 'hero', after: ' line' },
+      'Snippet context stays on the line');
+    assert(findMatches('abc', compilePattern({ query: 'x*', regex: true })).count === 0, 'Zero-length matches are skipped');
+  }
+
+  {
+    const { validate } = createContentSearchJob({ storage: null });
+    assert(validate({ prefix: '/Org/Repo', query: 'x' }).prefix === 'org/repo/', 'Prefix is normalized to a folder');
+    assert(/query must be at most 500/.test(throws(() => validate({ prefix: 'org/', query: 'x'.repeat(501) })).message),
+      'Long queries are rejected');
+    assert(throws(() => validate({ prefix: 'org/', query: '(', regex: true })) !== null, 'Invalid regular expression is rejected');
+    assert(throws(() => validate({ prefix: 'org/', query: 'x', extensions: 'html' })) !== null, 'Extensions must be an array');
+  }
+
+  // ==================== MATCHER ====================
+
+  section('2. Matcher Tests');
+
+  {
+    const matcher = createMatcher({ query: 'hero' });
+    const { count } = await matcher.match('Hero hero');
+    assert(count === 2, 'Literal matcher runs in place');
+    matcher.close();
+  }
+
+  {
+    const matcher = createMatcher({ query: '\\bh\\w+o\\b', regex: true }, 1000);
+    const results = await Promise.all([matcher.match('hello hero'), matcher.match('nothing'), matcher.match('halo')]);
+    assertDeepEqual(results.map(result => result.count), [2, 0, 1], 'Regular expression matcher answers in order');
+    matcher.close();
+  }
+
+  {
+    const matcher = createMatcher({ query: '(a+)+$', regex: true }, 500);
+    let ticks = 0;
+    const ticker = setInterval(() => ticks++, 20);
+    const startTime = Date.now();
+    const timedOut = await matcher.match(CATASTROPHIC_INPUT).then(() => null, error => error);
+    const duration = Date.now() - startTime;
+    clearInterval(ticker);
+
+    assert(timedOut && /longer than 0.5s/.test(timedOut.message), 'Catastrophic pattern is stopped at the time budget');
+    assert(duration < 2000, `Stopped after ${duration}ms`);
+    assert(ticks >= 10, `Event loop kept running during the match (${ticks} ticks)`);
+    const { count } = await matcher.match('aaa');
+    assert(count === 1, 'A fresh worker handles the next object');
+    matcher.close();
+  }
+
+  // ==================== JOB ====================
+
+  section('3. Job Tests');
+
+  {
+    const storage = createFsStorage({ root: path.join(tmpDir, 'bucket') });
+    await storage.put('org/site/index.html', '<p>Hero banner</p>\n<p>hero</p>', { ContentType: 'text/html' });
+    await storage.put('org/site/slow.html', CATASTROPHIC_INPUT, { ContentType: 'text/html' });
+    await storage.put('org/site/plain.html', 'nothing here', { ContentType: 'text/html' });
+    await storage.put('org/site/.da-versions/x/1.html', 'hero', { ContentType: 'text/html' });
+
+    const job = createContentSearchJob({ storage });
+    const results = [];
+    const logs = [];
+    const context = {
+      params: job.validate({ prefix: 'org/site', query: '(a+)+$|hero', regex: true }),
+      progress: {},
+      signal: new AbortController().signal,
+      log: (message, level = 'info') => logs.push({ message, level }),
+      addResult: (result) => results.push(result)
+    };
+
+    const summary = await job.handler(context);
+    assertDeepEqual(results.map(result => [result.key, result.matchCount]), [['org/site/index.html', 2]],
+      'Matching files become results, snapshots are skipped');
+    assert(summary.matchedFiles === 1 && summary.totalMatches === 2, 'Summary counts files and matches');
+    assert(context.progress.errors === 1 && logs.some(entry => entry.level === 'error' && entry.message.startsWith('org/site/slow.html')),
+      'Object over the time budget is reported as an error');
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -0,0 +1,303 @@
+/**
+ * Content normalization and line diffing for the admin /api/diff route.
+ *
+ * HTML is normalized to one tag or text node per line (indented by depth,
+ * attributes sorted) so the line diff follows the DOM structure instead of the
+ * original formatting. JSON is re-serialized with sorted keys so key order and
+ * whitespace changes don't show up as differences.
+ */
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Above this many edits the exact diff is abandoned (see diffLines)
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Pick the normalization format for a document
+ * @param {string} contentType - Content type used for rendering
+ * @param {string} key - Object key (extension is used as fallback)
+ * @returns {'html'|'json'|'text'|null} Format, or null for binary content
+ */
+function detectFormat(contentType, key = '') {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  const lowerKey = key.toLowerCase();
+
+  if (type === 'application/json' || lowerKey.endsWith('.json')) return 'json';
+  if (type === 'text/html' || type === 'application/xml' || type === 'text/xml' ||
+      lowerKey.endsWith('.html') || lowerKey.endsWith('.htm')) return 'html';
+  if (type.startsWith('text/') || type === 'image/svg+xml') return 'text';
+  return null;
+}
+
+/**
+ * Normalize a single tag: collapse whitespace and sort attributes by name
+ * @param {string} tag - Raw tag including angle brackets
+ * @returns {string} Normalized tag
+ */
+function normalizeTag(tag) {
+  if (tag.startsWith('<!--') || tag.startsWith('<!') || tag.startsWith('<?')) {
+    return tag.replace(/\s+/g, ' ');
+  }
+
+  const match = tag.match(/^<\s*(\/?)\s*([^\s/>]+)([\s\S]*?)(\/?)\s*>$/);
+  if (!match) return tag.replace(/\s+/g, ' ');
+
+  const [, closing, name, rawAttrs, selfClosing] = match;
+  const attrs = [];
+  const attrPattern = /([^\s=]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+  let attr;
+  while ((attr = attrPattern.exec(rawAttrs)) !== null) {
+    attrs.push(attr[2] !== undefined ? `${attr[1]}=${attr[2]}` : attr[1]);
+  }
+  attrs.sort();
+
+  const attrText = attrs.length > 0 ? ' ' + attrs.join(' ') : '';
+  return `<${closing}${name.toLowerCase()}${attrText}${selfClosing ? ' /' : ''}>`;
+}
+
+/**
+ * Normalize HTML to one tag or text node per line, indented by nesting depth
+ * @param {string} html - HTML source
+ * @returns {string[]} Normalized lines
+ */
+function normalizeHtml(html) {
+  const tokens = html.match(/<!--[\s\S]*?-->|<[^>]*>|[^<]+/g) || [];
+  const lines = [];
+  let depth = 0;
+
+  for (const rawToken of tokens) {
+    if (!rawToken.startsWith('<')) {
+      const text = rawToken.replace(/\s+/g, ' ').trim();
+      if (text) lines.push('  '.repeat(depth) + text);
+      continue;
+    }
+
+    const tag = normalizeTag(rawToken.trim());
+    const name = (tag.match(/^<\/?([^\s/>]+)/) || [])[1] || '';
+
+    if (tag.startsWith('</')) {
+      depth = Math.max(0, depth - 1);
+      lines.push('  '.repeat(depth) + tag);
+    } else {
+      lines.push('  '.repeat(depth) + tag);
+      const opensElement = !tag.startsWith('<!') && !tag.startsWith('<?') &&
+        !tag.endsWith('/>') && !VOID_ELEMENTS.has(name);
+      if (opensElement) depth++;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Recursively sort object keys so serialization is order-independent
+ * @param {*} value - Parsed JSON value
+ * @returns {*} Value with sorted object keys
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = sortKeys(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Normalize content into comparable lines
+ * @param {string} content - Text content
+ * @param {'html'|'json'|'text'} format - Normalization format
+ * @returns {{lines: string[], format: string}} Lines and the format actually applied
+ */
+function normalizeContent(content, format) {
+  if (format === 'json') {
+    try {
+      const parsed = JSON.parse(content);
+      return { lines: JSON.stringify(sortKeys(parsed), null, 2).split('\n'), format: 'json' };
+    } catch (e) {
+      // Invalid JSON - compare as plain text
+      format = 'text';
+    }
+  }
+
+  if (format === 'html') {
+    return { lines: normalizeHtml(content), format: 'html' };
+  }
+
+  const text = content.replace(/\r\n?/g, '\n');
+  return { lines: text.endsWith('\n') ? text.slice(0, -1).split('\n') : text.split('\n'), format: 'text' };
+}
+
+/**
+ * Compute the shortest edit script between two line arrays (Myers' algorithm).
+ * Falls back to "remove all, add all" when the edit distance exceeds
+ * MAX_EDIT_DISTANCE, to bound time and memory on unrelated documents.
+ *
+ * @param {string[]} left - Original lines
+ * @param {string[]} right - New lines
+ * @returns {Array<{type: 'equal'|'removed'|'added', text: string, leftLine: number|null, rightLine: number|null}>}
+ *   Line operations in document order, line numbers are 1-based
+ */
+function diffLines(left, right) {
+  // Trim common prefix and suffix, they never take part in the edit script
+  let start = 0;
+  while (start < left.length && start < right.length && left[start] === right[start]) start++;
+  let leftEnd = left.length;
+  let rightEnd = right.length;
+  while (leftEnd > start && rightEnd > start && left[leftEnd - 1] === right[rightEnd - 1]) {
+    leftEnd--;
+    rightEnd--;
+  }
+
+  const a = left.slice(start, leftEnd);
+  const b = right.slice(start, rightEnd);
+  const middle = myers(a, b);
+
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', text: left[i], leftLine: i + 1, rightLine: i + 1 });
+  }
+
+  let li = start;
+  let ri = start;
+  for (const type of middle) {
+    if (type === 'equal') {
+      ops.push({ type, text: left[li], leftLine: li + 1, rightLine: ri + 1 });
+      li++;
+      ri++;
+    } else if (type === 'removed') {
+      ops.push({ type, text: left[li], leftLine: li + 1, rightLine: null });
+      li++;
+    } else {
+      ops.push({ type, text: right[ri], leftLine: null, rightLine: ri + 1 });
+      ri++;
+    }
+  }
+
+  for (let i = leftEnd; i < left.length; i++) {
+    ops.push({ type: 'equal', text: left[i], leftLine: i + 1, rightLine: ri + 1 });
+    ri++;
+  }
+
+  return ops;
+}
+
+/**
+ * Myers' O(ND) diff returning the edit script as a list of operation types
+ * @param {string[]} a - Original lines
+ * @param {string[]} b - New lines
+ * @returns {Array<'equal'|'removed'|'added'>} Operations
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0) return new Array(m).fill('added');
+  if (m === 0) return new Array(n).fill('removed');
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    // Only keep the [-d, d] window of V for backtracking
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return [...new Array(n).fill('removed'), ...new Array(m).fill('added')];
+  }
+
+  // Backtrack through the saved windows
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    // trace[d] holds V as it was before step d, for diagonals -d..d
+    const prev = trace[d];
+    const at = (diagonal) => prev[diagonal + d];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push('equal');
+      x--;
+      y--;
+    }
+    ops.push(x === prevX ? 'added' : 'removed');
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) {
+    ops.push('equal');
+    x--;
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Normalize two documents and diff them
+ * @param {string} leftContent - Original content
+ * @param {string} rightContent - New content
+ * @param {'html'|'json'|'text'} format - Normalization format
+ * @returns {{format: string, lines: Array, stats: {added: number, removed: number, unchanged: number}}}
+ */
+function diffContent(leftContent, rightContent, format) {
+  let left = normalizeContent(leftContent, format);
+  let right = normalizeContent(rightContent, format);
+  // If only one side fell back to text (e.g. invalid JSON), compare both as text
+  if (left.format !== right.format) {
+    left = normalizeContent(leftContent, 'text');
+    right = normalizeContent(rightContent, 'text');
+  }
+
+  const lines = diffLines(left.lines, right.lines);
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  for (const line of lines) {
+    if (line.type === 'added') stats.added++;
+    else if (line.type === 'removed') stats.removed++;
+    else stats.unchanged++;
+  }
+
+  return { format: left.format, lines, stats };
+}
+
+module.exports = {
+  detectFormat,
+  normalizeContent,
+  diffLines,
+  diffContent
+};
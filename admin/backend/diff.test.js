@@ -0,0 +1,244 @@
+/**
+ * Tests for content normalization and the Myers line diff
+ */
+
+const { detectFormat, normalizeContent, diffLines, diffContent } = require('./diff.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+// Both documents rebuilt from the operations, with consistent 1-based line numbers
+function replay(ops) {
+  const left = [];
+  const right = [];
+  let numbered = true;
+  for (const op of ops) {
+    if (op.type !== 'added') {
+      left.push(op.text);
+      if (op.leftLine !== left.length) numbered = false;
+    }
+    if (op.type !== 'removed') {
+      right.push(op.text);
+      if (op.rightLine !== right.length) numbered = false;
+    }
+  }
+  return { left, right, numbered };
+}
+
+const edits = ops => ops.filter(op => op.type !== 'equal').length;
+
+// Minimal number of added + removed lines, from the longest common subsequence
+function minimalEdits(a, b) {
+  let previous = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [0];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+  return a.length + b.length - 2 * previous[b.length];
+}
+
+// Deterministic pseudo-random numbers, so failures reproduce
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+// ==================== LINE DIFF ====================
+
+section('1. Line Diff Tests');
+
+{
+  const lines = ['a', 'b', 'c'];
+  const ops = diffLines(lines, [...lines]);
+  assert(ops.every(op => op.type === 'equal') && ops.length === 3, 'Identical input is all equal');
+  assertDeepEqual(ops[1], { type: 'equal', text: 'b', leftLine: 2, rightLine: 2 }, 'Equal lines carry both line numbers');
+}
+
+assertDeepEqual(diffLines([], []), [], 'Two empty inputs give no operations');
+{
+  const ops = diffLines([], ['x', 'y']);
+  assertDeepEqual(ops.map(op => [op.type, op.leftLine, op.rightLine]), [['added', null, 1], ['added', null, 2]],
+    'Empty original: every line added');
+}
+{
+  const ops = diffLines(['x', 'y'], []);
+  assertDeepEqual(ops.map(op => [op.type, op.leftLine, op.rightLine]), [['removed', 1, null], ['removed', 2, null]],
+    'Empty new version: every line removed');
+}
+
+{
+  const left = ['a', 'b', 'c', 'd'];
+  const right = ['a', 'b', 'x', 'y', 'c', 'd'];
+  const ops = diffLines(left, right);
+  assertDeepEqual(ops.filter(op => op.type !== 'equal').map(op => [op.type, op.text, op.rightLine]),
+    [['added', 'x', 3], ['added', 'y', 4]], 'Insert only: just the inserted lines are added');
+  assertDeepEqual(ops.filter(op => op.type === 'equal').map(op => [op.leftLine, op.rightLine]),
+    [[1, 1], [2, 2], [3, 5], [4, 6]], 'Lines after an insert shift on the right side only');
+}
+
+{
+  const left = ['a', 'b', 'c', 'd', 'e'];
+  const right = ['a', 'c', 'e'];
+  const ops = diffLines(left, right);
+  assertDeepEqual(ops.filter(op => op.type !== 'equal').map(op => [op.type, op.text, op.leftLine]),
+    [['removed', 'b', 2], ['removed', 'd', 4]], 'Delete only: just the deleted lines are removed');
+}
+
+{
+  // The example of Myers' paper: edit distance 5
+  const left = 'ABCABBA'.split('');
+  const right = 'CBABAC'.split('');
+  const ops = diffLines(left, right);
+  const { left: rebuiltLeft, right: rebuiltRight, numbered } = replay(ops);
+  assert(edits(ops) === 5, `Shortest edit script for ABCABBA -> CBABAC (${edits(ops)} edits)`);
+  assert(rebuiltLeft.join('') === 'ABCABBA' && rebuiltRight.join('') === 'CBABAC' && numbered,
+    'Operations rebuild both versions');
+}
+
+{
+  // Common prefix and suffix are trimmed before the diff, line numbers still count them
+  const ops = diffLines(['same', 'old', 'tail'], ['same', 'new', 'tail']);
+  assertDeepEqual(ops.map(op => [op.type, op.leftLine, op.rightLine]),
+    [['equal', 1, 1], ['removed', 2, null], ['added', null, 2], ['equal', 3, 3]], 'Changed line between equal lines');
+}
+
+{
+  const random = createRandom(42);
+  let rebuilt = 0;
+  let minimal = 0;
+  const runs = 200;
+  for (let run = 0; run < runs; run++) {
+    const line = () => 'abcde'[Math.floor(random() * 5)];
+    const a = Array.from({ length: Math.floor(random() * 30) }, line);
+    const b = Array.from({ length: Math.floor(random() * 30) }, line);
+    const ops = diffLines(a, b);
+    const replayed = replay(ops);
+    if (replayed.numbered && replayed.left.join() === a.join() && replayed.right.join() === b.join()) rebuilt++;
+    if (edits(ops) === minimalEdits(a, b)) minimal++;
+  }
+  assert(rebuilt === runs, `Random inputs: operations rebuild both versions (${rebuilt}/${runs})`);
+  assert(minimal === runs, `Random inputs: edit scripts are minimal (${minimal}/${runs})`);
+}
+
+// ==================== LARGE INPUT ====================
+
+section('2. Large Input Tests');
+
+{
+  const left = Array.from({ length: 20000 }, (_, i) => `line ${i}`);
+  const right = [...left];
+  for (let i = 500; i < 20000; i += 1000) right[i] = `changed ${i}`;
+  right.splice(10000, 0, 'inserted');
+
+  const startTime = Date.now();
+  const ops = diffLines(left, right);
+  const duration = Date.now() - startTime;
+  const replayed = replay(ops);
+  assert(edits(ops) === 41, `20,000 lines with 20 changes and an insert: 41 edits (${edits(ops)})`);
+  assert(replayed.left.join('\n') === left.join('\n') && replayed.right.join('\n') === right.join('\n'),
+    'Large diff rebuilds both versions');
+  assert(duration < 2000, `Large diff with few changes is fast (${duration}ms)`);
+}
+
+{
+  // Unrelated documents exceed the edit limit: everything removed, then everything added
+  const left = Array.from({ length: 3000 }, (_, i) => `left ${i}`);
+  const right = Array.from({ length: 3000 }, (_, i) => `right ${i}`);
+  const startTime = Date.now();
+  const ops = diffLines(left, right);
+  const duration = Date.now() - startTime;
+  assert(ops.length === 6000 && ops.slice(0, 3000).every(op => op.type === 'removed') &&
+    ops.slice(3000).every(op => op.type === 'added'), 'Over the edit limit: remove all, add all');
+  assert(replay(ops).numbered, 'Fallback keeps line numbers');
+  assert(duration < 5000, `Edit limit bounds the time on unrelated documents (${duration}ms)`);
+}
+
+// ==================== NORMALIZATION ====================
+
+section('3. Normalization Tests');
+
+assert(detectFormat('application/json; charset=utf-8') === 'json', 'JSON by content type');
+assert(detectFormat('application/octet-stream', 'org/page.HTML') === 'html', 'HTML by extension');
+assert(detectFormat('text/plain') === 'text' && detectFormat('image/png', 'a.png') === null, 'Text and binary');
+
+assertDeepEqual(normalizeContent('<div class="b"  id=a><p>Hi\n there</p><br></div>', 'html').lines,
+  ['<div class="b" id=a>', '  <p>', '    Hi there', '  </p>', '  <br>', '</div>'],
+  'HTML: one node per line, indented, attributes sorted');
+assertDeepEqual(normalizeContent('{"b":1,"a":{"d":2,"c":3}}', 'json').lines.join(''),
+  '{  "a": {    "c": 3,    "d": 2  },  "b": 1}', 'JSON: keys sorted');
+assertDeepEqual(normalizeContent('a\r\nb\n', 'text').lines, ['a', 'b'], 'Text: line endings normalized, final newline dropped');
+
+{
+  const result = diffContent('<p id="x" class="y">Same</p>', '<p class="y"  id="x">Same</p>', 'html');
+  assert(result.stats.added === 0 && result.stats.removed === 0, 'Attribute order and whitespace are not changes');
+}
+{
+  const result = diffContent('{"a":1,"b":2}', '{"b":2,"a":1}', 'json');
+  assert(result.stats.added === 0 && result.stats.removed === 0, 'JSON key order is not a change');
+}
+{
+  const result = diffContent('{"a":1}', '{"a":', 'json');
+  assert(result.format === 'text' && result.stats.removed === 1 && result.stats.added === 1,
+    'Invalid JSON on one side compares both as text');
+}
+
+// ==================== SUMMARY ====================
+
+console.log(`\n${'='.repeat(70)}`);
+console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+console.log(`${'='.repeat(70)}`);
+console.log(`Total:  ${totalTests}`);
+console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+if (failedTests > 0) {
+  console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+  process.exit(1);
+} else {
+  console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+  process.exit(0);
+}
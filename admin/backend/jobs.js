@@ -0,0 +1,318 @@
+/**
+ * Background jobs for long-running admin operations
+ *
+ * Job types are registered with a handler; submitted jobs run in the backend
+ * process (a few at a time, the rest queue) and report progress, log lines and
+ * results through a context object. State is persisted as JSON files so jobs
+ * survive restarts:
+ *   <dir>/<id>.json          - job state (status, params, progress, summary)
+ *   <dir>/<id>.log.jsonl     - log lines ({ time, level, message })
+ *   <dir>/<id>.results.jsonl - one result per line
+ * Log and result lines are appended synchronously so readers never see a
+ * partial line. Jobs that were queued or running when the server stopped are
+ * marked `interrupted` on the next start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { EventEmitter } = require('events');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+// Log lines kept in memory per running job for live streaming
+const MAX_LOG_LINES = 10000;
+// Oldest finished jobs beyond this are deleted
+const MAX_STORED_JOBS = 200;
+const SAVE_INTERVAL = 1000;
+
+// Rejected submission (unknown type or invalid params), reported as 400
+class JobInputError extends Error {}
+
+/**
+ * Create the job manager
+ * @param {Object} options
+ * @param {string} options.dir - Directory for job state, logs and results
+ * @param {number} [options.concurrency=2] - Jobs running at the same time
+ * @returns {Object} Job manager
+ */
+function createJobManager({ dir, concurrency = 2 }) {
+  const types = new Map();
+  const jobs = new Map();
+  // Runtime state of queued/running jobs: { controller, logs, timer }
+  const active = new Map();
+  const queue = [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  const statePath = (id) => path.join(dir, `${id}.json`);
+  const logPath = (id) => path.join(dir, `${id}.log.jsonl`);
+  const resultsPath = (id) => path.join(dir, `${id}.results.jsonl`);
+
+  const save = (job) => {
+    const file = statePath(job.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  // Load persisted jobs, anything unfinished was cut off by a restart
+  fs.mkdirSync(dir, { recursive: true });
+  for (const name of fs.readdirSync(dir)) {
+    if (!/^[0-9a-f-]+\.json$/.test(name)) continue;
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+      if (!FINISHED_STATUSES.includes(job.status)) {
+        job.status = 'interrupted';
+        job.error = 'The server stopped while the job was running';
+        job.finishedAt = job.finishedAt || new Date().toISOString();
+        save(job);
+      }
+      jobs.set(job.id, job);
+    } catch (error) {
+      console.error(`Skipping unreadable job state ${name}:`, error.message);
+    }
+  }
+
+  const pruneJobs = () => {
+    const finished = [...jobs.values()]
+      .filter(job => FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const excess = jobs.size - MAX_STORED_JOBS;
+    for (const job of finished.slice(0, Math.max(excess, 0))) {
+      jobs.delete(job.id);
+      for (const file of [statePath(job.id), logPath(job.id), resultsPath(job.id)]) {
+        fs.rmSync(file, { force: true });
+      }
+    }
+  };
+
+  const emitUpdate = (job) => events.emit('update', job);
+
+  const appendLog = (job, message, level = 'info') => {
+    const entry = { time: new Date().toISOString(), level, message };
+    fs.appendFileSync(logPath(job.id), `${JSON.stringify(entry)}\n`);
+    const runtime = active.get(job.id);
+    if (runtime) {
+      runtime.logs.push(entry);
+      if (runtime.logs.length > MAX_LOG_LINES) runtime.logs.shift();
+    }
+    events.emit('log', job.id, entry);
+  };
+
+  const finish = (job, status, error = null) => {
+    const runtime = active.get(job.id);
+    if (runtime) clearInterval(runtime.timer);
+    active.delete(job.id);
+
+    job.status = status;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    save(job);
+    appendLog(job, error ? `Job ${status}: ${error}` : `Job ${status}`, status === 'failed' ? 'error' : 'info');
+    emitUpdate(job);
+    runNext();
+  };
+
+  const run = async (job) => {
+    const runtime = active.get(job.id);
+    const { handler } = types.get(job.type);
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    save(job);
+    emitUpdate(job);
+    appendLog(job, `Job started by ${job.createdBy || 'unknown'}`);
+
+    // Progress is mutated in place by the handler, persist and publish it periodically
+    runtime.timer = setInterval(() => {
+      save(job);
+      emitUpdate(job);
+    }, SAVE_INTERVAL);
+
+    const context = {
+      id: job.id,
+      params: job.params,
+      user: { name: job.createdBy },
+      signal: runtime.controller.signal,
+      progress: job.progress,
+      log: (message, level) => appendLog(job, message, level),
+      addResult: (result) => {
+        fs.appendFileSync(resultsPath(job.id), `${JSON.stringify(result)}\n`);
+        job.resultCount++;
+      }
+    };
+
+    try {
+      job.summary = (await handler(context)) || null;
+      finish(job, runtime.controller.signal.aborted ? 'cancelled' : 'completed');
+    } catch (error) {
+      if (runtime.controller.signal.aborted) {
+        finish(job, 'cancelled');
+      } else {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error);
+        finish(job, 'failed', error.message);
+      }
+    }
+  };
+
+  function runNext() {
+    const running = [...jobs.values()].filter(job => job.status === 'running').length;
+    if (running >= concurrency || queue.length === 0) return;
+    run(queue.shift());
+    runNext();
+  }
+
+  /**
+   * Register a job type
+   * @param {string} type - Type name, e.g. 'content-search'
+   * @param {Object} definition
+   * @param {string} [definition.role='viewer'] - Role needed to submit the job
+   * @param {Function} [definition.validate] - Check and normalize params, throws on invalid input
+   * @param {Function} definition.handler - async (context) => summary; context has
+   *   params, user, signal (AbortSignal), progress (mutable counters), log(message, level)
+   *   and addResult(result)
+   */
+  const register = (type, { role = 'viewer', validate = (params) => params, handler }) => {
+    types.set(type, { role, validate, handler });
+  };
+
+  /**
+   * Submit a job
+   * @param {string} type - Registered job type
+   * @param {Object} params - Job parameters, passed through the type's validate()
+   * @param {Object} [user] - Submitting user
+   * @returns {Object} The job
+   * @throws {JobInputError} If the type is unknown or validate() rejects the params
+   */
+  const submit = (type, params, user) => {
+    const definition = types.get(type);
+    if (!definition) throw new JobInputError(`Unknown job type: ${type}`);
+
+    let validParams;
+    try {
+      validParams = definition.validate(params || {});
+    } catch (error) {
+      throw new JobInputError(error.message);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      params: validParams,
+      createdBy: user?.name || null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: {},
+      resultCount: 0,
+      summary: null,
+      error: null
+    };
+
+    jobs.set(job.id, job);
+    active.set(job.id, { controller: new AbortController(), logs: [], timer: null });
+    save(job);
+    queue.push(job);
+    pruneJobs();
+    runNext();
+    return job;
+  };
+
+  /**
+   * Ask a job to stop; queued jobs are cancelled immediately
+   * @param {string} id - Job id
+   * @returns {Object|null} The job, null if unknown
+   */
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return job || null;
+
+    const runtime = active.get(id);
+    runtime.controller.abort();
+    const queued = queue.indexOf(job);
+    if (queued !== -1) {
+      queue.splice(queued, 1);
+      finish(job, 'cancelled');
+    } else {
+      appendLog(job, 'Cancellation requested');
+    }
+    return job;
+  };
+
+  /**
+   * Log lines of a job
+   * @param {string} id - Job id
+   * @returns {Object[]} Log entries, oldest first
+   */
+  const getLogs = (id) => {
+    const runtime = active.get(id);
+    if (runtime) return [...runtime.logs];
+    if (!fs.existsSync(logPath(id))) return [];
+    return fs.readFileSync(logPath(id), 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  };
+
+  /**
+   * Read a page of results
+   * @param {string} id - Job id
+   * @param {Object} [options]
+   * @param {number} [options.offset=0] - Results to skip
+   * @param {number} [options.limit=500] - Maximum results to return
+   * @returns {Promise<Object[]>} Results in the order they were added
+   */
+  const readResults = async (id, { offset = 0, limit = 500 } = {}) => {
+    const results = [];
+    if (!fs.existsSync(resultsPath(id))) return results;
+
+    const input = fs.createReadStream(resultsPath(id));
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let index = 0;
+    for await (const line of lines) {
+      if (index++ < offset) continue;
+      results.push(JSON.parse(line));
+      if (results.length >= limit) break;
+    }
+    input.destroy();
+    return results;
+  };
+
+  /**
+   * Subscribe to log lines and state updates of one job
+   * @param {string} id - Job id
+   * @param {Object} listeners
+   * @param {Function} listeners.onLog - Called with each new log entry
+   * @param {Function} listeners.onUpdate - Called with the job on progress or status changes
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = (id, { onLog, onUpdate }) => {
+    const logListener = (jobId, entry) => jobId === id && onLog(entry);
+    const updateListener = (job) => job.id === id && onUpdate(job);
+    events.on('log', logListener);
+    events.on('update', updateListener);
+    return () => {
+      events.off('log', logListener);
+      events.off('update', updateListener);
+    };
+  };
+
+  return {
+    dir,
+    register,
+    submit,
+    cancel,
+    get: (id) => jobs.get(id) || null,
+    list: () => [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    getType: (type) => types.get(type) || null,
+    getLogs,
+    readResults,
+    subscribe,
+    resultsPath,
+    isFinished: (job) => FINISHED_STATUSES.includes(job.status)
+  };
+}
+
+module.exports = { createJobManager, JobInputError };
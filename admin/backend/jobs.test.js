@@ -0,0 +1,315 @@
+/**
+ * Tests for the background job manager
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobManager, JobInputError } = require('./jobs.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+const USER = { name: 'alice@example.com', role: 'editor' };
+
+// Let pending handlers and their completion callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// A promise the test resolves or rejects from the outside
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const readState = (dir, id) => JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8'));
+
+// Job type whose runs finish when the test says so
+function registerControlled(manager, type = 'controlled') {
+  const runs = [];
+  manager.register(type, {
+    handler: (context) => {
+      const run = { context, ...deferred() };
+      runs.push(run);
+      return run.promise;
+    }
+  });
+  return runs;
+}
+
+async function run() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+  let dirCount = 0;
+  const freshDir = () => path.join(tmpDir, `jobs-${++dirCount}`);
+
+  // ==================== RUNNING JOBS ====================
+
+  section('1. Running Jobs Tests');
+
+  {
+    const dir = freshDir();
+    const manager = createJobManager({ dir });
+    manager.register('echo', {
+      validate: (params) => ({ word: String(params.word || '').trim() }),
+      handler: async ({ params, progress, log, addResult }) => {
+        progress.scanned = 3;
+        log('Echoing');
+        for (let i = 0; i < 3; i++) addResult({ word: params.word, index: i });
+        return { words: 3 };
+      }
+    });
+
+    const job = manager.submit('echo', { word: ' hi ' }, USER);
+    assertDeepEqual(job.params, { word: 'hi' }, 'Params go through validate()');
+    assert(job.createdBy === USER.name, 'Job records who submitted it');
+    await settle();
+
+    assert(job.status === 'completed' && job.startedAt && job.finishedAt, 'Job completes');
+    assertDeepEqual(job.summary, { words: 3 }, 'Handler return value is the summary');
+    assert(job.resultCount === 3, 'Results are counted');
+
+    const state = readState(dir, job.id);
+    assert(state.status === 'completed' && state.progress.scanned === 3, 'Final state and progress are persisted');
+    assertDeepEqual((await manager.readResults(job.id, { offset: 1, limit: 1 })).map(result => result.index), [1],
+      'Results are paged with offset and limit');
+    const messages = manager.getLogs(job.id).map(entry => entry.message);
+    assertDeepEqual(messages, [`Job started by ${USER.name}`, 'Echoing', 'Job completed'], 'Log lines in order');
+    assert(manager.isFinished(manager.get(job.id)) && manager.list()[0].id === job.id, 'Job is listed as finished');
+  }
+
+  {
+    const manager = createJobManager({ dir: freshDir() });
+    manager.register('strict', {
+      validate: () => {
+        throw new Error('prefix is required');
+      },
+      handler: async () => null
+    });
+
+    let error = null;
+    try {
+      manager.submit('missing', {}, USER);
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof JobInputError, 'Unknown type is a JobInputError');
+
+    error = null;
+    try {
+      manager.submit('strict', {}, USER);
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof JobInputError && error.message === 'prefix is required', 'Rejected params are a JobInputError');
+    assert(manager.list().length === 0, 'Rejected submissions create no job');
+  }
+
+  {
+    const dir = freshDir();
+    const manager = createJobManager({ dir });
+    manager.register('broken', {
+      handler: async () => {
+        throw new Error('bucket unreachable');
+      }
+    });
+
+    const originalError = console.error;
+    console.error = () => {};
+    const job = manager.submit('broken', {}, USER);
+    await settle();
+    console.error = originalError;
+
+    assert(job.status === 'failed' && job.error === 'bucket unreachable', 'Throwing handler fails the job with its message');
+    assert(readState(dir, job.id).status === 'failed', 'Failure is persisted');
+  }
+
+  {
+    const manager = createJobManager({ dir: freshDir(), concurrency: 1 });
+    const runs = registerControlled(manager);
+    const first = manager.submit('controlled', {}, USER);
+    const second = manager.submit('controlled', {}, USER);
+    await settle();
+
+    assert(first.status === 'running' && second.status === 'queued', 'Jobs over the concurrency limit queue');
+    runs[0].resolve();
+    await settle();
+    assert(first.status === 'completed' && second.status === 'running', 'Queued job starts when a slot frees up');
+    runs[1].resolve();
+    await settle();
+    assert(second.status === 'completed' && runs.length === 2, 'Both jobs ran once');
+  }
+
+  // ==================== CANCELLATION ====================
+
+  section('2. Cancellation Tests');
+
+  {
+    const dir = freshDir();
+    const manager = createJobManager({ dir, concurrency: 1 });
+    const runs = registerControlled(manager);
+    const running = manager.submit('controlled', {}, USER);
+    const queued = manager.submit('controlled', {}, USER);
+    await settle();
+
+    manager.cancel(queued.id);
+    assert(queued.status === 'cancelled' && readState(dir, queued.id).status === 'cancelled',
+      'Queued job is cancelled immediately');
+
+    manager.cancel(running.id);
+    assert(runs[0].context.signal.aborted && running.status === 'running', 'Running job is signalled and keeps running');
+    assert(manager.getLogs(running.id).some(entry => entry.message === 'Cancellation requested'), 'Cancellation is logged');
+    runs[0].context.addResult({ partial: true });
+    runs[0].reject(new Error('aborted'));
+    await settle();
+
+    assert(running.status === 'cancelled' && running.error === null, 'Handler stopping on the signal ends as cancelled');
+    assert((await manager.readResults(running.id)).length === 1, 'Results produced before cancelling are kept');
+    assert(runs.length === 1, 'Cancelled queued job never ran');
+  }
+
+  {
+    const manager = createJobManager({ dir: freshDir() });
+    const runs = registerControlled(manager);
+    const job = manager.submit('controlled', {}, USER);
+    await settle();
+    manager.cancel(job.id);
+    runs[0].resolve({ scanned: 10 });
+    await settle();
+    assert(job.status === 'cancelled' && job.summary.scanned === 10, 'Handler returning after the signal ends as cancelled');
+  }
+
+  {
+    const dir = freshDir();
+    const manager = createJobManager({ dir });
+    const runs = registerControlled(manager);
+    const job = manager.submit('controlled', {}, USER);
+    await settle();
+    runs[0].resolve();
+    await settle();
+
+    const logLines = manager.getLogs(job.id).length;
+    const returned = manager.cancel(job.id);
+    assert(returned === job && job.status === 'completed' && readState(dir, job.id).status === 'completed',
+      'Cancelling a finished job leaves it unchanged');
+    assert(manager.getLogs(job.id).length === logLines, 'Cancelling a finished job logs nothing');
+    assert(manager.isFinished(job), 'Finished jobs are reported as finished (the API answers 409)');
+    assert(manager.cancel('00000000-0000-0000-0000-000000000000') === null, 'Unknown job cancels to null');
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  section('3. Persistence Tests');
+
+  {
+    const dir = freshDir();
+    const first = createJobManager({ dir, concurrency: 1 });
+    const runs = registerControlled(first);
+    const running = first.submit('controlled', {}, USER);
+    const queued = first.submit('controlled', {}, USER);
+    const done = first.submit('controlled', {}, USER);
+    await settle();
+    runs[0].context.progress.scanned = 5;
+    runs[0].context.addResult({ key: 'a.html' });
+    // Simulate a restart: the first manager is abandoned with one job running, one queued and one cancelled
+    first.cancel(done.id);
+
+    const restarted = createJobManager({ dir });
+    const reloadedRunning = restarted.get(running.id);
+    const reloadedQueued = restarted.get(queued.id);
+    assert(reloadedRunning.status === 'interrupted' && reloadedQueued.status === 'interrupted',
+      'Running and queued jobs are interrupted after a restart');
+    assert(reloadedRunning.error === 'The server stopped while the job was running' && reloadedRunning.finishedAt,
+      'Interrupted jobs carry an error and a finish time');
+    assert(readState(dir, running.id).status === 'interrupted', 'Interrupted status is written back');
+    assert(restarted.get(done.id).status === 'cancelled', 'Finished jobs keep their status');
+    assert(restarted.getLogs(running.id)[0].message === `Job started by ${USER.name}`, 'Logs are read back from disk');
+    assertDeepEqual(await restarted.readResults(running.id), [{ key: 'a.html' }], 'Results are read back from disk');
+    assert(restarted.cancel(running.id).status === 'interrupted', 'Interrupted jobs cannot be cancelled');
+
+    // Let the abandoned run finish so nothing is left pending
+    runs[0].resolve();
+    await settle();
+  }
+
+  {
+    const dir = freshDir();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, '0123abcd.json'), '{ not json');
+    fs.writeFileSync(path.join(dir, 'notes.json'), '{}');
+
+    const originalError = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args.join(' '));
+    const manager = createJobManager({ dir });
+    console.error = originalError;
+
+    assert(manager.list().length === 0, 'Unreadable and foreign files are not loaded as jobs');
+    assert(errors.length === 1 && errors[0].includes('0123abcd.json'), 'Unreadable job state is reported');
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -0,0 +1,297 @@
+/**
+ * Document reference graph: which documents link to or embed a document
+ *
+ * A `reference-index` job scans the HTML and JSON documents of one org/repo
+ * (see shard-scan.js) and extracts internal references:
+ *   - relative and root-relative paths in href/src attributes and JSON strings,
+ *     including DA source paths (`/<org>/<repo>/...`)
+ *   - preview/live URLs of the same site (`<ref>--<repo>--<org>.aem.page|live`,
+ *     `.hlx.page|live`, `.hlx3.page`)
+ *   - content.da.live and da.live/edit URLs
+ * Targets are normalized to document keys the way AEM resolves paths
+ * (`/a/b` -> `org/repo/a/b.html`, `/a/` -> `org/repo/a/index.html`).
+ * The reverse index (target -> referencing documents) is stored locally as
+ * `<dir>/<org>/<repo>.json` and replaced by the next run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanPrefix, isHiddenKey } = require('./shard-scan.js');
+
+const MAX_OBJECT_SIZE = 10 * 1024 * 1024;
+
+const HTML_ATTRIBUTE = /\b(href|src)\s*=\s*(["'])(.*?)\2/gi;
+// Paths and URLs in JSON strings, slashes may be escaped as \/
+const JSON_STRING = /"((?:https?:(?:\\?\/){2}|\.{0,2}\\?\/)(?:[^"\\\s]|\\\/)*)"/g;
+const AEM_HOST = /^([^.]+)\.(aem\.page|aem\.live|hlx\.page|hlx\.live|hlx3\.page)$/i;
+const MEDIA_EXTENSION = /\.(png|jpe?g|gif|webp|svg|avif|mp4|webm|mov|mp3|pdf|ico|woff2?|ttf|css|js)$/i;
+// Org and repo names, also used as index file names
+const NAME_SEGMENT = /^[a-z0-9][a-z0-9._-]*$/;
+
+/**
+ * Decode a URL path, keeping malformed escapes as they are
+ * @param {string} value - Encoded path
+ * @returns {string} Decoded path
+ */
+function decodePath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Map a site path to the document key it is served from
+ * @param {string} org - Organization
+ * @param {string} repo - Repository (site)
+ * @param {string} sitePath - Absolute path on the site, e.g. '/en/about'
+ * @returns {string|null} Document key, null for paths that are not documents
+ */
+function sitePathToKey(org, repo, sitePath) {
+  let pagePath = decodePath(sitePath.split(/[?#]/)[0]);
+  pagePath = pagePath.toLowerCase().replace(/\/{2,}/g, '/');
+  if (!pagePath.startsWith('/')) return null;
+
+  if (pagePath.endsWith('/')) {
+    pagePath = `${pagePath}index.html`;
+  } else if (pagePath.endsWith('.plain.html')) {
+    pagePath = pagePath.replace(/\.plain\.html$/, '.html');
+  } else if (!/\.[a-z0-9]+$/.test(pagePath.slice(pagePath.lastIndexOf('/')))) {
+    pagePath = `${pagePath}.html`;
+  }
+  return `${org}/${repo}${pagePath}`;
+}
+
+/**
+ * Resolve one reference found in a document
+ * @param {string} value - href/src value or JSON string
+ * @param {Object} source
+ * @param {string} source.org - Organization of the referencing document
+ * @param {string} source.repo - Repository of the referencing document
+ * @param {string} source.key - Key of the referencing document
+ * @returns {string|null} Target document key, null for external or non-document references
+ */
+function resolveReference(value, { org, repo, key }) {
+  const reference = value.trim().replace(/&amp;/g, '&');
+  if (!reference || reference.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(reference)) return null;
+
+  if (/^https?:\/\//i.test(reference)) {
+    let url;
+    try {
+      url = new URL(reference);
+    } catch (e) {
+      return null;
+    }
+
+    const aemHost = url.hostname.match(AEM_HOST);
+    if (aemHost) {
+      // <ref>--<repo>--<org>; only links into the same site count
+      const [, siteRepo, siteOrg] = aemHost[1].toLowerCase().split('--');
+      if (siteRepo !== repo || siteOrg !== org) return null;
+      return sitePathToKey(org, repo, url.pathname);
+    }
+    if (url.hostname === 'content.da.live') {
+      const target = decodePath(url.pathname).replace(/^\//, '').toLowerCase();
+      return target.startsWith(`${org}/${repo}/`) ? target : null;
+    }
+    if (url.hostname === 'da.live' && url.hash.startsWith('#/')) {
+      // da.live/edit#/<org>/<repo>/<path>
+      const [hashOrg, hashRepo, ...rest] = url.hash.slice(2).toLowerCase().split('/');
+      if (hashOrg !== org || hashRepo !== repo) return null;
+      return sitePathToKey(org, repo, `/${rest.join('/')}`);
+    }
+    return null;
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:/i.test(reference) || reference.startsWith('//')) return null;
+
+  if (reference.startsWith('/')) {
+    // DA source paths (/org/repo/...), as copied from da.live, rather than site paths
+    const sourcePrefix = `/${org}/${repo}/`;
+    return sitePathToKey(org, repo, reference.toLowerCase().startsWith(sourcePrefix)
+      ? reference.slice(sourcePrefix.length - 1)
+      : reference);
+  }
+
+  // Relative to the folder of the referencing document; a bare query is the document itself
+  const relativePath = reference.split(/[?#]/)[0];
+  if (!relativePath) return key;
+  const folder = `/${key.split('/').slice(2, -1).join('/')}`;
+  const resolved = path.posix.normalize(path.posix.join(folder, relativePath));
+  return sitePathToKey(org, repo, relativePath.endsWith('/') ? `${resolved}/` : resolved);
+}
+
+/**
+ * Extract the references of one document
+ * @param {string} content - Document content
+ * @param {Object} source
+ * @param {string} source.org - Organization
+ * @param {string} source.repo - Repository
+ * @param {string} source.key - Document key
+ * @returns {Map<string, string>} Target key -> kind ('link', 'fragment' or 'embed')
+ */
+function extractReferences(content, { org, repo, key }) {
+  const references = new Map();
+  const add = (value, attribute) => {
+    const target = resolveReference(value, { org, repo, key });
+    if (!target || target === key) return;
+
+    // DA fragments are linked pages under /fragments/; src attributes embed media
+    let kind = 'link';
+    if (target.includes('/fragments/')) kind = 'fragment';
+    else if (attribute === 'src' || MEDIA_EXTENSION.test(target)) kind = 'embed';
+    if (!references.has(target) || kind === 'fragment') references.set(target, kind);
+  };
+
+  if (key.endsWith('.json')) {
+    for (const match of content.matchAll(JSON_STRING)) add(match[1].replace(/\\\//g, '/'), null);
+  } else {
+    for (const match of content.matchAll(HTML_ATTRIBUTE)) add(match[3], match[1].toLowerCase());
+  }
+  return references;
+}
+
+/**
+ * Local store of reverse indexes, one file per org/repo
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding <org>/<repo>.json
+ * @returns {Object} Store with save(index) and lookup(key)
+ */
+function createReferenceStore({ dir }) {
+  // Parsed indexes, reloaded when the file changes
+  const cache = new Map();
+
+  const indexPath = (org, repo) => path.join(dir, org, `${repo}.json`);
+
+  const load = (org, repo) => {
+    const file = indexPath(org, repo);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (e) {
+      return null;
+    }
+    const cached = cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.index;
+
+    const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+    cache.set(file, { mtimeMs: stat.mtimeMs, index });
+    return index;
+  };
+
+  /**
+   * Replace the index of an org/repo
+   * @param {Object} index - { org, repo, builtAt, jobId, documents, references: { target: [{ source, kind }] } }
+   */
+  const save = (index) => {
+    const file = indexPath(index.org, index.repo);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(index));
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  /**
+   * Documents referencing a key
+   * @param {string} key - Document key (org/repo/...)
+   * @returns {{indexed: boolean, builtAt?: string, documents?: number, referencedBy: Array<{source: string, kind: string}>}}
+   */
+  const lookup = (key) => {
+    const [org, repo] = key.split('/');
+    const index = NAME_SEGMENT.test(org || '') && NAME_SEGMENT.test(repo || '') ? load(org, repo) : null;
+    if (!index) return { indexed: false, referencedBy: [] };
+
+    return {
+      indexed: true,
+      builtAt: index.builtAt,
+      jobId: index.jobId,
+      documents: index.documents,
+      referencedBy: index.references[key] || []
+    };
+  };
+
+  return { save, lookup };
+}
+
+/**
+ * Reference index job definition for the job manager (type 'reference-index')
+ * @param {Object} options
+ * @param {Object} options.storage - Storage driver
+ * @param {Object} options.store - Reference store from createReferenceStore
+ * @returns {Object} Job definition with validate(params) and handler(context)
+ */
+function createReferenceIndexJob({ storage, store }) {
+  /**
+   * Check and normalize parameters
+   * @param {Object} params
+   * @param {string} params.prefix - org/repo to index
+   * @returns {{org: string, repo: string}} Normalized parameters
+   * @throws {Error} If prefix is not an org/repo
+   */
+  const validate = ({ prefix }) => {
+    const [org, repo] = (typeof prefix === 'string' ? prefix : '')
+      .replace(/^\//, '').toLowerCase().split('/').filter(Boolean);
+    if (!NAME_SEGMENT.test(org || '') || !NAME_SEGMENT.test(repo || '')) {
+      throw new Error('prefix must name an org/repo (e.g. org/repo)');
+    }
+    return { org, repo };
+  };
+
+  const handler = async (context) => {
+    const { params, progress, signal } = context;
+    const { org, repo } = params;
+    const references = {};
+
+    Object.assign(progress, { documents: 0, references: 0 });
+    context.log(`Indexing references in ${org}/${repo}/`);
+
+    await scanPrefix({
+      storage,
+      context,
+      prefix: `${org}/${repo}/`,
+      shouldProcess: (object) => !isHiddenKey(object.Key) &&
+        object.Size <= MAX_OBJECT_SIZE &&
+        /\.(html?|json)$/i.test(object.Key),
+      processObject: async (object, body) => {
+        const found = extractReferences(body.toString('utf8'), { org, repo, key: object.Key });
+        progress.documents++;
+        for (const [target, kind] of found) {
+          (references[target] = references[target] || []).push({ source: object.Key, kind });
+          progress.references++;
+        }
+      }
+    });
+
+    // A partial index would hide references, keep the previous one
+    if (signal.aborted) return null;
+
+    for (const sources of Object.values(references)) {
+      sources.sort((a, b) => a.source.localeCompare(b.source));
+    }
+    store.save({
+      org,
+      repo,
+      builtAt: new Date().toISOString(),
+      jobId: context.id,
+      documents: progress.documents,
+      references
+    });
+
+    const targets = Object.keys(references).length;
+    context.log(`Indexed ${progress.references} references to ${targets} targets from ${progress.documents} documents`);
+    if (progress.errors > 0) {
+      context.log(`${progress.errors} objects could not be read, their references are missing`, 'warn');
+    }
+    return { documents: progress.documents, references: progress.references, targets };
+  };
+
+  return { role: 'editor', validate, handler };
+}
+
+module.exports = {
+  createReferenceStore,
+  createReferenceIndexJob,
+  extractReferences,
+  resolveReference,
+  sitePathToKey
+};
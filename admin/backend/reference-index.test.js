@@ -0,0 +1,230 @@
+/**
+ * Tests for reference extraction, path resolution and the reference index
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReferenceStore, createReferenceIndexJob, extractReferences, resolveReference, sitePathToKey } = require('./reference-index.js');
+const { createFsStorage } = require('./storage/fs.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+const SOURCE = { org: 'kptdobe', repo: 'site', key: 'kptdobe/site/en/blog/post.html' };
+const SHEET_SOURCE = { org: 'kptdobe', repo: 'site', key: 'kptdobe/site/data/q.json' };
+const resolve = (value) => resolveReference(value, SOURCE);
+
+async function run() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reference-index-test-'));
+
+  // ==================== SITE PATHS ====================
+
+  section('1. sitePathToKey Tests');
+
+  assert(sitePathToKey('kptdobe', 'site', '/en/about') === 'kptdobe/site/en/about.html', 'A page path gets .html');
+  assert(sitePathToKey('kptdobe', 'site', '/en/') === 'kptdobe/site/en/index.html', 'A folder path is its index');
+  assert(sitePathToKey('kptdobe', 'site', '/') === 'kptdobe/site/index.html', 'The site root is the root index');
+  assert(sitePathToKey('kptdobe', 'site', '/nav.plain.html') === 'kptdobe/site/nav.html', '.plain.html is the document itself');
+  assert(sitePathToKey('kptdobe', 'site', '/en/page.html') === 'kptdobe/site/en/page.html', 'An .html path is kept');
+  assert(sitePathToKey('kptdobe', 'site', '/data/list.json') === 'kptdobe/site/data/list.json', 'A .json sheet path is kept');
+  assert(sitePathToKey('kptdobe', 'site', '/v1.2/notes') === 'kptdobe/site/v1.2/notes.html', 'A dot in a folder name is not an extension');
+  assert(sitePathToKey('kptdobe', 'site', '/En/About%20Us?x=1#top') === 'kptdobe/site/en/about us.html',
+    'Queries and fragments are dropped, the path is decoded and lowercased');
+  assert(sitePathToKey('kptdobe', 'site', '/a//b') === 'kptdobe/site/a/b.html', 'Repeated slashes are collapsed');
+  assert(sitePathToKey('kptdobe', 'site', '/bad%E0%A4%A') === 'kptdobe/site/bad%e0%a4%a.html', 'A malformed escape is kept as is');
+  assert(sitePathToKey('kptdobe', 'site', 'relative') === null, 'A relative path is not a site path');
+
+  // ==================== RESOLVER ====================
+
+  section('2. resolveReference Tests');
+
+  assert(resolve('sibling') === 'kptdobe/site/en/blog/sibling.html', 'A relative link resolves in the document folder');
+  assert(resolve('../about') === 'kptdobe/site/en/about.html', '.. goes up one folder');
+  assert(resolve('./team/') === 'kptdobe/site/en/blog/team/index.html', 'A relative folder link is its index');
+  assert(resolve('./team/?page=2') === 'kptdobe/site/en/blog/team/index.html', 'A relative folder link keeps its slash before a query');
+  assert(resolve('../../../../x') === 'kptdobe/site/x.html', 'A relative link cannot climb out of the site');
+  assert(resolve('?q=1') === SOURCE.key && resolve('./?q=1') === 'kptdobe/site/en/blog/index.html',
+    'A bare query is the document itself, ./ is the folder index');
+  assert(resolve('../about#team') === 'kptdobe/site/en/about.html', 'A fragment on a relative link is dropped');
+
+  assert(resolve('/en/') === 'kptdobe/site/en/index.html', 'A root-relative link resolves in the site');
+  assert(resolve('/data/list.json?limit=10&amp;offset=5') === 'kptdobe/site/data/list.json', 'A query on a sheet link is dropped');
+  assert(resolve('/kptdobe/site/en/page') === 'kptdobe/site/en/page.html', 'A DA source path with the /org/repo prefix is not prefixed twice');
+  assert(resolve('/KptDobe/Site/') === 'kptdobe/site/index.html', 'The /org/repo prefix matches case-insensitively');
+  assert(resolve('/kptdobe/site-old/page') === 'kptdobe/site/kptdobe/site-old/page.html', 'Another repo of the org is a plain site path');
+
+  assert(resolve('https://main--site--kptdobe.aem.page/en/page#frag') === 'kptdobe/site/en/page.html', 'A preview URL of the site resolves');
+  assert(resolve('https://MAIN--Site--KptDobe.hlx.live/') === 'kptdobe/site/index.html', 'Live URLs match the site case-insensitively');
+  assert(resolve('https://main--site--other.aem.live/x') === null, 'A preview URL of another org is external');
+  assert(resolve('https://main--other--kptdobe.aem.page/x') === null, 'A preview URL of another repo is external');
+  assert(resolve('https://content.da.live/kptdobe/site/en/doc.html') === 'kptdobe/site/en/doc.html', 'A content.da.live URL is the key');
+  assert(resolve('https://content.da.live/kptdobe/site-old/doc.html') === null, 'content.da.live needs the whole org/repo prefix');
+  assert(resolve('https://da.live/edit#/kptdobe/site/en/page') === 'kptdobe/site/en/page.html', 'A da.live editor URL resolves');
+  assert(resolve('https://da.live/edit#/other/site/en/page') === null, 'A da.live URL of another org is external');
+
+  assert([
+    'https://example.com/x', '//cdn.example.com/x', '#top', 'mailto:a@example.com', 'tel:+1', 'javascript:void(0)',
+    'data:image/png;base64,AA', 'ftp://example.com/x', 'http://[bad', '  '
+  ].every(value => resolve(value) === null), 'External, in-page, non-http and malformed references are ignored');
+
+  // ==================== EXTRACTOR ====================
+
+  section('3. extractReferences Tests');
+
+  const html = [
+    '<a href="/en/x">x</a>',
+    '<a href="/en/x?a=1&amp;b=2">same page again</a>',
+    '<img src="./pic.jpg">',
+    '<a HREF=\'/fragments/nav\'>nav</a>',
+    '<a href="/media/guide.pdf">guide</a>',
+    '<a href="post">self</a>',
+    '<a href="?lang=de">self with a query</a>',
+    '<a href="https://example.com/">external</a>'
+  ].join('\n');
+  assertDeepEqual([...extractReferences(html, SOURCE)], [
+    ['kptdobe/site/en/x.html', 'link'],
+    ['kptdobe/site/en/blog/pic.jpg', 'embed'],
+    ['kptdobe/site/fragments/nav.html', 'fragment'],
+    ['kptdobe/site/media/guide.pdf', 'embed']
+  ], 'HTML links, embeds and fragments are extracted once each, self links and external ones are not');
+
+  const fragmentLater = extractReferences('<img src="/fragments/banner"><a href="/fragments/banner">b</a>', SOURCE);
+  assert(fragmentLater.get('kptdobe/site/fragments/banner.html') === 'fragment', 'Fragments win over other kinds');
+
+  const sheet = JSON.stringify({
+    data: [
+      { path: '/en/x' },
+      { link: 'https://main--site--kptdobe.aem.live/en/y' },
+      { image: './a.png' },
+      { title: 'plain text mentioning /en/z' },
+      { source: '/kptdobe/site/en/w' }
+    ]
+  });
+  assertDeepEqual([...extractReferences(sheet, SHEET_SOURCE)], [
+    ['kptdobe/site/en/x.html', 'link'],
+    ['kptdobe/site/en/y.html', 'link'],
+    ['kptdobe/site/data/a.png', 'embed'],
+    ['kptdobe/site/en/w.html', 'link']
+  ], 'JSON strings that are paths or URLs are extracted');
+  assertDeepEqual([...extractReferences(sheet.replace(/\//g, '\\/'), SHEET_SOURCE)],
+    [...extractReferences(sheet, SHEET_SOURCE)],
+    'Escaped slashes in JSON strings are extracted the same way');
+
+  // ==================== STORE AND JOB ====================
+
+  section('4. Store and Job Tests');
+
+  {
+    const storage = createFsStorage({ root: path.join(tmpDir, 'bucket') });
+    const store = createReferenceStore({ dir: path.join(tmpDir, 'references') });
+    await storage.put('org/site/index.html', '<a href="/about">a</a><a href="/fragments/footer">f</a>', { ContentType: 'text/html' });
+    await storage.put('org/site/about.html', '<a href="/">home</a><a href="/fragments/footer">f</a>', { ContentType: 'text/html' });
+    await storage.put('org/site/nav.json', '{"data":[{"path":"/about"}]}', { ContentType: 'application/json' });
+    await storage.put('org/site/.da-versions/x/1.html', '<a href="/about">old</a>', { ContentType: 'text/html' });
+    await storage.put('org/site/styles.css', 'a { background: url("/about") }', { ContentType: 'text/css' });
+
+    assert(store.lookup('org/site/about.html').indexed === false, 'An org/repo without an index is reported as not indexed');
+
+    const job = createReferenceIndexJob({ storage, store });
+    const context = {
+      id: 'job-1',
+      params: job.validate({ prefix: '/Org/Site/' }),
+      progress: {},
+      signal: new AbortController().signal,
+      log: () => {}
+    };
+    assertDeepEqual(context.params, { org: 'org', repo: 'site' }, 'The prefix is normalized to org and repo');
+
+    const summary = await job.handler(context);
+    assertDeepEqual(summary, { documents: 3, references: 5, targets: 3 }, 'HTML and JSON documents are indexed, snapshots and other files are not');
+
+    const about = store.lookup('org/site/about.html');
+    assert(about.indexed && about.jobId === 'job-1' && about.documents === 3, 'The lookup reports the index run');
+    assertDeepEqual(about.referencedBy, [
+      { source: 'org/site/index.html', kind: 'link' },
+      { source: 'org/site/nav.json', kind: 'link' }
+    ], 'Referencing documents are listed sorted');
+    assert(store.lookup('org/site/fragments/footer.html').referencedBy.length === 2, 'A fragment lists every page using it');
+    assertDeepEqual(store.lookup('org/site/unlinked.html').referencedBy, [], 'An unreferenced document has no references');
+    assert(store.lookup('../../etc/passwd').indexed === false, 'Keys that are not org/repo paths are not looked up');
+
+    const aborted = new AbortController();
+    aborted.abort();
+    await storage.put('org/site/new.html', '<a href="/about">new</a>', { ContentType: 'text/html' });
+    assert(await job.handler({ ...context, id: 'job-2', progress: {}, signal: aborted.signal }) === null, 'A cancelled run returns nothing');
+    assert(store.lookup('org/site/about.html').jobId === 'job-1', 'A cancelled run keeps the previous index');
+
+    for (const prefix of ['', 'org', 'org/../x', '../org/site']) {
+      let thrown = null;
+      try {
+        job.validate({ prefix });
+      } catch (error) {
+        thrown = error;
+      }
+      assert(thrown && thrown.message.includes('org/repo'), `Prefix ${JSON.stringify(prefix)} is rejected`);
+    }
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
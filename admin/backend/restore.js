@@ -0,0 +1,71 @@
+/**
+ * Restoring a document from one of its version snapshots
+ *
+ * The current content is first copied server-side to a new "Before restore"
+ * snapshot, then the snapshot body is streamed over the live key. Both steps
+ * are conditional on the live ETag the caller checked, so a document changed
+ * in the meantime is neither backed up in the wrong state nor overwritten:
+ * storage rejects with a 412 and the backup of a failed restore is removed.
+ */
+
+// S3 system headers kept on the backup and the restored document
+const SYSTEM_HEADERS = [
+  'ContentType',
+  'ContentEncoding',
+  'ContentLanguage',
+  'ContentDisposition',
+  'CacheControl',
+  'Expires'
+];
+
+/**
+ * System headers of a HeadObject/GetObject result, as put/copy options
+ * @param {Object} object - Object headers
+ * @returns {Object} Headers that are set
+ */
+function pickSystemHeaders(object) {
+  const headers = {};
+  for (const field of SYSTEM_HEADERS) {
+    if (object[field] !== undefined && object[field] !== null) headers[field] = object[field];
+  }
+  return headers;
+}
+
+/**
+ * Back up the live document and replace it with a snapshot
+ * @param {Object} storage - Storage driver
+ * @param {Object} options
+ * @param {string} options.documentPath - Live document key
+ * @param {Object} options.live - HeadObject result of the live document, its ETag guards both writes
+ * @param {string} options.versionKey - Snapshot to restore
+ * @param {string} options.backupKey - Key of the snapshot holding the current content
+ * @param {Object} options.backupMetadata - Metadata of that snapshot
+ * @returns {Promise<{ETag: string}>} ETag of the restored document
+ */
+async function restoreVersion(storage, { documentPath, live, versionKey, backupKey, backupMetadata }) {
+  const headers = pickSystemHeaders(live);
+
+  await storage.copy(documentPath, backupKey, { ...headers, Metadata: backupMetadata, ifMatch: live.ETag });
+
+  try {
+    const snapshot = await storage.get(versionKey);
+    // Headers and Metadata (with the id) stay the live ones, except the encoding, which describes the snapshot bytes
+    const restoredHeaders = { ...headers };
+    delete restoredHeaders.ContentEncoding;
+    if (snapshot.ContentEncoding) restoredHeaders.ContentEncoding = snapshot.ContentEncoding;
+
+    return await storage.put(documentPath, snapshot.Body, {
+      ...restoredHeaders,
+      ContentLength: snapshot.ContentLength,
+      Metadata: live.Metadata,
+      ifMatch: live.ETag
+    });
+  } catch (error) {
+    await storage.delete(backupKey).catch(deleteError => {
+      console.error(`Could not remove backup ${backupKey} of a failed restore:`, deleteError);
+    });
+    throw error;
+  }
+}
+
+module.exports = { pickSystemHeaders, restoreVersion };
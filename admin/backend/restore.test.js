@@ -0,0 +1,241 @@
+/**
+ * Tests for restoring a document from a version snapshot
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pickSystemHeaders, restoreVersion } = require('./restore.js');
+const { createFsStorage } = require('./storage/fs.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+const DOCUMENT = 'org/site/en/page.html';
+const VERSION = 'org/site/.da-versions/doc-1/v1.html';
+const BACKUP = 'org/site/.da-versions/doc-1/backup.html';
+const BACKUP_METADATA = { label: 'Before restore', path: DOCUMENT };
+
+const LIVE_HEADERS = {
+  ContentType: 'text/html',
+  ContentLanguage: 'en',
+  ContentDisposition: 'inline',
+  CacheControl: 'max-age=60'
+};
+
+const readBody = async (object) => {
+  const chunks = [];
+  for await (const chunk of object.Body) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Fresh fs storage with a live document and one snapshot
+async function createFixture(root) {
+  fs.rmSync(root, { recursive: true, force: true });
+  const storage = createFsStorage({ root });
+  await storage.put(DOCUMENT, '<p>current</p>', { ...LIVE_HEADERS, Metadata: { id: 'doc-1', path: DOCUMENT } });
+  await storage.put(VERSION, '<p>old</p>', { ContentType: 'text/html', ContentEncoding: 'identity', Metadata: {} });
+  return storage;
+}
+
+// Storage wrapper running a hook before the given operation
+function withHook(storage, operation, hook) {
+  return {
+    ...storage,
+    async [operation](...args) {
+      await hook(...args);
+      return storage[operation](...args);
+    }
+  };
+}
+
+const exists = (storage, key) => storage.head(key).then(() => true, () => false);
+
+async function run() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'restore-test-'));
+  const root = path.join(tmpDir, 'bucket');
+
+  // ==================== SYSTEM HEADERS ====================
+
+  section('1. System Header Tests');
+
+  assertDeepEqual(pickSystemHeaders({
+    ContentType: 'text/html',
+    ContentEncoding: 'gzip',
+    CacheControl: 'no-cache',
+    Expires: null,
+    ContentLength: 10,
+    ETag: '"x"',
+    Metadata: { id: '1' }
+  }), { ContentType: 'text/html', ContentEncoding: 'gzip', CacheControl: 'no-cache' },
+  'Only set system headers are picked');
+
+  // ==================== SUCCESS ====================
+
+  section('2. Restore Tests');
+
+  {
+    const storage = await createFixture(root);
+    const live = await storage.head(DOCUMENT);
+    let putBody = null;
+    const tracked = withHook(storage, 'put', (key, body) => { putBody = body; });
+
+    const result = await restoreVersion(tracked, {
+      documentPath: DOCUMENT,
+      live,
+      versionKey: VERSION,
+      backupKey: BACKUP,
+      backupMetadata: BACKUP_METADATA
+    });
+
+    const restored = await storage.get(DOCUMENT);
+    assert(await readBody(restored) === '<p>old</p>', 'Live document has the snapshot content');
+    assert(result.ETag === restored.ETag, 'Returns the ETag of the restored document');
+    assertDeepEqual(restored.Metadata, { id: 'doc-1', path: DOCUMENT }, 'Live Metadata (with the id) kept');
+    assertDeepEqual(pickSystemHeaders(restored), pickSystemHeaders({ ...LIVE_HEADERS, ContentEncoding: 'identity' }),
+      'Live system headers kept, encoding follows the snapshot');
+    assert(putBody instanceof Readable, 'Snapshot body is streamed, not buffered');
+
+    const backup = await storage.get(BACKUP);
+    assert(await readBody(backup) === '<p>current</p>', 'Backup holds the previous content');
+    assertDeepEqual(backup.Metadata, BACKUP_METADATA, 'Backup has the backup Metadata');
+    assertDeepEqual(pickSystemHeaders(backup), LIVE_HEADERS, 'Backup keeps all system headers');
+    assert(backup.ETag === live.ETag, 'Backup is a copy of the checked version');
+  }
+
+  {
+    const storage = await createFixture(root);
+    await storage.put(DOCUMENT, 'gzipped', { ...LIVE_HEADERS, ContentEncoding: 'gzip', Metadata: { id: 'doc-1' } });
+    const live = await storage.head(DOCUMENT);
+    await storage.put(VERSION, '<p>old</p>', { ContentType: 'text/html', Metadata: {} });
+
+    await restoreVersion(storage, { documentPath: DOCUMENT, live, versionKey: VERSION, backupKey: BACKUP, backupMetadata: {} });
+    assert((await storage.head(DOCUMENT)).ContentEncoding === undefined,
+      'Live encoding dropped when the snapshot has none');
+    assert((await storage.head(BACKUP)).ContentEncoding === 'gzip', 'Backup keeps the live encoding');
+  }
+
+  // ==================== CONFLICTS ====================
+
+  section('3. Conflict Tests');
+
+  {
+    // Changed between the caller's check and the backup
+    const storage = await createFixture(root);
+    const live = await storage.head(DOCUMENT);
+    await storage.put(DOCUMENT, '<p>edited</p>', { ...LIVE_HEADERS, Metadata: { id: 'doc-1' } });
+
+    let error = null;
+    try {
+      await restoreVersion(storage, { documentPath: DOCUMENT, live, versionKey: VERSION, backupKey: BACKUP, backupMetadata: {} });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.$metadata.httpStatusCode === 412, 'Document changed before the backup rejects with 412');
+    assert(await readBody(await storage.get(DOCUMENT)) === '<p>edited</p>', 'Edited document not overwritten');
+    assert(!(await exists(storage, BACKUP)), 'No backup written');
+  }
+
+  {
+    // Changed after the backup, before the snapshot is written
+    const storage = await createFixture(root);
+    const live = await storage.head(DOCUMENT);
+    const racing = withHook(storage, 'get', async (key) => {
+      if (key === VERSION) await storage.put(DOCUMENT, '<p>edited</p>', { ...LIVE_HEADERS, Metadata: { id: 'doc-1' } });
+    });
+
+    let error = null;
+    try {
+      await restoreVersion(racing, { documentPath: DOCUMENT, live, versionKey: VERSION, backupKey: BACKUP, backupMetadata: {} });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.$metadata.httpStatusCode === 412, 'Document changed before the write rejects with 412');
+    assert(await readBody(await storage.get(DOCUMENT)) === '<p>edited</p>', 'Edited document not overwritten');
+    assert(!(await exists(storage, BACKUP)), 'Backup of the failed restore removed');
+  }
+
+  {
+    const storage = await createFixture(root);
+    const live = await storage.head(DOCUMENT);
+
+    let error = null;
+    try {
+      await restoreVersion(storage, {
+        documentPath: DOCUMENT,
+        live,
+        versionKey: 'org/site/.da-versions/doc-1/missing.html',
+        backupKey: BACKUP,
+        backupMetadata: {}
+      });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.$metadata.httpStatusCode === 404, 'Missing snapshot rejects with 404');
+    assert(await readBody(await storage.get(DOCUMENT)) === '<p>current</p>', 'Live document unchanged');
+    assert(!(await exists(storage, BACKUP)), 'Backup removed');
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -1,21 +1,34 @@
 const express = require('express');
 const cors = require('cors');
-const { S3Client, HeadObjectCommand, GetObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { createStorage } = require('./storage/index.js');
+const { detectFormat, diffContent } = require('./diff.js');
+const { parseAuditLog, buildTimeline } = require('./version-audit.js');
+const { createAuth, createCorsOptions, hasRole } = require('../../shared/auth.js');
+const { createAuditLog, diffMetadata } = require('./audit-log.js');
+const { createJobManager, JobInputError } = require('./jobs.js');
+const { createContentSearchJob } = require('./content-search.js');
+const { createReferenceStore, createReferenceIndexJob } = require('./reference-index.js');
+const { createUsageStore, createStorageUsageJob, listInventories } = require('./storage-usage.js');
+const { getTrashPrefix, parseTrashKey, isDocumentKey, inferOriginalKey } = require('./trash.js');
+const { restoreVersion } = require('./restore.js');
 
 const app = express();
 const PORT = process.env.PORT || 9091;
 
 // Middleware
-app.use(cors());
 app.use(express.json());
 
 // Load environment variables from .dev.vars
 const loadEnvVars = () => {
   const envPath = path.join(__dirname, '../../.dev.vars');
   if (!fs.existsSync(envPath)) {
-    throw new Error('.dev.vars file not found');
+    // Not needed when running on the filesystem driver
+    console.warn('.dev.vars file not found, using process environment only');
+    return {};
   }
   
   const envContent = fs.readFileSync(envPath, 'utf8');
@@ -23,9 +36,12 @@ const loadEnvVars = () => {
   
   envContent.split('\n').forEach(line => {
     if (line.trim() && !line.startsWith('#')) {
-      const [key, value] = line.split('=');
+      // Split on the first '=' only, values such as base64 secrets may end in '='
+      const separator = line.indexOf('=');
+      const key = separator === -1 ? '' : line.slice(0, separator).trim();
+      const value = separator === -1 ? '' : line.slice(separator + 1).trim();
       if (key && value) {
-        envVars[key.trim()] = value.trim();
+        envVars[key] = value;
       }
     }
   });
@@ -33,21 +49,86 @@ const loadEnvVars = () => {
   return envVars;
 };
 
-// Load S3 configuration
-const envVars = loadEnvVars();
-
-// Configure AWS S3
-const s3Client = new S3Client({
-  credentials: {
-    accessKeyId: envVars.S3_ACCESS_KEY_ID,
-    secretAccessKey: envVars.S3_SECRET_ACCESS_KEY,
-  },
-  endpoint: envVars.S3_DEF_URL,
-  forcePathStyle: true,
-  region: 'auto' // Cloudflare R2 uses 'auto' region
+// Load configuration, process environment overrides .dev.vars
+const envVars = { ...loadEnvVars(), ...process.env };
+
+// Cross-origin calls only from ALLOWED_ORIGINS, the frontend is served through a proxy
+app.use(cors(createCorsOptions(envVars)));
+
+// Configure storage (S3/R2 by default, STORAGE_DRIVER=fs for a local copy)
+const storage = createStorage(envVars);
+
+// Authentication: viewers read, editors change metadata and restore, admins do everything
+const auth = createAuth(envVars);
+const { requireRole } = auth;
+auth.mountRoutes(app);
+
+// Audit log of mutating actions, JSONL under .data with an optional copy in the bucket
+const auditLog = createAuditLog({
+  file: envVars.AUDIT_LOG_FILE || path.join(__dirname, '.data', 'audit-log.jsonl'),
+  storage,
+  bucketPrefix: envVars.AUDIT_BUCKET_PREFIX
 });
 
-const BUCKET_NAME = 'aem-content';
+// Record an audit entry for the request's user; audit failures are logged, not thrown
+const recordAudit = async (req, entry) => {
+  try {
+    await auditLog.record({ actor: req.user, ...entry });
+  } catch (error) {
+    console.error(`Error writing audit entry for ${entry.action} on ${entry.key}:`, error);
+  }
+};
+
+// Mount before requireRole on mutating routes: a request refused with 403 (role) or
+// 400 (validation) is recorded as a failed attempt of the action
+const auditRejections = (action, getKey) => (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if ((res.statusCode === 400 || res.statusCode === 403) && req.user) {
+      recordAudit(req, {
+        action,
+        key: getKey(req) || null,
+        outcome: 'failure',
+        details: { status: res.statusCode, error: body?.error }
+      });
+    }
+    return json(body);
+  };
+  next();
+};
+
+// Background jobs, state persisted under .data/jobs so it survives restarts
+const jobs = createJobManager({
+  dir: envVars.JOBS_DIR || path.join(__dirname, '.data', 'jobs'),
+  concurrency: parseInt(envVars.JOBS_CONCURRENCY, 10) || 2
+});
+jobs.register('content-search', createContentSearchJob({ storage }));
+
+// Reverse index of document references, one local file per org/repo
+const referenceStore = createReferenceStore({
+  dir: envVars.REFERENCES_DIR || path.join(__dirname, '.data', 'references')
+});
+jobs.register('reference-index', createReferenceIndexJob({ storage, store: referenceStore }));
+
+// Storage usage reports, from a fresh listing or a traverse.js inventory in INVENTORY_DIR
+const usageStore = createUsageStore({
+  dir: envVars.USAGE_DIR || path.join(__dirname, '.data', 'usage')
+});
+const inventoryDir = envVars.INVENTORY_DIR || path.join(__dirname, '.data', 'inventories');
+jobs.register('storage-usage', createStorageUsageJob({ storage, store: usageStore, inventoryDir }));
+
+// Folder listings stop after this many entries (e.g. huge .da-versions folders)
+const MAX_LIST_ENTRIES = 5000;
+
+// Objects larger than this are not inlined in JSON responses, use contentUrl instead
+const INLINE_CONTENT_LIMIT = Number(envVars.INLINE_CONTENT_LIMIT) || 5 * 1024 * 1024;
+
+// Bytes sampled for encoding detection when content is not inlined
+const ENCODING_SAMPLE_SIZE = 64 * 1024;
+
+// Orgs whose legacy snapshots were moved by traverse/migrate-versions.js, only the new location is listed
+const VERSIONS_MIGRATED_ORGS = new Set((envVars.VERSIONS_MIGRATED_ORGS || '')
+  .split(',').map(org => org.trim().toLowerCase()).filter(Boolean));
 
 // Helper function to normalize document path
 const normalizePath = (documentPath) => {
@@ -80,15 +161,32 @@ const listAllObjects = async (prefix) => {
   const objects = [];
   let continuationToken;
   do {
-    const params = { Bucket: BUCKET_NAME, Prefix: prefix };
-    if (continuationToken) params.ContinuationToken = continuationToken;
-    const result = await s3Client.send(new ListObjectsV2Command(params));
+    const result = await storage.list(prefix, { continuationToken });
     if (result.Contents) objects.push(...result.Contents);
     continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
   } while (continuationToken);
   return objects;
 };
 
+// Helper function to list immediate files and subfolders of a prefix (delimiter-based)
+const listImmediate = async (prefix, limit = MAX_LIST_ENTRIES) => {
+  const files = [];
+  const folders = [];
+  let continuationToken;
+  let truncated = false;
+  do {
+    const result = await storage.list(prefix, { delimiter: '/', continuationToken });
+    for (const obj of result.Contents || []) files.push(obj);
+    for (const cp of result.CommonPrefixes || []) folders.push(cp.Prefix);
+    continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    if (continuationToken && files.length + folders.length >= limit) {
+      truncated = true;
+      break;
+    }
+  } while (continuationToken);
+  return { files, folders, truncated };
+};
+
 // Helper function to convert stream to buffer
 const streamToBuffer = async (stream) => {
   const chunks = [];
@@ -98,6 +196,66 @@ const streamToBuffer = async (stream) => {
   return Buffer.concat(chunks);
 };
 
+// Types /api/raw serves under a caller-supplied contentType (versions are stored with a
+// generic type). SVG is allowed for image previews, it is always sent as an attachment
+const RAW_SAFE_TYPES = new Set([
+  'application/octet-stream', 'application/pdf', 'application/json', 'text/plain', 'text/csv',
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/x-icon', 'image/svg+xml'
+]);
+
+// Media type without parameters, lowercased
+const baseContentType = (contentType) => (contentType || '').split(';')[0].trim().toLowerCase();
+
+// Types a browser would render as a document with scripts on the admin origin
+const isActiveContentType = (contentType) => {
+  const type = baseContentType(contentType);
+  return type === 'text/html' || type === 'application/xhtml+xml' || type === 'text/xml' ||
+    type === 'application/xml' || type.endsWith('+xml');
+};
+
+// Content type for /api/raw: the requested one if it matches the stored type or is a safe type
+const resolveRawContentType = (requested, stored) => {
+  const storedType = stored || 'application/octet-stream';
+  const type = baseContentType(requested);
+  if (!type) return storedType;
+  if (type === baseContentType(storedType) || RAW_SAFE_TYPES.has(type) ||
+      type.startsWith('video/') || type.startsWith('audio/')) {
+    return requested;
+  }
+  return storedType;
+};
+
+// Helper function to build the raw content URL for an object key
+const getContentUrl = (key, contentType) => {
+  const url = `/api/raw/${key.split('/').map(encodeURIComponent).join('/')}`;
+  return contentType ? `${url}?contentType=${encodeURIComponent(contentType)}` : url;
+};
+
+// Helper function to load content for JSON responses, skipping objects over the inline limit
+const loadInlineContent = async (key, contentLength, isTextContent) => {
+  if (contentLength > INLINE_CONTENT_LIMIT) {
+    // Only sample the start of the object for encoding detection
+    const sample = await storage.get(key, { range: `bytes=0-${ENCODING_SAMPLE_SIZE - 1}` });
+    return {
+      content: null,
+      contentOmitted: true,
+      textAnalysis: null,
+      encodingInfo: detectEncoding(await streamToBuffer(sample.Body))
+    };
+  }
+
+  const document = await storage.get(key);
+  const buffer = await streamToBuffer(document.Body);
+
+  return {
+    // Text as UTF-8, binary content as base64
+    content: buffer.toString(isTextContent ? 'utf8' : 'base64'),
+    contentOmitted: false,
+    textAnalysis: isTextContent ? analyzeTextContent(buffer.toString('utf8')) : null,
+    encodingInfo: detectEncoding(buffer)
+  };
+};
+
 // Helper function to detect character encoding
 const detectEncoding = (buffer) => {
   // Check for BOM (Byte Order Mark)
@@ -194,25 +352,12 @@ const analyzeTextContent = (content) => {
 // API Routes
 
 // Get document metadata and content
-app.get('/api/document/:path(*)', async (req, res) => {
+app.get('/api/document/:path(*)', requireRole('viewer'), async (req, res) => {
   try {
     const documentPath = normalizePath(req.params.path);
     
     // Get document metadata
-    const headCommand = new HeadObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: documentPath
-    });
-    
-    const metadata = await s3Client.send(headCommand);
-    
-    // Get document content
-    const getCommand = new GetObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: documentPath
-    });
-    
-    const document = await s3Client.send(getCommand);
+    const metadata = await storage.head(documentPath);
     
     // Determine content type for rendering
     const contentType = metadata.ContentType || 'application/octet-stream';
@@ -220,24 +365,9 @@ app.get('/api/document/:path(*)', async (req, res) => {
                          contentType === 'application/json' || 
                          contentType === 'application/xml';
     
-    // Convert stream to buffer
-    const buffer = await streamToBuffer(document.Body);
-    
-    let content = null;
-    let textAnalysis = null;
-    let encodingInfo = null;
-    
-    // Detect encoding for all files
-    encodingInfo = detectEncoding(buffer);
-    
-    if (isTextContent) {
-      content = buffer.toString('utf8');
-      // Analyze text content
-      textAnalysis = analyzeTextContent(content);
-    } else {
-      // For binary content, return as base64
-      content = buffer.toString('base64');
-    }
+    // Get document content (omitted for large objects)
+    const { content, contentOmitted, textAnalysis, encodingInfo } =
+      await loadInlineContent(documentPath, metadata.ContentLength, isTextContent);
     
     res.json({
       success: true,
@@ -271,6 +401,8 @@ app.get('/api/document/:path(*)', async (req, res) => {
         hasBOM: encodingInfo.bom
       },
       content: content,
+      contentOmitted: contentOmitted,
+      contentUrl: getContentUrl(documentPath),
       isTextContent: isTextContent,
       contentType: contentType,
       textAnalysis: textAnalysis
@@ -286,18 +418,129 @@ app.get('/api/document/:path(*)', async (req, res) => {
   }
 });
 
+// Editable S3 header fields, request body name -> S3 name
+const EDITABLE_HEADERS = {
+  contentType: 'ContentType',
+  contentEncoding: 'ContentEncoding',
+  contentLanguage: 'ContentLanguage',
+  contentDisposition: 'ContentDisposition',
+  cacheControl: 'CacheControl',
+  expires: 'Expires'
+};
+
+// Update document headers and custom metadata with a copy-in-place
+app.patch('/api/document/:path(*)/metadata', auditRejections('metadata.update', req => normalizePath(req.params.path)),
+  requireRole('editor'), async (req, res) => {
+  const { etag, metadata: customMetadata, ...headers } = req.body || {};
+
+  const unknown = Object.keys(headers).filter(field => !EDITABLE_HEADERS[field]);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown fields: ${unknown.join(', ')}`
+    });
+  }
+  if (headers.contentType !== undefined && !headers.contentType) {
+    return res.status(400).json({
+      success: false,
+      error: 'contentType cannot be empty'
+    });
+  }
+  if (customMetadata !== undefined && (
+    typeof customMetadata !== 'object' || customMetadata === null || Array.isArray(customMetadata)
+    || Object.values(customMetadata).some(value => typeof value !== 'string'))) {
+    return res.status(400).json({
+      success: false,
+      error: 'metadata must be an object of string values'
+    });
+  }
+
+  const documentPath = normalizePath(req.params.path);
+  let current = null;
+
+  try {
+    current = await storage.head(documentPath);
+
+    // Refuse to overwrite a document that changed since the client loaded it
+    if (etag && etag !== current.ETag) {
+      await recordAudit(req, {
+        action: 'metadata.update',
+        key: documentPath,
+        outcome: 'failure',
+        etagBefore: current.ETag,
+        details: { error: 'ETag mismatch', expectedEtag: etag }
+      });
+      return res.status(409).json({
+        success: false,
+        error: 'Document was modified since it was loaded, reload and try again'
+      });
+    }
+
+    // Start from the current headers so fields not in the request are preserved
+    const options = { Metadata: customMetadata ?? current.Metadata ?? {} };
+    for (const [field, s3Field] of Object.entries(EDITABLE_HEADERS)) {
+      const value = field in headers ? headers[field] : current[s3Field];
+      // null or an empty string removes the header
+      if (value !== undefined && value !== null && value !== '') {
+        options[s3Field] = s3Field === 'Expires' ? new Date(value) : value;
+      }
+    }
+
+    const result = await storage.copy(documentPath, documentPath, { ...options, ifMatch: current.ETag });
+    const updated = await storage.head(documentPath);
+
+    await recordAudit(req, {
+      action: 'metadata.update',
+      key: documentPath,
+      etagBefore: current.ETag,
+      etagAfter: updated.ETag,
+      metadataDiff: diffMetadata(current, updated)
+    });
+
+    res.json({
+      success: true,
+      documentPath,
+      etag: result.ETag || updated.ETag,
+      metadata: {
+        contentType: updated.ContentType,
+        contentEncoding: updated.ContentEncoding || null,
+        contentLanguage: updated.ContentLanguage || null,
+        contentDisposition: updated.ContentDisposition || null,
+        cacheControl: updated.CacheControl || null,
+        expires: updated.Expires || null,
+        metadata: updated.Metadata || {}
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating metadata:', error);
+    const status = error.$metadata?.httpStatusCode;
+    if (current) {
+      await recordAudit(req, {
+        action: 'metadata.update',
+        key: documentPath,
+        outcome: 'failure',
+        etagBefore: current.ETag,
+        details: { error: error.message }
+      });
+    }
+    res.status(status === 404 ? 404 : status === 412 ? 409 : 500).json({
+      success: false,
+      error: status === 412
+        ? 'Document was modified while updating, reload and try again'
+        : 'Error updating metadata',
+      details: error.message
+    });
+  }
+});
+
 // Get document versions
-app.get('/api/versions/:path(*)', async (req, res) => {
+app.get('/api/versions/:path(*)', requireRole('viewer'), async (req, res) => {
   try {
     const documentPath = normalizePath(req.params.path);
     
     // First get the document metadata to extract the ID
-    const headCommand = new HeadObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: documentPath
-    });
-    
-    const metadata = await s3Client.send(headCommand);
+    const metadata = await storage.head(documentPath);
     const id = metadata.Metadata?.id;
     
     if (!id) {
@@ -315,7 +558,7 @@ app.get('/api/versions/:path(*)', async (req, res) => {
 
     // List both locations in parallel (fully paginated)
     const [legacyResult, newResult] = await Promise.allSettled([
-      listAllObjects(legacyVersionsPath),
+      VERSIONS_MIGRATED_ORGS.has(rootPath) ? [] : listAllObjects(legacyVersionsPath),
       listAllObjects(newVersionsPath)
     ]);
 
@@ -336,7 +579,7 @@ app.get('/api/versions/:path(*)', async (req, res) => {
     let auditContent = null;
     if (auditObject) {
       try {
-        const auditStream = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: auditKey }));
+        const auditStream = await storage.get(auditKey);
         const auditBuffer = await streamToBuffer(auditStream.Body);
         auditContent = auditBuffer.toString('utf8');
       } catch (err) {
@@ -356,6 +599,8 @@ app.get('/api/versions/:path(*)', async (req, res) => {
         legacyVersionsPath,
         newVersionsPath,
         auditContent: null,
+        auditEntries: [],
+        timeline: [],
         message: 'No versions found for this document'
       });
     }
@@ -363,8 +608,7 @@ app.get('/api/versions/:path(*)', async (req, res) => {
     // Get metadata for all versions in parallel
     const metadataPromises = allObjects.map(async ({ obj, location }) => {
       try {
-        const headCmd = new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: obj.Key });
-        const meta = await s3Client.send(headCmd);
+        const meta = await storage.head(obj.Key);
         return {
           key: obj.Key,
           path: `/${obj.Key}`,
@@ -397,12 +641,18 @@ app.get('/api/versions/:path(*)', async (req, res) => {
     // Sort by date, newest first
     const formattedVersions = versionsWithMetadata.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
 
+    // Structured audit entries, merged with snapshots into one timeline
+    const auditEntries = parseAuditLog(auditContent);
+    const timeline = buildTimeline(formattedVersions, auditEntries);
+
     res.json({
       success: true,
       versions: formattedVersions,
       legacyVersionsPath,
       newVersionsPath,
-      auditContent
+      auditContent,
+      auditEntries,
+      timeline
     });
     
   } catch (error) {
@@ -416,26 +666,13 @@ app.get('/api/versions/:path(*)', async (req, res) => {
 });
 
 // Get a specific version for preview
-app.get('/api/version/:path(*)', async (req, res) => {
+app.get('/api/version/:path(*)', requireRole('viewer'), async (req, res) => {
   try {
     const versionPath = req.params.path;
     const originalContentType = req.query.originalContentType;
     
     // Get version metadata
-    const headCommand = new HeadObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: versionPath
-    });
-    
-    const metadata = await s3Client.send(headCommand);
-    
-    // Get version content
-    const getCommand = new GetObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: versionPath
-    });
-    
-    const document = await s3Client.send(getCommand);
+    const metadata = await storage.head(versionPath);
     
     // Use original document content type for rendering instead of version file content type
     const contentType = originalContentType || metadata.ContentType || 'application/octet-stream';
@@ -443,24 +680,9 @@ app.get('/api/version/:path(*)', async (req, res) => {
                          contentType === 'application/json' || 
                          contentType === 'application/xml';
     
-    // Convert stream to buffer
-    const buffer = await streamToBuffer(document.Body);
-    
-    let content = null;
-    let textAnalysis = null;
-    let encodingInfo = null;
-    
-    // Detect encoding for all files
-    encodingInfo = detectEncoding(buffer);
-    
-    if (isTextContent) {
-      content = buffer.toString('utf8');
-      // Analyze text content
-      textAnalysis = analyzeTextContent(content);
-    } else {
-      // For binary content, return as base64
-      content = buffer.toString('base64');
-    }
+    // Get version content (omitted for large objects)
+    const { content, contentOmitted, textAnalysis, encodingInfo } =
+      await loadInlineContent(versionPath, metadata.ContentLength, isTextContent);
     
     res.json({
       success: true,
@@ -495,6 +717,8 @@ app.get('/api/version/:path(*)', async (req, res) => {
         hasBOM: encodingInfo.bom
       },
       content: content,
+      contentOmitted: contentOmitted,
+      contentUrl: getContentUrl(versionPath, originalContentType),
       isTextContent: isTextContent,
       contentType: contentType, // Original content type used for rendering
       textAnalysis: textAnalysis
@@ -510,7 +734,690 @@ app.get('/api/version/:path(*)', async (req, res) => {
   }
 });
 
-// Health check endpoint
+// Stream raw object content, with HTTP Range support for media seeking
+app.get('/api/raw/:path(*)', requireRole('viewer'), async (req, res) => {
+  const key = req.params.path.replace(/^\//, '');
+
+  try {
+    const metadata = await storage.head(key);
+    const size = metadata.ContentLength;
+    const range = req.headers.range;
+
+    // Single byte ranges only; anything else is served as the full object.
+    // A range needs a start or a suffix length, `bytes=-` and `bytes=-0` select nothing
+    const rangeMatch = range && /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+    const [, start = '', end = ''] = rangeMatch || [];
+    const unsatisfiable = start === '' ? end === '' || Number(end) === 0 : Number(start) >= size;
+    if (rangeMatch && unsatisfiable) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    const document = await storage.get(key, rangeMatch ? { range } : {});
+
+    // Versions are stored with a generic type, callers pass the original one
+    const contentType = resolveRawContentType(req.query.contentType, metadata.ContentType);
+    // attachment() guesses a type from the file name, set the real one after it
+    if (req.query.download || isActiveContentType(contentType)) res.attachment(path.posix.basename(key));
+    res.set('Content-Type', contentType);
+    // Bucket content is untrusted: never sniffed or scripted, documents are downloaded
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Content-Security-Policy', 'sandbox');
+    res.set('Content-Length', String(document.ContentLength));
+    res.set('Accept-Ranges', 'bytes');
+    if (metadata.ETag) res.set('ETag', metadata.ETag);
+    if (metadata.LastModified) res.set('Last-Modified', new Date(metadata.LastModified).toUTCString());
+    if (metadata.ContentEncoding) res.set('Content-Encoding', metadata.ContentEncoding);
+
+    if (document.ContentRange) {
+      res.status(206);
+      res.set('Content-Range', document.ContentRange);
+    }
+
+    pipeline(document.Body, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Error streaming content:', error);
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching raw content:', error);
+    res.status(error.$metadata?.httpStatusCode === 404 ? 404 : 500).json({
+      success: false,
+      error: 'Content not found or error occurred',
+      details: error.message
+    });
+  }
+});
+
+// List the immediate subfolders and files of a folder
+app.get('/api/list/:prefix(*)', requireRole('viewer'), async (req, res) => {
+  try {
+    let prefix = (req.params.prefix || '').replace(/^\/+/, '');
+    if (prefix && !prefix.endsWith('/')) prefix += '/';
+
+    const { files, folders, truncated } = await listImmediate(prefix);
+
+    res.json({
+      success: true,
+      prefix,
+      folders: folders.map(folder => ({
+        prefix: folder,
+        name: folder.slice(prefix.length, -1)
+      })),
+      files: files
+        .filter(obj => obj.Key !== prefix)
+        .map(obj => ({
+          key: obj.Key,
+          name: obj.Key.slice(prefix.length),
+          size: obj.Size,
+          sizeFormatted: formatFileSize(obj.Size),
+          lastModified: obj.LastModified
+        })),
+      truncated
+    });
+
+  } catch (error) {
+    console.error('Error listing folder:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error listing folder',
+      details: error.message
+    });
+  }
+});
+
+// Documents that link to, embed or include a document as a fragment
+app.get('/api/references/:path(*)', requireRole('viewer'), (req, res) => {
+  try {
+    const documentPath = normalizePath(req.params.path);
+    const [org, repo] = documentPath.split('/');
+
+    // A running index job for the same org/repo, so clients can wait for it
+    const indexJob = jobs.list().find(job => job.type === 'reference-index' &&
+      !jobs.isFinished(job) && job.params.org === org && job.params.repo === repo) || null;
+
+    res.json({
+      success: true,
+      documentPath,
+      ...referenceStore.lookup(documentPath),
+      indexJob
+    });
+  } catch (error) {
+    console.error('Error reading reference index:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error reading reference index',
+      details: error.message
+    });
+  }
+});
+
+// Compare two objects (current document, new-location or legacy snapshot)
+app.get('/api/diff', requireRole('viewer'), async (req, res) => {
+  const { left, right, contentType } = req.query;
+
+  if (!left || !right) {
+    return res.status(400).json({
+      success: false,
+      error: 'Both left and right keys are required'
+    });
+  }
+
+  try {
+    const leftKey = left.replace(/^\//, '');
+    const rightKey = right.replace(/^\//, '');
+
+    const [leftObject, rightObject] = await Promise.all([
+      storage.get(leftKey),
+      storage.get(rightKey)
+    ]);
+
+    // Snapshots may carry a generic content type, so prefer the one passed by the caller
+    const format = detectFormat(contentType || rightObject.ContentType, rightKey)
+      || detectFormat(leftObject.ContentType, leftKey);
+
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Diff is only supported for text content'
+      });
+    }
+
+    const [leftBuffer, rightBuffer] = await Promise.all([
+      streamToBuffer(leftObject.Body),
+      streamToBuffer(rightObject.Body)
+    ]);
+
+    const diff = diffContent(leftBuffer.toString('utf8'), rightBuffer.toString('utf8'), format);
+
+    const describe = (key, object) => ({
+      key,
+      contentType: object.ContentType,
+      contentLength: object.ContentLength,
+      lastModified: object.LastModified,
+      etag: object.ETag
+    });
+
+    res.json({
+      success: true,
+      left: describe(leftKey, leftObject),
+      right: describe(rightKey, rightObject),
+      format: diff.format,
+      stats: diff.stats,
+      lines: diff.lines
+    });
+
+  } catch (error) {
+    console.error('Error computing diff:', error);
+    res.status(error.$metadata?.httpStatusCode === 404 ? 404 : 500).json({
+      success: false,
+      error: 'Error computing diff',
+      details: error.message
+    });
+  }
+});
+
+// Restore a document from one of its version snapshots
+app.post('/api/restore', auditRejections('version.restore', req => typeof req.body?.path === 'string' && normalizePath(req.body.path)),
+  requireRole('editor'), async (req, res) => {
+  const { path: requestedPath, versionKey, etag } = req.body || {};
+
+  if (!requestedPath || !versionKey) {
+    return res.status(400).json({
+      success: false,
+      error: 'Both path and versionKey are required'
+    });
+  }
+
+  const documentPath = normalizePath(requestedPath);
+  let live = null;
+
+  try {
+    live = await storage.head(documentPath);
+    const id = live.Metadata?.id;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'No Metadata/id found in document'
+      });
+    }
+
+    // Only snapshots of this document (either location) can be restored
+    const legacyVersionsPath = `${getRootPath(documentPath)}/.da-versions/${id}/`;
+    const newVersionsPath = `${getRepoPath(documentPath)}/.da-versions/${id}/`;
+    const isOwnVersion = [legacyVersionsPath, newVersionsPath].some(p => versionKey.startsWith(p));
+
+    if (!isOwnVersion || versionKey.endsWith('/audit.txt')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Version does not belong to this document'
+      });
+    }
+
+    // Refuse to overwrite a document that changed since the client loaded it
+    if (etag && etag !== live.ETag) {
+      await recordAudit(req, {
+        action: 'version.restore',
+        key: documentPath,
+        outcome: 'failure',
+        etagBefore: live.ETag,
+        details: { versionKey, error: 'ETag mismatch', expectedEtag: etag }
+      });
+      return res.status(409).json({
+        success: false,
+        error: 'Document was modified since it was loaded, reload and try again'
+      });
+    }
+
+    // Back up the current content as a new snapshot, then stream the snapshot over the live key.
+    // Both writes are conditional on the ETag checked above.
+    const extension = path.extname(documentPath);
+    const backupKey = `${newVersionsPath}${crypto.randomUUID()}${extension}`;
+    const restored = await restoreVersion(storage, {
+      documentPath,
+      live,
+      versionKey,
+      backupKey,
+      backupMetadata: {
+        users: JSON.stringify([{ email: req.user.name }]),
+        timestamp: String(Date.now()),
+        path: documentPath,
+        label: 'Before restore'
+      }
+    });
+    const after = await storage.head(documentPath);
+
+    await recordAudit(req, {
+      action: 'version.restore',
+      key: documentPath,
+      etagBefore: live.ETag,
+      etagAfter: restored.ETag,
+      metadataDiff: diffMetadata(live, after),
+      details: { versionKey, backupKey }
+    });
+
+    res.json({
+      success: true,
+      documentPath,
+      restoredFrom: versionKey,
+      backupKey,
+      etag: restored.ETag
+    });
+
+  } catch (error) {
+    console.error('Error restoring version:', error);
+    const status = error.$metadata?.httpStatusCode;
+    if (live) {
+      await recordAudit(req, {
+        action: 'version.restore',
+        key: documentPath,
+        outcome: 'failure',
+        etagBefore: live.ETag,
+        details: { versionKey, error: error.message }
+      });
+    }
+    res.status(status === 404 ? 404 : status === 412 ? 409 : 500).json({
+      success: false,
+      error: status === 412
+        ? 'Document was modified while restoring, reload and try again'
+        : 'Error restoring version',
+      details: error.message
+    });
+  }
+});
+
+// Objects in the .trash folder of an org/repo, most recently deleted first
+app.get('/api/trash/:prefix(*)', requireRole('viewer'), async (req, res) => {
+  const [org, repo] = normalizePath(req.params.prefix || '').split('/');
+  if (!org || !repo) {
+    return res.status(400).json({
+      success: false,
+      error: 'An org/repo is required'
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const prefix = getTrashPrefix(org, repo);
+    const objects = [];
+    let continuationToken;
+    let truncated = false;
+    do {
+      const result = await storage.list(prefix, { continuationToken });
+      if (result.Contents) objects.push(...result.Contents.filter(obj => !obj.Key.endsWith('/')));
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      if (continuationToken && objects.length >= MAX_LIST_ENTRIES) {
+        truncated = true;
+        break;
+      }
+    } while (continuationToken);
+
+    objects.sort((a, b) => new Date(b.LastModified) - new Date(a.LastModified));
+
+    // Only the requested page is checked for metadata and live documents at the original path
+    const entries = await Promise.all(objects.slice(offset, offset + limit).map(async (obj) => {
+      const trashed = await storage.head(obj.Key).catch(() => null);
+      const original = inferOriginalKey(obj.Key, trashed?.Metadata);
+      const live = await storage.head(original.key).catch(() => null);
+      return {
+        key: obj.Key,
+        name: obj.Key.slice(prefix.length),
+        originalKey: original.key,
+        originalKeySource: original.source,
+        size: obj.Size,
+        sizeFormatted: formatFileSize(obj.Size),
+        deletedAt: obj.LastModified,
+        contentType: trashed?.ContentType || null,
+        etag: trashed?.ETag || null,
+        conflict: live ? { lastModified: live.LastModified, size: live.ContentLength } : null
+      };
+    }));
+
+    res.json({
+      success: true,
+      prefix,
+      entries,
+      total: objects.length,
+      totalSize: objects.reduce((sum, obj) => sum + obj.Size, 0),
+      truncated
+    });
+
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error listing trash',
+      details: error.message
+    });
+  }
+});
+
+// Move a trashed object back to its original path (or targetPath), never overwriting a live document
+app.post('/api/trash/restore', auditRejections('trash.restore', req => typeof req.body?.key === 'string' && req.body.key.replace(/^\//, '')),
+  requireRole('editor'), async (req, res) => {
+  const { key, targetPath, etag } = req.body || {};
+  const trashKey = typeof key === 'string' ? key.replace(/^\//, '') : '';
+  const parsed = parseTrashKey(trashKey);
+
+  if (!parsed) {
+    return res.status(400).json({
+      success: false,
+      error: 'key must be an object in an org/repo/.trash/ folder'
+    });
+  }
+
+  let trashed = null;
+  let documentPath = targetPath ? normalizePath(String(targetPath)) : null;
+
+  try {
+    trashed = await storage.head(trashKey);
+    if (!documentPath) documentPath = inferOriginalKey(trashKey, trashed.Metadata).key;
+
+    if (!isDocumentKey(documentPath) || !documentPath.startsWith(`${parsed.org}/${parsed.repo}/`)) {
+      return res.status(400).json({
+        success: false,
+        error: `Target must be a document path in ${parsed.org}/${parsed.repo}, outside .trash and .da-versions`
+      });
+    }
+
+    if (etag && etag !== trashed.ETag) {
+      return res.status(409).json({
+        success: false,
+        error: 'Trash entry was modified since it was listed, reload and try again'
+      });
+    }
+
+    // A live document at the target wins, the client has to pick another path
+    const headTarget = () => storage.head(documentPath).catch(error => {
+      if (error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    });
+    const rejectExisting = async (live) => {
+      await recordAudit(req, {
+        action: 'trash.restore',
+        key: documentPath,
+        outcome: 'failure',
+        etagBefore: live.ETag,
+        details: { trashKey, error: 'Target exists' }
+      });
+      return res.status(409).json({
+        success: false,
+        error: `A document already exists at ${documentPath}`,
+        conflict: {
+          key: documentPath,
+          lastModified: live.LastModified,
+          size: live.ContentLength,
+          etag: live.ETag
+        }
+      });
+    };
+    const live = await headTarget();
+    if (live) return rejectExisting(live);
+
+    // Keep headers and Metadata (including the id linking version history), pointing path at the new location
+    const options = { Metadata: { ...trashed.Metadata } };
+    if (options.Metadata.path !== undefined) options.Metadata.path = `/${documentPath}`;
+    for (const s3Field of Object.values(EDITABLE_HEADERS)) {
+      if (trashed[s3Field] !== undefined && trashed[s3Field] !== null) options[s3Field] = trashed[s3Field];
+    }
+
+    // The copy only succeeds while the target is still missing
+    let restored;
+    try {
+      restored = await storage.copy(trashKey, documentPath, { ...options, ifMatch: trashed.ETag, ifNoneMatch: '*' });
+    } catch (error) {
+      const created = error.$metadata?.httpStatusCode === 412 ? await headTarget() : null;
+      if (created) return rejectExisting(created);
+      throw error;
+    }
+
+    let trashRemoved = true;
+    try {
+      await storage.delete(trashKey, { ifMatch: trashed.ETag });
+    } catch (error) {
+      console.error(`Restored ${trashKey} but could not remove it from trash:`, error);
+      trashRemoved = false;
+    }
+
+    await recordAudit(req, {
+      action: 'trash.restore',
+      key: documentPath,
+      etagAfter: restored.ETag,
+      details: { trashKey, trashRemoved }
+    });
+
+    res.json({
+      success: true,
+      documentPath,
+      restoredFrom: trashKey,
+      trashRemoved,
+      etag: restored.ETag
+    });
+
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    const status = error.$metadata?.httpStatusCode;
+    if (trashed && documentPath) {
+      await recordAudit(req, {
+        action: 'trash.restore',
+        key: documentPath,
+        outcome: 'failure',
+        details: { trashKey, error: error.message }
+      });
+    }
+    res.status(status === 404 ? 404 : status === 412 ? 409 : 500).json({
+      success: false,
+      error: status === 412
+        ? 'Trash entry was modified while restoring, reload and try again'
+        : 'Error restoring from trash',
+      details: error.message
+    });
+  }
+});
+
+// Find a job or answer 404
+const findJob = (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  return job;
+};
+
+// List jobs, newest first
+app.get('/api/jobs', requireRole('viewer'), (req, res) => {
+  const { type, status } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const matching = jobs.list()
+    .filter(job => (!type || job.type === type) && (!status || job.status === status));
+  res.json({ success: true, jobs: matching.slice(0, limit), total: matching.length });
+});
+
+// Submit a job. Body: { type, params }
+app.post('/api/jobs', requireRole('viewer'), (req, res) => {
+  const { type, params } = req.body || {};
+  const definition = jobs.getType(type);
+  if (definition && !hasRole(req.user.role, definition.role)) {
+    return res.status(403).json({
+      success: false,
+      error: `This action requires the ${definition.role} role`
+    });
+  }
+
+  try {
+    const job = jobs.submit(type, params, req.user);
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    if (error instanceof JobInputError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error submitting job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error submitting job',
+      details: error.message
+    });
+  }
+});
+
+// Job state and progress
+app.get('/api/jobs/:id', requireRole('viewer'), (req, res) => {
+  const job = findJob(req, res);
+  if (job) res.json({ success: true, job });
+});
+
+// Cancel a queued or running job (own jobs, admins any), results produced so far are kept
+app.post('/api/jobs/:id/cancel', requireRole('viewer'), (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  if (job.createdBy !== req.user.name && !hasRole(req.user.role, 'admin')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the user who started a job or an admin can cancel it'
+    });
+  }
+  if (jobs.isFinished(job)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job is already ${job.status}`,
+      job
+    });
+  }
+  jobs.cancel(job.id);
+  res.json({ success: true, job });
+});
+
+// Stream job logs and state as Server-Sent Events (events: log, job, end)
+app.get('/api/jobs/:id/logs', requireRole('viewer'), (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Replay and subscribe in the same tick so no line is missed or sent twice
+  for (const entry of jobs.getLogs(job.id)) send('log', entry);
+  send('job', job);
+  if (jobs.isFinished(job)) {
+    send('end', { status: job.status });
+    return res.end();
+  }
+
+  const unsubscribe = jobs.subscribe(job.id, {
+    onLog: (entry) => send('log', entry),
+    onUpdate: (updated) => {
+      send('job', updated);
+      if (jobs.isFinished(updated)) {
+        send('end', { status: updated.status });
+        unsubscribe();
+        res.end();
+      }
+    }
+  });
+  req.on('close', unsubscribe);
+});
+
+// Page through job results as JSON, or download them all as JSON Lines with ?download=1
+app.get('/api/jobs/:id/results', requireRole('viewer'), async (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  if (req.query.download) {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="${job.type}-${job.id}.jsonl"`);
+    const file = jobs.resultsPath(job.id);
+    if (!fs.existsSync(file)) return res.end();
+    return pipeline(fs.createReadStream(file), res, (error) => {
+      if (error) console.error(`Error streaming results of job ${job.id}:`, error.message);
+    });
+  }
+
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+  try {
+    const results = await jobs.readResults(job.id, { offset, limit });
+    res.json({
+      success: true,
+      results,
+      offset,
+      nextOffset: offset + results.length,
+      total: job.resultCount
+    });
+  } catch (error) {
+    console.error(`Error reading results of job ${job.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Error reading job results',
+      details: error.message
+    });
+  }
+});
+
+// Inventories (traverse.js outputs) that storage-usage jobs can read
+app.get('/api/usage/inventories', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({ success: true, inventories: listInventories(inventoryDir) });
+  } catch (error) {
+    console.error('Error listing inventories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error listing inventories',
+      details: error.message
+    });
+  }
+});
+
+// Usage tree built by a storage-usage job
+app.get('/api/usage/:id', requireRole('viewer'), (req, res) => {
+  const report = usageStore.load(req.params.id);
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      error: 'No usage report for this job'
+    });
+  }
+  res.json({ success: true, report });
+});
+
+// Query the audit log, newest first
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  const { actor, action, key, outcome, from, to, limit, offset } = req.query;
+
+  const invalidDate = [from, to].find(value => value && Number.isNaN(new Date(value).getTime()));
+  if (invalidDate) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid date: ${invalidDate}`
+    });
+  }
+
+  try {
+    const result = await auditLog.query({ actor, action, key, outcome, from, to, limit, offset });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error querying audit log',
+      details: error.message
+    });
+  }
+});
+
+// Health check endpoint (public, exposes no bucket data)
 app.get('/api/health', (req, res) => {
   res.json({ success: true, message: 'Server is running' });
 });
@@ -518,6 +1425,11 @@ app.get('/api/health', (req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  console.log(`Auth: ${auth.mode}${auth.mode === 'none' ? ' (every request is treated as admin)' : ''}`);
+  console.log(`Audit log: ${auditLog.file}${auditLog.bucketPrefix ? ` (bucket copy under ${auditLog.bucketPrefix})` : ''}`);
+  console.log(`Jobs: ${jobs.dir}`);
+  console.log(`Inventories: ${inventoryDir}`);
+  console.log(`Storage: ${storage.name}${storage.root ? ` (${storage.root})` : ` (bucket ${storage.bucket})`}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
   console.log(`Frontend should run on: http://localhost:9090`);
 });
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Sharded scan of every object under a prefix, for background jobs
+ *
+ * The prefix is split into the same shards the traverse tools use
+ * (generateShardPrefixes) and each shard is listed with listShardObjects
+ * through a small adapter over the storage driver, so the fs driver works too.
+ * Progress is reported with the counters processShards tracks.
+ */
+
+const zlib = require('zlib');
+const { generateShardPrefixes, listShardObjects } = require('da-magic-traverse/s3-utils.js');
+
+const SHARD_CONCURRENCY = 8;
+const FETCH_CONCURRENCY = 4;
+// Errors beyond this are counted but not logged
+const MAX_ERROR_SAMPLES = 20;
+
+class ScanCancelled extends Error {}
+
+/**
+ * Run a worker over items with a concurrency limit
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with each item
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Adapt a storage driver to the client interface listShardObjects expects
+ * (send(ListObjectsV2Command) -> ListObjectsV2 page)
+ * @param {Object} storage - Storage driver
+ * @returns {{send: Function}} Minimal S3 client
+ */
+function createListClient(storage) {
+  return {
+    send(command) {
+      const { Prefix, ContinuationToken, MaxKeys } = command.input;
+      return storage.list(Prefix, { continuationToken: ContinuationToken || undefined, maxKeys: MaxKeys });
+    }
+  };
+}
+
+/**
+ * Read an object body, decompressing gzip-encoded content
+ * @param {Object} storage - Storage driver
+ * @param {string} key - Object key
+ * @returns {Promise<Buffer>} Body
+ */
+async function readObject(storage, key) {
+  const response = await storage.get(key);
+  const chunks = [];
+  for await (const chunk of response.Body) {
+    chunks.push(chunk);
+  }
+  const buffer = Buffer.concat(chunks);
+  if (/gzip/i.test(response.ContentEncoding || '')) {
+    try {
+      return zlib.gunzipSync(buffer);
+    } catch (e) {
+      // Header says gzip but the body is plain, use it as is
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Scan every object under a prefix
+ * @param {Object} options
+ * @param {Object} options.storage - Storage driver
+ * @param {Object} options.context - Job context (progress, signal, log)
+ * @param {string} options.prefix - Folder to scan, ending with '/'
+ * @param {Function} [options.onList] - (objects) => void for each listed page, before any fetch
+ * @param {Function} [options.shouldProcess] - (object) => boolean, listed objects to fetch (default: none)
+ * @param {Function} [options.processObject] - async (object, body) => void for each fetched object
+ * @returns {Promise<void>} Resolves when every shard is done or the job was cancelled
+ */
+async function scanPrefix({ storage, context, prefix, onList, shouldProcess = () => false, processObject }) {
+  const { progress, signal } = context;
+  const listClient = createListClient(storage);
+  const shards = generateShardPrefixes(prefix, 63);
+  let errorSamples = 0;
+
+  Object.assign(progress, {
+    totalShards: shards.length,
+    completedShards: 0,
+    activeShards: 0,
+    totalObjects: 0,
+    skippedObjects: 0,
+    processedObjects: 0,
+    errors: 0
+  });
+
+  const reportError = (key, message) => {
+    progress.errors++;
+    if (errorSamples++ < MAX_ERROR_SAMPLES) {
+      context.log(`${key}: ${message}`, 'error');
+    }
+  };
+
+  await runWithConcurrency(shards, SHARD_CONCURRENCY, async (shard) => {
+    if (signal.aborted) return;
+    progress.activeShards++;
+    await listShardObjects(listClient, storage.bucket, shard, prefix, async (objects) => {
+      if (signal.aborted) throw new ScanCancelled();
+      progress.totalObjects += objects.length;
+      if (onList) onList(objects);
+
+      const candidates = objects.filter(shouldProcess);
+      progress.skippedObjects += objects.length - candidates.length;
+
+      await runWithConcurrency(candidates, FETCH_CONCURRENCY, async (object) => {
+        if (signal.aborted) return;
+        try {
+          await processObject(object, await readObject(storage, object.Key));
+          progress.processedObjects++;
+        } catch (error) {
+          reportError(object.Key, error.message);
+        }
+      });
+    }).catch(error => {
+      if (!(error instanceof ScanCancelled)) reportError(shard.prefix, `Listing failed: ${error.message}`);
+    });
+    progress.activeShards--;
+    progress.completedShards++;
+  });
+}
+
+/**
+ * Whether a key is inside a .da-versions or .trash folder
+ * @param {string} key - Object key
+ * @returns {boolean} True for snapshot and trash objects
+ */
+function isHiddenKey(key) {
+  return key.includes('/.da-versions/') || key.includes('/.trash/');
+}
+
+module.exports = { scanPrefix, readObject, isHiddenKey };
@@ -0,0 +1,310 @@
+/**
+ * Storage usage per org, repo and folder, for the usage treemap
+ *
+ * A `storage-usage` job reads the keys and sizes of a prefix, either from a
+ * fresh sharded listing (see shard-scan.js) or from an inventory written by
+ * traverse/traverse.js in any of its output formats, and rolls them up into a
+ * tree:
+ *   root -> org -> repo -> kind (live, versions, trash) -> folders
+ * `org/repo/.da-versions/` and the legacy `org/.da-versions/` count as
+ * versions, `org/repo/.trash/` as trash, everything else as live content.
+ * Folders are kept `depth` levels below the kind and each node keeps its
+ * largest children, the rest is folded into one "more" node, so reports stay
+ * small whatever the size of the bucket. Reports are stored locally as
+ * `<dir>/<jobId>.json`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanPrefix } = require('./shard-scan.js');
+const { readOutputRows, resolveOutputFormat } = require('da-magic-traverse/s3-utils.js');
+
+const KINDS = ['live', 'versions', 'trash'];
+
+const DEFAULT_DEPTH = 2;
+const MAX_DEPTH = 6;
+// Children kept per node, the smaller ones are folded into a "more" node
+const MAX_CHILDREN = 40;
+// Oldest reports beyond this are deleted
+const MAX_STORED_REPORTS = 20;
+const INVENTORY_EXTENSION = /\.(csv|tsv|jsonl|ndjson|sqlite|db)$/i;
+
+/**
+ * Where a key counts in the usage tree
+ * @param {string} key - Object key
+ * @returns {{org: string, repo: string, kind: string, folders: string[]}} Folders are
+ *   the path below the kind, without the file name
+ */
+function classifyKey(key) {
+  const parts = key.split('/').slice(0, -1);
+  if (parts.length === 0) return { org: '(bucket root)', repo: '(files)', kind: 'live', folders: [] };
+
+  const org = parts.shift();
+  if (parts.length === 0) return { org, repo: '(files)', kind: 'live', folders: [] };
+
+  // Legacy snapshots live next to the repos: org/.da-versions/<id>/...
+  const repo = parts.shift();
+  if (repo === '.da-versions') return { org, repo, kind: 'versions', folders: parts };
+
+  if (parts[0] === '.da-versions') return { org, repo, kind: 'versions', folders: parts.slice(1) };
+  if (parts[0] === '.trash') return { org, repo, kind: 'trash', folders: parts.slice(1) };
+  return { org, repo, kind: 'live', folders: parts };
+}
+
+function emptyUsage() {
+  return Object.fromEntries(KINDS.map(kind => [kind, { files: 0, bytes: 0 }]));
+}
+
+/**
+ * Create an aggregator
+ * @param {Object} [options]
+ * @param {number} [options.depth=2] - Folder levels kept below live/versions/trash
+ * @returns {Object} Aggregator: add(key, size) for each object, toTree() for the result
+ */
+function createUsageAggregator({ depth = DEFAULT_DEPTH } = {}) {
+  const root = { name: '', files: 0, bytes: 0, usage: emptyUsage(), children: new Map() };
+
+  const child = (node, name, fields = {}) => {
+    let next = node.children.get(name);
+    if (!next) {
+      next = { name, files: 0, bytes: 0, ...fields, children: new Map() };
+      node.children.set(name, next);
+    }
+    next.files++;
+    return next;
+  };
+
+  return {
+    add(key, size) {
+      const { org, repo, kind, folders } = classifyKey(key);
+      const bytes = Number(size) || 0;
+
+      const orgNode = child(root, org, { usage: emptyUsage() });
+      const repoNode = child(orgNode, repo, { usage: emptyUsage() });
+      const nodes = [root, orgNode, repoNode, child(repoNode, kind, { kind })];
+      for (const folder of folders.slice(0, depth)) {
+        nodes.push(child(nodes[nodes.length - 1], folder, { kind }));
+      }
+
+      root.files++;
+      for (const node of nodes) {
+        node.bytes += bytes;
+        if (node.usage) {
+          node.usage[kind].files++;
+          node.usage[kind].bytes += bytes;
+        }
+      }
+    },
+
+    /**
+     * The usage tree as plain JSON-serializable data; children sorted by size,
+     * largest first, at most MAX_CHILDREN per node
+     * @returns {Object} Root node { name, path, files, bytes, usage, children }, where
+     *   org and repo nodes have `usage` ({ live, versions, trash }: { files, bytes }),
+     *   kind and folder nodes have `kind`, and folded nodes `more` (the folded count)
+     */
+    toTree() {
+      const toNode = (node, parentPath) => {
+        const nodePath = node === root ? '' : `${parentPath}${node.name}/`;
+        const children = [...node.children.values()].sort((a, b) => b.bytes - a.bytes);
+        const kept = children.slice(0, MAX_CHILDREN).map(c => toNode(c, nodePath));
+        const folded = children.slice(MAX_CHILDREN);
+        if (folded.length > 0) {
+          kept.push({
+            name: `${folded.length} more`,
+            path: null,
+            files: folded.reduce((sum, c) => sum + c.files, 0),
+            bytes: folded.reduce((sum, c) => sum + c.bytes, 0),
+            ...(node.kind ? { kind: node.kind } : {}),
+            more: folded.length,
+            children: []
+          });
+        }
+        return {
+          name: node.name,
+          path: nodePath,
+          files: node.files,
+          bytes: node.bytes,
+          ...(node.usage ? { usage: node.usage } : {}),
+          ...(node.kind ? { kind: node.kind } : {}),
+          children: kept
+        };
+      };
+      return toNode(root, '');
+    }
+  };
+}
+
+/**
+ * Local store of usage reports
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the reports
+ * @returns {{save: Function, load: Function}} Store
+ */
+function createUsageStore({ dir }) {
+  const reportPath = (id) => path.join(dir, `${id}.json`);
+
+  /**
+   * Save a report, deleting the oldest beyond MAX_STORED_REPORTS
+   * @param {Object} report - { jobId, builtAt, source, depth, totals, tree }
+   */
+  const save = (report) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = reportPath(report.jobId);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(report));
+    fs.renameSync(`${file}.tmp`, file);
+
+    const stored = fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => ({ name, mtimeMs: fs.statSync(path.join(dir, name)).mtimeMs }))
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+    for (const { name } of stored.slice(MAX_STORED_REPORTS)) {
+      fs.rmSync(path.join(dir, name), { force: true });
+    }
+  };
+
+  /**
+   * Load the report of a job
+   * @param {string} id - Job id
+   * @returns {Object|null} The report, null if there is none
+   */
+  const load = (id) => {
+    if (!/^[0-9a-f-]+$/.test(id)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(reportPath(id), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  };
+
+  return { dir, save, load };
+}
+
+/**
+ * Inventories available to usage jobs
+ * @param {string} dir - Inventory directory
+ * @returns {Array<{name: string, size: number, lastModified: string, format: string}>} Newest first
+ */
+function listInventories(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && INVENTORY_EXTENSION.test(entry.name))
+    .map((entry) => {
+      const stat = fs.statSync(path.join(dir, entry.name));
+      return {
+        name: entry.name,
+        size: stat.size,
+        lastModified: stat.mtime.toISOString(),
+        format: resolveOutputFormat(entry.name)
+      };
+    })
+    .sort((a, b) => b.lastModified.localeCompare(a.lastModified));
+}
+
+/**
+ * Storage usage job definition for the job manager (type 'storage-usage')
+ * @param {Object} options
+ * @param {Object} options.storage - Storage driver
+ * @param {Object} options.store - Usage store from createUsageStore
+ * @param {string} options.inventoryDir - Directory of traverse.js inventories
+ * @returns {Object} Job definition with validate(params) and handler(context)
+ */
+function createStorageUsageJob({ storage, store, inventoryDir }) {
+  /**
+   * Check and normalize parameters
+   * @param {Object} params
+   * @param {string} [params.prefix] - Only count keys under this folder (default: the whole bucket)
+   * @param {string} [params.inventory] - Inventory file name in the inventory directory;
+   *   without one the prefix is listed
+   * @param {number} [params.depth=2] - Folder levels below live/versions/trash
+   * @returns {Object} Normalized parameters
+   * @throws {Error} On an unknown inventory or an invalid depth
+   */
+  const validate = ({ prefix, inventory, depth = DEFAULT_DEPTH }) => {
+    const folder = (typeof prefix === 'string' ? prefix : '').trim().replace(/^\/+/, '').toLowerCase();
+    const levels = Number(depth);
+    if (!Number.isInteger(levels) || levels < 0 || levels > MAX_DEPTH) {
+      throw new Error(`depth must be an integer between 0 and ${MAX_DEPTH}`);
+    }
+
+    let file = null;
+    if (inventory !== undefined && inventory !== null && inventory !== '') {
+      if (typeof inventory !== 'string' || path.basename(inventory) !== inventory || !INVENTORY_EXTENSION.test(inventory)) {
+        throw new Error('inventory must be the name of a csv, tsv, jsonl or sqlite file in the inventory directory');
+      }
+      if (!fs.existsSync(path.join(inventoryDir, inventory))) {
+        throw new Error(`Inventory not found: ${inventory}`);
+      }
+      file = inventory;
+    }
+
+    return {
+      prefix: folder && !folder.endsWith('/') ? `${folder}/` : folder,
+      inventory: file,
+      depth: levels
+    };
+  };
+
+  const handler = async (context) => {
+    const { params, progress, signal } = context;
+    const aggregator = createUsageAggregator({ depth: params.depth });
+
+    if (params.inventory) {
+      const file = path.join(inventoryDir, params.inventory);
+      Object.assign(progress, { rows: 0, countedObjects: 0 });
+      context.log(`Reading inventory ${params.inventory}${params.prefix ? ` (keys under ${params.prefix})` : ''}`);
+
+      for await (const row of readOutputRows(file)) {
+        if (signal.aborted) break;
+        progress.rows++;
+        const key = row.FilePath;
+        if (!key || !key.startsWith(params.prefix)) continue;
+        aggregator.add(key, row.ContentLength);
+        progress.countedObjects++;
+      }
+    } else {
+      context.log(`Listing ${params.prefix || 'the whole bucket'}`);
+      await scanPrefix({
+        storage,
+        context,
+        prefix: params.prefix,
+        onList: (objects) => {
+          for (const object of objects) aggregator.add(object.Key, object.Size);
+        }
+      });
+    }
+
+    // A partial listing would understate usage, don't keep it
+    if (signal.aborted) return null;
+    if (progress.errors > 0) {
+      context.log(`${progress.errors} shards could not be listed, their objects are missing`, 'warn');
+    }
+
+    const tree = aggregator.toTree();
+    const totals = { files: tree.files, bytes: tree.bytes, ...tree.usage };
+    store.save({
+      jobId: context.id,
+      builtAt: new Date().toISOString(),
+      source: params.inventory
+        ? { type: 'inventory', inventory: params.inventory, prefix: params.prefix }
+        : { type: 'listing', prefix: params.prefix },
+      depth: params.depth,
+      totals,
+      tree
+    });
+
+    context.log(`Counted ${totals.files} objects in ${tree.children.length} orgs`);
+    return totals;
+  };
+
+  return { role: 'viewer', validate, handler };
+}
+
+module.exports = {
+  KINDS,
+  classifyKey,
+  createUsageAggregator,
+  createUsageStore,
+  createStorageUsageJob,
+  listInventories
+};
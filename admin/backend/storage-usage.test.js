@@ -0,0 +1,267 @@
+/**
+ * Tests for the storage usage classification, aggregation, reports and job
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { classifyKey, createUsageAggregator, createUsageStore, createStorageUsageJob, listInventories } = require('./storage-usage.js');
+const { createFsStorage } = require('./storage/fs.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+// A job context as the job manager passes it
+const jobContext = (id, params, signal = new AbortController().signal) => ({
+  id,
+  params,
+  progress: {},
+  signal,
+  log: () => {}
+});
+
+// The node at a path of names below a tree node
+const nodeAt = (node, ...names) => names.reduce((current, name) => current && current.children.find(c => c.name === name), node);
+
+async function run() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-usage-test-'));
+
+  // ==================== CLASSIFY KEY ====================
+
+  section('1. classifyKey Tests');
+
+  assertDeepEqual(classifyKey('kptdobe/site/en/blog/post.html'), { org: 'kptdobe', repo: 'site', kind: 'live', folders: ['en', 'blog'] },
+    'A document counts as live content with its folders');
+  assertDeepEqual(classifyKey('kptdobe/site/index.html'), { org: 'kptdobe', repo: 'site', kind: 'live', folders: [] },
+    'A file at the repo root has no folders');
+  assertDeepEqual(classifyKey('kptdobe/site/.da-versions/0a1b/1.html'), { org: 'kptdobe', repo: 'site', kind: 'versions', folders: ['0a1b'] },
+    'org/repo/.da-versions counts as versions of the repo');
+  assertDeepEqual(classifyKey('kptdobe/.da-versions/0a1b/1.html'), { org: 'kptdobe', repo: '.da-versions', kind: 'versions', folders: ['0a1b'] },
+    'The legacy org/.da-versions counts as versions under its own repo node');
+  assertDeepEqual(classifyKey('kptdobe/.da-versions/audit.txt'), { org: 'kptdobe', repo: '.da-versions', kind: 'versions', folders: [] },
+    'A file directly in the legacy folder counts as versions');
+  assertDeepEqual(classifyKey('kptdobe/site/.trash/en/old.html'), { org: 'kptdobe', repo: 'site', kind: 'trash', folders: ['en'] },
+    'org/repo/.trash counts as trash');
+  assertDeepEqual(classifyKey('kptdobe/site/en/.trash/x.html'), { org: 'kptdobe', repo: 'site', kind: 'live', folders: ['en', '.trash'] },
+    'A .trash folder below the repo root is live content');
+  assertDeepEqual(classifyKey('kptdobe/config.json'), { org: 'kptdobe', repo: '(files)', kind: 'live', folders: [] },
+    'A file at the org root is grouped under (files)');
+  assertDeepEqual(classifyKey('robots.txt'), { org: '(bucket root)', repo: '(files)', kind: 'live', folders: [] },
+    'A file at the bucket root is grouped under (bucket root)');
+
+  // ==================== AGGREGATOR ====================
+
+  section('2. Aggregator Tests');
+
+  const aggregator = createUsageAggregator({ depth: 1 });
+  aggregator.add('kptdobe/site/en/blog/post.html', 100);
+  aggregator.add('kptdobe/site/en/about.html', '50');
+  aggregator.add('kptdobe/site/index.html', 10);
+  aggregator.add('kptdobe/site/.da-versions/0a1b/1.html', 300);
+  aggregator.add('kptdobe/site/.trash/old.html', 5);
+  aggregator.add('kptdobe/.da-versions/0a1b/1.html', 1000);
+  aggregator.add('kptdobe/config.json', 'not a number');
+  aggregator.add('robots.txt', 1);
+  const tree = aggregator.toTree();
+
+  assert(tree.files === 8 && tree.bytes === 1466 && tree.path === '', 'The root counts every object');
+  assertDeepEqual(tree.usage, {
+    live: { files: 5, bytes: 161 },
+    versions: { files: 2, bytes: 1300 },
+    trash: { files: 1, bytes: 5 }
+  }, 'The root splits usage into live, versions and trash');
+  assertDeepEqual(tree.children.map(c => c.name), ['kptdobe', '(bucket root)'], 'Orgs are sorted by size');
+
+  const org = nodeAt(tree, 'kptdobe');
+  assertDeepEqual(org.children.map(c => [c.name, c.bytes]), [['.da-versions', 1000], ['site', 465], ['(files)', 0]],
+    'Repos are sorted by size, legacy versions and org root files are nodes of their own');
+  assertDeepEqual(nodeAt(org, '.da-versions').usage.versions, { files: 1, bytes: 1000 }, 'Legacy versions count as versions');
+
+  const site = nodeAt(org, 'site');
+  assertDeepEqual(site.usage, {
+    live: { files: 3, bytes: 160 },
+    versions: { files: 1, bytes: 300 },
+    trash: { files: 1, bytes: 5 }
+  }, 'A repo splits its usage by kind');
+  assertDeepEqual(site.children.map(c => [c.name, c.kind, c.path]), [
+    ['versions', 'versions', 'kptdobe/site/versions/'],
+    ['live', 'live', 'kptdobe/site/live/'],
+    ['trash', 'trash', 'kptdobe/site/trash/']
+  ], 'Kind nodes carry their kind and path');
+  const live = nodeAt(site, 'live');
+  assertDeepEqual(live.children.map(c => [c.name, c.files, c.bytes, c.kind]), [['en', 2, 150, 'live']],
+    'Folders are kept to the depth, deeper keys count in their ancestor, root files only in the kind');
+  assert(live.files === 3 && live.bytes === 160, 'The kind node counts files without a folder');
+
+  const wide = createUsageAggregator();
+  for (let i = 0; i < 45; i++) wide.add(`org/site/folder-${String(i).padStart(2, '0')}/page.html`, 100 + i);
+  const wideLive = nodeAt(wide.toTree(), 'org', 'site', 'live');
+  assert(wideLive.children.length === 41, 'At most 40 children are kept, plus one folded node');
+  assert(wideLive.children[0].name === 'folder-44' && wideLive.children[39].name === 'folder-05', 'The largest children are kept');
+  assertDeepEqual(wideLive.children[40], {
+    name: '5 more',
+    path: null,
+    files: 5,
+    bytes: 100 + 101 + 102 + 103 + 104,
+    kind: 'live',
+    more: 5,
+    children: []
+  }, 'The smallest children are folded into an "N more" node with their totals and kind');
+
+  const manyOrgs = createUsageAggregator();
+  for (let i = 0; i < 41; i++) manyOrgs.add(`org-${i}/site/page.html`, i + 1);
+  const foldedOrg = manyOrgs.toTree().children[40];
+  assert(foldedOrg.name === '1 more' && foldedOrg.more === 1 && foldedOrg.bytes === 1 && !('kind' in foldedOrg),
+    'Folded orgs have no kind');
+
+  const empty = createUsageAggregator().toTree();
+  assert(empty.files === 0 && empty.bytes === 0 && empty.children.length === 0, 'An empty aggregator has no orgs');
+  const shallow = createUsageAggregator({ depth: 0 });
+  shallow.add('org/site/a/b/c.html', 1);
+  assertDeepEqual(nodeAt(shallow.toTree(), 'org', 'site', 'live').children, [], 'Depth 0 stops at the kind');
+
+  // ==================== STORE ====================
+
+  section('3. Store Tests');
+
+  const storeDir = path.join(tmpDir, 'usage');
+  const store = createUsageStore({ dir: storeDir });
+  store.save({ jobId: 'abc-1', tree: {} });
+  assertDeepEqual(store.load('abc-1'), { jobId: 'abc-1', tree: {} }, 'A saved report loads by job id');
+  assert(store.load('abc-2') === null, 'A missing report loads as null');
+  assert(store.load('../usage/abc-1') === null, 'Ids that are not job ids are refused');
+
+  const old = Date.now() / 1000 - 3600;
+  for (let i = 0; i < 20; i++) {
+    const file = path.join(storeDir, `0${String(i).padStart(2, '0')}.json`);
+    fs.writeFileSync(file, '{}');
+    fs.utimesSync(file, old + i, old + i);
+  }
+  store.save({ jobId: 'abc-3' });
+  const kept = fs.readdirSync(storeDir).sort();
+  assert(kept.length === 20 && !kept.includes('000.json') && !kept.includes('001.json') && kept.includes('abc-3.json'),
+    'Saving keeps the newest 20 reports');
+
+  // ==================== JOB ====================
+
+  section('4. Job Tests');
+
+  const inventoryDir = path.join(tmpDir, 'inventories');
+  fs.mkdirSync(inventoryDir);
+  fs.writeFileSync(path.join(inventoryDir, 'bucket.csv'), [
+    'FilePath,ContentLength,LastModified,ETag',
+    'kptdobe/site/index.html,100,2026-10-01T00:00:00.000Z,a',
+    'kptdobe/site/.da-versions/0a1b/1.html,40,2026-10-01T00:00:00.000Z,b',
+    'kptdobe/.da-versions/0a1b/2.html,60,2026-10-01T00:00:00.000Z,c',
+    'other/site/index.html,7,2026-10-01T00:00:00.000Z,d'
+  ].join('\n'));
+  fs.writeFileSync(path.join(inventoryDir, 'notes.txt'), 'not an inventory');
+
+  assertDeepEqual(listInventories(inventoryDir).map(entry => [entry.name, entry.format]), [['bucket.csv', 'csv']],
+    'Inventories are listed with their format, other files are not');
+  assertDeepEqual(listInventories(path.join(tmpDir, 'missing')), [], 'A missing inventory directory lists nothing');
+
+  const storage = createFsStorage({ root: path.join(tmpDir, 'bucket') });
+  await storage.put('kptdobe/site/en/page.html', 'x'.repeat(30), { ContentType: 'text/html' });
+  await storage.put('kptdobe/site/.trash/old.html', 'x'.repeat(5), { ContentType: 'text/html' });
+  await storage.put('other/site/index.html', 'x', { ContentType: 'text/html' });
+  const job = createStorageUsageJob({ storage, store, inventoryDir });
+
+  assertDeepEqual(job.validate({}), { prefix: '', inventory: null, depth: 2 }, 'Defaults list the whole bucket two levels deep');
+  assertDeepEqual(job.validate({ prefix: ' /KptDobe', inventory: 'bucket.csv', depth: '3' }),
+    { prefix: 'kptdobe/', inventory: 'bucket.csv', depth: 3 }, 'The prefix becomes a folder, depth a number');
+  const rejected = [{ depth: 7 }, { depth: 1.5 }, { inventory: '../bucket.csv' }, { inventory: 'notes.txt' }, { inventory: 'gone.csv' }]
+    .filter((params) => {
+      try {
+        job.validate(params);
+        return false;
+      } catch (e) {
+        return true;
+      }
+    });
+  assert(rejected.length === 5, 'Invalid depths and inventory names are rejected');
+
+  const listing = await job.handler(jobContext('0001', job.validate({ prefix: 'kptdobe' })));
+  assertDeepEqual(listing, {
+    files: 2,
+    bytes: 35,
+    live: { files: 1, bytes: 30 },
+    versions: { files: 0, bytes: 0 },
+    trash: { files: 1, bytes: 5 }
+  }, 'A listing counts the objects under the prefix by kind');
+  assertDeepEqual(store.load('0001').source, { type: 'listing', prefix: 'kptdobe/' }, 'The listing report is saved with its source');
+
+  const fromInventory = await job.handler(jobContext('0002', job.validate({ prefix: 'kptdobe/', inventory: 'bucket.csv' })));
+  assertDeepEqual([fromInventory.files, fromInventory.bytes, fromInventory.versions], [3, 200, { files: 2, bytes: 100 }],
+    'An inventory is read with the prefix applied, legacy versions included');
+  const report = store.load('0002');
+  assert(report.source.type === 'inventory' && report.depth === 2 && nodeAt(report.tree, 'kptdobe', '.da-versions').bytes === 60,
+    'The inventory report is saved with its tree');
+
+  const aborted = new AbortController();
+  aborted.abort();
+  assert(await job.handler(jobContext('0003', job.validate({ inventory: 'bucket.csv' }), aborted.signal)) === null &&
+    store.load('0003') === null, 'A cancelled run saves no report');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -0,0 +1,359 @@
+/**
+ * Filesystem storage driver
+ *
+ * Maps object keys to files under a root directory (`org/repo/a.html` ->
+ * `<root>/org/repo/a.html`). Everything S3 keeps next to the object body -
+ * content type, encoding, cache headers and custom Metadata - is stored in a
+ * sidecar JSON file named `<file>.s3meta.json`. Sidecars are hidden from
+ * listings. Results mirror the S3 SDK response shapes so routes work unchanged
+ * on either driver.
+ *
+ * The ETag (MD5 of the content) is computed while writing and cached in the
+ * sidecar with the file's size and mtime. Files changed outside the driver no
+ * longer match and are hashed again on read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const METADATA_SUFFIX = '.s3meta.json';
+
+// Header fields persisted in the sidecar file
+const HEADER_FIELDS = [
+  'ContentType',
+  'ContentEncoding',
+  'ContentLanguage',
+  'ContentDisposition',
+  'CacheControl',
+  'Expires'
+];
+
+// Fallback content types when no sidecar exists (e.g. a plain copied folder)
+const CONTENT_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg'
+};
+
+/**
+ * Build an error shaped like the S3 SDK's 404 errors
+ * @param {string} key - Missing object key
+ * @returns {Error} Not found error
+ */
+function notFound(key) {
+  const error = new Error(`No such key: ${key}`);
+  error.name = 'NotFound';
+  error.$metadata = { httpStatusCode: 404 };
+  return error;
+}
+
+/**
+ * Build an error shaped like the S3 SDK's precondition failures
+ * @param {string} key - Object key whose ETag did not match
+ * @returns {Error} Precondition failed error
+ */
+function preconditionFailed(key) {
+  const error = new Error(`ETag mismatch for key: ${key}`);
+  error.name = 'PreconditionFailed';
+  error.$metadata = { httpStatusCode: 412 };
+  return error;
+}
+
+/**
+ * Parse a single HTTP byte range against an object size
+ * @param {string} range - Range value, e.g. 'bytes=0-99', 'bytes=100-' or 'bytes=-50'
+ * @param {number} size - Object size in bytes
+ * @returns {{start: number, end: number}|null} Inclusive byte range, null if not applicable
+ */
+function parseRange(range, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start <= end && start < size ? { start, end } : null;
+}
+
+/**
+ * Create a filesystem-backed storage driver
+ * @param {Object} options
+ * @param {string} options.root - Root directory holding the bucket contents
+ * @returns {Object} Storage driver
+ */
+function createFsStorage({ root }) {
+  if (!root) {
+    throw new Error('Filesystem storage requires STORAGE_ROOT');
+  }
+  const rootDir = path.resolve(root);
+
+  // Resolve a key to a file path, refusing keys that escape the root
+  const keyToPath = (key) => {
+    const filePath = path.resolve(rootDir, ...key.split('/'));
+    if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const readSidecar = async (filePath) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath + METADATA_SUFFIX, 'utf8'));
+    } catch (e) {
+      return {};
+    }
+  };
+
+  const computeETag = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('md5');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(`"${hash.digest('hex')}"`))
+      .on('error', reject);
+  });
+
+  // Cached ETag, unless the file changed since the sidecar was written
+  const cachedETag = (sidecar, stat) => (
+    sidecar.ETag && sidecar.Size === stat.size && sidecar.MTimeMs === stat.mtimeMs ? sidecar.ETag : null
+  );
+
+  // Write a body and return its ETag, hashing it on the way to disk
+  const writeBody = async (filePath, body) => {
+    const hash = crypto.createHash('md5');
+    if (typeof body === 'string' || Buffer.isBuffer(body) || ArrayBuffer.isView(body)) {
+      hash.update(body);
+      await fs.promises.writeFile(filePath, body);
+    } else {
+      const hashing = new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          callback(null, chunk);
+        }
+      });
+      await pipeline(body, hashing, fs.createWriteStream(filePath));
+    }
+    return `"${hash.digest('hex')}"`;
+  };
+
+  const head = async (key) => {
+    const filePath = keyToPath(key);
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (e) {
+      throw notFound(key);
+    }
+    if (!stat.isFile()) throw notFound(key);
+
+    const sidecar = await readSidecar(filePath);
+    const headers = {};
+    for (const field of HEADER_FIELDS) {
+      if (sidecar[field] !== undefined && sidecar[field] !== null) headers[field] = sidecar[field];
+    }
+
+    return {
+      ...headers,
+      ContentType: headers.ContentType
+        || CONTENT_TYPES[path.extname(filePath).toLowerCase()]
+        || 'application/octet-stream',
+      ContentLength: stat.size,
+      LastModified: stat.mtime,
+      ETag: cachedETag(sidecar, stat) || await computeETag(filePath),
+      Metadata: sidecar.Metadata || {}
+    };
+  };
+
+  // Recursively collect all keys under a directory
+  const walk = async (dir, keyPrefix, keys) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        await walk(path.join(dir, entry.name), `${keyPrefix}${entry.name}/`, keys);
+      } else if (entry.isFile() && !entry.name.endsWith(METADATA_SUFFIX)) {
+        keys.push(`${keyPrefix}${entry.name}`);
+      }
+    }
+  };
+
+  const toListEntry = async (key) => {
+    const stat = await fs.promises.stat(keyToPath(key));
+    return { Key: key, Size: stat.size, LastModified: stat.mtime };
+  };
+
+  const writeSidecar = async (filePath, options, etag) => {
+    const stat = await fs.promises.stat(filePath);
+    const sidecar = { Metadata: options.Metadata || {} };
+    for (const field of HEADER_FIELDS) {
+      if (options[field] !== undefined && options[field] !== null) sidecar[field] = options[field];
+    }
+    Object.assign(sidecar, { ETag: etag, Size: stat.size, MTimeMs: stat.mtimeMs });
+    return fs.promises.writeFile(filePath + METADATA_SUFFIX, JSON.stringify(sidecar, null, 2));
+  };
+
+  return {
+    name: 'fs',
+    root: rootDir,
+
+    head,
+
+    async get(key, { range } = {}) {
+      const metadata = await head(key);
+      const byteRange = range && parseRange(range, metadata.ContentLength);
+      if (!byteRange) {
+        return { ...metadata, Body: fs.createReadStream(keyToPath(key)) };
+      }
+
+      const { start, end } = byteRange;
+      return {
+        ...metadata,
+        ContentLength: end - start + 1,
+        ContentRange: `bytes ${start}-${end}/${metadata.ContentLength}`,
+        Body: fs.createReadStream(keyToPath(key), { start, end })
+      };
+    },
+
+    async list(prefix, { delimiter, continuationToken, startAfter, maxKeys = 1000 } = {}) {
+      // Only the directory holding the prefix needs to be scanned
+      const slash = prefix.lastIndexOf('/');
+      const dirKey = prefix.slice(0, slash + 1);
+      const dir = keyToPath(dirKey);
+
+      let keys = [];
+      const commonPrefixes = new Set();
+
+      if (delimiter === '/') {
+        let entries = [];
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (e) {
+          // Missing directory lists as empty, like an unused S3 prefix
+        }
+        for (const entry of entries) {
+          const key = `${dirKey}${entry.name}`;
+          if (!key.startsWith(prefix)) continue;
+          if (entry.isDirectory()) {
+            commonPrefixes.add(`${key}/`);
+          } else if (entry.isFile() && !entry.name.endsWith(METADATA_SUFFIX)) {
+            keys.push(key);
+          }
+        }
+      } else {
+        await walk(dir, dirKey, keys);
+        keys = keys.filter(key => key.startsWith(prefix));
+      }
+
+      // Keys and common prefixes page together in key order, as on S3: each
+      // counts against maxKeys and only appears on the page covering it
+      let results = [...keys, ...commonPrefixes].sort();
+
+      // Continuation tokens are the last key or prefix returned, like StartAfter
+      const after = continuationToken
+        ? Buffer.from(continuationToken, 'base64').toString('utf8')
+        : startAfter;
+      if (after) results = results.filter(key => key > after);
+
+      const page = results.slice(0, maxKeys);
+      const isTruncated = results.length > maxKeys;
+
+      return {
+        Contents: await Promise.all(page.filter(key => !commonPrefixes.has(key)).map(toListEntry)),
+        CommonPrefixes: page.filter(key => commonPrefixes.has(key)).map(p => ({ Prefix: p })),
+        KeyCount: page.length,
+        IsTruncated: isTruncated,
+        NextContinuationToken: isTruncated
+          ? Buffer.from(page[page.length - 1]).toString('base64')
+          : undefined
+      };
+    },
+
+    async put(key, body, { ifMatch, ...options } = {}) {
+      const filePath = keyToPath(key);
+      if (ifMatch) {
+        const current = await head(key);
+        if (ifMatch !== current.ETag) throw preconditionFailed(key);
+      }
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const etag = await writeBody(filePath, body);
+      await writeSidecar(filePath, options, etag);
+
+      return { ETag: etag };
+    },
+
+    async copy(sourceKey, key, { ifMatch, ifNoneMatch, ...options } = {}) {
+      const source = await head(sourceKey);
+      if (ifMatch && ifMatch !== source.ETag) throw preconditionFailed(sourceKey);
+      if (ifNoneMatch) {
+        const current = await head(key).catch(error => {
+          if (error.$metadata?.httpStatusCode === 404) return null;
+          throw error;
+        });
+        if (current && (ifNoneMatch === '*' || ifNoneMatch === current.ETag)) throw preconditionFailed(key);
+      }
+
+      const filePath = keyToPath(key);
+      if (sourceKey !== key) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        // COPYFILE_EXCL also catches a file created since the check above
+        const mode = ifNoneMatch === '*' ? fs.constants.COPYFILE_EXCL : 0;
+        await fs.promises.copyFile(keyToPath(sourceKey), filePath, mode).catch(error => {
+          throw error.code === 'EEXIST' ? preconditionFailed(key) : error;
+        });
+      }
+      await writeSidecar(filePath, options, source.ETag);
+
+      return { ETag: source.ETag };
+    },
+
+    async delete(key, { ifMatch } = {}) {
+      const filePath = keyToPath(key);
+      if (ifMatch) {
+        const current = await head(key);
+        if (ifMatch !== current.ETag) throw preconditionFailed(key);
+      }
+      await fs.promises.rm(filePath, { force: true });
+      await fs.promises.rm(filePath + METADATA_SUFFIX, { force: true });
+
+      // Drop emptied folders, S3 has no folders to leave behind
+      let dir = path.dirname(filePath);
+      while (dir !== rootDir) {
+        try {
+          await fs.promises.rmdir(dir);
+        } catch (e) {
+          break;
+        }
+        dir = path.dirname(dir);
+      }
+      return {};
+    }
+  };
+}
+
+module.exports = { createFsStorage, METADATA_SUFFIX };
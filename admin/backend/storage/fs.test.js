@@ -0,0 +1,305 @@
+/**
+ * Storage driver contract tests (see index.js), run against the filesystem driver
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { createFsStorage, METADATA_SUFFIX } = require('./fs.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+// Resolves to the HTTP status of the rejection, null if the promise resolved
+async function statusOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.$metadata ? error.$metadata.httpStatusCode : error.message;
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+const etagOf = (body) => `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+
+const readBody = async (object) => {
+  const chunks = [];
+  for await (const chunk of object.Body) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Every page of a listing
+async function listPages(storage, prefix, options) {
+  const pages = [];
+  let continuationToken;
+  do {
+    const page = await storage.list(prefix, { ...options, continuationToken });
+    pages.push(page);
+    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (continuationToken && pages.length < 100);
+  return pages;
+}
+
+/**
+ * Operations every driver must support, on an empty storage
+ * @param {Object} storage - Storage driver
+ */
+async function testContract(storage) {
+  // ==================== PUT AND HEAD ====================
+
+  section('1. Put and Head Tests');
+
+  const html = '<p>hello</p>';
+  const putResult = await storage.put('org/site/index.html', html, {
+    ContentType: 'text/html',
+    CacheControl: 'max-age=60',
+    Metadata: { id: 'doc-1' }
+  });
+  assert(putResult.ETag === etagOf(html), 'put returns the MD5 ETag of a string body');
+
+  const head = await storage.head('org/site/index.html');
+  assert(head.ContentType === 'text/html' && head.CacheControl === 'max-age=60', 'head returns the stored headers');
+  assertDeepEqual(head.Metadata, { id: 'doc-1' }, 'head returns the Metadata');
+  assert(head.ContentLength === html.length && head.ETag === putResult.ETag, 'head returns size and ETag');
+  assert(head.LastModified instanceof Date, 'head returns LastModified as a Date');
+
+  const streamed = 'streamed body '.repeat(1000);
+  const streamResult = await storage.put('org/site/streamed.txt', Readable.from([streamed.slice(0, 5000), streamed.slice(5000)]), {
+    ContentType: 'text/plain',
+    ContentLength: streamed.length
+  });
+  assert(streamResult.ETag === etagOf(streamed), 'put returns the MD5 ETag of a streamed body');
+  assert((await storage.head('org/site/streamed.txt')).ETag === etagOf(streamed), 'Streamed body stored completely');
+
+  const buffer = Buffer.from([0, 1, 2, 255]);
+  assert((await storage.put('org/site/data.bin', buffer)).ETag === etagOf(buffer), 'put accepts a Buffer');
+
+  assert(await statusOf(storage.head('org/site/missing.html')) === 404, 'head of a missing key rejects with 404');
+  assert(await statusOf(storage.head('org/site')) === 404, 'head of a folder rejects with 404');
+
+  // ==================== GET ====================
+
+  section('2. Get Tests');
+
+  const got = await storage.get('org/site/index.html');
+  assert(await readBody(got) === html && got.ETag === head.ETag, 'get returns the body and headers');
+  assert(await statusOf(storage.get('org/site/missing.html')) === 404, 'get of a missing key rejects with 404');
+
+  const first = await storage.get('org/site/index.html', { range: 'bytes=0-2' });
+  assert(await readBody(first) === '<p>' && first.ContentRange === `bytes 0-2/${html.length}` && first.ContentLength === 3,
+    'Range with both bounds');
+  assert(await readBody(await storage.get('org/site/index.html', { range: 'bytes=-4' })) === '</p>', 'Suffix range');
+  assert(await readBody(await storage.get('org/site/index.html', { range: 'bytes=3-' })) === html.slice(3), 'Open-ended range');
+
+  // ==================== LIST ====================
+
+  section('3. List Tests');
+
+  await storage.put('org/site/a/one.html', '1');
+  await storage.put('org/site/a/two.html', '2');
+  await storage.put('org/site/b/c/three.html', '3');
+  await storage.put('org/site/d.html', '4');
+  await storage.put('org/site/e/four.html', '5');
+  await storage.put('org/siteother/x.html', 'x');
+
+  const allKeys = [
+    'org/site/a/one.html',
+    'org/site/a/two.html',
+    'org/site/b/c/three.html',
+    'org/site/d.html',
+    'org/site/data.bin',
+    'org/site/e/four.html',
+    'org/site/index.html',
+    'org/site/streamed.txt'
+  ];
+
+  const all = await storage.list('org/site/');
+  assertDeepEqual(all.Contents.map(obj => obj.Key), allKeys, 'Recursive listing in key order, sidecars hidden');
+  assert(all.Contents.every(obj => typeof obj.Size === 'number' && obj.LastModified instanceof Date),
+    'Listed objects have Size and LastModified');
+  assert(all.KeyCount === allKeys.length && !all.IsTruncated, 'Single page is complete');
+
+  const keyPages = await listPages(storage, 'org/site/', { maxKeys: 3 });
+  assertDeepEqual(keyPages.map(page => page.Contents.length), [3, 3, 2], 'Pages hold maxKeys entries');
+  assertDeepEqual(keyPages.flatMap(page => page.Contents.map(obj => obj.Key)), allKeys, 'Pages continue where the last ended');
+
+  assertDeepEqual((await storage.list('org/site/', { startAfter: 'org/site/d.html' })).Contents.map(obj => obj.Key),
+    allKeys.slice(4), 'startAfter skips keys up to and including it');
+  assertDeepEqual((await storage.list('org/site/d')).Contents.map(obj => obj.Key),
+    ['org/site/d.html', 'org/site/data.bin'], 'Prefix need not end at a folder');
+  assertDeepEqual((await storage.list('org/site')).Contents.length, allKeys.length + 1, 'Prefix matches sibling folders');
+  assert((await storage.list('nothing/here/')).Contents.length === 0, 'Unused prefix lists empty');
+
+  const immediate = await storage.list('org/site/', { delimiter: '/' });
+  assertDeepEqual(immediate.Contents.map(obj => obj.Key),
+    ['org/site/d.html', 'org/site/data.bin', 'org/site/index.html', 'org/site/streamed.txt'], 'Delimiter lists immediate files');
+  assertDeepEqual(immediate.CommonPrefixes.map(cp => cp.Prefix),
+    ['org/site/a/', 'org/site/b/', 'org/site/e/'], 'Delimiter lists subfolders as common prefixes');
+  assert(immediate.KeyCount === 7, 'KeyCount counts files and prefixes');
+
+  const delimiterPages = await listPages(storage, 'org/site/', { delimiter: '/', maxKeys: 2 });
+  const pagedPrefixes = delimiterPages.flatMap(page => page.CommonPrefixes.map(cp => cp.Prefix));
+  const pagedKeys = delimiterPages.flatMap(page => page.Contents.map(obj => obj.Key));
+  assertDeepEqual(delimiterPages.map(page => page.KeyCount), [2, 2, 2, 1], 'Files and prefixes share maxKeys');
+  assertDeepEqual(pagedPrefixes, ['org/site/a/', 'org/site/b/', 'org/site/e/'], 'Each common prefix appears on one page only');
+  assertDeepEqual(pagedKeys, immediate.Contents.map(obj => obj.Key), 'Files paged in order');
+  assertDeepEqual(delimiterPages[0].CommonPrefixes.map(cp => cp.Prefix), ['org/site/a/', 'org/site/b/'],
+    'A page holds the prefixes of its key range');
+
+  // ==================== CONDITIONAL PUT ====================
+
+  section('4. Conditional Put Tests');
+
+  const current = await storage.head('org/site/index.html');
+  assert(await statusOf(storage.put('org/site/index.html', 'x', { ifMatch: '"stale"' })) === 412,
+    'put with a stale ifMatch rejects with 412');
+  assert(await readBody(await storage.get('org/site/index.html')) === html, 'Rejected put leaves the object unchanged');
+  const replaced = await storage.put('org/site/index.html', '<p>new</p>', { ContentType: 'text/html', ifMatch: current.ETag });
+  assert(replaced.ETag === etagOf('<p>new</p>'), 'put with the current ifMatch replaces the object');
+  assertDeepEqual((await storage.head('org/site/index.html')).Metadata, {}, 'put replaces the Metadata');
+
+  // ==================== COPY ====================
+
+  section('5. Copy Tests');
+
+  const copied = await storage.copy('org/site/index.html', 'org/site/.da-versions/doc-1/1.html', {
+    ContentType: 'text/html',
+    Metadata: { label: 'copy' }
+  });
+  const copyHead = await storage.head('org/site/.da-versions/doc-1/1.html');
+  assert(copied.ETag === replaced.ETag && copyHead.ETag === replaced.ETag, 'Copy has the ETag of the source');
+  assertDeepEqual(copyHead.Metadata, { label: 'copy' }, 'Copy gets the given Metadata');
+  assert(await readBody(await storage.get('org/site/.da-versions/doc-1/1.html')) === '<p>new</p>', 'Copy has the source content');
+
+  assert(await statusOf(storage.copy('org/site/index.html', 'org/site/other.html', { ifMatch: '"stale"' })) === 412,
+    'Copy with a stale source ifMatch rejects with 412');
+  assert(await statusOf(storage.head('org/site/other.html')) === 404, 'Rejected copy writes nothing');
+  assert(await statusOf(storage.copy('org/site/missing.html', 'org/site/other.html')) === 404, 'Copy of a missing key rejects with 404');
+
+  assert(await statusOf(storage.copy('org/site/index.html', 'org/site/.da-versions/doc-1/1.html', { ifNoneMatch: '*' })) === 412,
+    'Copy with ifNoneMatch * onto an existing key rejects with 412');
+  assert(await readBody(await storage.get('org/site/.da-versions/doc-1/1.html')) === '<p>new</p>' &&
+    (await storage.head('org/site/.da-versions/doc-1/1.html')).Metadata.label === 'copy', 'Rejected copy leaves the destination alone');
+  const fresh = await storage.copy('org/site/index.html', 'org/site/fresh.html', { ifNoneMatch: '*' });
+  assert(fresh.ETag === replaced.ETag, 'Copy with ifNoneMatch * onto a missing key succeeds');
+  await storage.delete('org/site/fresh.html');
+
+  await storage.copy('org/site/index.html', 'org/site/index.html', { ContentType: 'text/plain', Metadata: { id: 'doc-2' } });
+  const inPlace = await storage.head('org/site/index.html');
+  assert(inPlace.ContentType === 'text/plain' && inPlace.Metadata.id === 'doc-2' && inPlace.ETag === replaced.ETag,
+    'Copy onto itself replaces headers and Metadata only');
+
+  // ==================== DELETE ====================
+
+  section('6. Delete Tests');
+
+  assert(await statusOf(storage.delete('org/site/d.html', { ifMatch: '"stale"' })) === 412, 'Delete with a stale ifMatch rejects with 412');
+  assert(await statusOf(storage.delete('org/site/d.html', { ifMatch: etagOf('4') })) === null, 'Delete with the current ifMatch');
+  assert(await statusOf(storage.head('org/site/d.html')) === 404, 'Deleted object is gone');
+  assert(await statusOf(storage.delete('org/site/never-existed.html')) === null, 'Deleting a missing key succeeds');
+
+  await storage.delete('org/site/b/c/three.html');
+  assertDeepEqual((await storage.list('org/site/', { delimiter: '/' })).CommonPrefixes.map(cp => cp.Prefix),
+    ['org/site/.da-versions/', 'org/site/a/', 'org/site/e/'], 'Emptied folders disappear from listings');
+}
+
+async function run() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-storage-test-'));
+  const root = path.join(tmpDir, 'bucket');
+  const storage = createFsStorage({ root });
+
+  await testContract(storage);
+
+  // ==================== FILESYSTEM DRIVER ====================
+
+  section('7. Filesystem Driver Tests');
+
+  {
+    const filePath = path.join(root, 'org', 'site', 'cached.html');
+    const written = await storage.put('org/site/cached.html', 'cached', { ContentType: 'text/html' });
+    const sidecar = JSON.parse(fs.readFileSync(filePath + METADATA_SUFFIX, 'utf8'));
+    assert(sidecar.ETag === written.ETag, 'ETag cached in the sidecar at write time');
+
+    // A cached ETag that matches the file's size and mtime is used without reading the file
+    fs.writeFileSync(filePath + METADATA_SUFFIX, JSON.stringify({ ...sidecar, ETag: '"from-sidecar"' }));
+    assert((await storage.head('org/site/cached.html')).ETag === '"from-sidecar"', 'head uses the cached ETag');
+
+    // Changed outside the driver: the cache no longer matches
+    fs.writeFileSync(filePath, 'edited by hand');
+    assert((await storage.head('org/site/cached.html')).ETag === etagOf('edited by hand'),
+      'File changed outside the driver is hashed again');
+  }
+
+  {
+    fs.mkdirSync(path.join(root, 'plain'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'plain', 'page.html'), 'plain');
+    const plain = await storage.head('plain/page.html');
+    assert(plain.ETag === etagOf('plain') && plain.ContentType === 'text/html', 'File without a sidecar gets ETag and content type');
+  }
+
+  assert(/Invalid key/.test(await statusOf(storage.head('../outside.html'))), 'Keys escaping the root are refused');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
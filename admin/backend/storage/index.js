@@ -0,0 +1,55 @@
+/**
+ * Storage abstraction for the admin backend
+ *
+ * Every driver exposes the same S3-shaped operations:
+ *   head(key)                    -> HeadObject-like result
+ *   get(key, options)            -> GetObject-like result with a readable Body
+ *                                   (options: range, an HTTP Range value such as 'bytes=0-1023')
+ *   list(prefix, options)        -> ListObjectsV2-like page
+ *                                   (options: delimiter, continuationToken, startAfter, maxKeys)
+ *   put(key, body, options)      -> { ETag }, body a Buffer, string or readable stream
+ *                                   (options: ContentType, Metadata, ..., ContentLength for
+ *                                   streams, ifMatch ETag of the object being replaced)
+ *   copy(sourceKey, key, options) -> { ETag }, replacing headers and Metadata with options
+ *                                   (options: ContentType, Metadata, ..., ifMatch source ETag,
+ *                                   ifNoneMatch '*' or an ETag the destination must not have)
+ *   delete(key, options)         -> {} (options: ifMatch ETag)
+ *
+ * Missing objects reject with an error whose $metadata.httpStatusCode is 404,
+ * a failed ifMatch or ifNoneMatch precondition with 412. Deleting a missing key
+ * succeeds, as on S3.
+ */
+
+const { createS3Storage } = require('./s3.js');
+const { createFsStorage } = require('./fs.js');
+
+const DEFAULT_BUCKET = 'aem-content';
+
+/**
+ * Create the storage driver selected by configuration
+ * @param {Object} config - Configuration values (.dev.vars merged with process.env)
+ * @param {string} [config.STORAGE_DRIVER='s3'] - 's3' or 'fs'
+ * @param {string} [config.STORAGE_ROOT] - Root directory for the fs driver
+ * @param {string} [config.S3_BUCKET='aem-content'] - Bucket for the s3 driver
+ * @returns {Object} Storage driver
+ */
+function createStorage(config) {
+  const driver = (config.STORAGE_DRIVER || 's3').toLowerCase();
+
+  if (driver === 'fs') {
+    return createFsStorage({ root: config.STORAGE_ROOT });
+  }
+
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: config.S3_BUCKET || DEFAULT_BUCKET,
+      accessKeyId: config.S3_ACCESS_KEY_ID,
+      secretAccessKey: config.S3_SECRET_ACCESS_KEY,
+      endpoint: config.S3_DEF_URL
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER: ${config.STORAGE_DRIVER}`);
+}
+
+module.exports = { createStorage };
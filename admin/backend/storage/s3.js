@@ -0,0 +1,93 @@
+/**
+ * S3 storage driver (Cloudflare R2 or any S3-compatible endpoint)
+ *
+ * Conditional writes need @aws-sdk/client-s3 3.919 or later: older clients
+ * drop IfMatch on PutObject and DeleteObject (before 3.700) and IfNoneMatch on
+ * CopyObject without an error (s3.test.js).
+ */
+
+const {
+  S3Client,
+  HeadObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Create an S3-backed storage driver
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.accessKeyId - S3 access key id
+ * @param {string} options.secretAccessKey - S3 secret access key
+ * @param {string} options.endpoint - S3 endpoint URL
+ * @returns {Object} Storage driver
+ */
+function createS3Storage({ bucket, accessKeyId, secretAccessKey, endpoint }) {
+  if (!accessKeyId || !secretAccessKey || !endpoint) {
+    throw new Error('S3 storage requires S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and S3_DEF_URL');
+  }
+
+  const client = new S3Client({
+    credentials: { accessKeyId, secretAccessKey },
+    endpoint,
+    forcePathStyle: true,
+    region: 'auto' // Cloudflare R2 uses 'auto' region
+  });
+
+  return {
+    name: 's3',
+    bucket,
+
+    head(key) {
+      return client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    get(key, { range } = {}) {
+      return client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: range }));
+    },
+
+    list(prefix, { delimiter, continuationToken, startAfter, maxKeys = 1000 } = {}) {
+      return client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        Delimiter: delimiter,
+        ContinuationToken: continuationToken,
+        StartAfter: startAfter,
+        MaxKeys: maxKeys
+      }));
+    },
+
+    put(key, body, { ifMatch, ...options } = {}) {
+      return client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        IfMatch: ifMatch,
+        ...options
+      }));
+    },
+
+    async copy(sourceKey, key, { ifMatch, ifNoneMatch, ...options } = {}) {
+      const result = await client.send(new CopyObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        CopySource: `${bucket}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`,
+        CopySourceIfMatch: ifMatch,
+        IfNoneMatch: ifNoneMatch,
+        MetadataDirective: 'REPLACE',
+        ...options
+      }));
+      return { ETag: result.CopyObjectResult?.ETag };
+    },
+
+    async delete(key, { ifMatch } = {}) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key, IfMatch: ifMatch }));
+      return {};
+    }
+  };
+}
+
+module.exports = { createS3Storage };
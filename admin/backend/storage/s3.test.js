@@ -0,0 +1,122 @@
+/**
+ * S3 driver tests: conditional headers must reach the wire
+ *
+ * The driver talks to a local HTTP server that records every request, so an
+ * SDK that silently drops IfMatch/CopySourceIfMatch fails here instead of
+ * turning conditional writes into blind overwrites.
+ */
+
+const http = require('http');
+const { createS3Storage } = require('./s3.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+const ETAG = '"0123456789abcdef0123456789abcdef"';
+
+// Minimal S3 endpoint: answers writes with success and records method, path and headers
+function startFakeS3() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers });
+      if (req.method === 'DELETE') {
+        res.writeHead(204);
+        return res.end();
+      }
+      if (req.headers['x-amz-copy-source']) {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(`<?xml version="1.0" encoding="UTF-8"?><CopyObjectResult><ETag>${ETAG}</ETag></CopyObjectResult>`);
+      }
+      res.writeHead(200, { ETag: ETAG });
+      res.end();
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port }));
+  });
+}
+
+async function run() {
+  const { server, requests, port } = await startFakeS3();
+  const storage = createS3Storage({
+    bucket: 'test-bucket',
+    accessKeyId: 'test',
+    secretAccessKey: 'test',
+    endpoint: `http://127.0.0.1:${port}`
+  });
+  const last = () => requests[requests.length - 1];
+
+  try {
+    // ==================== CONDITIONAL WRITES ====================
+
+    section('1. Conditional Header Tests');
+
+    await storage.put('org/site/a.html', '<p>a</p>', { ContentType: 'text/html', ifMatch: ETAG });
+    assert(last().method === 'PUT' && last().url.startsWith('/test-bucket/org/site/a.html'), 'put sends PutObject');
+    assert(last().headers['if-match'] === ETAG, 'put ifMatch is sent as If-Match');
+
+    await storage.put('org/site/b.html', '<p>b</p>', { ContentType: 'text/html' });
+    assert(last().headers['if-match'] === undefined, 'Unconditional put sends no If-Match');
+
+    const copied = await storage.copy('org/site/.trash/a.html', 'org/site/a.html', { ContentType: 'text/html', ifMatch: ETAG });
+    assert(last().headers['x-amz-copy-source'] === 'test-bucket/org/site/.trash/a.html', 'copy sends CopyObject');
+    assert(last().headers['x-amz-copy-source-if-match'] === ETAG, 'copy ifMatch is sent as x-amz-copy-source-if-match');
+    assert(copied.ETag === ETAG, 'copy returns the new ETag');
+
+    await storage.copy('org/site/.trash/a.html', 'org/site/a.html', { ContentType: 'text/html', ifNoneMatch: '*' });
+    assert(last().headers['if-none-match'] === '*', 'copy ifNoneMatch is sent as If-None-Match');
+
+    await storage.delete('org/site/.trash/a.html', { ifMatch: ETAG });
+    assert(last().method === 'DELETE', 'delete sends DeleteObject');
+    assert(last().headers['if-match'] === ETAG, 'delete ifMatch is sent as If-Match');
+  } finally {
+    server.close();
+  }
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
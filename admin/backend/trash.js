@@ -0,0 +1,68 @@
+/**
+ * Helpers for browsing and restoring `.trash` folders
+ *
+ * DA moves deleted documents into the `.trash` folder of their repo, so
+ * `org/repo/.trash/en/about.html` was most likely `org/repo/en/about.html`.
+ * A `path` entry in the object's Metadata, when present and pointing into
+ * the same repo, wins over the location.
+ */
+
+const TRASH_FOLDER = '.trash';
+
+// org and repo segments of a trash key: org/repo/.trash/<rest>
+const TRASH_KEY = /^([^/]+)\/([^/]+)\/\.trash\/(.+)$/;
+
+/**
+ * Prefix of the trash folder of an org/repo
+ * @param {string} org - Organization
+ * @param {string} repo - Repository (site)
+ * @returns {string} Prefix ending with '/'
+ */
+function getTrashPrefix(org, repo) {
+  return `${org}/${repo}/${TRASH_FOLDER}/`;
+}
+
+/**
+ * Parse a trash key
+ * @param {string} key - Object key
+ * @returns {{org: string, repo: string, name: string}|null} Parts, null if the key is not in a repo's trash
+ */
+function parseTrashKey(key) {
+  const match = TRASH_KEY.exec(key);
+  if (!match || match[3].endsWith('/')) return null;
+  return { org: match[1], repo: match[2], name: match[3] };
+}
+
+/**
+ * Whether a key can hold a live document (not a folder, snapshot or trash entry)
+ * @param {string} key - Object key
+ * @returns {boolean} True for restorable targets
+ */
+function isDocumentKey(key) {
+  const segments = key.split('/');
+  return segments.length >= 3 &&
+    segments.every(Boolean) &&
+    !segments.some(segment => segment === '.da-versions' || segment === TRASH_FOLDER || segment === '..');
+}
+
+/**
+ * Infer where a trashed object lived before it was deleted
+ * @param {string} key - Trash key (org/repo/.trash/...)
+ * @param {Object} [metadata] - Custom Metadata of the trashed object
+ * @returns {{key: string, source: 'metadata'|'location'}|null} Original key and how it was found
+ */
+function inferOriginalKey(key, metadata = {}) {
+  const parsed = parseTrashKey(key);
+  if (!parsed) return null;
+  const repoPrefix = `${parsed.org}/${parsed.repo}/`;
+
+  if (typeof metadata.path === 'string') {
+    const fromMetadata = metadata.path.replace(/^\/+/, '').toLowerCase();
+    if (fromMetadata.startsWith(repoPrefix) && isDocumentKey(fromMetadata)) {
+      return { key: fromMetadata, source: 'metadata' };
+    }
+  }
+  return { key: `${repoPrefix}${parsed.name}`, source: 'location' };
+}
+
+module.exports = { getTrashPrefix, parseTrashKey, isDocumentKey, inferOriginalKey };
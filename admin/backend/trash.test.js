@@ -0,0 +1,124 @@
+/**
+ * Tests for the .trash key helpers
+ */
+
+const { getTrashPrefix, parseTrashKey, isDocumentKey, inferOriginalKey } = require('./trash.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+const SNAPSHOT = '6f1e2d3c-aaaa-4bbb-8ccc-123456789abc.html';
+const VERSIONS_PATH = 'kptdobe/site/.da-versions/0a1b2c3d-1111-4222-8333-444455556666/';
+
+// audit.txt lines in the layouts DA has written over time
+async function run() {
+  // ==================== TRASH KEYS ====================
+
+  section('1. Trash Key Tests');
+
+  assert(getTrashPrefix('kptdobe', 'site') === 'kptdobe/site/.trash/', 'The trash prefix is org/repo/.trash/');
+  assertDeepEqual(parseTrashKey('kptdobe/site/.trash/en/about.html'), { org: 'kptdobe', repo: 'site', name: 'en/about.html' },
+    'A trash key is split into org, repo and name');
+  assertDeepEqual(parseTrashKey('kptdobe/site/.trash/.trash/x.html'), { org: 'kptdobe', repo: 'site', name: '.trash/x.html' },
+    'A nested .trash folder is part of the name');
+  assert(parseTrashKey('kptdobe/site/.trash/en/') === null, 'A folder in the trash is not an entry');
+  assert(parseTrashKey('kptdobe/site/.trash/') === null, 'The trash folder itself is not an entry');
+  assert(parseTrashKey('kptdobe/.trash/about.html') === null, 'An org-level .trash is not a repo trash');
+  assert(parseTrashKey('kptdobe/site/en/.trash/about.html') === null, 'A .trash folder below the repo root is not the repo trash');
+  assert(parseTrashKey('/kptdobe/site/.trash/about.html') === null, 'Keys have no leading slash');
+
+  // ==================== DOCUMENT KEYS ====================
+
+  section('2. Document Key Tests');
+
+  assert(isDocumentKey('kptdobe/site/about.html') && isDocumentKey('kptdobe/site/en/blog/post.html'), 'Keys inside a repo are documents');
+  assert(!isDocumentKey('kptdobe/about.html'), 'A file at the org root is not a document');
+  assert(!isDocumentKey('kptdobe/site/en/'), 'A folder is not a document');
+  assert(!isDocumentKey('kptdobe/site//about.html'), 'Empty segments are refused');
+  assert(!isDocumentKey('kptdobe/site/.da-versions/id/1.html'), 'Snapshots are not documents');
+  assert(!isDocumentKey('kptdobe/site/.trash/about.html'), 'Trash entries are not documents');
+  assert(!isDocumentKey('kptdobe/site/../other/about.html'), '.. segments are refused');
+
+  // ==================== ORIGINAL KEYS ====================
+
+  section('3. Original Key Tests');
+
+  const KEY = 'kptdobe/site/.trash/en/about.html';
+
+  assertDeepEqual(inferOriginalKey(KEY), { key: 'kptdobe/site/en/about.html', source: 'location' },
+    'Without metadata the entry goes back to its location in the trash');
+  assertDeepEqual(inferOriginalKey(KEY, { path: '/KptDobe/Site/en/old/About.html' }),
+    { key: 'kptdobe/site/en/old/about.html', source: 'metadata' }, 'A metadata path in the repo wins, normalized');
+  assertDeepEqual(inferOriginalKey(KEY, { path: 'kptdobe/other/en/about.html' }), { key: 'kptdobe/site/en/about.html', source: 'location' },
+    'A metadata path in another repo is ignored');
+  assertDeepEqual(inferOriginalKey(KEY, { path: 'kptdobe/site/../other/x.html' }), { key: 'kptdobe/site/en/about.html', source: 'location' },
+    'A metadata path climbing out of the repo is ignored');
+  assertDeepEqual(inferOriginalKey(KEY, { path: 'kptdobe/site/.trash/en/about.html' }), { key: 'kptdobe/site/en/about.html', source: 'location' },
+    'A metadata path into the trash is ignored');
+  assertDeepEqual(inferOriginalKey(KEY, { path: 42 }), { key: 'kptdobe/site/en/about.html', source: 'location' },
+    'A metadata path that is not a string is ignored');
+  assertDeepEqual(inferOriginalKey('kptdobe/site/.trash/.trash/x.html'), { key: 'kptdobe/site/.trash/x.html', source: 'location' },
+    'A nested trash entry maps into the trash, which the restore route refuses as a target');
+  assert(!isDocumentKey(inferOriginalKey('kptdobe/site/.trash/.trash/x.html').key), 'That target is not a document key');
+  assert(inferOriginalKey('kptdobe/site/en/about.html') === null, 'A key outside the trash has no original key');
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -0,0 +1,217 @@
+/**
+ * audit.txt parsing and version timeline
+ *
+ * DA appends one line per change to `org/repo/.da-versions/<id>/audit.txt`.
+ * The line layout has changed over time (tab or pipe separated fields, JSON
+ * lines), so fields are recognised by shape rather than position:
+ *   - timestamp: ISO date or epoch seconds/milliseconds
+ *   - users: JSON array/object (`[{"email":"..."}]`) or comma separated emails
+ *   - version path: anything pointing into `.da-versions/` or at a snapshot file
+ *   - action: the remaining free-text field (e.g. "save", "restore")
+ * Lines that cannot be parsed are kept with their raw text.
+ */
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const EPOCH = /^\d{10}(\d{3})?$/;
+const EMAIL = /^[^\s@,]+@[^\s@,]+$/;
+const SNAPSHOT_FILE = /(^|\/)[0-9a-f-]{8,}\.[a-z0-9]+$/i;
+
+/**
+ * Parse a timestamp field
+ * @param {string|number} value - ISO date string or epoch seconds/milliseconds
+ * @returns {string|null} ISO timestamp, null if the value is not a timestamp
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return new Date(value < 1e12 ? value * 1000 : value).toISOString();
+  }
+  const text = String(value).trim();
+  if (EPOCH.test(text)) {
+    return parseTimestamp(Number(text));
+  }
+  if (ISO_DATE.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  return null;
+}
+
+/**
+ * Parse a users field into a list of user names/emails
+ * @param {*} value - JSON string, array of `{email}` objects, or comma separated emails
+ * @returns {string[]|null} Users, null if the value does not look like users
+ */
+function parseUsers(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map(user => (typeof user === 'string' ? user : user?.email || user?.name || user?.id))
+      .filter(Boolean)
+      .map(String);
+  }
+  if (value && typeof value === 'object') {
+    return parseUsers([value]);
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  if (text.startsWith('[') || text.startsWith('{')) {
+    try {
+      return parseUsers(JSON.parse(text));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+  return parts.length > 0 && parts.every(part => EMAIL.test(part) || part === 'anonymous')
+    ? parts
+    : null;
+}
+
+/**
+ * Check whether a field refers to a version snapshot
+ * @param {string} value - Field text
+ * @returns {boolean} True for `.da-versions/` paths and snapshot file names
+ */
+function isVersionPath(value) {
+  return value.includes('.da-versions/') || SNAPSHOT_FILE.test(value);
+}
+
+/**
+ * Parse a JSON audit line
+ * @param {Object} record - Parsed JSON line
+ * @returns {Object} Entry fields
+ */
+function fromRecord(record) {
+  const timestampValue = record.timestamp ?? record.time ?? record.date;
+  const versionPath = record.versionPath ?? record.version ?? record.path ?? null;
+  return {
+    timestamp: timestampValue !== undefined ? parseTimestamp(timestampValue) : null,
+    users: parseUsers(record.users ?? record.user ?? []) || [],
+    action: record.action ?? record.label ?? null,
+    versionPath: typeof versionPath === 'string' && isVersionPath(versionPath) ? versionPath : null
+  };
+}
+
+/**
+ * Parse a delimited audit line, recognising fields by shape
+ * @param {string} line - Audit line
+ * @returns {Object} Entry fields
+ */
+function fromFields(line) {
+  const separator = line.includes('\t') ? '\t' : line.includes(' | ') ? ' | ' : null;
+  const fields = separator
+    ? line.split(separator).map(field => field.trim()).filter(Boolean)
+    : line.split(/\s+/);
+
+  const entry = { timestamp: null, users: [], action: null, versionPath: null };
+  const rest = [];
+  let usersFound = false;
+
+  for (const field of fields) {
+    const timestamp = entry.timestamp ? null : parseTimestamp(field);
+    if (timestamp) {
+      entry.timestamp = timestamp;
+      continue;
+    }
+    const users = usersFound ? null : parseUsers(field);
+    if (users) {
+      entry.users = users;
+      usersFound = true;
+      continue;
+    }
+    if (!entry.versionPath && isVersionPath(field)) {
+      entry.versionPath = field;
+      continue;
+    }
+    rest.push(field);
+  }
+
+  entry.action = rest.length > 0 ? rest.join(' ') : null;
+  return entry;
+}
+
+/**
+ * Parse audit.txt content into entries
+ * @param {string} text - audit.txt content
+ * @returns {Array<{line: number, timestamp: string|null, users: string[], action: string|null, versionPath: string|null, raw: string}>}
+ */
+function parseAuditLog(text) {
+  if (!text) return [];
+
+  const entries = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    let fields = null;
+    if (line.startsWith('{')) {
+      try {
+        fields = fromRecord(JSON.parse(line));
+      } catch (e) {
+        // Not JSON after all, fall back to field detection
+      }
+    }
+
+    entries.push({ line: index + 1, ...(fields || fromFields(line)), raw });
+  });
+  return entries;
+}
+
+/**
+ * Merge version snapshots and audit entries into one chronological timeline.
+ * Audit entries naming a snapshot are folded into that snapshot's event.
+ * @param {Object[]} versions - Versions as returned by /api/versions
+ * @param {Object[]} auditEntries - Entries from parseAuditLog
+ * @returns {Object[]} Timeline events, newest first
+ */
+function buildTimeline(versions, auditEntries) {
+  const byFilename = new Map();
+  const events = versions.map(version => {
+    const event = {
+      type: 'snapshot',
+      timestamp: parseTimestamp(version.metadata?.timestamp ?? '') || new Date(version.lastModified).toISOString(),
+      users: parseUsers(version.metadata?.users ?? '') || [],
+      action: null,
+      label: version.metadata?.label || null,
+      versionKey: version.key,
+      location: version.location,
+      auditLine: null,
+      raw: null
+    };
+    byFilename.set(version.filename, event);
+    return event;
+  });
+
+  for (const entry of auditEntries) {
+    const snapshot = entry.versionPath ? byFilename.get(entry.versionPath.split('/').pop()) : null;
+    if (snapshot && snapshot.auditLine === null) {
+      snapshot.action = entry.action;
+      snapshot.auditLine = entry.line;
+      if (snapshot.users.length === 0) snapshot.users = entry.users;
+      continue;
+    }
+
+    events.push({
+      type: 'audit',
+      timestamp: entry.timestamp,
+      users: entry.users,
+      action: entry.action,
+      label: null,
+      versionKey: null,
+      location: null,
+      auditLine: entry.line,
+      raw: entry.raw
+    });
+  }
+
+  // Newest first; entries without a timestamp keep file order at the end
+  return events.sort((a, b) => {
+    if (a.timestamp && b.timestamp) return b.timestamp.localeCompare(a.timestamp);
+    if (a.timestamp) return -1;
+    if (b.timestamp) return 1;
+    return (a.auditLine ?? 0) - (b.auditLine ?? 0);
+  });
+}
+
+module.exports = { parseAuditLog, parseUsers, parseTimestamp, buildTimeline };
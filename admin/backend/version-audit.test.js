@@ -0,0 +1,187 @@
+/**
+ * Tests for audit.txt parsing and the version timeline
+ */
+
+const { parseAuditLog, parseUsers, parseTimestamp, buildTimeline } = require('./version-audit.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+const SNAPSHOT = '6f1e2d3c-aaaa-4bbb-8ccc-123456789abc.html';
+const VERSIONS_PATH = 'kptdobe/site/.da-versions/0a1b2c3d-1111-4222-8333-444455556666/';
+
+// audit.txt lines in the layouts DA has written over time
+const AUDIT_TXT = [
+  `1729000000000\t[{"email":"anne@example.com"},{"email":"ben@example.com"}]\tsave\t${VERSIONS_PATH}${SNAPSHOT}`,
+  '2024-10-16T08:30:00.000Z | carla@example.com, dan@example.com | restore',
+  '{"timestamp":1729100000,"users":[{"email":"anne@example.com"}],"action":"publish","versionPath":"7e2f.html"}',
+  '{"timestamp": broken json',
+  'garbage line without fields',
+  '',
+  '   ',
+  '1729200000\tanonymous\tpreview',
+  'not-a-date\tnobody\tsave'
+].join('\r\n');
+
+// A version as /api/versions returns it
+const version = (filename, lastModified, metadata = {}) => ({
+  key: `${VERSIONS_PATH}${filename}`,
+  filename,
+  lastModified,
+  metadata,
+  location: 'new'
+});
+
+async function run() {
+  // ==================== FIELD PARSERS ====================
+
+  section('1. Field Parser Tests');
+
+  assert(parseTimestamp('1729000000') === '2024-10-15T13:46:40.000Z', 'Epoch seconds are parsed');
+  assert(parseTimestamp('1729000000000') === '2024-10-15T13:46:40.000Z', 'Epoch milliseconds are parsed');
+  assert(parseTimestamp(1729000000) === '2024-10-15T13:46:40.000Z', 'Numeric epochs are parsed');
+  assert(parseTimestamp('2024-10-16 08:30:00+02:00') === '2024-10-16T06:30:00.000Z', 'ISO dates with an offset are normalized to UTC');
+  assert(parseTimestamp('2024-13-45') === null, 'An impossible date is not a timestamp');
+  assert(parseTimestamp('save') === null && parseTimestamp('12345') === null, 'Words and short numbers are not timestamps');
+
+  assertDeepEqual(parseUsers('[{"email":"a@example.com"},{"name":"Bob"},{"id":7},{}]'), ['a@example.com', 'Bob', '7'],
+    'JSON user lists use email, then name, then id');
+  assertDeepEqual(parseUsers({ email: 'a@example.com' }), ['a@example.com'], 'A single user object is a list of one');
+  assertDeepEqual(parseUsers('a@example.com, b@example.com'), ['a@example.com', 'b@example.com'], 'Comma separated emails are users');
+  assertDeepEqual(parseUsers('anonymous'), ['anonymous'], 'anonymous is a user');
+  assert(parseUsers('save') === null && parseUsers('a@example.com, save') === null, 'Other words are not users');
+  assert(parseUsers('[not json') === null && parseUsers(42) === null, 'Broken JSON and numbers are not users');
+
+  // ==================== PARSE AUDIT LOG ====================
+
+  section('2. parseAuditLog Tests');
+
+  const entries = parseAuditLog(AUDIT_TXT);
+  assertDeepEqual(entries.map(entry => entry.line), [1, 2, 3, 4, 5, 8, 9], 'Blank lines are skipped, line numbers count them');
+  assertDeepEqual(entries[0], {
+    line: 1,
+    timestamp: '2024-10-15T13:46:40.000Z',
+    users: ['anne@example.com', 'ben@example.com'],
+    action: 'save',
+    versionPath: `${VERSIONS_PATH}${SNAPSHOT}`,
+    raw: AUDIT_TXT.split('\r\n')[0]
+  }, 'A tab separated line with several users and a snapshot path is parsed');
+  assertDeepEqual([entries[1].timestamp, entries[1].users, entries[1].action, entries[1].versionPath],
+    ['2024-10-16T08:30:00.000Z', ['carla@example.com', 'dan@example.com'], 'restore', null],
+    'A pipe separated line with comma separated users is parsed');
+  assertDeepEqual([entries[2].timestamp, entries[2].users, entries[2].action, entries[2].versionPath],
+    ['2024-10-16T17:33:20.000Z', ['anne@example.com'], 'publish', null],
+    'A JSON line is parsed, a short name is not taken for a snapshot');
+  assertDeepEqual([entries[5].users, entries[5].action], [['anonymous'], 'preview'], 'An anonymous change is parsed');
+
+  const malformed = entries.filter(entry => [4, 5, 9].includes(entry.line));
+  assert(malformed.every(entry => entry.timestamp === null && entry.users.length === 0 && entry.versionPath === null),
+    'Malformed lines have no timestamp, users or version');
+  assertDeepEqual(malformed.map(entry => entry.raw), ['{"timestamp": broken json', 'garbage line without fields', 'not-a-date\tnobody\tsave'],
+    'Malformed lines keep their raw text');
+  assert(entries[3].action === '{"timestamp": broken json', 'Broken JSON falls back to field detection');
+
+  assertDeepEqual(parseAuditLog(''), [], 'An empty audit.txt has no entries');
+  assertDeepEqual(parseAuditLog(null), [], 'A missing audit.txt has no entries');
+  assertDeepEqual(parseAuditLog('\n\r\n  \n'), [], 'An audit.txt of blank lines has no entries');
+
+  // ==================== BUILD TIMELINE ====================
+
+  section('3. buildTimeline Tests');
+
+  const versions = [
+    version(SNAPSHOT, '2024-10-15T13:46:41.000Z', { timestamp: '1729000000000', label: 'Before restore' }),
+    version('1a2b3c4d-0000-4000-8000-000000000000.html', '2024-10-17T10:00:00.000Z',
+      { users: '[{"email":"erin@example.com"}]' })
+  ];
+  const timeline = buildTimeline(versions, entries);
+
+  assert(timeline.length === 8, 'One event per snapshot and per audit line not folded into a snapshot');
+  const folded = timeline.find(event => event.versionKey === `${VERSIONS_PATH}${SNAPSHOT}`);
+  assertDeepEqual([folded.type, folded.action, folded.auditLine, folded.label, folded.timestamp],
+    ['snapshot', 'save', 1, 'Before restore', '2024-10-15T13:46:40.000Z'],
+    'An audit line naming a snapshot is folded into the snapshot event');
+  assertDeepEqual(folded.users, ['anne@example.com', 'ben@example.com'], 'A snapshot without users takes the audit line\'s users');
+  assert(!timeline.some(event => event.type === 'audit' && event.auditLine === 1), 'The folded audit line is not listed again');
+
+  const other = timeline.find(event => event.versionKey === versions[1].key);
+  assertDeepEqual([other.timestamp, other.users, other.action], ['2024-10-17T10:00:00.000Z', ['erin@example.com'], null],
+    'A snapshot without a timestamp uses its LastModified and keeps its own users');
+
+  assertDeepEqual(timeline.map(event => event.auditLine ?? event.type), [8, 'snapshot', 3, 2, 1, 4, 5, 9],
+    'Events are newest first, entries without a timestamp follow in file order');
+  const audit = timeline.find(event => event.auditLine === 2);
+  assertDeepEqual([audit.type, audit.versionKey, audit.raw], ['audit', null, AUDIT_TXT.split('\r\n')[1]],
+    'Other audit lines are audit events with their raw text');
+
+  const twice = buildTimeline([version(SNAPSHOT, '2024-10-15T13:46:40.500Z', { users: 'zoe@example.com' })], parseAuditLog([
+    `1729000000000\tanne@example.com\tsave\t${SNAPSHOT}`,
+    `1729000001000\tben@example.com\trestore\t${SNAPSHOT}`
+  ].join('\n')));
+  assertDeepEqual(twice.map(event => [event.type, event.auditLine, event.users]),
+    [['audit', 2, ['ben@example.com']], ['snapshot', 1, ['zoe@example.com']]],
+    'Only the first line naming a snapshot is folded, the snapshot keeps its own users');
+
+  assertDeepEqual(buildTimeline([], []), [], 'No versions and an empty audit.txt give an empty timeline');
+  assertDeepEqual(buildTimeline([], parseAuditLog('garbage')).map(event => [event.type, event.raw]), [['audit', 'garbage']],
+    'An audit.txt without snapshots still gives a timeline');
+}
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -2,6 +2,14 @@ import React, { useState, useEffect } from 'react';
 import './App.css';
 import DocumentViewer from './components/DocumentViewer';
 import VersionsList from './components/VersionsList';
+import { TimelineEvent } from './components/VersionTimeline';
+import FolderBrowser from './components/FolderBrowser';
+import LoginForm, { AuthUser } from './components/LoginForm';
+import AuditLogView from './components/AuditLogView';
+import SearchPage from './components/SearchPage';
+import JobsPanel from './components/JobsPanel';
+import TrashBrowser from './components/TrashBrowser';
+import UsageView from './components/UsageView';
 
 interface DocumentData {
   metadata: {
@@ -34,7 +42,9 @@ interface DocumentData {
     detectedEncoding: string;
     hasBOM: boolean;
   };
-  content: string;
+  content: string | null;
+  contentOmitted?: boolean;
+  contentUrl?: string;
   isTextContent: boolean;
   contentType: string;
   textAnalysis?: {
@@ -60,8 +70,10 @@ interface Version {
 function App() {
   const [documentPath, setDocumentPath] = useState('');
   const [documentData, setDocumentData] = useState<DocumentData | null>(null);
+  const [documentKey, setDocumentKey] = useState<string | null>(null);
   const [versions, setVersions] = useState<Version[]>([]);
   const [auditContent, setAuditContent] = useState<string | null>(null);
+  const [timeline, setTimeline] = useState<TimelineEvent[]>([]);
   const [loading, setLoading] = useState(false);
   const [versionsLoading, setVersionsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -69,6 +81,37 @@ function App() {
   const [selectedVersionPath, setSelectedVersionPath] = useState<string | null>(null);
   const [urlHistory, setUrlHistory] = useState<string[]>([]);
   const [showHistory, setShowHistory] = useState(false);
+  const [confirmRestore, setConfirmRestore] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [successMessage, setSuccessMessage] = useState<string | null>(null);
+  const [browsePrefix, setBrowsePrefix] = useState<string | null>(null);
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [authEnabled, setAuthEnabled] = useState(true);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [view, setView] = useState<'documents' | 'search' | 'jobs' | 'trash' | 'usage' | 'audit'>('documents');
+
+  // Editors and admins can change metadata and restore versions
+  const canEdit = user !== null && (user.role === 'editor' || user.role === 'admin');
+  const isAdmin = user !== null && user.role === 'admin';
+
+  // Check for an existing session (auth cookie) on mount
+  useEffect(() => {
+    const checkSession = async () => {
+      try {
+        const response = await fetch('/api/me');
+        const result = await response.json();
+        if (result.success) {
+          setUser(result.user);
+          setAuthEnabled(result.authEnabled);
+        }
+      } catch (e) {
+        console.warn('Failed to check session:', e);
+      } finally {
+        setAuthChecked(true);
+      }
+    };
+    checkSession();
+  }, []);
 
   // Load document path and URL history from localStorage on component mount
   useEffect(() => {
@@ -186,28 +229,18 @@ function App() {
     return path;
   };
 
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
-    if (!documentPath.trim()) return;
-
-    // Add to URL history
-    addToHistory(documentPath);
-
-    // Extract the actual document path from various URL formats
-    const extractedPath = extractDocumentPath(documentPath);
-    
-    if (!extractedPath) {
-      setError('Invalid document path format');
-      return;
-    }
-
+  // Fetch a document and its versions, resetting any previous selection
+  const loadDocument = async (extractedPath: string) => {
     setLoading(true);
     setError(null);
     setDocumentData(null);
+    setDocumentKey(null);
     setVersions([]);
     setAuditContent(null);
+    setTimeline([]);
     setSelectedVersion(null);
     setSelectedVersionPath(null);
+    setConfirmRestore(false);
 
     try {
       // Fetch document data using the extracted path
@@ -219,6 +252,7 @@ function App() {
       }
 
       setDocumentData(docResult);
+      setDocumentKey(extractedPath);
 
       // Fetch versions using the extracted path
       setVersionsLoading(true);
@@ -229,6 +263,7 @@ function App() {
         if (versionsResult.success) {
           setVersions(versionsResult.versions);
           setAuditContent(versionsResult.auditContent || null);
+          setTimeline(versionsResult.timeline || []);
         }
       } finally {
         setVersionsLoading(false);
@@ -240,6 +275,44 @@ function App() {
     }
   };
 
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!documentPath.trim()) return;
+    setView('documents');
+
+    // Add to URL history
+    addToHistory(documentPath);
+
+    // Extract the actual document path from various URL formats
+    const extractedPath = extractDocumentPath(documentPath);
+    
+    if (!extractedPath) {
+      setError('Invalid document path format');
+      return;
+    }
+
+    setSuccessMessage(null);
+    await loadDocument(extractedPath);
+  };
+
+  // Open the folder browser on the folder of the current (or typed) document
+  const toggleBrowser = () => {
+    if (browsePrefix !== null) {
+      setBrowsePrefix(null);
+      return;
+    }
+    const currentPath = documentKey || extractDocumentPath(documentPath);
+    setBrowsePrefix(currentPath.substring(0, currentPath.lastIndexOf('/') + 1));
+  };
+
+  const handleOpenFile = async (key: string) => {
+    setView('documents');
+    setDocumentPath(key);
+    addToHistory(key);
+    setSuccessMessage(null);
+    await loadDocument(key);
+  };
+
   const handleVersionPreview = async (versionPath: string) => {
     try {
       // Pass the original document's content type as a query parameter
@@ -255,15 +328,121 @@ function App() {
 
       setSelectedVersion(result);
       setSelectedVersionPath(versionPath);
+      setConfirmRestore(false);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to preview version');
     }
   };
 
+  const handleRestore = async () => {
+    if (!documentKey || !selectedVersionPath) return;
+
+    setRestoring(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          path: documentKey,
+          versionKey: selectedVersionPath,
+          etag: documentData?.metadata.etag
+        })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to restore version');
+      }
+
+      await loadDocument(documentKey);
+      setSuccessMessage(`Restored ${result.restoredFrom}. Previous content saved as ${result.backupKey}.`);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to restore version');
+    } finally {
+      setRestoring(false);
+      setConfirmRestore(false);
+    }
+  };
+
+  const handleMetadataSaved = async () => {
+    if (!documentKey) return;
+    await loadDocument(documentKey);
+    setSuccessMessage(`Metadata of ${documentKey} updated.`);
+  };
+
+  const handleLogout = async () => {
+    await fetch('/api/logout', { method: 'POST' });
+    setUser(null);
+    setView('documents');
+    setDocumentData(null);
+    setSelectedVersion(null);
+  };
+
+  if (!authChecked || !user) {
+    return (
+      <div className="App">
+        <header className="App-header">
+          <h1>S3 Document Admin</h1>
+        </header>
+        <main className="App-main">
+          {authChecked && <LoginForm onLoggedIn={setUser} />}
+        </main>
+      </div>
+    );
+  }
+
   return (
     <div className="App">
       <header className="App-header">
         <h1>S3 Document Admin</h1>
+        {authEnabled && (
+          <div className="user-bar">
+            <span>👤 {user.name} <span className="user-role">{user.role}</span></span>
+            <button onClick={handleLogout} className="logout-button">Log out</button>
+          </div>
+        )}
+        <nav className="view-nav">
+          <button
+            className={`indent-toggle ${view === 'documents' ? 'active' : ''}`}
+            onClick={() => setView('documents')}
+          >
+            Documents
+          </button>
+          <button
+            className={`indent-toggle ${view === 'search' ? 'active' : ''}`}
+            onClick={() => setView('search')}
+          >
+            🔎 Search
+          </button>
+          <button
+            className={`indent-toggle ${view === 'jobs' ? 'active' : ''}`}
+            onClick={() => setView('jobs')}
+          >
+            ⚙️ Jobs
+          </button>
+          <button
+            className={`indent-toggle ${view === 'trash' ? 'active' : ''}`}
+            onClick={() => setView('trash')}
+          >
+            🗑️ Trash
+          </button>
+          <button
+            className={`indent-toggle ${view === 'usage' ? 'active' : ''}`}
+            onClick={() => setView('usage')}
+          >
+            📊 Usage
+          </button>
+          {isAdmin && (
+            <button
+              className={`indent-toggle ${view === 'audit' ? 'active' : ''}`}
+              onClick={() => setView('audit')}
+            >
+              Audit log
+            </button>
+          )}
+        </nav>
         <form onSubmit={handleSubmit} className="document-form">
           <div className="form-group">
             <label htmlFor="documentPath">Document Path:</label>
@@ -329,56 +508,156 @@ function App() {
               ⚠️ File extension (.html, .json, etc.) must be included in the path
             </small>
           </div>
-          <button type="submit" disabled={loading}>
-            {loading ? 'Loading...' : 'Load Document'}
-          </button>
+          <div className="form-actions">
+            <button type="submit" disabled={loading}>
+              {loading ? 'Loading...' : 'Load Document'}
+            </button>
+            <button type="button" onClick={toggleBrowser} className="browse-toggle">
+              {browsePrefix !== null ? 'Hide Browser' : '📁 Browse'}
+            </button>
+          </div>
         </form>
       </header>
 
-      <main className="App-main">
-        {error && (
-          <div className="error-message">
-            <h3>Error:</h3>
-            <p>{error}</p>
+      {view === 'search' ? (
+        <main className="App-main">
+          <div className="search-section">
+            <h2>Search Content</h2>
+            <SearchPage
+              initialPrefix={documentKey ? documentKey.split('/').slice(0, 2).join('/') : ''}
+              onOpenDocument={handleOpenFile}
+            />
           </div>
-        )}
-
-        {documentData && (
-          <div className="document-section">
-            <h2>Document</h2>
-            <DocumentViewer document={documentData} />
+        </main>
+      ) : view === 'jobs' ? (
+        <main className="App-main">
+          <div className="jobs-section">
+            <h2>Jobs</h2>
+            <JobsPanel user={user} />
           </div>
-        )}
+        </main>
+      ) : view === 'trash' ? (
+        <main className="App-main">
+          <div className="trash-section">
+            <h2>Trash</h2>
+            <TrashBrowser
+              initialPrefix={documentKey ? documentKey.split('/').slice(0, 2).join('/') : ''}
+              canRestore={canEdit}
+              onOpenDocument={handleOpenFile}
+            />
+          </div>
+        </main>
+      ) : view === 'usage' ? (
+        <main className="App-main">
+          <div className="usage-section">
+            <h2>Storage Usage</h2>
+            <UsageView initialPrefix={documentKey ? documentKey.split('/')[0] : ''} />
+          </div>
+        </main>
+      ) : view === 'audit' && isAdmin ? (
+        <main className="App-main">
+          <div className="audit-section">
+            <h2>Audit Log</h2>
+            <AuditLogView onOpenDocument={handleOpenFile} />
+          </div>
+        </main>
+      ) : (
+        <main className="App-main">
+          {error && (
+            <div className="error-message">
+              <h3>Error:</h3>
+              <p>{error}</p>
+            </div>
+          )}
+
+          {browsePrefix !== null && (
+            <div className="browser-section">
+              <h2>Browse</h2>
+              <FolderBrowser
+                initialPrefix={browsePrefix}
+                onOpenFile={handleOpenFile}
+                selectedKey={documentKey}
+              />
+            </div>
+          )}
 
-        {documentData && (
-          <div className="versions-container">
-            <div className="versions-section">
-              <h2>Versions {versionsLoading ? <span className="versions-spinner" /> : `(${versions.length})`}</h2>
-              {versionsLoading ? (
-                <div className="versions-loading">Loading versions…</div>
-              ) : (
-                <VersionsList
-                  versions={versions}
-                  auditContent={auditContent}
-                  onVersionPreview={handleVersionPreview}
-                  selectedVersionPath={selectedVersionPath}
-                />
-              )}
+          {successMessage && (
+            <div className="success-message">
+              <p>{successMessage}</p>
             </div>
-            
-            <div className="version-preview-section">
-              <h2>Version Preview</h2>
-              {selectedVersion ? (
-                <DocumentViewer document={selectedVersion} versionPath={selectedVersionPath || undefined} />
-              ) : (
-                <div className="no-selection">
-                  <p>Click "Preview" on any version to view its content here.</p>
-                </div>
-              )}
+          )}
+
+          {documentData && (
+            <div className="document-section">
+              <h2>Document</h2>
+              <DocumentViewer
+                document={documentData}
+                documentKey={canEdit && documentKey ? documentKey : undefined}
+                onMetadataSaved={handleMetadataSaved}
+                referencesKey={documentKey || undefined}
+                canBuildReferenceIndex={canEdit}
+                onOpenDocument={handleOpenFile}
+              />
             </div>
-          </div>
-        )}
-      </main>
+          )}
+
+          {documentData && (
+            <div className="versions-container">
+              <div className="versions-section">
+                <h2>Versions {versionsLoading ? <span className="versions-spinner" /> : `(${versions.length})`}</h2>
+                {versionsLoading ? (
+                  <div className="versions-loading">Loading versions…</div>
+                ) : (
+                  <VersionsList
+                    versions={versions}
+                    auditContent={auditContent}
+                    timeline={timeline}
+                    onVersionPreview={handleVersionPreview}
+                    selectedVersionPath={selectedVersionPath}
+                  />
+                )}
+              </div>
+              
+              <div className="version-preview-section">
+                <h2>Version Preview</h2>
+                {selectedVersion && canEdit && (
+                  <div className="restore-controls">
+                    {confirmRestore ? (
+                      <div className="restore-confirm">
+                        <p>
+                          Overwrite <code>{documentKey}</code> with this version?
+                          The current content will be saved as a new version first.
+                        </p>
+                        <button onClick={handleRestore} disabled={restoring} className="restore-confirm-button">
+                          {restoring ? 'Restoring...' : 'Confirm restore'}
+                        </button>
+                        <button onClick={() => setConfirmRestore(false)} disabled={restoring} className="restore-cancel-button">
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <button onClick={() => setConfirmRestore(true)} className="restore-button">
+                        ⏪ Restore this version
+                      </button>
+                    )}
+                  </div>
+                )}
+                {selectedVersion ? (
+                  <DocumentViewer
+                    document={selectedVersion}
+                    versionPath={selectedVersionPath || undefined}
+                    compareWith={documentKey ? { key: documentKey, label: 'Current document' } : undefined}
+                  />
+                ) : (
+                  <div className="no-selection">
+                    <p>Click "Preview" on any version to view its content here.</p>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </main>
+      )}
     </div>
   );
 }
@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+interface AuditEntry {
+  id: string;
+  timestamp: string;
+  actor: { name: string; role: string | null };
+  action: string;
+  key: string;
+  outcome: 'success' | 'failure';
+  etagBefore: string | null;
+  etagAfter: string | null;
+  metadataDiff: Record<string, { before: string | null; after: string | null }>;
+  details: Record<string, unknown>;
+}
+
+interface AuditFilters {
+  actor: string;
+  action: string;
+  key: string;
+  outcome: string;
+  from: string;
+  to: string;
+}
+
+interface AuditLogViewProps {
+  onOpenDocument: (key: string) => void;
+}
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS: AuditFilters = { actor: '', action: '', key: '', outcome: '', from: '', to: '' };
+
+const AuditLogView: React.FC<AuditLogViewProps> = ({ onOpenDocument }) => {
+  const [draft, setDraft] = useState<AuditFilters>(EMPTY_FILTERS);
+  const [filters, setFilters] = useState<AuditFilters>(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [actions, setActions] = useState<string[]>([]);
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+    if (filters.actor) params.set('actor', filters.actor);
+    if (filters.action) params.set('action', filters.action);
+    if (filters.key) params.set('key', filters.key);
+    if (filters.outcome) params.set('outcome', filters.outcome);
+    // Date inputs are local days; the range includes the whole "to" day
+    if (filters.from) params.set('from', new Date(`${filters.from}T00:00:00`).toISOString());
+    if (filters.to) params.set('to', new Date(`${filters.to}T23:59:59.999`).toISOString());
+
+    try {
+      const response = await fetch(`/api/audit?${params}`);
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to load audit log');
+      }
+      setEntries(result.entries);
+      setTotal(result.total);
+      setActions(result.actions);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, offset]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const applyFilters = (e: React.FormEvent) => {
+    e.preventDefault();
+    setOffset(0);
+    setFilters({ ...draft, actor: draft.actor.trim(), key: draft.key.trim() });
+  };
+
+  const clearFilters = () => {
+    setDraft(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setOffset(0);
+  };
+
+  const updateDraft = (field: keyof AuditFilters, value: string) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  return (
+    <div className="audit-log">
+      <form className="audit-filters" onSubmit={applyFilters}>
+        <input
+          type="text"
+          value={draft.actor}
+          onChange={(e) => updateDraft('actor', e.target.value)}
+          placeholder="Actor"
+        />
+        <select value={draft.action} onChange={(e) => updateDraft('action', e.target.value)}>
+          <option value="">All actions</option>
+          {actions.map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={draft.key}
+          onChange={(e) => updateDraft('key', e.target.value)}
+          placeholder="Key prefix, e.g. org/repo/"
+        />
+        <select value={draft.outcome} onChange={(e) => updateDraft('outcome', e.target.value)}>
+          <option value="">Any outcome</option>
+          <option value="success">Success</option>
+          <option value="failure">Failure</option>
+        </select>
+        <label>
+          From <input type="date" value={draft.from} onChange={(e) => updateDraft('from', e.target.value)} />
+        </label>
+        <label>
+          To <input type="date" value={draft.to} onChange={(e) => updateDraft('to', e.target.value)} />
+        </label>
+        <button type="submit" className="indent-toggle" disabled={loading}>Apply</button>
+        <button type="button" className="indent-toggle" onClick={clearFilters} disabled={loading}>Clear</button>
+      </form>
+
+      {error && <div className="audit-error">{error}</div>}
+
+      {!error && entries.length === 0 ? (
+        <div className="audit-empty">{loading ? 'Loading…' : 'No audit entries match the filters'}</div>
+      ) : (
+        <table className="audit-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Actor</th>
+              <th>Action</th>
+              <th>Key</th>
+              <th>Outcome</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => {
+              const changes = Object.entries(entry.metadataDiff);
+              const isExpanded = expanded === entry.id;
+              return (
+                <React.Fragment key={entry.id}>
+                  <tr
+                    className={`audit-row audit-outcome-${entry.outcome}`}
+                    onClick={() => setExpanded(isExpanded ? null : entry.id)}
+                  >
+                    <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                    <td>
+                      {entry.actor.name}
+                      {entry.actor.role && <span className="user-role">{entry.actor.role}</span>}
+                    </td>
+                    <td><code>{entry.action}</code></td>
+                    <td>
+                      <button
+                        className="audit-key"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onOpenDocument(entry.key);
+                        }}
+                        title="Open this document"
+                      >
+                        {entry.key}
+                      </button>
+                    </td>
+                    <td>{entry.outcome === 'success' ? '✅' : '❌'} {entry.outcome}</td>
+                    <td>{changes.length > 0 ? `${changes.length} field${changes.length === 1 ? '' : 's'}` : '—'}</td>
+                  </tr>
+                  {isExpanded && (
+                    <tr className="audit-detail-row">
+                      <td colSpan={6}>
+                        <div className="audit-detail">
+                          <div>
+                            <strong>ETag:</strong> <code>{entry.etagBefore || '—'}</code> → <code>{entry.etagAfter || '—'}</code>
+                          </div>
+                          {changes.length > 0 && (
+                            <table className="audit-diff">
+                              <thead>
+                                <tr>
+                                  <th>Field</th>
+                                  <th>Before</th>
+                                  <th>After</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {changes.map(([field, change]) => (
+                                  <tr key={field}>
+                                    <td><code>{field}</code></td>
+                                    <td className="audit-diff-before">{change.before ?? <em>none</em>}</td>
+                                    <td className="audit-diff-after">{change.after ?? <em>none</em>}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                          {Object.keys(entry.details).length > 0 && (
+                            <pre className="audit-details-json">{JSON.stringify(entry.details, null, 2)}</pre>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {total > 0 && (
+        <div className="audit-pagination">
+          <button
+            className="indent-toggle"
+            onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+            disabled={loading || offset === 0}
+          >
+            ← Newer
+          </button>
+          <span>
+            {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </span>
+          <button
+            className="indent-toggle"
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            disabled={loading || offset + PAGE_SIZE >= total}
+          >
+            Older →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogView;
@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+
+interface DiffLine {
+  type: 'equal' | 'removed' | 'added';
+  text: string;
+  leftLine: number | null;
+  rightLine: number | null;
+}
+
+interface DiffSide {
+  key: string;
+  contentType: string;
+  contentLength: number;
+  lastModified: string;
+  etag: string;
+}
+
+interface DiffResult {
+  left: DiffSide;
+  right: DiffSide;
+  format: 'html' | 'json' | 'text';
+  stats: {
+    added: number;
+    removed: number;
+    unchanged: number;
+  };
+  lines: DiffLine[];
+}
+
+interface DiffViewProps {
+  leftKey: string;
+  rightKey: string;
+  contentType?: string;
+  leftLabel: string;
+  rightLabel: string;
+}
+
+type DiffBlock =
+  | { kind: 'lines'; lines: DiffLine[] }
+  | { kind: 'collapsed'; id: number; lines: DiffLine[] };
+
+interface SplitRow {
+  left: DiffLine | null;
+  right: DiffLine | null;
+}
+
+// Unchanged lines kept visible around each change
+const CONTEXT_LINES = 3;
+
+// Collapse long runs of unchanged lines, keeping some context around changes
+const buildBlocks = (lines: DiffLine[]): DiffBlock[] => {
+  const blocks: DiffBlock[] = [];
+  let current: DiffLine[] = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    if (lines[i].type !== 'equal') {
+      current.push(lines[i]);
+      i++;
+      continue;
+    }
+
+    let end = i;
+    while (end < lines.length && lines[end].type === 'equal') end++;
+
+    const run = lines.slice(i, end);
+    const keepBefore = i === 0 ? 0 : CONTEXT_LINES;
+    const keepAfter = end === lines.length ? 0 : CONTEXT_LINES;
+
+    if (run.length > keepBefore + keepAfter + 1) {
+      current.push(...run.slice(0, keepBefore));
+      if (current.length > 0) blocks.push({ kind: 'lines', lines: current });
+      blocks.push({ kind: 'collapsed', id: i, lines: run.slice(keepBefore, run.length - keepAfter) });
+      current = run.slice(run.length - keepAfter);
+    } else {
+      current.push(...run);
+    }
+    i = end;
+  }
+
+  if (current.length > 0) blocks.push({ kind: 'lines', lines: current });
+  return blocks;
+};
+
+// Pair removed/added runs so replacements line up side by side
+const toSplitRows = (lines: DiffLine[]): SplitRow[] => {
+  const rows: SplitRow[] = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    if (lines[i].type === 'equal') {
+      rows.push({ left: lines[i], right: lines[i] });
+      i++;
+      continue;
+    }
+
+    const removed: DiffLine[] = [];
+    const added: DiffLine[] = [];
+    while (i < lines.length && lines[i].type === 'removed') removed.push(lines[i++]);
+    while (i < lines.length && lines[i].type === 'added') added.push(lines[i++]);
+
+    for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+      rows.push({ left: removed[j] || null, right: added[j] || null });
+    }
+  }
+
+  return rows;
+};
+
+const DiffView: React.FC<DiffViewProps> = ({ leftKey, rightKey, contentType, leftLabel, rightLabel }) => {
+  const [diff, setDiff] = useState<DiffResult | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [mode, setMode] = useState<'split' | 'inline'>('split');
+  const [expanded, setExpanded] = useState<Set<number>>(new Set());
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadDiff = async () => {
+      setLoading(true);
+      setError(null);
+      setExpanded(new Set());
+
+      try {
+        const params = new URLSearchParams({ left: leftKey, right: rightKey });
+        if (contentType) params.set('contentType', contentType);
+
+        const response = await fetch(`/api/diff?${params.toString()}`);
+        const result = await response.json();
+
+        if (!result.success) {
+          throw new Error(result.details || result.error || 'Failed to compute diff');
+        }
+        if (!cancelled) setDiff(result);
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to compute diff');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadDiff();
+    return () => {
+      cancelled = true;
+    };
+  }, [leftKey, rightKey, contentType]);
+
+  const expandBlock = (id: number) => {
+    setExpanded(prev => new Set(prev).add(id));
+  };
+
+  const renderCollapsed = (block: { id: number; lines: DiffLine[] }, colSpan: number) => (
+    <tr key={`collapsed-${block.id}`} className="diff-collapsed">
+      <td colSpan={colSpan} onClick={() => expandBlock(block.id)}>
+        ⋯ Show {block.lines.length} unchanged lines
+      </td>
+    </tr>
+  );
+
+  const renderSplit = (blocks: DiffBlock[]) => (
+    <table className="diff-table diff-split">
+      <thead>
+        <tr>
+          <th colSpan={2}>{leftLabel}</th>
+          <th colSpan={2}>{rightLabel}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {blocks.map((block, blockIndex) => {
+          if (block.kind === 'collapsed' && !expanded.has(block.id)) {
+            return renderCollapsed(block, 4);
+          }
+          return toSplitRows(block.lines).map((row, rowIndex) => (
+            <tr key={`${blockIndex}-${rowIndex}`}>
+              <td className="diff-line-number">{row.left?.leftLine ?? ''}</td>
+              <td className={`diff-text ${row.left ? `diff-${row.left.type}` : 'diff-empty'}`}>
+                {row.left?.text}
+              </td>
+              <td className="diff-line-number">{row.right?.rightLine ?? ''}</td>
+              <td className={`diff-text ${row.right ? `diff-${row.right.type}` : 'diff-empty'}`}>
+                {row.right?.text}
+              </td>
+            </tr>
+          ));
+        })}
+      </tbody>
+    </table>
+  );
+
+  const renderInline = (blocks: DiffBlock[]) => (
+    <table className="diff-table diff-inline">
+      <tbody>
+        {blocks.map((block, blockIndex) => {
+          if (block.kind === 'collapsed' && !expanded.has(block.id)) {
+            return renderCollapsed(block, 4);
+          }
+          return block.lines.map((line, lineIndex) => (
+            <tr key={`${blockIndex}-${lineIndex}`}>
+              <td className="diff-line-number">{line.leftLine ?? ''}</td>
+              <td className="diff-line-number">{line.rightLine ?? ''}</td>
+              <td className={`diff-marker diff-${line.type}`}>
+                {line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' '}
+              </td>
+              <td className={`diff-text diff-${line.type}`}>{line.text}</td>
+            </tr>
+          ));
+        })}
+      </tbody>
+    </table>
+  );
+
+  if (loading) {
+    return <div className="diff-loading">Computing diff…</div>;
+  }
+
+  if (error) {
+    return <div className="diff-error">Diff failed: {error}</div>;
+  }
+
+  if (!diff) {
+    return null;
+  }
+
+  const blocks = buildBlocks(diff.lines);
+  const identical = diff.stats.added === 0 && diff.stats.removed === 0;
+
+  return (
+    <div className="diff-view">
+      <div className="diff-controls">
+        <span className="diff-stats">
+          <span className="diff-stat-added">+{diff.stats.added}</span>
+          <span className="diff-stat-removed">-{diff.stats.removed}</span>
+          <span className="diff-stat-format">normalized as {diff.format.toUpperCase()}</span>
+        </span>
+        <div className="diff-mode-toggle">
+          <button
+            onClick={() => setMode('split')}
+            className={`indent-toggle ${mode === 'split' ? 'active' : ''}`}
+          >
+            Side by side
+          </button>
+          <button
+            onClick={() => setMode('inline')}
+            className={`indent-toggle ${mode === 'inline' ? 'active' : ''}`}
+          >
+            Inline
+          </button>
+        </div>
+      </div>
+      {identical ? (
+        <div className="diff-identical">No differences after normalization.</div>
+      ) : (
+        <div className="diff-body">
+          {mode === 'split' ? renderSplit(blocks) : renderInline(blocks)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiffView;
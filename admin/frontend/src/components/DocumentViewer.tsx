@@ -1,4 +1,10 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
+import DiffView from './DiffView';
+import MediaPreview from './MediaPreview';
+import MetadataEditor from './MetadataEditor';
+import ReferencedBy from './ReferencedBy';
+import SheetViewer, { parseSheets } from './SheetViewer';
+import SvgPreview from './SvgPreview';
 
 interface DocumentData {
   metadata: {
@@ -31,7 +37,9 @@ interface DocumentData {
     detectedEncoding: string;
     hasBOM: boolean;
   };
-  content: string;
+  content: string | null; // null when the object is too large to inline
+  contentOmitted?: boolean;
+  contentUrl?: string; // Streams the raw object, supports Range requests
   isTextContent: boolean;
   contentType: string;
   textAnalysis?: {
@@ -45,11 +53,44 @@ interface DocumentData {
 interface DocumentViewerProps {
   document: DocumentData;
   versionPath?: string; // Optional version path for display
+  compareWith?: { key: string; label: string }; // Object the version can be diffed against
+  documentKey?: string; // Live document key, enables metadata editing
+  onMetadataSaved?: () => void;
+  referencesKey?: string; // Live document key, shows the "Referenced by" panel
+  canBuildReferenceIndex?: boolean;
+  onOpenDocument?: (key: string) => void;
 }
 
-const DocumentViewer: React.FC<DocumentViewerProps> = ({ document, versionPath }) => {
-  const { metadata, content, isTextContent, contentType, textAnalysis } = document;
+const DocumentViewer: React.FC<DocumentViewerProps> = ({
+  document,
+  versionPath,
+  compareWith,
+  documentKey,
+  onMetadataSaved,
+  referencesKey,
+  canBuildReferenceIndex = false,
+  onOpenDocument
+}) => {
+  const { metadata, content, contentOmitted, contentUrl, isTextContent, contentType, textAnalysis } = document;
   const [indentHtml, setIndentHtml] = useState(true);
+  const [htmlMode, setHtmlMode] = useState<'source' | 'rendered'>('source');
+  const [jsonMode, setJsonMode] = useState<'table' | 'json'>('table');
+  const [editingMetadata, setEditingMetadata] = useState(false);
+  const [showDiff, setShowDiff] = useState(false);
+  const canCompare = Boolean(versionPath && compareWith && isTextContent);
+  // Only live documents are editable, snapshots stay as they were
+  const canEditMetadata = Boolean(documentKey && !versionPath);
+
+  // Parsed JSON and, for DA spreadsheets, its sheets
+  const { jsonData, sheets } = useMemo(() => {
+    if (contentType !== 'application/json' || content === null) return { jsonData: undefined, sheets: null };
+    try {
+      const parsed: unknown = JSON.parse(content);
+      return { jsonData: parsed, sheets: parseSheets(parsed) };
+    } catch (e) {
+      return { jsonData: undefined, sheets: null };
+    }
+  }, [contentType, content]);
 
   // HTML formatting function
   const formatHtml = (html: string): string => {
@@ -161,65 +202,147 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ document, versionPath }
     return lines.join('\n');
   };
 
+  // Prefer the streaming URL, fall back to inline base64 content
+  const contentSrc = contentUrl || `data:${contentType};base64,${content}`;
+  const downloadUrl = contentUrl
+    ? `${contentUrl}${contentUrl.includes('?') ? '&' : '?'}download=1`
+    : contentSrc;
+
+  const renderDownload = (message: string) => (
+    <div className="binary-content">
+      <p>{message} (Content-Type: {contentType})</p>
+      <p>Size: {metadata.contentLength.toLocaleString()} bytes</p>
+      {contentUrl && (
+        <a href={contentUrl} target="_blank" rel="noopener noreferrer" className="download-link">
+          Open in New Tab
+        </a>
+      )}
+      <a href={downloadUrl} download="document" className="download-link">
+        Download File
+      </a>
+    </div>
+  );
+
   const renderContent = () => {
     if (!isTextContent) {
-      // For binary content (images, etc.)
+      // For binary content (images, media, etc.)
+      if (contentType === 'image/svg+xml') {
+        return <SvgPreview contentUrl={contentUrl} content={content} />;
+      }
       if (contentType.startsWith('image/')) {
         return (
           <div className="image-container">
             <img 
-              src={`data:${contentType};base64,${content}`} 
+              src={contentSrc} 
               alt="Document content"
               style={{ maxWidth: '100%', height: 'auto' }}
             />
           </div>
         );
-      } else {
+      }
+      if (contentType.startsWith('video/') || contentType.startsWith('audio/') || contentType === 'application/pdf') {
+        const kind = contentType === 'application/pdf' ? 'pdf' : contentType.startsWith('video/') ? 'video' : 'audio';
         return (
-          <div className="binary-content">
-            <p>Binary content detected (Content-Type: {contentType})</p>
-            <p>Size: {metadata.contentLength} bytes</p>
-            <a 
-              href={`data:${contentType};base64,${content}`} 
-              download="document"
-              className="download-link"
-            >
-              Download File
-            </a>
-          </div>
+          <MediaPreview
+            key={contentUrl || contentSrc}
+            kind={kind}
+            contentType={contentType}
+            contentUrl={contentUrl}
+            content={content}
+          />
         );
       }
+      return renderDownload('Binary content detected');
+    }
+
+    if (contentOmitted || content === null) {
+      return renderDownload('Content too large to display inline');
     }
 
     // For text content
     if (contentType === 'application/json') {
-      try {
-        const jsonData = JSON.parse(content);
+      if (jsonData === undefined) {
+        return <pre className="text-content">{content}</pre>;
+      }
+      if (!sheets) {
         return (
           <pre className="json-content">
             {JSON.stringify(jsonData, null, 2)}
           </pre>
         );
-      } catch (e) {
-        return <pre className="text-content">{content}</pre>;
       }
-    }
-
-    if (contentType === 'text/html' || contentType === 'application/xml') {
       return (
         <div className="html-content">
           <div className="html-controls">
             <button
-              onClick={() => setIndentHtml(!indentHtml)}
-              className={`indent-toggle ${indentHtml ? 'active' : ''}`}
-              title={indentHtml ? 'Disable indentation' : 'Enable indentation'}
+              onClick={() => setJsonMode('table')}
+              className={`indent-toggle ${jsonMode === 'table' ? 'active' : ''}`}
             >
-              {indentHtml ? '📐 Raw' : '📐 Indent'}
+              📊 Table
+            </button>
+            <button
+              onClick={() => setJsonMode('json')}
+              className={`indent-toggle ${jsonMode === 'json' ? 'active' : ''}`}
+            >
+              {'{ } JSON'}
             </button>
           </div>
-          <pre className="html-source">
-            {formatHtml(content)}
-          </pre>
+          {jsonMode === 'table' ? (
+            <SheetViewer sheets={sheets} />
+          ) : (
+            <pre className="json-content">
+              {JSON.stringify(jsonData, null, 2)}
+            </pre>
+          )}
+        </div>
+      );
+    }
+
+    if (contentType === 'text/html' || contentType === 'application/xml') {
+      const isHtml = contentType === 'text/html';
+      const showRendered = isHtml && htmlMode === 'rendered';
+      return (
+        <div className="html-content">
+          <div className="html-controls">
+            {isHtml && (
+              <>
+                <button
+                  onClick={() => setHtmlMode('source')}
+                  className={`indent-toggle ${htmlMode === 'source' ? 'active' : ''}`}
+                >
+                  📄 Source
+                </button>
+                <button
+                  onClick={() => setHtmlMode('rendered')}
+                  className={`indent-toggle ${htmlMode === 'rendered' ? 'active' : ''}`}
+                  title="Render the HTML in a sandboxed frame (no scripts, no same-origin access)"
+                >
+                  🖼️ Rendered
+                </button>
+              </>
+            )}
+            {!showRendered && (
+              <button
+                onClick={() => setIndentHtml(!indentHtml)}
+                className={`indent-toggle ${indentHtml ? 'active' : ''}`}
+                title={indentHtml ? 'Disable indentation' : 'Enable indentation'}
+              >
+                {indentHtml ? '📐 Raw' : '📐 Indent'}
+              </button>
+            )}
+          </div>
+          {showRendered ? (
+            <iframe
+              srcDoc={content}
+              sandbox=""
+              title="Rendered HTML"
+              className="html-preview-frame"
+            />
+          ) : (
+            <pre className="html-source">
+              {formatHtml(content)}
+            </pre>
+          )}
         </div>
       );
     }
@@ -239,199 +362,251 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ document, versionPath }
         </div>
       )}
       <div className="metadata-section">
-        <h3>Metadata</h3>
-        <div className="metadata-two-column">
-          <div className="metadata-left-column">
-            <h4 style={{ marginTop: 0, marginBottom: '10px', color: '#666' }}>Basic Information</h4>
-            <div className="metadata-item">
-              <strong>Content Type:</strong> {metadata.contentType}
-              {metadata.originalContentType && metadata.originalContentType !== metadata.contentType && (
-                <div className="content-type-note">
-                  <small>
-                    <strong>Note:</strong> Using original document content type for rendering: <code>{metadata.originalContentType}</code>
-                  </small>
-                </div>
-              )}
-            </div>
-            <div className="metadata-item">
-              <strong>Size:</strong> {metadata.contentLength.toLocaleString()} bytes
-            </div>
-            <div className="metadata-item">
-              <strong>Last Modified:</strong> {new Date(metadata.lastModified).toLocaleString()}
-            </div>
-            <div className="metadata-item">
-              <strong>ETag:</strong> {metadata.etag}
-            </div>
-            
-            <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>File Encoding & Analysis</h4>
-            <div className="metadata-item">
-              <strong>Detected Encoding:</strong> {metadata.detectedEncoding || 'Unknown'}
-              {metadata.hasBOM && <span style={{ color: '#e67e22', marginLeft: '8px' }}>(with BOM)</span>}
-            </div>
-            {textAnalysis && (
-              <>
-                <div className="metadata-item">
-                  <strong>Line Endings:</strong> {textAnalysis.lineEndingType}
-                </div>
-                <div className="metadata-item">
-                  <strong>Line Count:</strong> {textAnalysis.lineCount.toLocaleString()}
-                </div>
-                <div className="metadata-item">
-                  <strong>Character Count:</strong> {textAnalysis.charCount.toLocaleString()}
-                </div>
-                <div className="metadata-item">
-                  <strong>Non-Whitespace Characters:</strong> {textAnalysis.nonWhitespaceCount.toLocaleString()}
-                </div>
-              </>
-            )}
-            
-            {(metadata.contentEncoding || metadata.contentLanguage || metadata.contentDisposition) && (
-              <>
-                <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Content Properties</h4>
-                {metadata.contentEncoding && (
-                  <div className="metadata-item">
-                    <strong>Content Encoding:</strong> {metadata.contentEncoding}
-                  </div>
-                )}
-                {metadata.contentLanguage && (
-                  <div className="metadata-item">
-                    <strong>Content Language:</strong> {metadata.contentLanguage}
-                  </div>
-                )}
-                {metadata.contentDisposition && (
-                  <div className="metadata-item">
-                    <strong>Content Disposition:</strong> {metadata.contentDisposition}
-                  </div>
-                )}
-              </>
-            )}
-          </div>
-          
-          <div className="metadata-right-column">
-            {(metadata.cacheControl || metadata.expires) && (
-              <>
-                <h4 style={{ marginTop: 0, marginBottom: '10px', color: '#666' }}>Caching</h4>
-                {metadata.cacheControl && (
-                  <div className="metadata-item">
-                    <strong>Cache Control:</strong> {metadata.cacheControl}
-                  </div>
-                )}
-                {metadata.expires && (
-                  <div className="metadata-item">
-                    <strong>Expires:</strong> {new Date(metadata.expires).toLocaleString()}
+        <div className="content-section-header">
+          <h3>Metadata</h3>
+          {canEditMetadata && !editingMetadata && (
+            <button
+              onClick={() => setEditingMetadata(true)}
+              className="indent-toggle"
+              title="Edit headers and custom metadata"
+            >
+              ✏️ Edit
+            </button>
+          )}
+        </div>
+        {canEditMetadata && editingMetadata && documentKey ? (
+          <MetadataEditor
+            documentKey={documentKey}
+            metadata={metadata}
+            onCancel={() => setEditingMetadata(false)}
+            onSaved={() => {
+              setEditingMetadata(false);
+              onMetadataSaved?.();
+            }}
+          />
+        ) : (
+          <div className="metadata-two-column">
+            <div className="metadata-left-column">
+              <h4 style={{ marginTop: 0, marginBottom: '10px', color: '#666' }}>Basic Information</h4>
+              <div className="metadata-item">
+                <strong>Content Type:</strong> {metadata.contentType}
+                {metadata.originalContentType && metadata.originalContentType !== metadata.contentType && (
+                  <div className="content-type-note">
+                    <small>
+                      <strong>Note:</strong> Using original document content type for rendering: <code>{metadata.originalContentType}</code>
+                    </small>
                   </div>
                 )}
-              </>
-            )}
+              </div>
+              <div className="metadata-item">
+                <strong>Size:</strong> {metadata.contentLength.toLocaleString()} bytes
+              </div>
+              <div className="metadata-item">
+                <strong>Last Modified:</strong> {new Date(metadata.lastModified).toLocaleString()}
+              </div>
+              <div className="metadata-item">
+                <strong>ETag:</strong> {metadata.etag}
+              </div>
             
-            {(metadata.storageClass || metadata.serverSideEncryption || metadata.versionId || metadata.acceptRanges || metadata.partsCount) && (
-              <>
-                <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Storage & Security</h4>
-                {metadata.storageClass && (
+              <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>File Encoding & Analysis</h4>
+              <div className="metadata-item">
+                <strong>Detected Encoding:</strong> {metadata.detectedEncoding || 'Unknown'}
+                {metadata.hasBOM && <span style={{ color: '#e67e22', marginLeft: '8px' }}>(with BOM)</span>}
+              </div>
+              {textAnalysis && (
+                <>
                   <div className="metadata-item">
-                    <strong>Storage Class:</strong> {metadata.storageClass}
+                    <strong>Line Endings:</strong> {textAnalysis.lineEndingType}
                   </div>
-                )}
-                {metadata.serverSideEncryption && (
                   <div className="metadata-item">
-                    <strong>Server-Side Encryption:</strong> {metadata.serverSideEncryption}
+                    <strong>Line Count:</strong> {textAnalysis.lineCount.toLocaleString()}
                   </div>
-                )}
-                {metadata.versionId && (
                   <div className="metadata-item">
-                    <strong>Version ID:</strong> <code>{metadata.versionId}</code>
+                    <strong>Character Count:</strong> {textAnalysis.charCount.toLocaleString()}
                   </div>
-                )}
-                {metadata.acceptRanges && (
                   <div className="metadata-item">
-                    <strong>Accept Ranges:</strong> {metadata.acceptRanges}
+                    <strong>Non-Whitespace Characters:</strong> {textAnalysis.nonWhitespaceCount.toLocaleString()}
                   </div>
-                )}
-                {metadata.partsCount && (
-                  <div className="metadata-item">
-                    <strong>Parts Count:</strong> {metadata.partsCount}
-                  </div>
-                )}
-              </>
-            )}
+                </>
+              )}
             
-            {(metadata.checksumCRC32 || metadata.checksumCRC32C || metadata.checksumSHA1 || metadata.checksumSHA256) && (
-              <>
-                <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Checksums</h4>
-                {metadata.checksumCRC32 && (
-                  <div className="metadata-item">
-                    <strong>CRC32:</strong> <code>{metadata.checksumCRC32}</code>
-                  </div>
-                )}
-                {metadata.checksumCRC32C && (
-                  <div className="metadata-item">
-                    <strong>CRC32C:</strong> <code>{metadata.checksumCRC32C}</code>
-                  </div>
-                )}
-                {metadata.checksumSHA1 && (
-                  <div className="metadata-item">
-                    <strong>SHA1:</strong> <code>{metadata.checksumSHA1}</code>
-                  </div>
-                )}
-                {metadata.checksumSHA256 && (
-                  <div className="metadata-item">
-                    <strong>SHA256:</strong> <code>{metadata.checksumSHA256}</code>
-                  </div>
-                )}
-              </>
-            )}
+              {(metadata.contentEncoding || metadata.contentLanguage || metadata.contentDisposition) && (
+                <>
+                  <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Content Properties</h4>
+                  {metadata.contentEncoding && (
+                    <div className="metadata-item">
+                      <strong>Content Encoding:</strong> {metadata.contentEncoding}
+                    </div>
+                  )}
+                  {metadata.contentLanguage && (
+                    <div className="metadata-item">
+                      <strong>Content Language:</strong> {metadata.contentLanguage}
+                    </div>
+                  )}
+                  {metadata.contentDisposition && (
+                    <div className="metadata-item">
+                      <strong>Content Disposition:</strong> {metadata.contentDisposition}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          
+            <div className="metadata-right-column">
+              {(metadata.cacheControl || metadata.expires) && (
+                <>
+                  <h4 style={{ marginTop: 0, marginBottom: '10px', color: '#666' }}>Caching</h4>
+                  {metadata.cacheControl && (
+                    <div className="metadata-item">
+                      <strong>Cache Control:</strong> {metadata.cacheControl}
+                    </div>
+                  )}
+                  {metadata.expires && (
+                    <div className="metadata-item">
+                      <strong>Expires:</strong> {new Date(metadata.expires).toLocaleString()}
+                    </div>
+                  )}
+                </>
+              )}
             
-            {(metadata.objectLockMode || metadata.objectLockRetainUntilDate || metadata.objectLockLegalHoldStatus) && (
-              <>
-                <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Object Lock</h4>
-                {metadata.objectLockMode && (
-                  <div className="metadata-item">
-                    <strong>Lock Mode:</strong> {metadata.objectLockMode}
-                  </div>
-                )}
-                {metadata.objectLockRetainUntilDate && (
-                  <div className="metadata-item">
-                    <strong>Retain Until:</strong> {new Date(metadata.objectLockRetainUntilDate).toLocaleString()}
-                  </div>
-                )}
-                {metadata.objectLockLegalHoldStatus && (
+              {(metadata.storageClass || metadata.serverSideEncryption || metadata.versionId || metadata.acceptRanges || metadata.partsCount) && (
+                <>
+                  <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Storage & Security</h4>
+                  {metadata.storageClass && (
+                    <div className="metadata-item">
+                      <strong>Storage Class:</strong> {metadata.storageClass}
+                    </div>
+                  )}
+                  {metadata.serverSideEncryption && (
+                    <div className="metadata-item">
+                      <strong>Server-Side Encryption:</strong> {metadata.serverSideEncryption}
+                    </div>
+                  )}
+                  {metadata.versionId && (
+                    <div className="metadata-item">
+                      <strong>Version ID:</strong> <code>{metadata.versionId}</code>
+                    </div>
+                  )}
+                  {metadata.acceptRanges && (
+                    <div className="metadata-item">
+                      <strong>Accept Ranges:</strong> {metadata.acceptRanges}
+                    </div>
+                  )}
+                  {metadata.partsCount && (
+                    <div className="metadata-item">
+                      <strong>Parts Count:</strong> {metadata.partsCount}
+                    </div>
+                  )}
+                </>
+              )}
+            
+              {(metadata.checksumCRC32 || metadata.checksumCRC32C || metadata.checksumSHA1 || metadata.checksumSHA256) && (
+                <>
+                  <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Checksums</h4>
+                  {metadata.checksumCRC32 && (
+                    <div className="metadata-item">
+                      <strong>CRC32:</strong> <code>{metadata.checksumCRC32}</code>
+                    </div>
+                  )}
+                  {metadata.checksumCRC32C && (
+                    <div className="metadata-item">
+                      <strong>CRC32C:</strong> <code>{metadata.checksumCRC32C}</code>
+                    </div>
+                  )}
+                  {metadata.checksumSHA1 && (
+                    <div className="metadata-item">
+                      <strong>SHA1:</strong> <code>{metadata.checksumSHA1}</code>
+                    </div>
+                  )}
+                  {metadata.checksumSHA256 && (
+                    <div className="metadata-item">
+                      <strong>SHA256:</strong> <code>{metadata.checksumSHA256}</code>
+                    </div>
+                  )}
+                </>
+              )}
+            
+              {(metadata.objectLockMode || metadata.objectLockRetainUntilDate || metadata.objectLockLegalHoldStatus) && (
+                <>
+                  <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Object Lock</h4>
+                  {metadata.objectLockMode && (
+                    <div className="metadata-item">
+                      <strong>Lock Mode:</strong> {metadata.objectLockMode}
+                    </div>
+                  )}
+                  {metadata.objectLockRetainUntilDate && (
+                    <div className="metadata-item">
+                      <strong>Retain Until:</strong> {new Date(metadata.objectLockRetainUntilDate).toLocaleString()}
+                    </div>
+                  )}
+                  {metadata.objectLockLegalHoldStatus && (
+                    <div className="metadata-item">
+                      <strong>Legal Hold:</strong> {metadata.objectLockLegalHoldStatus}
+                    </div>
+                  )}
+                </>
+              )}
+            
+              {metadata.replicationStatus && (
+                <>
+                  <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Replication</h4>
                   <div className="metadata-item">
-                    <strong>Legal Hold:</strong> {metadata.objectLockLegalHoldStatus}
+                    <strong>Status:</strong> {metadata.replicationStatus}
                   </div>
-                )}
-              </>
-            )}
-            
-            {metadata.replicationStatus && (
-              <>
-                <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Replication</h4>
-                <div className="metadata-item">
-                  <strong>Status:</strong> {metadata.replicationStatus}
-                </div>
-              </>
-            )}
+                </>
+              )}
             
-            {Object.keys(metadata.metadata).length > 0 && (
-              <>
-                <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Custom Metadata</h4>
-                <div className="metadata-item custom-metadata">
-                  <ul>
-                    {Object.entries(metadata.metadata).map(([key, value]) => (
-                      <li key={key}>
-                        <strong>{key}:</strong> {value}
-                      </li>
-                    ))}
-                  </ul>
-                </div>
-              </>
-            )}
+              {Object.keys(metadata.metadata).length > 0 && (
+                <>
+                  <h4 style={{ marginTop: '20px', marginBottom: '10px', color: '#666' }}>Custom Metadata</h4>
+                  <div className="metadata-item custom-metadata">
+                    <ul>
+                      {Object.entries(metadata.metadata).map(([key, value]) => (
+                        <li key={key}>
+                          <strong>{key}:</strong> {value}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </>
+              )}
+            </div>
           </div>
-        </div>
+        )}
       </div>
 
+      {referencesKey && (
+        <ReferencedBy
+          documentKey={referencesKey}
+          canBuildIndex={canBuildReferenceIndex}
+          onOpenDocument={onOpenDocument}
+        />
+      )}
+
       <div className="content-section">
-        <h3>Content</h3>
-        {renderContent()}
+        <div className="content-section-header">
+          <h3>Content</h3>
+          {canCompare && (
+            <button
+              onClick={() => setShowDiff(!showDiff)}
+              className={`indent-toggle ${showDiff ? 'active' : ''}`}
+              title={showDiff ? 'Show version content' : `Compare with ${compareWith?.label}`}
+            >
+              {showDiff ? '📄 Content' : '🔀 Compare with current'}
+            </button>
+          )}
+        </div>
+        {canCompare && showDiff && versionPath && compareWith ? (
+          <DiffView
+            leftKey={versionPath}
+            rightKey={compareWith.key}
+            contentType={contentType}
+            leftLabel="This version"
+            rightLabel={compareWith.label}
+          />
+        ) : (
+          renderContent()
+        )}
       </div>
     </div>
   );
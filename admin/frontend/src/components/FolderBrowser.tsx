@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+
+interface FolderEntry {
+  prefix: string;
+  name: string;
+}
+
+interface FileEntry {
+  key: string;
+  name: string;
+  size: number;
+  sizeFormatted: string;
+  lastModified: string;
+}
+
+interface FolderListing {
+  prefix: string;
+  folders: FolderEntry[];
+  files: FileEntry[];
+  truncated: boolean;
+}
+
+interface FolderBrowserProps {
+  initialPrefix: string;
+  onOpenFile: (key: string) => void;
+  selectedKey?: string | null;
+}
+
+const FolderBrowser: React.FC<FolderBrowserProps> = ({ initialPrefix, onOpenFile, selectedKey }) => {
+  const [prefix, setPrefix] = useState(initialPrefix);
+  const [listing, setListing] = useState<FolderListing | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Follow the caller when it points the browser at another folder
+  useEffect(() => {
+    setPrefix(initialPrefix);
+  }, [initialPrefix]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadFolder = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await fetch(`/api/list/${encodeURIComponent(prefix)}`);
+        const result = await response.json();
+
+        if (!result.success) {
+          throw new Error(result.details || result.error || 'Failed to list folder');
+        }
+        if (!cancelled) setListing(result);
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to list folder');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadFolder();
+    return () => {
+      cancelled = true;
+    };
+  }, [prefix]);
+
+  // Breadcrumb segments: root, then one per folder level
+  const segments = prefix.split('/').filter(Boolean);
+  const crumbs = [
+    { label: '🪣 root', prefix: '' },
+    ...segments.map((segment, index) => ({
+      label: segment,
+      prefix: segments.slice(0, index + 1).join('/') + '/'
+    }))
+  ];
+
+  return (
+    <div className="folder-browser">
+      <div className="folder-breadcrumb">
+        {crumbs.map((crumb, index) => (
+          <React.Fragment key={crumb.prefix}>
+            {index > 0 && <span className="folder-breadcrumb-separator">/</span>}
+            {index === crumbs.length - 1 ? (
+              <span className="folder-breadcrumb-current">{crumb.label}</span>
+            ) : (
+              <button className="folder-breadcrumb-link" onClick={() => setPrefix(crumb.prefix)}>
+                {crumb.label}
+              </button>
+            )}
+          </React.Fragment>
+        ))}
+      </div>
+
+      {loading && <div className="folder-loading">Loading folder…</div>}
+      {error && <div className="folder-error">{error}</div>}
+
+      {!loading && !error && listing && (
+        <div className="folder-entries">
+          <div className="folder-entries-header">
+            <div>Name</div>
+            <div>Size</div>
+            <div>Last Modified</div>
+          </div>
+          {segments.length > 0 && (
+            <div
+              className="folder-entry folder-entry-folder"
+              onClick={() => setPrefix(crumbs[crumbs.length - 2].prefix)}
+            >
+              <div className="folder-entry-name">⬆️ ..</div>
+              <div />
+              <div />
+            </div>
+          )}
+          {listing.folders.map(folder => (
+            <div
+              key={folder.prefix}
+              className="folder-entry folder-entry-folder"
+              onClick={() => setPrefix(folder.prefix)}
+            >
+              <div className="folder-entry-name">📁 {folder.name}</div>
+              <div />
+              <div />
+            </div>
+          ))}
+          {listing.files.map(file => (
+            <div
+              key={file.key}
+              className={`folder-entry folder-entry-file ${selectedKey === file.key ? 'folder-entry-selected' : ''}`}
+              onClick={() => onOpenFile(file.key)}
+              title={file.key}
+            >
+              <div className="folder-entry-name">📄 {file.name}</div>
+              <div className="folder-entry-size">{file.sizeFormatted}</div>
+              <div className="folder-entry-date">{new Date(file.lastModified).toLocaleString()}</div>
+            </div>
+          ))}
+          {listing.folders.length === 0 && listing.files.length === 0 && (
+            <div className="folder-empty">This folder is empty</div>
+          )}
+          {listing.truncated && (
+            <div className="folder-truncated">
+              Listing truncated, only the first {listing.folders.length + listing.files.length} entries are shown.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FolderBrowser;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AuthUser } from './LoginForm';
+
+export interface Job<P = Record<string, number>> {
+  id: string;
+  type: string;
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled' | 'interrupted';
+  params: Record<string, unknown>;
+  createdBy: string | null;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  progress: P;
+  resultCount: number;
+  summary: Record<string, unknown> | null;
+  error: string | null;
+}
+
+interface LogEntry {
+  time: string;
+  level: 'info' | 'warn' | 'error';
+  message: string;
+}
+
+interface JobsPanelProps {
+  user: AuthUser;
+}
+
+export const isJobActive = (job: Job<unknown>) => job.status === 'queued' || job.status === 'running';
+
+const POLL_INTERVAL = 2000;
+
+// "completedShards" -> "completed shards"
+const formatCounter = (name: string) => name.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+const formatDuration = (job: Job) => {
+  if (!job.startedAt) return '';
+  const end = job.finishedAt ? new Date(job.finishedAt).getTime() : Date.now();
+  const seconds = Math.round((end - new Date(job.startedAt).getTime()) / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+// Live log of one job over Server-Sent Events
+const JobLog: React.FC<{ jobId: string }> = ({ jobId }) => {
+  const [entries, setEntries] = useState<LogEntry[]>([]);
+  const [ended, setEnded] = useState(false);
+
+  useEffect(() => {
+    setEntries([]);
+    setEnded(false);
+    const source = new EventSource(`/api/jobs/${jobId}/logs`);
+    source.addEventListener('log', (event) => {
+      const entry = JSON.parse((event as MessageEvent).data);
+      setEntries(prev => [...prev, entry]);
+    });
+    source.addEventListener('end', () => {
+      setEnded(true);
+      source.close();
+    });
+    // Without this the browser would reconnect and replay the log forever
+    source.onerror = () => source.close();
+    return () => source.close();
+  }, [jobId]);
+
+  return (
+    <div className="job-log">
+      {entries.map((entry, index) => (
+        <div key={index} className={`job-log-line job-log-${entry.level}`}>
+          <span className="job-log-time">{new Date(entry.time).toLocaleTimeString()}</span>
+          {entry.message}
+        </div>
+      ))}
+      {!ended && <div className="job-log-line job-log-waiting">…</div>}
+    </div>
+  );
+};
+
+const JobsPanel: React.FC<JobsPanelProps> = ({ user }) => {
+  const [jobs, setJobs] = useState<Job[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [openLog, setOpenLog] = useState<string | null>(null);
+
+  const loadJobs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch('/api/jobs');
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to load jobs');
+      }
+      setJobs(result.jobs);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load jobs');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  // Refresh while anything is queued or running
+  const hasActive = jobs.some(isJobActive);
+  useEffect(() => {
+    if (!hasActive) return;
+    const timer = setInterval(loadJobs, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [hasActive, loadJobs]);
+
+  const handleCancel = async (job: Job) => {
+    try {
+      const response = await fetch(`/api/jobs/${job.id}/cancel`, { method: 'POST' });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to cancel job');
+      }
+      await loadJobs();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to cancel job');
+    }
+  };
+
+  return (
+    <div className="jobs-panel">
+      <div className="jobs-toolbar">
+        <button className="indent-toggle" onClick={loadJobs} disabled={loading}>
+          ↻ Refresh
+        </button>
+        <span className="jobs-count">{jobs.length} jobs</span>
+      </div>
+
+      {error && <div className="jobs-error">{error}</div>}
+
+      {jobs.length === 0 ? (
+        <div className="jobs-empty">{loading ? 'Loading…' : 'No jobs yet'}</div>
+      ) : (
+        <ul className="jobs-list">
+          {jobs.map(job => {
+            const counters = Object.entries(job.progress).filter(([, value]) => typeof value === 'number');
+            const { totalShards, completedShards } = job.progress;
+            const percent = totalShards ? Math.round(((completedShards || 0) / totalShards) * 100) : null;
+            const canCancel = isJobActive(job) && (job.createdBy === user.name || user.role === 'admin');
+
+            return (
+              <li key={job.id} className="job-item">
+                <div className="job-heading">
+                  <span className={`job-status job-status-${job.status}`}>{job.status}</span>
+                  <strong>{job.type}</strong>
+                  <span className="job-meta">
+                    {job.createdBy || 'unknown'} · {new Date(job.createdAt).toLocaleString()}
+                    {job.startedAt && ` · ${formatDuration(job)}`}
+                  </span>
+                </div>
+                <code className="job-params">{JSON.stringify(job.params)}</code>
+
+                {percent !== null && (
+                  <div className="search-progress-bar">
+                    <div className="search-progress-fill" style={{ width: `${percent}%` }} />
+                  </div>
+                )}
+                {counters.length > 0 && (
+                  <div className="job-counters">
+                    {counters.map(([name, value]) => (
+                      <span key={name}>
+                        {formatCounter(name)}: <strong>{value.toLocaleString()}</strong>
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {job.error && <div className="jobs-error">{job.error}</div>}
+
+                <div className="job-actions">
+                  <button
+                    className={`indent-toggle ${openLog === job.id ? 'active' : ''}`}
+                    onClick={() => setOpenLog(openLog === job.id ? null : job.id)}
+                  >
+                    📜 Log
+                  </button>
+                  {job.resultCount > 0 && (
+                    <a className="download-link" href={`/api/jobs/${job.id}/results?download=1`}>
+                      ⬇️ Results ({job.resultCount.toLocaleString()})
+                    </a>
+                  )}
+                  {canCancel && (
+                    <button className="restore-cancel-button" onClick={() => handleCancel(job)}>
+                      Cancel
+                    </button>
+                  )}
+                </div>
+                {openLog === job.id && <JobLog jobId={job.id} />}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default JobsPanel;
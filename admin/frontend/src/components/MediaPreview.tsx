@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+
+interface MediaPreviewProps {
+  kind: 'video' | 'audio' | 'pdf';
+  contentType: string;
+  contentUrl?: string; // Streaming URL, preferred when available
+  content: string | null; // Inline base64 content, used when there is no URL
+}
+
+interface MediaInfo {
+  duration: number;
+  width?: number;
+  height?: number;
+}
+
+const formatDuration = (seconds: number): string => {
+  if (!isFinite(seconds)) return 'unknown';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+// Browsers refuse data: URLs for PDFs in frames, so inline content goes through a blob URL
+const useSourceUrl = (contentType: string, contentUrl: string | undefined, content: string | null) => {
+  const [blobUrl, setBlobUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (contentUrl || content === null) {
+      setBlobUrl(null);
+      return;
+    }
+
+    const bytes = Uint8Array.from(atob(content), char => char.charCodeAt(0));
+    const url = URL.createObjectURL(new Blob([bytes], { type: contentType }));
+    setBlobUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [contentType, contentUrl, content]);
+
+  return contentUrl || blobUrl;
+};
+
+const MediaPreview: React.FC<MediaPreviewProps> = ({ kind, contentType, contentUrl, content }) => {
+  const src = useSourceUrl(contentType, contentUrl, content);
+  const [info, setInfo] = useState<MediaInfo | null>(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    setInfo(null);
+    setFailed(false);
+  }, [src]);
+
+  if (!src) {
+    return null;
+  }
+
+  if (kind === 'pdf') {
+    return (
+      <div className="media-container pdf-container">
+        <iframe src={src} title="PDF document" className="pdf-frame" />
+        <div className="media-info">
+          <a href={src} target="_blank" rel="noopener noreferrer">Open PDF in new tab</a>
+        </div>
+      </div>
+    );
+  }
+
+  const handleLoadedMetadata = (event: React.SyntheticEvent<HTMLVideoElement | HTMLAudioElement>) => {
+    const element = event.currentTarget;
+    setInfo({
+      duration: element.duration,
+      width: element instanceof HTMLVideoElement ? element.videoWidth : undefined,
+      height: element instanceof HTMLVideoElement ? element.videoHeight : undefined
+    });
+  };
+
+  return (
+    <div className="media-container">
+      {kind === 'video' ? (
+        <video
+          src={src}
+          controls
+          preload="metadata"
+          className="media-player"
+          onLoadedMetadata={handleLoadedMetadata}
+          onError={() => setFailed(true)}
+        />
+      ) : (
+        <audio
+          src={src}
+          controls
+          preload="metadata"
+          className="media-player"
+          onLoadedMetadata={handleLoadedMetadata}
+          onError={() => setFailed(true)}
+        />
+      )}
+      <div className="media-info">
+        {failed ? (
+          <span className="media-error">
+            This browser cannot play <code>{contentType}</code>, download the file instead.
+          </span>
+        ) : info && (
+          <span>
+            Duration: {formatDuration(info.duration)}
+            {info.width ? ` · ${info.width}×${info.height}` : ''}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MediaPreview;
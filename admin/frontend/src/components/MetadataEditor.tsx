@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+
+interface EditableMetadata {
+  contentType: string;
+  contentEncoding: string | null;
+  contentLanguage: string | null;
+  contentDisposition: string | null;
+  cacheControl: string | null;
+  expires: string | null;
+  etag: string;
+  metadata: Record<string, string>;
+}
+
+interface MetadataEditorProps {
+  documentKey: string;
+  metadata: EditableMetadata;
+  onSaved: () => void;
+  onCancel: () => void;
+}
+
+type HeaderField = 'contentType' | 'contentEncoding' | 'contentLanguage' | 'contentDisposition' | 'cacheControl' | 'expires';
+
+const HEADER_FIELDS: { field: HeaderField; label: string; placeholder: string }[] = [
+  { field: 'contentType', label: 'Content Type', placeholder: 'text/html' },
+  { field: 'contentEncoding', label: 'Content Encoding', placeholder: 'none' },
+  { field: 'contentLanguage', label: 'Content Language', placeholder: 'none' },
+  { field: 'contentDisposition', label: 'Content Disposition', placeholder: 'none' },
+  { field: 'cacheControl', label: 'Cache Control', placeholder: 'none' },
+  { field: 'expires', label: 'Expires', placeholder: 'none (e.g. 2030-01-01T00:00:00Z)' }
+];
+
+const MetadataEditor: React.FC<MetadataEditorProps> = ({ documentKey, metadata, onSaved, onCancel }) => {
+  const [headers, setHeaders] = useState<Record<HeaderField, string>>(() => ({
+    contentType: metadata.contentType || '',
+    contentEncoding: metadata.contentEncoding || '',
+    contentLanguage: metadata.contentLanguage || '',
+    contentDisposition: metadata.contentDisposition || '',
+    cacheControl: metadata.cacheControl || '',
+    expires: metadata.expires || ''
+  }));
+  const [entries, setEntries] = useState<[string, string][]>(() => Object.entries(metadata.metadata));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const updateEntry = (index: number, position: 0 | 1, value: string) => {
+    setEntries(prev => prev.map((entry, i) => {
+      if (i !== index) return entry;
+      const next: [string, string] = [entry[0], entry[1]];
+      next[position] = value;
+      return next;
+    }));
+  };
+
+  const removingGzip = /gzip/i.test(metadata.contentEncoding || '') && !/gzip/i.test(headers.contentEncoding);
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    const keys = entries.map(([key]) => key.trim());
+    if (keys.some(key => !key)) {
+      setError('Metadata keys cannot be empty');
+      return;
+    }
+    if (new Set(keys.map(key => key.toLowerCase())).size !== keys.length) {
+      setError('Metadata keys must be unique');
+      return;
+    }
+    if (!headers.contentType.trim()) {
+      setError('Content Type is required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await fetch(`/api/document/${encodeURIComponent(documentKey)}/metadata`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...Object.fromEntries(Object.entries(headers).map(([field, value]) => [field, value.trim() || null])),
+          metadata: Object.fromEntries(entries.map(([key, value]) => [key.trim(), value])),
+          etag: metadata.etag
+        })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to update metadata');
+      }
+      onSaved();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update metadata');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="metadata-editor" onSubmit={handleSave}>
+      <h4>Headers</h4>
+      {HEADER_FIELDS.map(({ field, label, placeholder }) => (
+        <div key={field} className="metadata-editor-row">
+          <label htmlFor={`metadata-${field}`}>{label}</label>
+          <input
+            id={`metadata-${field}`}
+            type="text"
+            value={headers[field]}
+            placeholder={placeholder}
+            onChange={(e) => setHeaders(prev => ({ ...prev, [field]: e.target.value }))}
+            disabled={saving}
+          />
+        </div>
+      ))}
+      {removingGzip && (
+        <div className="metadata-editor-warning">
+          Removing the gzip encoding only changes the header. If the body is actually gzip-compressed,
+          use <code>encoding/fix-s3-document-encoding.sh</code> to decompress it instead.
+        </div>
+      )}
+
+      <h4>Custom Metadata</h4>
+      {entries.map(([key, value], index) => (
+        <div key={index} className="metadata-editor-row metadata-editor-custom">
+          <input
+            type="text"
+            value={key}
+            placeholder="key"
+            onChange={(e) => updateEntry(index, 0, e.target.value)}
+            disabled={saving}
+          />
+          <input
+            type="text"
+            value={value}
+            placeholder="value"
+            onChange={(e) => updateEntry(index, 1, e.target.value)}
+            disabled={saving}
+          />
+          <button
+            type="button"
+            className="metadata-editor-remove"
+            onClick={() => setEntries(prev => prev.filter((_, i) => i !== index))}
+            disabled={saving}
+            title="Remove this entry"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="indent-toggle"
+        onClick={() => setEntries(prev => [...prev, ['', '']])}
+        disabled={saving}
+      >
+        + Add entry
+      </button>
+
+      {error && <div className="metadata-editor-error">{error}</div>}
+
+      <div className="metadata-editor-actions">
+        <button type="submit" className="restore-confirm-button" disabled={saving}>
+          {saving ? 'Saving…' : 'Save metadata'}
+        </button>
+        <button type="button" className="restore-cancel-button" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MetadataEditor;
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+interface Reference {
+  source: string;
+  kind: 'link' | 'fragment' | 'embed';
+}
+
+interface ReferencesData {
+  indexed: boolean;
+  builtAt?: string;
+  documents?: number;
+  referencedBy: Reference[];
+  indexJob: { id: string; status: string } | null;
+}
+
+interface ReferencedByProps {
+  documentKey: string;
+  canBuildIndex: boolean;
+  onOpenDocument?: (key: string) => void;
+}
+
+const KIND_LABELS: Record<Reference['kind'], string> = {
+  fragment: '🧩 Fragment',
+  link: '🔗 Link',
+  embed: '🖼️ Embed'
+};
+
+const POLL_INTERVAL = 2000;
+
+const ReferencedBy: React.FC<ReferencedByProps> = ({ documentKey, canBuildIndex, onOpenDocument }) => {
+  const [data, setData] = useState<ReferencesData | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const [org, repo] = documentKey.split('/');
+
+  const loadReferences = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/references/${encodeURIComponent(documentKey)}`);
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to load references');
+      }
+      setData(result);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load references');
+    }
+  }, [documentKey]);
+
+  useEffect(() => {
+    setData(null);
+    loadReferences();
+  }, [loadReferences]);
+
+  // Reload until the running index job for this org/repo is done
+  const indexing = Boolean(data?.indexJob);
+  useEffect(() => {
+    if (!indexing) return;
+    const timer = setInterval(loadReferences, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [indexing, loadReferences]);
+
+  const buildIndex = async () => {
+    setSubmitting(true);
+    try {
+      const response = await fetch('/api/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: 'reference-index', params: { prefix: `${org}/${repo}` } })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to start indexing');
+      }
+      await loadReferences();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to start indexing');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const counts = (data?.referencedBy || []).reduce<Record<string, number>>((acc, reference) => {
+    acc[reference.kind] = (acc[reference.kind] || 0) + 1;
+    return acc;
+  }, {});
+
+  return (
+    <div className="references-section">
+      <div className="content-section-header">
+        <h3>Referenced by {data?.indexed && `(${data.referencedBy.length})`}</h3>
+        {canBuildIndex && data && (
+          <button
+            onClick={buildIndex}
+            className="indent-toggle"
+            disabled={submitting || indexing}
+            title={`Scan every document in ${org}/${repo} for references`}
+          >
+            {indexing ? 'Indexing…' : data.indexed ? '↻ Rebuild index' : 'Build index'}
+          </button>
+        )}
+      </div>
+
+      {error && <div className="references-error">{error}</div>}
+
+      {data && !data.indexed && (
+        <div className="references-empty">
+          {indexing
+            ? `Indexing ${org}/${repo}, follow progress in the Jobs view…`
+            : `There is no reference index for ${org}/${repo} yet.${canBuildIndex ? '' : ' Ask an editor to build it.'}`}
+        </div>
+      )}
+
+      {data?.indexed && (
+        <>
+          <div className="references-info">
+            Index built {data.builtAt ? new Date(data.builtAt).toLocaleString() : ''} from {data.documents?.toLocaleString()} documents
+            {Object.entries(counts).map(([kind, count]) => (
+              <span key={kind} className="references-count">
+                {KIND_LABELS[kind as Reference['kind']]}: {count}
+              </span>
+            ))}
+          </div>
+          {data.referencedBy.length === 0 ? (
+            <div className="references-empty">No indexed document references this one.</div>
+          ) : (
+            <ul className="references-list">
+              {data.referencedBy.map(reference => (
+                <li key={reference.source}>
+                  <span className={`references-kind references-kind-${reference.kind}`}>
+                    {KIND_LABELS[reference.kind]}
+                  </span>
+                  {onOpenDocument ? (
+                    <button className="search-result-key" onClick={() => onOpenDocument(reference.source)}>
+                      {reference.source}
+                    </button>
+                  ) : (
+                    <code>{reference.source}</code>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReferencedBy;
@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Job, isJobActive } from './JobsPanel';
+
+interface SearchSnippet {
+  line: number;
+  before: string;
+  match: string;
+  after: string;
+}
+
+interface SearchResult {
+  key: string;
+  size: number;
+  lastModified: string;
+  matchCount: number;
+  snippets: SearchSnippet[];
+}
+
+interface SearchProgress {
+  totalShards: number;
+  completedShards: number;
+  activeShards: number;
+  totalObjects: number;
+  skippedObjects: number;
+  processedObjects: number;
+  matchedFiles: number;
+  totalMatches: number;
+  errors: number;
+}
+
+interface SearchPageProps {
+  initialPrefix: string;
+  onOpenDocument: (key: string) => void;
+}
+
+const POLL_INTERVAL = 1000;
+
+const SearchPage: React.FC<SearchPageProps> = ({ initialPrefix, onOpenDocument }) => {
+  const [prefix, setPrefix] = useState(initialPrefix);
+  const [query, setQuery] = useState('');
+  const [regex, setRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [extensions, setExtensions] = useState('');
+  const [job, setJob] = useState<Job<SearchProgress> | null>(null);
+  const [results, setResults] = useState<SearchResult[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  // True until the job finished and all of its results were fetched
+  const [polling, setPolling] = useState(false);
+  const sinceRef = useRef(0);
+
+  const jobId = job?.id;
+  const running = job !== null && isJobActive(job);
+
+  // Poll the search job, fetching only results added since the last poll
+  useEffect(() => {
+    if (!jobId || !polling) return;
+    let timer: ReturnType<typeof setTimeout>;
+    let stopped = false;
+
+    const poll = async () => {
+      try {
+        const jobResponse = await fetch(`/api/jobs/${jobId}`);
+        const jobResult = await jobResponse.json();
+        if (!jobResult.success) {
+          throw new Error(jobResult.details || jobResult.error || 'Failed to poll search');
+        }
+        const resultsResponse = await fetch(`/api/jobs/${jobId}/results?offset=${sinceRef.current}`);
+        const result = await resultsResponse.json();
+        if (stopped) return;
+
+        if (!result.success) {
+          throw new Error(result.details || result.error || 'Failed to load search results');
+        }
+        sinceRef.current = result.nextOffset;
+        if (result.results.length > 0) {
+          setResults(prev => [...prev, ...result.results]);
+        }
+        setJob(jobResult.job);
+        if (isJobActive(jobResult.job) || result.nextOffset < jobResult.job.resultCount) {
+          timer = setTimeout(poll, POLL_INTERVAL);
+        } else {
+          setPolling(false);
+        }
+      } catch (err) {
+        if (!stopped) {
+          setError(err instanceof Error ? err.message : 'Failed to poll search');
+          setPolling(false);
+        }
+      }
+    };
+
+    timer = setTimeout(poll, POLL_INTERVAL);
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [jobId, polling]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      const response = await fetch('/api/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          type: 'content-search',
+          params: {
+            prefix: prefix.trim(),
+            query,
+            regex,
+            caseSensitive,
+            extensions: extensions.split(',').map(ext => ext.trim()).filter(Boolean)
+          }
+        })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to start search');
+      }
+      sinceRef.current = 0;
+      setResults([]);
+      setJob(result.job);
+      setPolling(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to start search');
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!job) return;
+    try {
+      const response = await fetch(`/api/jobs/${job.id}/cancel`, { method: 'POST' });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to cancel search');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to cancel search');
+    }
+  };
+
+  // Counters are filled in once the job starts running
+  const progress = job && job.progress.totalShards !== undefined ? job.progress : null;
+  const percent = progress && progress.totalShards > 0
+    ? Math.round((progress.completedShards / progress.totalShards) * 100)
+    : 0;
+
+  return (
+    <div className="search-page">
+      <form className="search-form" onSubmit={handleSubmit}>
+        <div className="search-form-row">
+          <input
+            type="text"
+            value={prefix}
+            onChange={(e) => setPrefix(e.target.value)}
+            placeholder="Folder, e.g. org/repo/drafts"
+            required
+          />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={regex ? 'Regular expression, e.g. hlx\\.(page|live)' : 'Text to find'}
+            required
+          />
+          <button type="submit" disabled={running || !query}>
+            {running ? 'Searching…' : 'Search'}
+          </button>
+        </div>
+        <div className="search-form-row search-options">
+          <label>
+            <input type="checkbox" checked={regex} onChange={(e) => setRegex(e.target.checked)} /> Regular expression
+          </label>
+          <label>
+            <input type="checkbox" checked={caseSensitive} onChange={(e) => setCaseSensitive(e.target.checked)} /> Match case
+          </label>
+          <input
+            type="text"
+            value={extensions}
+            onChange={(e) => setExtensions(e.target.value)}
+            placeholder="Extensions (default: html, json, svg, txt, ...)"
+          />
+        </div>
+      </form>
+
+      {error && <div className="search-error">{error}</div>}
+
+      {job && !progress && running && <div className="search-empty">Waiting for the search to start…</div>}
+
+      {job && progress && (
+        <div className="search-status">
+          <div className="search-progress-bar">
+            <div className="search-progress-fill" style={{ width: `${percent}%` }} />
+          </div>
+          <div className="search-stats">
+            <span className={`search-state search-state-${job.status}`}>{job.status}</span>
+            <span>{progress.completedShards}/{progress.totalShards} shards</span>
+            <span>{progress.totalObjects.toLocaleString()} listed</span>
+            <span>{progress.processedObjects.toLocaleString()} scanned</span>
+            <span>{progress.matchedFiles.toLocaleString()} files, {progress.totalMatches.toLocaleString()} matches</span>
+            {progress.errors > 0 && (
+              <span className="search-errors" title="See the job log in the Jobs view">
+                {progress.errors} errors
+              </span>
+            )}
+            {running && (
+              <button className="restore-cancel-button" onClick={handleCancel}>
+                Cancel
+              </button>
+            )}
+          </div>
+          {progress.matchedFiles > job.resultCount && !polling && (
+            <div className="search-truncated">
+              Only the first {results.length.toLocaleString()} matching files are listed, narrow the prefix or query.
+            </div>
+          )}
+          {job.error && <div className="search-error">{job.error}</div>}
+        </div>
+      )}
+
+      {results.length > 0 && (
+        <ul className="search-results">
+          {results.map(result => (
+            <li key={result.key} className="search-result">
+              <div className="search-result-heading">
+                <button className="search-result-key" onClick={() => onOpenDocument(result.key)} title="Open this document">
+                  {result.key}
+                </button>
+                <span className="search-result-count">
+                  {result.matchCount} match{result.matchCount === 1 ? '' : 'es'}
+                </span>
+              </div>
+              {result.snippets.map((snippet, index) => (
+                <div key={index} className="search-snippet">
+                  <span className="search-snippet-line">{snippet.line}</span>
+                  <code>
+                    {snippet.before}
+                    <mark>{snippet.match}</mark>
+                    {snippet.after}
+                  </code>
+                </div>
+              ))}
+              {result.matchCount > result.snippets.length && (
+                <div className="search-snippet-more">
+                  … {result.matchCount - result.snippets.length} more
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {job && !polling && results.length === 0 && job.status !== 'failed' && (
+        <div className="search-empty">No matches found</div>
+      )}
+    </div>
+  );
+};
+
+export default SearchPage;
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useMemo } from 'react';
+
+type Row = Record<string, unknown>;
+
+interface Sheet {
+  name: string;
+  columns: string[];
+  rows: Row[];
+  total: number | null;
+  limit: number | null;
+  offset: number | null;
+}
+
+interface SheetViewerProps {
+  sheets: Sheet[];
+}
+
+interface SortState {
+  column: string;
+  direction: 'asc' | 'desc';
+}
+
+const isRecord = (value: unknown): value is Row =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const toNumber = (value: unknown): number | null => (typeof value === 'number' ? value : null);
+
+// Column order: explicit `columns` when present, otherwise keys in first-seen order
+const collectColumns = (sheet: Row, rows: Row[]): string[] => {
+  if (Array.isArray(sheet.columns) && sheet.columns.every(column => typeof column === 'string')) {
+    return sheet.columns as string[];
+  }
+  const columns = new Set<string>();
+  rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+  return Array.from(columns);
+};
+
+const toSheet = (name: string, sheet: unknown): Sheet | null => {
+  if (!isRecord(sheet) || !Array.isArray(sheet.data)) return null;
+  const rows = sheet.data.filter(isRecord);
+  return {
+    name,
+    columns: collectColumns(sheet, rows),
+    rows,
+    total: toNumber(sheet.total),
+    limit: toNumber(sheet.limit),
+    offset: toNumber(sheet.offset)
+  };
+};
+
+/**
+ * Extract the sheets of a DA spreadsheet document.
+ * Returns null when the JSON is not a `sheet` or `multi-sheet`.
+ */
+export const parseSheets = (json: unknown): Sheet[] | null => {
+  if (!isRecord(json)) return null;
+
+  if (json[':type'] === 'sheet') {
+    const sheet = toSheet('data', json);
+    return sheet ? [sheet] : null;
+  }
+
+  if (json[':type'] === 'multi-sheet') {
+    const names = Array.isArray(json[':names'])
+      ? (json[':names'] as unknown[]).filter((name): name is string => typeof name === 'string')
+      : Object.keys(json).filter(key => !key.startsWith(':'));
+    const sheets = names
+      .map(name => toSheet(name, json[name]))
+      .filter((sheet): sheet is Sheet => sheet !== null);
+    return sheets.length > 0 ? sheets : null;
+  }
+
+  return null;
+};
+
+const cellText = (value: unknown): string => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const escapeCsv = (value: string): string =>
+  /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+const toCsv = (sheet: Sheet): string => {
+  const lines = [sheet.columns.map(escapeCsv).join(',')];
+  sheet.rows.forEach(row => {
+    lines.push(sheet.columns.map(column => escapeCsv(cellText(row[column]))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+const downloadCsv = (sheet: Sheet) => {
+  const url = URL.createObjectURL(new Blob([toCsv(sheet)], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${sheet.name}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const SheetViewer: React.FC<SheetViewerProps> = ({ sheets }) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [filter, setFilter] = useState('');
+  const [sort, setSort] = useState<SortState | null>(null);
+
+  const sheet = sheets[Math.min(activeIndex, sheets.length - 1)];
+
+  // Each sheet starts unsorted and unfiltered
+  useEffect(() => {
+    setFilter('');
+    setSort(null);
+  }, [sheet]);
+
+  const visibleRows = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    // Keep the original row number so it survives sorting and filtering
+    let rows = sheet.rows.map((row, index) => ({ row, number: index + 1 }));
+    if (needle) {
+      rows = rows.filter(({ row }) =>
+        sheet.columns.some(column => cellText(row[column]).toLowerCase().includes(needle)));
+    }
+
+    if (sort) {
+      const factor = sort.direction === 'asc' ? 1 : -1;
+      rows.sort((a, b) =>
+        factor * cellText(a.row[sort.column]).localeCompare(cellText(b.row[sort.column]), undefined, { numeric: true }));
+    }
+    return rows;
+  }, [sheet, filter, sort]);
+
+  // Click cycles ascending -> descending -> unsorted
+  const toggleSort = (column: string) => {
+    setSort(prev => {
+      if (!prev || prev.column !== column) return { column, direction: 'asc' };
+      if (prev.direction === 'asc') return { column, direction: 'desc' };
+      return null;
+    });
+  };
+
+  const sortIndicator = (column: string) => {
+    if (!sort || sort.column !== column) return '';
+    return sort.direction === 'asc' ? ' ▲' : ' ▼';
+  };
+
+  const partial = sheet.total !== null && sheet.total > sheet.rows.length;
+
+  return (
+    <div className="sheet-viewer">
+      {sheets.length > 1 && (
+        <div className="sheet-tabs">
+          {sheets.map((tab, index) => (
+            <button
+              key={tab.name}
+              className={`sheet-tab ${tab === sheet ? 'active' : ''}`}
+              onClick={() => setActiveIndex(index)}
+            >
+              {tab.name} <span className="sheet-tab-count">{tab.rows.length}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="sheet-controls">
+        <input
+          type="text"
+          className="sheet-filter"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter rows…"
+        />
+        <span className="sheet-summary">
+          {visibleRows.length === sheet.rows.length
+            ? `${sheet.rows.length} rows`
+            : `${visibleRows.length} of ${sheet.rows.length} rows`}
+          {partial && ` (offset ${sheet.offset ?? 0}, limit ${sheet.limit ?? '-'}, total ${sheet.total})`}
+        </span>
+        <button className="indent-toggle" onClick={() => downloadCsv(sheet)}>
+          ⬇️ Export CSV
+        </button>
+      </div>
+
+      {sheet.columns.length === 0 ? (
+        <div className="sheet-empty">This sheet has no rows</div>
+      ) : (
+        <div className="sheet-table-wrapper">
+          <table className="sheet-table">
+            <thead>
+              <tr>
+                <th className="sheet-row-number">#</th>
+                {sheet.columns.map(column => (
+                  <th key={column} onClick={() => toggleSort(column)} title="Sort by this column">
+                    {column}{sortIndicator(column)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map(({ row, number }) => (
+                <tr key={number}>
+                  <td className="sheet-row-number">{number}</td>
+                  {sheet.columns.map(column => (
+                    <td key={column}>{cellText(row[column])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SheetViewer;
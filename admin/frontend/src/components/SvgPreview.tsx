@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+
+interface SvgPreviewProps {
+  contentUrl?: string; // Streaming URL, preferred when available
+  content: string | null; // Inline base64 content, used when there is no URL
+}
+
+const decodeBase64 = (content: string): string => {
+  const bytes = Uint8Array.from(atob(content), char => char.charCodeAt(0));
+  return new TextDecoder('utf-8').decode(bytes);
+};
+
+const SvgPreview: React.FC<SvgPreviewProps> = ({ contentUrl, content }) => {
+  const [mode, setMode] = useState<'rendered' | 'source'>('rendered');
+  const [source, setSource] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  // Rendered through <img>, so scripts inside the SVG never run
+  const src = contentUrl || (content !== null ? `data:image/svg+xml;base64,${content}` : '');
+
+  useEffect(() => {
+    setSource(null);
+    setError(null);
+  }, [contentUrl, content]);
+
+  // Load the markup lazily, only when the source view is opened
+  useEffect(() => {
+    if (mode !== 'source' || source !== null) return;
+    let cancelled = false;
+
+    const loadSource = async () => {
+      try {
+        if (content !== null) {
+          setSource(decodeBase64(content));
+          return;
+        }
+        if (!contentUrl) return;
+
+        const response = await fetch(contentUrl);
+        if (!response.ok) {
+          throw new Error(`Failed to load SVG source (${response.status})`);
+        }
+        const text = await response.text();
+        if (!cancelled) setSource(text);
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load SVG source');
+      }
+    };
+
+    loadSource();
+    return () => {
+      cancelled = true;
+    };
+  }, [mode, source, contentUrl, content]);
+
+  return (
+    <div className="html-content">
+      <div className="html-controls">
+        <button
+          onClick={() => setMode('rendered')}
+          className={`indent-toggle ${mode === 'rendered' ? 'active' : ''}`}
+        >
+          🖼️ Rendered
+        </button>
+        <button
+          onClick={() => setMode('source')}
+          className={`indent-toggle ${mode === 'source' ? 'active' : ''}`}
+        >
+          📄 Source
+        </button>
+      </div>
+      {mode === 'rendered' ? (
+        <div className="image-container svg-container">
+          <img src={src} alt="SVG content" style={{ maxWidth: '100%', height: 'auto' }} />
+        </div>
+      ) : error ? (
+        <div className="media-error">{error}</div>
+      ) : (
+        <pre className="html-source">{source ?? 'Loading…'}</pre>
+      )}
+    </div>
+  );
+};
+
+export default SvgPreview;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+interface TrashEntry {
+  key: string;
+  name: string;
+  originalKey: string;
+  originalKeySource: 'metadata' | 'location';
+  size: number;
+  sizeFormatted: string;
+  deletedAt: string;
+  contentType: string | null;
+  etag: string | null;
+  conflict: { lastModified: string; size: number } | null;
+}
+
+interface TrashBrowserProps {
+  initialPrefix: string;
+  canRestore: boolean;
+  onOpenDocument: (key: string) => void;
+}
+
+const PAGE_SIZE = 100;
+
+const formatSize = (bytes: number) => {
+  if (bytes === 0) return '0B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(1))}${units[i]}`;
+};
+
+// "org/repo/en/about.html" -> "org/repo/en/about-restored.html"
+const suggestTarget = (key: string) => key.replace(/(\.[^./]+)?$/, '-restored$1');
+
+const TrashBrowser: React.FC<TrashBrowserProps> = ({ initialPrefix, canRestore, onOpenDocument }) => {
+  const [draft, setDraft] = useState(initialPrefix);
+  const [prefix, setPrefix] = useState(initialPrefix);
+  const [offset, setOffset] = useState(0);
+  const [entries, setEntries] = useState<TrashEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [totalSize, setTotalSize] = useState(0);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  // Entry being restored to a path other than its original one
+  const [retarget, setRetarget] = useState<{ key: string; path: string } | null>(null);
+  const [restoring, setRestoring] = useState<string | null>(null);
+
+  const loadEntries = useCallback(async () => {
+    if (!prefix) return;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+      const response = await fetch(`/api/trash/${prefix}?${params}`);
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to load trash');
+      }
+      setEntries(result.entries);
+      setTotal(result.total);
+      setTotalSize(result.totalSize);
+      setTruncated(result.truncated);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  }, [prefix, offset]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    const [org, repo] = draft.trim().replace(/^\/+/, '').split('/');
+    if (!org || !repo) {
+      setError('Enter an org/repo, e.g. org/repo');
+      return;
+    }
+    setMessage(null);
+    setRetarget(null);
+    setOffset(0);
+    setPrefix(`${org}/${repo}`);
+  };
+
+  const handleRestore = async (entry: TrashEntry, targetPath?: string) => {
+    setRestoring(entry.key);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await fetch('/api/trash/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ key: entry.key, etag: entry.etag, targetPath })
+      });
+      const result = await response.json();
+
+      if (result.conflict) {
+        // Someone recreated the document, offer to restore next to it
+        setRetarget({ key: entry.key, path: suggestTarget(result.conflict.key) });
+        throw new Error(result.error);
+      }
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to restore');
+      }
+
+      setRetarget(null);
+      setMessage(`Restored ${result.documentPath}${result.trashRemoved ? '' : ' (the trash copy could not be removed)'}`);
+      await loadEntries();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to restore');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  return (
+    <div className="trash-browser">
+      <form className="trash-toolbar" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="org/repo"
+          required
+        />
+        <button type="submit" className="indent-toggle" disabled={loading}>
+          {loading ? 'Loading…' : 'Show trash'}
+        </button>
+        {prefix && (
+          <span className="trash-summary">
+            {total.toLocaleString()}{truncated ? '+' : ''} entries, {formatSize(totalSize)}
+          </span>
+        )}
+      </form>
+
+      {error && <div className="trash-error">{error}</div>}
+      {message && <div className="trash-message">{message}</div>}
+      {truncated && (
+        <div className="trash-truncated">
+          The trash holds more entries than can be listed, only the first {total.toLocaleString()} are sorted and shown.
+        </div>
+      )}
+
+      {!prefix ? (
+        <div className="trash-empty">Enter an org/repo to browse its .trash folder.</div>
+      ) : !error && entries.length === 0 ? (
+        <div className="trash-empty">{loading ? 'Loading…' : `The trash of ${prefix} is empty`}</div>
+      ) : entries.length > 0 && (
+        <table className="trash-table">
+          <thead>
+            <tr>
+              <th>Deleted</th>
+              <th>Original path</th>
+              <th>In trash</th>
+              <th>Size</th>
+              {canRestore && <th></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <React.Fragment key={entry.key}>
+                <tr className={entry.conflict ? 'trash-conflict' : ''}>
+                  <td>{new Date(entry.deletedAt).toLocaleString()}</td>
+                  <td>
+                    <code>{entry.originalKey}</code>
+                    {entry.originalKeySource === 'location' && (
+                      <span className="trash-inferred" title="Inferred from the location in .trash">inferred</span>
+                    )}
+                    {entry.conflict && (
+                      <button
+                        className="trash-live-link"
+                        onClick={() => onOpenDocument(entry.originalKey)}
+                        title={`Modified ${new Date(entry.conflict.lastModified).toLocaleString()}`}
+                      >
+                        ⚠️ live document exists
+                      </button>
+                    )}
+                  </td>
+                  <td>
+                    <button className="audit-key" onClick={() => onOpenDocument(entry.key)} title="Open the trashed copy">
+                      {entry.name}
+                    </button>
+                  </td>
+                  <td>{entry.sizeFormatted}</td>
+                  {canRestore && (
+                    <td className="trash-actions">
+                      <button
+                        className="restore-button"
+                        onClick={() => entry.conflict
+                          ? setRetarget({ key: entry.key, path: suggestTarget(entry.originalKey) })
+                          : handleRestore(entry)}
+                        disabled={restoring !== null}
+                      >
+                        {restoring === entry.key ? 'Restoring…' : 'Restore'}
+                      </button>
+                    </td>
+                  )}
+                </tr>
+                {retarget?.key === entry.key && (
+                  <tr className="trash-retarget-row">
+                    <td colSpan={5}>
+                      <div className="restore-confirm">
+                        <p>
+                          A document exists at the original path. Restore this entry to another path
+                          in the same site:
+                        </p>
+                        <input
+                          type="text"
+                          value={retarget.path}
+                          onChange={(e) => setRetarget({ key: entry.key, path: e.target.value })}
+                        />
+                        <div>
+                          <button
+                            className="restore-confirm-button"
+                            onClick={() => handleRestore(entry, retarget.path.trim())}
+                            disabled={restoring !== null || !retarget.path.trim() || retarget.path.trim() === entry.originalKey}
+                          >
+                            Restore here
+                          </button>
+                          <button className="restore-cancel-button" onClick={() => setRetarget(null)}>
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="audit-pagination">
+          <button
+            className="indent-toggle"
+            onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+            disabled={loading || offset === 0}
+          >
+            ← Newer
+          </button>
+          <span>
+            {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </span>
+          <button
+            className="indent-toggle"
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            disabled={loading || offset + PAGE_SIZE >= total}
+          >
+            Older →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrashBrowser;
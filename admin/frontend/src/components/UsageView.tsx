@@ -0,0 +1,495 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Job, isJobActive } from './JobsPanel';
+
+type UsageKind = 'live' | 'versions' | 'trash';
+
+interface UsageCount {
+  files: number;
+  bytes: number;
+}
+
+interface UsageNode {
+  name: string;
+  path: string | null;
+  files: number;
+  bytes: number;
+  usage?: Record<UsageKind, UsageCount>;
+  kind?: UsageKind;
+  more?: number;
+  children: UsageNode[];
+}
+
+interface UsageReport {
+  jobId: string;
+  builtAt: string;
+  source: { type: 'listing' | 'inventory'; prefix: string; inventory?: string };
+  depth: number;
+  totals: UsageCount & Record<UsageKind, UsageCount>;
+  tree: UsageNode;
+}
+
+interface Inventory {
+  name: string;
+  size: number;
+  lastModified: string;
+  format: string;
+}
+
+interface Tile {
+  node: UsageNode;
+  // Files directly in the node's folder rather than in a listed subfolder
+  rest?: boolean;
+  x: number;
+  y: number;
+  w: number;
+  h: number;
+}
+
+interface UsageViewProps {
+  initialPrefix: string;
+}
+
+const KINDS: UsageKind[] = ['live', 'versions', 'trash'];
+
+const KIND_LABELS: Record<UsageKind, string> = {
+  live: 'Live content',
+  versions: '.da-versions',
+  trash: '.trash'
+};
+
+const KIND_COLORS: Record<UsageKind, string> = {
+  live: '#4caf50',
+  versions: '#7e57c2',
+  trash: '#ef6c00'
+};
+
+const POLL_INTERVAL = 1000;
+
+// Treemap coordinate space, the container keeps the same aspect ratio
+const MAP_WIDTH = 1000;
+const MAP_HEIGHT = 500;
+
+// Tiles smaller than this share of the map get no label
+const MIN_LABEL_AREA = 0.004;
+
+const formatSize = (bytes: number) => {
+  if (bytes === 0) return '0B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(1))}${units[i]}`;
+};
+
+const formatPercent = (part: number, whole: number) =>
+  whole > 0 ? `${((part * 100) / whole).toFixed(1)}%` : '0%';
+
+// Worst aspect ratio of a row of areas laid along a side
+const worstRatio = (row: number[], side: number) => {
+  const sum = row.reduce((a, b) => a + b, 0);
+  const max = Math.max(...row);
+  const min = Math.min(...row);
+  return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+};
+
+/**
+ * Squarified treemap layout: values sorted largest first, rows are added along
+ * the shorter side of the remaining space while they keep tiles close to square
+ */
+const layoutTreemap = (values: number[], width: number, height: number) => {
+  const total = values.reduce((a, b) => a + b, 0);
+  const rects: Array<{ x: number; y: number; w: number; h: number }> = [];
+  if (total <= 0) return rects;
+
+  const areas = values.map(value => (value * width * height) / total);
+  let x = 0;
+  let y = 0;
+  let w = width;
+  let h = height;
+  let row: number[] = [];
+
+  const placeRow = () => {
+    const sum = row.reduce((a, b) => a + b, 0);
+    if (w >= h) {
+      const columnWidth = sum / h;
+      let offset = y;
+      for (const area of row) {
+        rects.push({ x, y: offset, w: columnWidth, h: area / columnWidth });
+        offset += area / columnWidth;
+      }
+      x += columnWidth;
+      w -= columnWidth;
+    } else {
+      const rowHeight = sum / w;
+      let offset = x;
+      for (const area of row) {
+        rects.push({ x: offset, y, w: area / rowHeight, h: rowHeight });
+        offset += area / rowHeight;
+      }
+      y += rowHeight;
+      h -= rowHeight;
+    }
+    row = [];
+  };
+
+  for (const area of areas) {
+    const side = Math.min(w, h);
+    if (row.length > 0 && worstRatio([...row, area], side) > worstRatio(row, side)) {
+      placeRow();
+    }
+    row.push(area);
+  }
+  if (row.length > 0) placeRow();
+  return rects;
+};
+
+// Org and repo tiles show their live/versions/trash split as color bands
+const tileBackground = (node: UsageNode, measure: keyof UsageCount) => {
+  if (node.more) return '#9e9e9e';
+  if (node.kind) return KIND_COLORS[node.kind];
+  if (!node.usage) return '#90a4ae';
+
+  const total = KINDS.reduce((sum, kind) => sum + node.usage![kind][measure], 0);
+  if (total === 0) return KIND_COLORS.live;
+  let start = 0;
+  const stops = KINDS.map((kind) => {
+    const end = start + (node.usage![kind][measure] * 100) / total;
+    const stop = `${KIND_COLORS[kind]} ${start}% ${end}%`;
+    start = end;
+    return stop;
+  });
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+};
+
+const nodeLabel = (node: UsageNode) => (node.kind && node.name === node.kind ? KIND_LABELS[node.kind] : node.name);
+
+const UsageView: React.FC<UsageViewProps> = ({ initialPrefix }) => {
+  const [prefix, setPrefix] = useState(initialPrefix);
+  const [inventory, setInventory] = useState('');
+  const [depth, setDepth] = useState(2);
+  const [inventories, setInventories] = useState<Inventory[]>([]);
+  const [reports, setReports] = useState<Job[]>([]);
+  const [job, setJob] = useState<Job | null>(null);
+  const [report, setReport] = useState<UsageReport | null>(null);
+  // Nodes from the root down to the one the treemap is zoomed into
+  const [trail, setTrail] = useState<UsageNode[]>([]);
+  const [measure, setMeasure] = useState<keyof UsageCount>('bytes');
+  const [error, setError] = useState<string | null>(null);
+
+  const jobId = job?.id;
+  const running = job !== null && isJobActive(job);
+
+  const loadReport = useCallback(async (id: string) => {
+    setError(null);
+    try {
+      const response = await fetch(`/api/usage/${id}`);
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to load usage report');
+      }
+      setReport(result.report);
+      setTrail([result.report.tree]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load usage report');
+    }
+  }, []);
+
+  // Inventories to pick from and earlier reports to reopen
+  const loadSources = useCallback(async () => {
+    try {
+      const [inventoriesResponse, jobsResponse] = await Promise.all([
+        fetch('/api/usage/inventories'),
+        fetch('/api/jobs?type=storage-usage&status=completed&limit=20')
+      ]);
+      const inventoriesResult = await inventoriesResponse.json();
+      const jobsResult = await jobsResponse.json();
+      if (!inventoriesResult.success || !jobsResult.success) {
+        throw new Error(inventoriesResult.error || jobsResult.error || 'Failed to load inventories');
+      }
+      setInventories(inventoriesResult.inventories);
+      setReports(jobsResult.jobs);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load inventories');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSources();
+  }, [loadSources]);
+
+  // Poll the usage job, then load its report
+  useEffect(() => {
+    if (!jobId || !running) return;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/jobs/${jobId}`);
+        const result = await response.json();
+        if (!result.success) {
+          throw new Error(result.details || result.error || 'Failed to poll usage job');
+        }
+        setJob(result.job);
+        if (result.job.status === 'completed') {
+          await loadReport(jobId);
+          loadSources();
+        }
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to poll usage job');
+      }
+    }, POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [jobId, running, job, loadReport, loadSources]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      const response = await fetch('/api/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          type: 'storage-usage',
+          params: { prefix: prefix.trim(), inventory: inventory || undefined, depth }
+        })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to start usage job');
+      }
+      setJob(result.job);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to start usage job');
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!job) return;
+    try {
+      const response = await fetch(`/api/jobs/${job.id}/cancel`, { method: 'POST' });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to cancel usage job');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to cancel usage job');
+    }
+  };
+
+  const current = trail.length > 0 ? trail[trail.length - 1] : null;
+
+  // Children plus the files the listed subfolders don't account for
+  const tiles: Tile[] = [];
+  if (current) {
+    const entries: Array<{ node: UsageNode; rest?: boolean }> = current.children.map(node => ({ node }));
+    const rest = {
+      files: current.files - current.children.reduce((sum, c) => sum + c.files, 0),
+      bytes: current.bytes - current.children.reduce((sum, c) => sum + c.bytes, 0)
+    };
+    if (rest[measure] > 0) {
+      entries.push({
+        node: { name: '(files)', path: null, ...rest, kind: current.kind, children: [] },
+        rest: true
+      });
+    }
+    const visible = entries.filter(entry => entry.node[measure] > 0)
+      .sort((a, b) => b.node[measure] - a.node[measure]);
+    const rects = layoutTreemap(visible.map(entry => entry.node[measure]), MAP_WIDTH, MAP_HEIGHT);
+    visible.forEach((entry, i) => tiles.push({ ...entry, ...rects[i] }));
+  }
+
+  const progress = job?.progress || {};
+  const percent = progress.totalShards
+    ? Math.round(((progress.completedShards || 0) / progress.totalShards) * 100)
+    : null;
+
+  return (
+    <div className="usage-view">
+      <form className="search-form" onSubmit={handleSubmit}>
+        <div className="search-form-row">
+          <input
+            type="text"
+            value={prefix}
+            onChange={(e) => setPrefix(e.target.value)}
+            placeholder="Prefix, e.g. org or org/repo (empty: whole bucket)"
+          />
+          <select value={inventory} onChange={(e) => setInventory(e.target.value)} title="Where keys and sizes come from">
+            <option value="">Fresh listing</option>
+            {inventories.map(item => (
+              <option key={item.name} value={item.name}>
+                Inventory: {item.name} ({formatSize(item.size)}, {new Date(item.lastModified).toLocaleDateString()})
+              </option>
+            ))}
+          </select>
+          <label className="usage-depth">
+            Folder levels
+            <select value={depth} onChange={(e) => setDepth(Number(e.target.value))}>
+              {[0, 1, 2, 3, 4].map(levels => <option key={levels} value={levels}>{levels}</option>)}
+            </select>
+          </label>
+          <button type="submit" disabled={running}>
+            {running ? 'Counting…' : 'Analyze'}
+          </button>
+        </div>
+        {reports.length > 0 && (
+          <div className="search-form-row search-options">
+            <label>
+              Earlier reports{' '}
+              <select
+                value={report ? report.jobId : ''}
+                onChange={(e) => e.target.value && loadReport(e.target.value)}
+              >
+                <option value="">Choose…</option>
+                {reports.map(item => (
+                  <option key={item.id} value={item.id}>
+                    {new Date(item.finishedAt || item.createdAt).toLocaleString()} · {String(item.params.inventory || 'listing')} · {String(item.params.prefix) || 'whole bucket'}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+      </form>
+
+      {error && <div className="search-error">{error}</div>}
+
+      {job && running && (
+        <div className="search-status">
+          {percent !== null && (
+            <div className="search-progress-bar">
+              <div className="search-progress-fill" style={{ width: `${percent}%` }} />
+            </div>
+          )}
+          <div className="search-stats">
+            <span className={`search-state search-state-${job.status}`}>{job.status}</span>
+            {progress.totalShards !== undefined && <span>{progress.completedShards}/{progress.totalShards} shards</span>}
+            {progress.totalObjects !== undefined && <span>{progress.totalObjects.toLocaleString()} listed</span>}
+            {progress.rows !== undefined && <span>{progress.rows.toLocaleString()} inventory rows</span>}
+            <button className="restore-cancel-button" onClick={handleCancel}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+      {job && !running && job.status !== 'completed' && (
+        <div className="search-error">Usage job {job.status}{job.error ? `: ${job.error}` : ''}</div>
+      )}
+
+      {report && current && (
+        <div className="usage-report">
+          <div className="usage-summary">
+            <span>
+              {report.source.type === 'inventory' ? `Inventory ${report.source.inventory}` : 'Listing'}
+              {' of '}{report.source.prefix || 'the whole bucket'} · {new Date(report.builtAt).toLocaleString()}
+            </span>
+            <span>{report.totals.files.toLocaleString()} files, {formatSize(report.totals.bytes)}</span>
+            {KINDS.map(kind => (
+              <span key={kind} className="usage-legend">
+                <span className="usage-swatch" style={{ background: KIND_COLORS[kind] }} />
+                {KIND_LABELS[kind]} {formatSize(report.totals[kind].bytes)} ({formatPercent(report.totals[kind].bytes, report.totals.bytes)})
+              </span>
+            ))}
+            <span className="usage-measure">
+              Size by{' '}
+              <button
+                className={`indent-toggle ${measure === 'bytes' ? 'active' : ''}`}
+                onClick={() => setMeasure('bytes')}
+              >
+                Bytes
+              </button>
+              <button
+                className={`indent-toggle ${measure === 'files' ? 'active' : ''}`}
+                onClick={() => setMeasure('files')}
+              >
+                Files
+              </button>
+            </span>
+          </div>
+
+          <div className="folder-breadcrumb">
+            {trail.map((node, index) => (
+              <React.Fragment key={index}>
+                {index > 0 && <span className="folder-breadcrumb-separator">/</span>}
+                {index === trail.length - 1 ? (
+                  <span className="folder-breadcrumb-current">{index === 0 ? 'All' : nodeLabel(node)}</span>
+                ) : (
+                  <button className="folder-breadcrumb-link" onClick={() => setTrail(trail.slice(0, index + 1))}>
+                    {index === 0 ? 'All' : nodeLabel(node)}
+                  </button>
+                )}
+              </React.Fragment>
+            ))}
+            <span className="usage-current">
+              {current.files.toLocaleString()} files, {formatSize(current.bytes)}
+            </span>
+          </div>
+
+          <div className="usage-treemap" style={{ aspectRatio: `${MAP_WIDTH} / ${MAP_HEIGHT}` }}>
+            {tiles.length === 0 && <div className="usage-empty">Nothing to show</div>}
+            {tiles.map(({ node, rest, x, y, w, h }) => {
+              const zoomable = !rest && node.children.length > 0;
+              const labelled = (w * h) / (MAP_WIDTH * MAP_HEIGHT) >= MIN_LABEL_AREA;
+              return (
+                <div
+                  key={rest ? '(files)' : `${node.name}-${node.more || ''}`}
+                  className={`usage-tile ${zoomable ? 'usage-tile-zoomable' : ''}`}
+                  style={{
+                    left: `${(x / MAP_WIDTH) * 100}%`,
+                    top: `${(y / MAP_HEIGHT) * 100}%`,
+                    width: `${(w / MAP_WIDTH) * 100}%`,
+                    height: `${(h / MAP_HEIGHT) * 100}%`,
+                    background: tileBackground(node, measure)
+                  }}
+                  title={`${node.path || nodeLabel(node)}\n${node.files.toLocaleString()} files, ${formatSize(node.bytes)} (${formatPercent(node[measure], current[measure])})`}
+                  onClick={() => zoomable && setTrail([...trail, node])}
+                >
+                  {labelled && (
+                    <span className="usage-tile-label">
+                      {nodeLabel(node)}
+                      <small>{measure === 'bytes' ? formatSize(node.bytes) : node.files.toLocaleString()}</small>
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <table className="usage-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Files</th>
+                <th>Size</th>
+                <th>Share</th>
+                {KINDS.map(kind => <th key={kind}>{KIND_LABELS[kind]}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {tiles.map(({ node, rest }) => (
+                <tr key={rest ? '(files)' : `${node.name}-${node.more || ''}`}>
+                  <td>
+                    {!rest && node.children.length > 0 ? (
+                      <button className="search-result-key" onClick={() => setTrail([...trail, node])}>
+                        {nodeLabel(node)}
+                      </button>
+                    ) : nodeLabel(node)}
+                  </td>
+                  <td>{node.files.toLocaleString()}</td>
+                  <td>{formatSize(node.bytes)}</td>
+                  <td>{formatPercent(node[measure], current[measure])}</td>
+                  {KINDS.map(kind => (
+                    <td key={kind}>
+                      {node.usage
+                        ? formatSize(node.usage[kind].bytes)
+                        : node.kind === kind ? formatSize(node.bytes) : ''}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UsageView;
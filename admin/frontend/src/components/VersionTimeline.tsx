@@ -0,0 +1,129 @@
+import React, { useState, useMemo } from 'react';
+
+export interface TimelineEvent {
+  type: 'snapshot' | 'audit';
+  timestamp: string | null;
+  users: string[];
+  action: string | null;
+  label: string | null;
+  versionKey: string | null;
+  location: 'legacy' | 'new' | null;
+  auditLine: number | null;
+  raw: string | null;
+}
+
+interface VersionTimelineProps {
+  timeline: TimelineEvent[];
+  onVersionPreview: (versionPath: string) => void;
+  selectedVersionPath?: string | null;
+}
+
+const VersionTimeline: React.FC<VersionTimelineProps> = ({ timeline, onVersionPreview, selectedVersionPath }) => {
+  const [user, setUser] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  const users = useMemo(
+    () => Array.from(new Set(timeline.flatMap(event => event.users))).sort(),
+    [timeline]
+  );
+
+  const filtered = useMemo(() => {
+    // Date inputs are local days; the range includes the whole "to" day
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+
+    return timeline.filter(event => {
+      if (user && !event.users.includes(user)) return false;
+      if (fromTime === null && toTime === null) return true;
+      if (!event.timestamp) return false;
+      const time = new Date(event.timestamp).getTime();
+      return (fromTime === null || time >= fromTime) && (toTime === null || time <= toTime);
+    });
+  }, [timeline, user, from, to]);
+
+  const hasFilters = Boolean(user || from || to);
+
+  return (
+    <div className="version-timeline">
+      <div className="timeline-filters">
+        <select value={user} onChange={(e) => setUser(e.target.value)}>
+          <option value="">All users</option>
+          {users.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <label>
+          From <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label>
+          To <input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+        </label>
+        {hasFilters && (
+          <button
+            className="indent-toggle"
+            onClick={() => {
+              setUser('');
+              setFrom('');
+              setTo('');
+            }}
+          >
+            Clear
+          </button>
+        )}
+        <span className="timeline-count">
+          {hasFilters ? `${filtered.length} of ${timeline.length}` : timeline.length} events
+        </span>
+      </div>
+
+      {filtered.length === 0 ? (
+        <div className="timeline-empty">No events match the filters</div>
+      ) : (
+        <ul className="timeline-list">
+          {filtered.map((event, index) => {
+            const isSelected = Boolean(event.versionKey && selectedVersionPath === event.versionKey);
+            return (
+              <li
+                key={event.versionKey || `audit-${event.auditLine}-${index}`}
+                className={`timeline-event timeline-event-${event.type} ${isSelected ? 'timeline-event-selected' : ''}`}
+              >
+                <div className="timeline-marker">{event.type === 'snapshot' ? '📸' : '📝'}</div>
+                <div className="timeline-body">
+                  <div className="timeline-heading">
+                    <span className="timeline-date">
+                      {event.timestamp ? new Date(event.timestamp).toLocaleString() : 'Unknown date'}
+                    </span>
+                    <span className="timeline-users">
+                      {event.users.length > 0 ? event.users.join(', ') : 'unknown user'}
+                    </span>
+                    {event.action && <span className="timeline-action">{event.action}</span>}
+                  </div>
+                  <div className="timeline-detail">
+                    {event.type === 'snapshot' ? (
+                      <>
+                        <span title={event.versionKey || ''}>
+                          {event.label ? `Snapshot "${event.label}"` : 'Snapshot'}
+                          {event.location === 'legacy' && ' (legacy location)'}
+                        </span>
+                        <button
+                          onClick={() => event.versionKey && onVersionPreview(event.versionKey)}
+                          className="preview-button"
+                        >
+                          Preview
+                        </button>
+                      </>
+                    ) : (
+                      <code className="timeline-raw" title={`audit.txt line ${event.auditLine}`}>{event.raw}</code>
+                    )}
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default VersionTimeline;
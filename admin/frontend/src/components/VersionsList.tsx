@@ -1,4 +1,5 @@
-import React from 'react';
+import React, { useState } from 'react';
+import VersionTimeline, { TimelineEvent } from './VersionTimeline';
 
 interface Version {
   key: string;
@@ -15,6 +16,7 @@ interface Version {
 interface VersionsListProps {
   versions: Version[];
   auditContent: string | null;
+  timeline: TimelineEvent[];
   onVersionPreview: (versionPath: string) => void;
   selectedVersionPath?: string | null;
 }
@@ -62,7 +64,8 @@ const VersionTable: React.FC<VersionTableProps> = ({ versions, onVersionPreview,
   </>
 );
 
-const VersionsList: React.FC<VersionsListProps> = ({ versions, auditContent, onVersionPreview, selectedVersionPath }) => {
+const VersionsList: React.FC<VersionsListProps> = ({ versions, auditContent, timeline, onVersionPreview, selectedVersionPath }) => {
+  const [view, setView] = useState<'timeline' | 'location'>('timeline');
   const newVersions = versions.filter(v => v.location === 'new');
   const legacyVersions = versions.filter(v => v.location === 'legacy');
 
@@ -76,7 +79,30 @@ const VersionsList: React.FC<VersionsListProps> = ({ versions, auditContent, onV
 
   return (
     <div className="versions-list">
-      {(newVersions.length > 0 || auditContent) && (
+      <div className="versions-view-toggle">
+        <button
+          onClick={() => setView('timeline')}
+          className={`indent-toggle ${view === 'timeline' ? 'active' : ''}`}
+        >
+          🕒 Timeline
+        </button>
+        <button
+          onClick={() => setView('location')}
+          className={`indent-toggle ${view === 'location' ? 'active' : ''}`}
+        >
+          📂 By location
+        </button>
+      </div>
+
+      {view === 'timeline' && (
+        <VersionTimeline
+          timeline={timeline}
+          onVersionPreview={onVersionPreview}
+          selectedVersionPath={selectedVersionPath}
+        />
+      )}
+
+      {view === 'location' && (newVersions.length > 0 || auditContent) && (
         <div className="versions-group versions-group-new">
           <div className="versions-group-header">
             <span className="versions-group-label">New location</span>
@@ -98,7 +124,7 @@ const VersionsList: React.FC<VersionsListProps> = ({ versions, auditContent, onV
         </div>
       )}
 
-      {legacyVersions.length > 0 && (
+      {view === 'location' && legacyVersions.length > 0 && (
         <div className="versions-group versions-group-legacy">
           <div className="versions-group-header">
             <span className="versions-group-label">Legacy location</span>
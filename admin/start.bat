@@ -28,8 +28,26 @@ if not exist "..\.dev.vars" (
     exit /b 1
 )
 
+REM The backend refuses to start without AUTH_MODE (see README, Authentication)
+if not defined AUTH_MODE (
+    findstr /R /B /C:"AUTH_MODE=." "..\.dev.vars" >nul || (
+        echo [ERROR] AUTH_MODE is not set in .dev.vars
+        echo [ERROR] Add AUTH_MODE=token and/or oidc ^(or AUTH_MODE=none for local development only^)
+        pause
+        exit /b 1
+    )
+)
+
 echo [INFO] Starting backend server...
 
+REM Content search reuses the sharded listing from ..\traverse
+if not exist "..\traverse\node_modules" (
+    echo [INFO] Installing traverse dependencies...
+    pushd ..\traverse
+    call npm install
+    popd
+)
+
 REM Start backend
 cd backend
 if not exist "node_modules" (
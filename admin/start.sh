@@ -59,6 +59,12 @@ start_backend() {
         kill_port 9091
     fi
     
+    # Content search reuses the sharded listing from traverse/
+    if [ ! -d "../traverse/node_modules" ]; then
+        print_status "Installing traverse dependencies..."
+        (cd ../traverse && npm install)
+    fi
+    
     cd backend
     
     # Check if node_modules exists
@@ -164,6 +170,13 @@ main() {
         exit 1
     fi
     
+    # The backend refuses to start without AUTH_MODE (see README, Authentication)
+    if [ -z "$AUTH_MODE" ] && ! grep -qE '^[[:space:]]*AUTH_MODE[[:space:]]*=[[:space:]]*[^[:space:]]' ../.dev.vars; then
+        print_error "AUTH_MODE is not set in .dev.vars"
+        print_error "Add AUTH_MODE=token and/or oidc (or AUTH_MODE=none for local development only)"
+        exit 1
+    fi
+    
     # Start backend
     start_backend
     echo ""
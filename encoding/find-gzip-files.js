@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 // Find all files with gzip ContentEncoding in S3 bucket using sharded traversal
-// Also outputs ALL files to files.csv with metadata
-// Usage: node find-gzip-files.js <prefix> [output-file]
+// Also outputs ALL files to files.csv with metadata (or another format/columns
+// of the shared output writer, see traverse/S3-UTILS.md)
+// Usage: node find-gzip-files.js [--all-files=<file>] [--format=<format>] [--columns=<list>] <prefix> [output-file]
 
 const { HeadObjectCommand } = require('@aws-sdk/client-s3');
 const fs = require('fs');
@@ -11,33 +12,62 @@ const {
   createS3Client, 
   processShards,
   displayShardInfo,
-  generateShardPrefixes
+  generateShardPrefixes,
+  sendWithRetry,
+  OUTPUT_COLUMNS,
+  resolveOutputFormat,
+  parseColumns,
+  createOutputWriter,
+  assertSqliteAvailable
 } = require('../traverse/s3-utils.js');
 
 // Parse command line arguments
-if (process.argv.length < 3) {
-  console.error('Usage: node find-gzip-files.js <prefix> [output-file]');
+const allFilesArg = process.argv.find(a => a.startsWith('--all-files='));
+const formatArg = process.argv.find(a => a.startsWith('--format='));
+const columnsArg = process.argv.find(a => a.startsWith('--columns='));
+const args = process.argv.slice(2).filter(a => !['--all-files=', '--format=', '--columns='].some(option => a.startsWith(option)));
+
+if (args.length < 1) {
+  console.error('Usage: node find-gzip-files.js [--all-files=<file>] [--format=<format>] [--columns=<list>] <prefix> [output-file]');
   console.error('Example: node find-gzip-files.js cmegroup/www/drafts');
   console.error('Example: node find-gzip-files.js cmegroup/www/drafts my-gzip-files.txt');
+  console.error('Example: node find-gzip-files.js --all-files=files.jsonl --columns=FilePath,ContentType,ContentEncoding cmegroup/www');
   console.error('');
   console.error('Output: [output-file] = gzip files only, files.csv = all files with metadata');
+  console.error('');
+  console.error('Options:');
+  console.error('  --all-files=<file>  All-files output (default: files.csv)');
+  console.error('  --format=<format>   csv, tsv, jsonl, columnar or sqlite (default: from the extension)');
+  console.error('  --columns=<list>    Comma-separated columns (default: FilePath,ContentLength,LastModified)');
+  console.error(`                      Available: ${Object.keys(OUTPUT_COLUMNS).join(', ')}`);
   process.exit(1);
 }
 
 const bucket = 'aem-content';
 // Ensure prefix doesn't start with slash and ends with slash if it's a folder
-let prefix = process.argv[2].replace(/^\/+/, '');
+let prefix = args[0].replace(/^\/+/, '');
 // If prefix is not empty and doesn't end with slash, we treat it as a folder prefix 
 // but we don't force it because user might want to match a file prefix
 // However, typically for "folder" scans we want the slash. 
 // The original script didn't force it, so we'll leave it as is.
 
-const outputFile = process.argv[3] || 'list.txt';
-const allFilesOutput = 'files.csv';
+const outputFile = args[1] || 'list.txt';
+const allFilesOutput = allFilesArg ? allFilesArg.split('=')[1] : 'files.csv';
+
+let allFilesFormat;
+let allFilesColumns;
+try {
+  allFilesFormat = resolveOutputFormat(allFilesOutput, formatArg && formatArg.split('=')[1]);
+  allFilesColumns = parseColumns(columnsArg && columnsArg.split('=')[1]);
+  if (allFilesFormat === 'sqlite') assertSqliteAvailable();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
 
 // Create file streams
 let outputStream = null;
-let allFilesStream = null;
+let allFilesWriter = null;
 
 // Stats
 const detailedStats = {
@@ -50,19 +80,8 @@ const detailedStats = {
 
 const gzipFiles = [];
 
-// Helper to escape CSV fields
-function escapeCSV(field) {
-  if (field === null || field === undefined) {
-    return '';
-  }
-  const str = String(field);
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return `"${str.replace(/"/g, '""')}"`;
-  }
-  return str;
-}
-
 // Function to check if a file has gzip encoding
+// Returns the file's metadata for the all-files output, null when it could not be read
 async function checkFileEncoding(s3Client, bucket, key, listMetadata) {
   try {
     const command = new HeadObjectCommand({
@@ -70,22 +89,11 @@ async function checkFileEncoding(s3Client, bucket, key, listMetadata) {
       Key: key
     });
     
-    const metadata = await s3Client.send(command);
+    const metadata = await sendWithRetry(s3Client, command);
     const contentEncoding = metadata.ContentEncoding || null;
     
     detailedStats.totalFiles++;
     
-    // Write all files to CSV
-    if (allFilesStream) {
-      // Use size from HeadObject (most accurate) or fallback to ListObjects data
-      const contentLength = metadata.ContentLength ?? listMetadata.Size ?? 0;
-      const lastModified = metadata.LastModified 
-        ? metadata.LastModified.toISOString() 
-        : (listMetadata.LastModified ? listMetadata.LastModified.toISOString() : '');
-        
-      allFilesStream.write(`${escapeCSV(key)},${contentLength},${escapeCSV(lastModified)}\n`);
-    }
-    
     if (contentEncoding === 'gzip') {
       detailedStats.gzipFiles++;
       gzipFiles.push({
@@ -101,12 +109,24 @@ async function checkFileEncoding(s3Client, bucket, key, listMetadata) {
     } else {
       detailedStats.nonGzipFiles++;
     }
+
+    // Use HeadObject values (most accurate) with ListObjects data as fallback
+    return {
+      Key: key,
+      Size: metadata.ContentLength ?? listMetadata.Size ?? 0,
+      LastModified: metadata.LastModified || listMetadata.LastModified,
+      ETag: metadata.ETag || listMetadata.ETag,
+      StorageClass: metadata.StorageClass || listMetadata.StorageClass,
+      ContentType: metadata.ContentType,
+      ContentEncoding: contentEncoding
+    };
   } catch (error) {
     detailedStats.errors++;
     // If 404, file might have been deleted between List and Head
     if (error.name !== 'NotFound' && error.$metadata?.httpStatusCode !== 404) {
       console.error(`Error checking ${key}: ${error.message}`);
     }
+    return null;
   }
 }
 
@@ -116,6 +136,7 @@ async function main() {
   console.log('='.repeat(60));
   console.log(`Bucket: ${bucket}`);
   console.log(`Prefix: ${prefix}`);
+  console.log(`All files: ${allFilesOutput} (${allFilesFormat}: ${allFilesColumns.join(', ')})`);
   
   try {
     const envVars = loadEnvVars();
@@ -123,10 +144,11 @@ async function main() {
     
     // Setup streams
     outputStream = fs.createWriteStream(outputFile);
-    allFilesStream = fs.createWriteStream(allFilesOutput);
-    
-    // Write CSV header
-    allFilesStream.write('FilePath,ContentLength,LastModified\n');
+    allFilesWriter = await createOutputWriter({
+      file: allFilesOutput,
+      format: allFilesFormat,
+      columns: allFilesColumns
+    });
     
     // Show shard info
     const shards = generateShardPrefixes(prefix, 63);
@@ -150,7 +172,8 @@ async function main() {
         
         for (let i = 0; i < filteredObjects.length; i += batchSize) {
           const batch = filteredObjects.slice(i, i + batchSize);
-          await Promise.all(batch.map(obj => checkFileEncoding(s3Client, bucket, obj.Key, obj)));
+          const files = await Promise.all(batch.map(obj => checkFileEncoding(s3Client, bucket, obj.Key, obj)));
+          await allFilesWriter.writeRows(files.filter(Boolean));
         }
       },
       onProgress: (s) => {
@@ -171,6 +194,11 @@ async function main() {
     console.log(`Gzip-encoded files:    ${detailedStats.gzipFiles}`);
     console.log(`Non-gzip files:        ${detailedStats.nonGzipFiles}`);
     console.log(`Errors:                ${detailedStats.errors}`);
+    console.log(`Retried list requests: ${stats.retries}`);
+    if (stats.failedShards.length > 0) {
+      console.log(`Failed shards:         ${stats.failedShards.length} (results are incomplete)`);
+      stats.failedShards.forEach(f => console.log(`- ${f.label}: ${f.error}`));
+    }
     
     const duration = ((Date.now() - detailedStats.startTime) / 1000).toFixed(2);
     console.log(`Duration:              ${duration}s`);
@@ -191,7 +219,7 @@ async function main() {
     process.exit(1);
   } finally {
     if (outputStream) outputStream.end();
-    if (allFilesStream) allFilesStream.end();
+    if (allFilesWriter) await allFilesWriter.close();
   }
 }
 
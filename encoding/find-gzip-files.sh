@@ -1,7 +1,7 @@
 #!/bin/bash
 
 # Wrapper script for find-gzip-files.js
-# Usage: ./find-gzip-files.sh <prefix>
+# Usage: ./find-gzip-files.sh [options] <prefix>
 # Example: ./find-gzip-files.sh cmegroup/www/drafts
 
 set -e  # Exit on any error
@@ -20,11 +20,16 @@ print_error() {
 
 # Function to show usage
 show_usage() {
-    echo "Usage: $0 <prefix>"
+    echo "Usage: $0 [options] <prefix>"
     echo ""
     echo "Arguments:"
     echo "  prefix  Path prefix to search in the S3 bucket (required)"
     echo ""
+    echo "Options:"
+    echo "  --all-files=<file>  All-files output (default: files.csv)"
+    echo "  --format=<format>   csv, tsv, jsonl, columnar or sqlite (default: from the extension)"
+    echo "  --columns=<list>    Columns, e.g. FilePath,ContentLength,ContentType,ContentEncoding"
+    echo ""
     echo "Description:"
     echo "  This script finds all files with gzip ContentEncoding in the S3 bucket."
     echo "  It scans recursively through all files under the specified prefix."
@@ -34,11 +39,12 @@ show_usage() {
     echo "  $0 cmegroup/www/drafts"
     echo "  $0 cmegroup/www/drafts/kunwar"
     echo "  $0 cmegroup/www"
+    echo "  $0 --all-files=files.jsonl --columns=FilePath,ContentType,ContentEncoding cmegroup/www"
     echo ""
     echo "Output:"
     echo "  - Summary statistics"
     echo "  - list.txt: Gzip-encoded files only"
-    echo "  - files.csv: ALL files with metadata (path, size, last modified)"
+    echo "  - files.csv (or --all-files): ALL files with metadata (path, size, last modified by default)"
     echo "  - Simple list for batch processing"
 }
 
@@ -58,6 +64,19 @@ if [[ "$1" == "-h" || "$1" == "--help" ]]; then
     exit 0
 fi
 
+# Options come before the prefix
+OPTIONS=()
+while [[ "$1" == --all-files=* || "$1" == --format=* || "$1" == --columns=* ]]; do
+    OPTIONS+=("$1")
+    shift
+done
+
+if [[ $# -lt 1 ]]; then
+    print_error "Insufficient arguments"
+    show_usage
+    exit 1
+fi
+
 PREFIX="$1"
 
 # Check if Node.js is installed
@@ -84,4 +103,4 @@ fi
 
 # Run the Node.js script
 cd "$SCRIPT_DIR"
-node find-gzip-files.js "$PREFIX"
+node find-gzip-files.js "${OPTIONS[@]}" "$PREFIX"
@@ -1,26 +1,27 @@
 #!/usr/bin/env node
 // Find all HTML and JSON documents containing URLs with .hlx.page or .hlx.live domains
 // Extracts and reports the full URLs (including paths) found in the files
-// Usage: node find-hlx-ref.js <prefix> [output-file] [shard-count]
+// Usage: node find-hlx-ref.js [--resume] <prefix> [output-file]
 // Example: node find-hlx-ref.js cmegroup/www/drafts
-// Example: node find-hlx-ref.js cmegroup/www/drafts hlx-references.txt 16
+// Example: node find-hlx-ref.js cmegroup/www/drafts hlx-references.txt
 // Note: Automatically ignores .da-versions and .trash folders
+//
+// This is the `hlx-refs` scan of traverse/scan.js with the original command
+// line and output; an interrupted search continues with --resume.
 
-const { ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
-const fs = require('fs');
 const {
   loadEnvVars,
   createS3Client,
-  generateShardPrefixes,
-  filterObjectsByShard,
-  listShardObjects,
-  displayShardInfo,
-  formatShardLabel
+  displayShardInfo
 } = require('../traverse/s3-utils.js');
+const { loadScan, parseScanOptions, scanShards, runScan } = require('../traverse/scan-runner.js');
 
 // Parse command line arguments
-if (process.argv.length < 3) {
-  console.error('Usage: node find-hlx-ref.js <prefix> [output-file]');
+const resume = process.argv.includes('--resume');
+const args = process.argv.slice(2).filter(a => a !== '--resume');
+
+if (args.length < 1) {
+  console.error('Usage: node find-hlx-ref.js [--resume] <prefix> [output-file]');
   console.error('Example: node find-hlx-ref.js cmegroup/www/drafts');
   console.error('Example: node find-hlx-ref.js cmegroup/www/drafts hlx-references.txt');
   console.error('');
@@ -28,8 +29,11 @@ if (process.argv.length < 3) {
   console.error('  prefix       - Path prefix to search (e.g., cmegroup/www/drafts)');
   console.error('  output-file  - Output file for results (default: hlx-references.txt)');
   console.error('');
-  console.error('Note: Always uses 63 concurrent shards for complete coverage');
-  console.error('      (1 catch-all + 62 alphanumeric: 0-9, A-Z, a-z)');
+  console.error('Options:');
+  console.error('  --resume     - Continue an interrupted search from <output-file>.state.json');
+  console.error('');
+  console.error('Note: Uses the sharded listing of traverse.js for complete coverage');
+  console.error('      (1 catch-all + alphanumeric and special-character shards)');
   console.error('');
   console.error('Description:');
   console.error('  Searches HTML (.html, .htm) and JSON (.json) files for .hlx.page and .hlx.live URLs');
@@ -38,222 +42,16 @@ if (process.argv.length < 3) {
 }
 
 const bucket = 'aem-content';  // Hardcoded bucket name
-let prefix = process.argv[2];
+let prefix = args[0];
 // Remove leading slash if present (S3 keys don't start with /)
 if (prefix.startsWith('/')) {
   prefix = prefix.substring(1);
 }
-const outputFile = process.argv[3] || 'hlx-references.txt';
-// Note: shardCount parameter is kept for API compatibility but always uses 63 internally
-const shardCount = 63; // Always use 63 for complete coverage (1 catch-all + 62 alphanumeric)
-
-// Create file stream for progressive output
-let outputStream = null;
-
-// Initialize S3 client
-const envVars = loadEnvVars();
-const s3Client = createS3Client(envVars);
-
-// Statistics
-const stats = {
-  totalFiles: 0,
-  htmlFiles: 0,
-  jsonFiles: 0,
-  processedFiles: 0,
-  filesWithHlxRefs: 0,
-  totalHlxRefs: 0,
-  hlxPageRefs: 0,
-  hlxLiveRefs: 0,
-  errors: 0,
-  totalShards: 0,
-  completedShards: 0,
-  activeShards: 0,
-  startTime: Date.now(),
-  lastUpdate: Date.now()
-};
+const outputFile = args[1] || 'hlx-references.txt';
 
-// Array to store files with HLX references
-const filesWithRefs = [];
-
-// Regex patterns to match full URLs containing .hlx.page or .hlx.live
-// Matches URLs in href, src, and other attributes, including protocol and path
-const URL_PATTERN = /https?:\/\/[^\s"'<>]+\.hlx\.(page|live)[^\s"'<>]*/gi;
-
-// Function to check if a file should be processed (HTML or JSON)
-function shouldProcessFile(key) {
-  // Skip .da-versions and .trash folders
-  if (key.includes('/.da-versions/') || key.includes('/.trash/')) {
-    return false;
-  }
-  
-  // Check if HTML or JSON file
-  const lowerKey = key.toLowerCase();
-  return lowerKey.endsWith('.html') || lowerKey.endsWith('.htm') || lowerKey.endsWith('.json');
-}
-
-// Function to read and search file content (HTML or JSON)
-async function searchFileContent(bucket, key) {
-  try {
-    const command = new GetObjectCommand({
-      Bucket: bucket,
-      Key: key
-    });
-    
-    const response = await s3Client.send(command);
-    
-    // Convert stream to string
-    const chunks = [];
-    for await (const chunk of response.Body) {
-      chunks.push(chunk);
-    }
-    let content = Buffer.concat(chunks).toString('utf-8');
-    
-    // Extract all URLs containing .hlx.page or .hlx.live
-    const urlMatches = content.match(URL_PATTERN) || [];
-    
-    // Clear content to free memory immediately
-    content = null;
-    
-    if (urlMatches.length > 0) {
-      // Deduplicate URLs (same URL might appear multiple times in the HTML)
-      const uniqueUrls = [...new Set(urlMatches)];
-      
-      // Separate by domain type
-      const hlxPageUrls = uniqueUrls.filter(url => url.includes('.hlx.page'));
-      const hlxLiveUrls = uniqueUrls.filter(url => url.includes('.hlx.live'));
-      
-      stats.filesWithHlxRefs++;
-      stats.totalHlxRefs += uniqueUrls.length;
-      stats.hlxPageRefs += hlxPageUrls.length;
-      stats.hlxLiveRefs += hlxLiveUrls.length;
-      
-      console.log(`✓ ${key}`);
-      console.log(`  FOUND: ${hlxPageUrls.length} .hlx.page URLs, ${hlxLiveUrls.length} .hlx.live URLs`);
-      
-      // Store minimal info only (no URLs to save memory)
-      const fileInfo = {
-        key: key,
-        hlxPageCount: hlxPageUrls.length,
-        hlxLiveCount: hlxLiveUrls.length,
-        totalCount: uniqueUrls.length,
-        size: response.ContentLength
-      };
-      
-      filesWithRefs.push(fileInfo);
-      
-      // Write to output file immediately - one line per URL
-      if (outputStream) {
-        hlxPageUrls.forEach(url => {
-          outputStream.write(`${key}\t.hlx.page\t${url}\n`);
-        });
-        hlxLiveUrls.forEach(url => {
-          outputStream.write(`${key}\t.hlx.live\t${url}\n`);
-        });
-      }
-      
-      return true;
-    }
-    
-    return false;
-  } catch (error) {
-    stats.errors++;
-    console.error(`✗ Error reading ${key}: ${error.message}`);
-    return false;
-  }
-}
-
-// List and process all HTML and JSON files in a shard
-async function listAndProcessShard(shard, shardId) {
-  stats.totalShards++;
-  stats.activeShards++;
-  
-  let continuationToken = null;
-  let shardFileCount = 0;
-  let shardProcessCount = 0;
-  let shardHtmlCount = 0;
-  let shardJsonCount = 0;
-  const startTime = Date.now();
-  const shardPrefix = shard.prefix;
-  const isCatchAll = shard.type === 'catch-all';
-  
-  const filesToProcess = [];
-  
-  try {
-    // First pass: List all objects in this shard
-    do {
-      const command = new ListObjectsV2Command({
-        Bucket: bucket,
-        Prefix: shardPrefix,
-        MaxKeys: 1000,
-        ContinuationToken: continuationToken
-      });
-      
-      const response = await s3Client.send(command);
-      
-      if (response.Contents && response.Contents.length > 0) {
-        // Filter keys for this shard to avoid duplicates
-        const keysToProcess = filterObjectsByShard(response.Contents, shard, prefix);
-        
-        shardFileCount += keysToProcess.length;
-        stats.totalFiles += keysToProcess.length;
-        
-        // Filter for HTML and JSON files to process
-        const processableFiles = keysToProcess.filter(obj => shouldProcessFile(obj.Key));
-        shardProcessCount += processableFiles.length;
-        
-        // Count HTML and JSON separately
-        processableFiles.forEach(obj => {
-          const lowerKey = obj.Key.toLowerCase();
-          if (lowerKey.endsWith('.html') || lowerKey.endsWith('.htm')) {
-            shardHtmlCount++;
-            stats.htmlFiles++;
-          } else if (lowerKey.endsWith('.json')) {
-            shardJsonCount++;
-            stats.jsonFiles++;
-          }
-        });
-        
-        stats.processedFiles += processableFiles.length;
-        filesToProcess.push(...processableFiles);
-      }
-      
-      continuationToken = response.NextContinuationToken;
-      
-      // Progress update every 10 seconds
-      if (Date.now() - stats.lastUpdate > 10000) {
-        const elapsed = ((Date.now() - stats.startTime) / 1000).toFixed(1);
-        console.log(`[${elapsed}s] Total: ${stats.totalFiles} files, ${stats.htmlFiles} HTML, ${stats.jsonFiles} JSON | With refs: ${stats.filesWithHlxRefs} | Active: ${stats.activeShards} | Completed: ${stats.completedShards}/${stats.totalShards}`);
-        stats.lastUpdate = Date.now();
-      }
-      
-    } while (continuationToken);
-    
-    // Second pass: Process HTML and JSON files in batches
-    if (filesToProcess.length > 0) {
-      const batchSize = 5; // 5 * 66 shards = 330 concurrent requests (fits in 500 sockets)
-      for (let i = 0; i < filesToProcess.length; i += batchSize) {
-        const batch = filesToProcess.slice(i, i + batchSize);
-        const batchPromises = batch.map(obj => searchFileContent(bucket, obj.Key));
-        await Promise.all(batchPromises);
-      }
-    }
-    
-    stats.completedShards++;
-    stats.activeShards--;
-    
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    const shardLabel = formatShardLabel(shard);
-    console.log(`✓ Shard ${shardId} (${shardLabel}): ${shardFileCount} files, ${shardHtmlCount} HTML, ${shardJsonCount} JSON in ${duration}s`);
-    
-    return shardFileCount;
-    
-  } catch (error) {
-    stats.activeShards--;
-    const shardLabel = formatShardLabel(shard);
-    console.error(`✗ Shard ${shardId} (${shardLabel}) failed: ${error.message}`);
-    return 0;
-  }
-}
+const scan = loadScan('hlx-refs');
+// .da-versions is skipped, so its first character stays one shard
+const expandPaths = [];
 
 // Main function
 async function main() {
@@ -262,65 +60,73 @@ async function main() {
   console.log('='.repeat(70));
   console.log(`Bucket: ${bucket}`);
   console.log(`Prefix: ${prefix}`);
-  console.log(`Output file: ${outputFile}`);
-  console.log(`Shards: 63 concurrent (complete coverage)`);
+  console.log(`Output file: ${outputFile}${resume ? ' (resuming)' : ''}`);
   console.log('');
   console.log('Searching for: .hlx.page and .hlx.live references');
   console.log('File types: HTML (.html, .htm) and JSON (.json)');
   console.log('Note: Automatically ignores .da-versions and .trash folders');
   console.log('');
   
-  // Create output file stream
-  outputStream = fs.createWriteStream(outputFile);
-  outputStream.write('File Path\tType\tURL\n');
-  outputStream.on('error', (err) => {
-    console.error(`Error writing to ${outputFile}:`, err.message);
-  });
-  
   try {
-    // Generate shard prefixes
-    const shards = generateShardPrefixes(prefix, shardCount);
-    displayShardInfo(shards);
+    displayShardInfo(scanShards(prefix, { expandPaths }));
     
     console.log('');
     console.log('Starting search...');
     console.log('');
-    
-    stats.startTime = Date.now();
-    stats.lastUpdate = Date.now();
-    
-    // Process all shards concurrently
-    const shardPromises = shards.map((shard, index) => 
-      listAndProcessShard(shard, index + 1)
-    );
-    
-    await Promise.all(shardPromises);
-    
-    // Close output stream
-    outputStream.end();
+
+    // Ctrl+C: let shards finish their current page, then save the checkpoint
+    const controller = new AbortController();
+    process.on('SIGINT', () => {
+      if (controller.signal.aborted) process.exit(130);
+      controller.abort();
+      console.log('\nInterrupted, saving checkpoint (press Ctrl+C again to abort)...');
+    });
+
+    // Tab-delimited, header "File Path\tType\tURL", one line per unique URL of a file
+    const result = await runScan({
+      scan,
+      options: parseScanOptions(scan),
+      s3Client: createS3Client(loadEnvVars()),
+      bucket,
+      prefix,
+      outputFile,
+      format: 'tsv',
+      expandPaths,
+      resume,
+      signal: controller.signal
+    });
+
+    if (result.interrupted) {
+      console.log(`Checkpoint saved to ${outputFile}.state.json`);
+      console.log(`Continue with: node find-hlx-ref.js --resume ${args.join(' ')}`);
+      process.exit(130);
+    }
+
+    const { totals, stats, failedShards } = result;
+    const { counts, files: filesWithRefs } = result.reporter.toJSON();
     
     // Display results
     console.log('');
     console.log('='.repeat(70));
     console.log('RESULTS');
     console.log('='.repeat(70));
-    console.log(`Total files scanned: ${stats.totalFiles.toLocaleString()}`);
-    console.log(`HTML files found: ${stats.htmlFiles.toLocaleString()}`);
-    console.log(`JSON files found: ${stats.jsonFiles.toLocaleString()}`);
-    console.log(`Files processed: ${stats.processedFiles.toLocaleString()}`);
-    console.log(`Files with HLX references: ${stats.filesWithHlxRefs}`);
-    console.log(`Total .hlx.page references: ${stats.hlxPageRefs}`);
-    console.log(`Total .hlx.live references: ${stats.hlxLiveRefs}`);
-    console.log(`Total HLX references: ${stats.totalHlxRefs}`);
-    console.log(`Errors: ${stats.errors}`);
+    console.log(`Total files scanned: ${totals.listed.toLocaleString()}`);
+    console.log(`HTML files found: ${counts.html.toLocaleString()}`);
+    console.log(`JSON files found: ${counts.json.toLocaleString()}`);
+    console.log(`Files processed: ${totals.candidates.toLocaleString()}`);
+    console.log(`Files with HLX references: ${filesWithRefs.length}`);
+    console.log(`Total .hlx.page references: ${counts.page}`);
+    console.log(`Total .hlx.live references: ${counts.live}`);
+    console.log(`Total HLX references: ${counts.page + counts.live}`);
+    console.log(`Errors: ${totals.errors}`);
     console.log(`Total shards: ${stats.totalShards}`);
     console.log(`Successful shards: ${stats.completedShards}`);
-    console.log(`Failed shards: ${stats.totalShards - stats.completedShards}`);
+    console.log(`Failed shards: ${failedShards.length}`);
     
-    const duration = ((Date.now() - stats.startTime) / 1000).toFixed(2);
+    const duration = stats.duration.toFixed(2);
     console.log(`Duration: ${duration}s`);
     
-    const filesPerSecond = (stats.totalFiles / (duration || 1)).toFixed(0);
+    const filesPerSecond = (totals.listed / (stats.duration || 1)).toFixed(0);
     console.log(`Throughput: ${filesPerSecond} files/second`);
     console.log('');
     
@@ -330,13 +136,13 @@ async function main() {
       console.log('='.repeat(70));
       
       // Sort by total count (descending) for easier analysis
-      filesWithRefs.sort((a, b) => b.totalCount - a.totalCount);
+      filesWithRefs.sort((a, b) => (b.page + b.live) - (a.page + a.live));
       
       filesWithRefs.forEach((file, index) => {
         console.log(`${index + 1}. ${file.key}`);
-        console.log(`   .hlx.page URLs: ${file.hlxPageCount}`);
-        console.log(`   .hlx.live URLs: ${file.hlxLiveCount}`);
-        console.log(`   Total unique URLs: ${file.totalCount}`);
+        console.log(`   .hlx.page URLs: ${file.page}`);
+        console.log(`   .hlx.live URLs: ${file.live}`);
+        console.log(`   Total unique URLs: ${file.page + file.live}`);
         console.log(`   Size: ${formatBytes(file.size)}`);
         console.log('');
       });
@@ -355,15 +161,17 @@ async function main() {
     }
     
     console.log(`Detailed results written to: ${outputFile}`);
-    console.log('✓ Search complete!');
+    if (failedShards.length > 0) {
+      console.log(`⚠️  ${failedShards.length} shard(s) failed, the results are incomplete.`);
+      console.log('   Re-run the same command with --resume to retry only those shards.');
+      process.exitCode = 1;
+    } else {
+      console.log('✓ Search complete!');
+    }
     console.log('');
     
   } catch (error) {
     console.error('Error:', error.message);
-    console.error(error.stack);
-    if (outputStream) {
-      outputStream.end();
-    }
     process.exit(1);
   }
 }
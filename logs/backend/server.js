@@ -3,12 +3,12 @@ const cors = require('cors');
 const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
+const { createAuth, createCorsOptions } = require('../../shared/auth.js');
 
 const app = express();
 const PORT = process.env.PORT || 9093;
 
 // Middleware
-app.use(cors());
 app.use(express.json());
 
 // Load environment variables
@@ -25,9 +25,12 @@ const loadEnvVars = () => {
     const envContent = fs.readFileSync(devVarsPath, 'utf8');
     envContent.split('\n').forEach(line => {
       if (line.trim() && !line.startsWith('#')) {
-        const [key, value] = line.split('=');
+        // Split on the first '=' only, values such as base64 secrets may end in '='
+        const separator = line.indexOf('=');
+        const key = separator === -1 ? '' : line.slice(0, separator).trim();
+        const value = separator === -1 ? '' : line.slice(separator + 1).trim();
         if (key && value) {
-          process.env[key.trim()] = value.trim();
+          process.env[key] = value;
         }
       }
     });
@@ -42,6 +45,14 @@ const loadEnvVars = () => {
 // Load configuration
 const config = loadEnvVars();
 
+// Cross-origin calls only from ALLOWED_ORIGINS, the frontend is served through a proxy
+app.use(cors(createCorsOptions(process.env)));
+
+// Authentication: searching logs needs at least the viewer role
+const auth = createAuth(process.env);
+const { requireRole } = auth;
+auth.mountRoutes(app);
+
 // Validate required environment variables
 const requiredVars = ['CORALOGIX_API_KEY'];
 const missingVars = requiredVars.filter(varName => !config[varName]);
@@ -341,7 +352,7 @@ const getTimeRangeMs = (timeRange) => {
 
 // API Routes
 
-// Health check endpoint
+// Health check endpoint (public)
 app.get('/api/health', (req, res) => {
   res.json({ 
     success: true, 
@@ -351,7 +362,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Search logs endpoint
-app.post('/api/logs/search', async (req, res) => {
+app.post('/api/logs/search', requireRole('viewer'), async (req, res) => {
   try {
     const { path: inputPath, timeRange = '1h', page = 1, pageSize = 100 } = req.body;
     
@@ -399,7 +410,7 @@ app.post('/api/logs/search', async (req, res) => {
 });
 
 // Get available time ranges
-app.get('/api/logs/time-ranges', (req, res) => {
+app.get('/api/logs/time-ranges', requireRole('viewer'), (req, res) => {
   res.json({
     success: true,
     timeRanges: [
@@ -415,6 +426,7 @@ app.get('/api/logs/time-ranges', (req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`Coralogix logs server running on port ${PORT}`);
+  console.log(`Auth: ${auth.mode}${auth.mode === 'none' ? ' (every request is treated as admin)' : ''}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
   console.log(`Frontend should run on: http://localhost:9092`);
   if (!config.CORALOGIX_API_KEY) {
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import './App.css';
 import LogsViewer from './components/LogsViewer';
+import LoginForm, { AuthUser } from './components/LoginForm';
 
 interface LogEntry {
   id: string;
@@ -30,6 +31,28 @@ function App() {
   const [total, setTotal] = useState(0);
   const [searchHistory, setSearchHistory] = useState<string[]>([]);
   const [showHistory, setShowHistory] = useState(false);
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [authEnabled, setAuthEnabled] = useState(true);
+  const [authChecked, setAuthChecked] = useState(false);
+
+  // Check for an existing session (auth cookie) on mount
+  useEffect(() => {
+    const checkSession = async () => {
+      try {
+        const response = await fetch('/api/me');
+        const result = await response.json();
+        if (result.success) {
+          setUser(result.user);
+          setAuthEnabled(result.authEnabled);
+        }
+      } catch (e) {
+        console.warn('Failed to check session:', e);
+      } finally {
+        setAuthChecked(true);
+      }
+    };
+    checkSession();
+  }, []);
 
   // Load search history from localStorage on component mount
   useEffect(() => {
@@ -181,6 +204,28 @@ function App() {
     }
   };
 
+  const handleLogout = async () => {
+    await fetch('/api/logout', { method: 'POST' });
+    setUser(null);
+    setLogs([]);
+    setTotal(0);
+  };
+
+  if (!authChecked || !user) {
+    return (
+      <div className="App">
+        <header className="App-header">
+          <div className="header-top">
+            <h1>Coralogix Logs Search</h1>
+          </div>
+        </header>
+        <main className="App-main">
+          {authChecked && <LoginForm onLoggedIn={setUser} />}
+        </main>
+      </div>
+    );
+  }
+
   return (
     <div className="App">
       <header className="App-header">
@@ -192,6 +237,12 @@ function App() {
                 {total} log entries found
               </span>
             )}
+            {authEnabled && (
+              <span className="user-bar">
+                👤 {user.name} <span className="user-role">{user.role}</span>
+                <button onClick={handleLogout} className="logout-button">Log out</button>
+              </span>
+            )}
           </div>
         </div>
         
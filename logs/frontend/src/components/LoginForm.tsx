@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+
+export interface AuthUser {
+  name: string;
+  role: 'viewer' | 'editor' | 'admin';
+}
+
+interface LoginFormProps {
+  onLoggedIn: (user: AuthUser) => void;
+}
+
+const LoginForm: React.FC<LoginFormProps> = ({ onLoggedIn }) => {
+  const [token, setToken] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      // The backend validates the token and keeps it in an HttpOnly cookie
+      const response = await fetch('/api/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: token.trim() })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Login failed');
+      }
+      onLoggedIn(result.user);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Login failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="login-form" onSubmit={handleSubmit}>
+      <h2>Sign in</h2>
+      <p>Paste your access token or an ID token from your identity provider.</p>
+      <input
+        type="password"
+        value={token}
+        onChange={(e) => setToken(e.target.value)}
+        placeholder="Token"
+        autoComplete="current-password"
+        required
+        disabled={submitting}
+      />
+      {error && <div className="login-error">{error}</div>}
+      <button type="submit" disabled={submitting || !token.trim()}>
+        {submitting ? 'Signing in…' : 'Sign in'}
+      </button>
+    </form>
+  );
+};
+
+export default LoginForm;
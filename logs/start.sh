@@ -11,6 +11,13 @@ if [ ! -f "../.dev.vars" ]; then
     exit 1
 fi
 
+# The backend refuses to start without AUTH_MODE (see README)
+if [ -z "$AUTH_MODE" ] && ! grep -qsE '^[[:space:]]*AUTH_MODE[[:space:]]*=[[:space:]]*[^[:space:]]' ../.dev.vars ../.env; then
+    echo "❌ Error: AUTH_MODE is not set in .dev.vars"
+    echo "Add AUTH_MODE=token and/or oidc (or AUTH_MODE=none for local development only)"
+    exit 1
+fi
+
 # Function to start backend
 start_backend() {
     echo "📦 Installing backend dependencies..."
@@ -0,0 +1,484 @@
+/**
+ * Shared authentication and role checks for the admin and logs backends
+ *
+ * Requests carry a token either as `Authorization: Bearer <token>` or in the
+ * auth cookie set by POST /api/login (needed for <img>/<video> URLs, which
+ * cannot send headers). Tokens are checked by a chain of verifiers:
+ *   - token: static tokens from a local users file (AUTH_USERS_FILE)
+ *   - oidc:  JWTs signed by an OIDC provider (keys from its JWKS endpoint)
+ *            or with a shared HS256 secret (JWT_SECRET)
+ * Custom verifiers can be passed to createAuth.
+ *
+ * Roles are ordered: viewer (read-only) < editor (metadata changes, restores)
+ * < admin. A user with a higher role passes every lower-role check.
+ *
+ * Configuration (process environment or .dev.vars):
+ *   AUTH_MODE            comma separated list of 'token', 'oidc', or 'none'
+ *                        ('none' disables auth, every request is an admin)
+ *   AUTH_USERS_FILE      JSON users file for the token verifier
+ *   AUTH_COOKIE          cookie name (default: da_admin_token)
+ *   OIDC_ISSUER          expected `iss`; JWKS discovered from its metadata
+ *   OIDC_AUDIENCE        expected `aud` (optional)
+ *   OIDC_JWKS_URI        JWKS URL, skips discovery (optional)
+ *   OIDC_ROLE_CLAIM      claim holding roles/groups (default: roles)
+ *   OIDC_ROLE_MAP        claim value to role, e.g. 'da-admins:admin,da-editors:editor'
+ *   OIDC_DEFAULT_ROLE    role for valid tokens without a mapped role (optional)
+ *   JWT_SECRET           HS256 secret, accepted instead of / next to OIDC keys
+ *   ALLOWED_ORIGINS      comma separated origins allowed to call the API from
+ *                        another site (default: none, the frontends proxy)
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const DEFAULT_COOKIE = 'da_admin_token';
+
+// Tolerated clock difference for exp/nbf checks
+const CLOCK_SKEW_SECONDS = 60;
+
+// JWKS responses are cached, unknown key ids trigger at most one refresh per interval
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const JWKS_REFRESH_INTERVAL_MS = 30 * 1000;
+
+// Lifetime of the login cookie for tokens without an expiry
+const COOKIE_MAX_AGE_SECONDS = 12 * 60 * 60;
+
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  HS256: { hash: 'sha256', hmac: true },
+  HS384: { hash: 'sha384', hmac: true },
+  HS512: { hash: 'sha512', hmac: true }
+};
+
+/**
+ * Check whether a role satisfies a required role
+ * @param {string} role - Role of the user
+ * @param {string} required - Role needed
+ * @returns {boolean} True if role is at least the required role
+ */
+function hasRole(role, required) {
+  const index = ROLES.indexOf(role);
+  return index !== -1 && index >= ROLES.indexOf(required);
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Verifier for static tokens from a local users file.
+ *
+ * File format:
+ *   { "users": [
+ *       { "name": "alice@example.com", "role": "editor", "tokenSha256": "<hex sha256 of token>" },
+ *       { "name": "ci", "role": "viewer", "token": "<plain token>" }
+ *   ] }
+ *
+ * The file is re-read when it changes, so tokens can be rotated without a restart.
+ * @param {string} usersFile - Path to the users file
+ * @returns {Function} Verifier: async (token) => user or null
+ */
+function createTokenFileVerifier(usersFile) {
+  if (!usersFile) {
+    throw new Error('AUTH_MODE=token requires AUTH_USERS_FILE');
+  }
+
+  let cache = { mtimeMs: -1, users: [] };
+
+  const loadUsers = () => {
+    const { mtimeMs } = fs.statSync(usersFile);
+    if (mtimeMs === cache.mtimeMs) return cache.users;
+
+    const parsed = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+    const users = (Array.isArray(parsed) ? parsed : parsed.users || []).map((user, index) => {
+      if (!user.name || !ROLES.includes(user.role) || !(user.token || user.tokenSha256)) {
+        throw new Error(`Invalid user entry #${index + 1} in ${usersFile} (needs name, role and token or tokenSha256)`);
+      }
+      return {
+        name: user.name,
+        role: user.role,
+        digest: user.tokenSha256 ? Buffer.from(user.tokenSha256, 'hex') : sha256(user.token)
+      };
+    });
+
+    cache = { mtimeMs, users };
+    return users;
+  };
+
+  // Fail at startup rather than on the first request
+  loadUsers();
+
+  return async (token) => {
+    const digest = sha256(token);
+    const match = loadUsers().find(user =>
+      user.digest.length === digest.length && crypto.timingSafeEqual(user.digest, digest));
+    return match ? { name: match.name, role: match.role, via: 'token' } : null;
+  };
+}
+
+const base64UrlJson = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Fetch and cache a JSON Web Key Set
+ * @param {Function} resolveUri - async () => JWKS URL
+ * @returns {Function} async (kid) => KeyObject or null
+ */
+function createJwksClient(resolveUri) {
+  let keys = new Map();
+  let fetchedAt = 0;
+
+  const refresh = async () => {
+    const response = await fetch(await resolveUri());
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    const { keys: jwks = [] } = await response.json();
+    keys = new Map(jwks
+      .filter(jwk => !jwk.use || jwk.use === 'sig')
+      .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+    fetchedAt = Date.now();
+  };
+
+  return async (kid) => {
+    const age = Date.now() - fetchedAt;
+    if (age > JWKS_CACHE_MS || (!keys.has(kid) && age > JWKS_REFRESH_INTERVAL_MS)) {
+      await refresh();
+    }
+    // Tokens without a kid are accepted when the set holds a single key
+    if (kid === undefined && keys.size === 1) return keys.values().next().value;
+    return keys.get(kid) || null;
+  };
+}
+
+/**
+ * Verifier for JWTs (OIDC ID/access tokens or HS256 tokens signed with a shared secret).
+ * Tokens must carry an `exp` claim.
+ * @param {Object} options
+ * @param {string} [options.issuer] - Expected issuer, also used for JWKS discovery
+ * @param {string} [options.audience] - Expected audience
+ * @param {string} [options.jwksUri] - JWKS URL (defaults to the issuer's jwks_uri)
+ * @param {string} [options.secret] - HS256/384/512 shared secret
+ * @param {string} [options.roleClaim='roles'] - Claim holding roles or groups
+ * @param {Object} [options.roleMap={}] - Claim value -> role
+ * @param {string} [options.defaultRole] - Role for tokens without a mapped role
+ * @returns {Function} Verifier: async (token) => user or null
+ */
+function createJwtVerifier({ issuer, audience, jwksUri, secret, roleClaim = 'roles', roleMap = {}, defaultRole }) {
+  if (!issuer && !jwksUri && !secret) {
+    throw new Error('AUTH_MODE=oidc requires OIDC_ISSUER, OIDC_JWKS_URI or JWT_SECRET');
+  }
+
+  const getKey = (issuer || jwksUri) && createJwksClient(async () => {
+    if (jwksUri) return jwksUri;
+    const response = await fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    if (!response.ok) {
+      throw new Error(`OIDC discovery failed with status ${response.status}`);
+    }
+    return (await response.json()).jwks_uri;
+  });
+
+  const resolveRole = (claims) => {
+    const value = claims[roleClaim];
+    const values = Array.isArray(value) ? value : value ? [value] : [];
+    const roles = values
+      .map(item => roleMap[item] || (ROLES.includes(item) ? item : null))
+      .filter(Boolean);
+    // Highest mapped role wins
+    return roles.sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0] || defaultRole || null;
+  };
+
+  return async (token) => {
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    let header;
+    let claims;
+    try {
+      header = base64UrlJson(parts[0]);
+      claims = base64UrlJson(parts[1]);
+    } catch (e) {
+      return null;
+    }
+
+    const algorithm = JWT_ALGORITHMS[header.alg];
+    if (!algorithm) return null;
+
+    const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+
+    let valid;
+    if (algorithm.hmac) {
+      if (!secret) return null;
+      const expected = crypto.createHmac(algorithm.hash, secret).update(signed).digest();
+      valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    } else {
+      if (!getKey) return null;
+      const key = await getKey(header.kid);
+      if (!key) return null;
+      valid = crypto.verify(algorithm.hash, signed, {
+        key,
+        padding: algorithm.padding,
+        dsaEncoding: algorithm.dsaEncoding
+      }, signature);
+    }
+    if (!valid) return null;
+
+    // Tokens without an expiry would stay valid forever
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) return null;
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) return null;
+    if (issuer && claims.iss !== issuer) return null;
+    if (audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(audience)) return null;
+    }
+
+    const role = resolveRole(claims);
+    if (!role) return null;
+
+    return {
+      name: claims.email || claims.preferred_username || claims.sub || 'unknown',
+      role,
+      via: 'jwt',
+      expiresAt: claims.exp * 1000
+    };
+  };
+}
+
+/**
+ * Parse a `value:role,value:role` mapping
+ * @param {string} [value] - Mapping string
+ * @returns {Object} Claim value -> role
+ */
+function parseRoleMap(value) {
+  const map = {};
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.lastIndexOf(':');
+    const role = entry.slice(separator + 1).trim();
+    if (separator <= 0 || !ROLES.includes(role)) {
+      throw new Error(`Invalid OIDC_ROLE_MAP entry: ${entry}`);
+    }
+    map[entry.slice(0, separator).trim()] = role;
+  });
+  return map;
+}
+
+/**
+ * Read a cookie from the request
+ * @param {Object} req - Request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+/**
+ * Options for the cors middleware: only ALLOWED_ORIGINS get CORS headers
+ *
+ * Requests may carry the auth cookie, so listed origins are echoed with
+ * credentials allowed and `*` is refused.
+ * @param {Object} config - Configuration values (see module comment)
+ * @returns {Object} cors options
+ * @throws {Error} If ALLOWED_ORIGINS contains `*`
+ */
+function createCorsOptions(config) {
+  const origins = (config.ALLOWED_ORIGINS || '').split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+  if (origins.includes('*')) {
+    throw new Error('ALLOWED_ORIGINS must list origins, * is not allowed for credentialed requests');
+  }
+  return {
+    origin: (origin, callback) => callback(null, Boolean(origin) && origins.includes(origin)),
+    credentials: true
+  };
+}
+
+/**
+ * Create the auth middleware for a server
+ * @param {Object} config - Configuration values (see module comment)
+ * @param {Object} [options]
+ * @param {Function[]} [options.verifiers] - Extra verifiers, async (token, req) => user or null,
+ *   where user is { name, role }; tried after the configured ones
+ * @returns {Object} { mode, authenticate, requireRole, mountRoutes }
+ */
+function createAuth(config, { verifiers: extraVerifiers = [] } = {}) {
+  const modes = (config.AUTH_MODE || '').split(',').map(mode => mode.trim().toLowerCase()).filter(Boolean);
+
+  if (modes.length === 0 && extraVerifiers.length === 0) {
+    throw new Error('Authentication is not configured. Set AUTH_MODE to token and/or oidc '
+      + '(or AUTH_MODE=none to explicitly disable it for local development)');
+  }
+
+  const disabled = modes.includes('none');
+  const cookieName = config.AUTH_COOKIE || DEFAULT_COOKIE;
+  const verifiers = [];
+
+  if (!disabled) {
+    for (const mode of modes) {
+      if (mode === 'token') {
+        verifiers.push(createTokenFileVerifier(config.AUTH_USERS_FILE));
+      } else if (mode === 'oidc') {
+        if (config.OIDC_DEFAULT_ROLE && !ROLES.includes(config.OIDC_DEFAULT_ROLE)) {
+          throw new Error(`Invalid OIDC_DEFAULT_ROLE: ${config.OIDC_DEFAULT_ROLE}`);
+        }
+        verifiers.push(createJwtVerifier({
+          issuer: config.OIDC_ISSUER,
+          audience: config.OIDC_AUDIENCE,
+          jwksUri: config.OIDC_JWKS_URI,
+          secret: config.JWT_SECRET,
+          roleClaim: config.OIDC_ROLE_CLAIM || 'roles',
+          roleMap: parseRoleMap(config.OIDC_ROLE_MAP),
+          defaultRole: config.OIDC_DEFAULT_ROLE
+        }));
+      } else {
+        throw new Error(`Unknown AUTH_MODE: ${mode}`);
+      }
+    }
+    verifiers.push(...extraVerifiers);
+  }
+
+  const verify = async (token, req) => {
+    for (const verifier of verifiers) {
+      const user = await verifier(token, req);
+      if (user) return user;
+    }
+    return null;
+  };
+
+  const getToken = (req) => {
+    const header = req.headers.authorization || '';
+    if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+    return readCookie(req, cookieName);
+  };
+
+  // Resolve req.user, responding 401 when the request is not authenticated
+  const authenticate = async (req, res, next) => {
+    if (disabled) {
+      req.user = { name: 'anonymous', role: 'admin', via: 'none' };
+      return next();
+    }
+
+    try {
+      const token = getToken(req);
+      const user = token ? await verify(token, req) : null;
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        });
+      }
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error('Error verifying credentials:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error verifying credentials',
+        details: error.message
+      });
+    }
+  };
+
+  // Authenticate, then respond 403 unless the user has at least the given role
+  const requireRole = (role) => {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    return (req, res, next) => authenticate(req, res, () => {
+      if (!hasRole(req.user.role, role)) {
+        return res.status(403).json({
+          success: false,
+          error: `This action requires the ${role} role`
+        });
+      }
+      next();
+    });
+  };
+
+  // Session routes: POST /login sets the auth cookie, POST /logout clears it, GET /me
+  const mountRoutes = (app, prefix = '/api') => {
+    app.post(`${prefix}/login`, async (req, res) => {
+      const token = (req.body || {}).token;
+      if (disabled) {
+        return res.json({ success: true, user: { name: 'anonymous', role: 'admin' } });
+      }
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'token is required'
+        });
+      }
+
+      try {
+        const user = await verify(token, req);
+        if (!user) {
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid token'
+          });
+        }
+
+        const maxAge = user.expiresAt
+          ? Math.max(0, Math.floor((user.expiresAt - Date.now()) / 1000))
+          : COOKIE_MAX_AGE_SECONDS;
+        const attributes = ['Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${maxAge}`];
+        if (req.secure) attributes.push('Secure');
+        res.setHeader('Set-Cookie', `${cookieName}=${encodeURIComponent(token)}; ${attributes.join('; ')}`);
+
+        res.json({ success: true, user: { name: user.name, role: user.role } });
+      } catch (error) {
+        console.error('Error verifying credentials:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Error verifying credentials',
+          details: error.message
+        });
+      }
+    });
+
+    app.post(`${prefix}/logout`, (req, res) => {
+      res.setHeader('Set-Cookie', `${cookieName}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+      res.json({ success: true });
+    });
+
+    app.get(`${prefix}/me`, authenticate, (req, res) => {
+      res.json({
+        success: true,
+        user: { name: req.user.name, role: req.user.role },
+        authEnabled: !disabled
+      });
+    });
+  };
+
+  return {
+    mode: disabled ? 'none' : modes.join(','),
+    authenticate,
+    requireRole,
+    mountRoutes
+  };
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  createAuth,
+  createCorsOptions,
+  createTokenFileVerifier,
+  createJwtVerifier
+};
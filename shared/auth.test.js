@@ -0,0 +1,543 @@
+/**
+ * Tests for the shared authentication middleware
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  ROLES,
+  hasRole,
+  createAuth,
+  createCorsOptions,
+  createTokenFileVerifier,
+  createJwtVerifier
+} = require('./auth.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+    assert(false, message);
+  } catch (error) {
+    assert(pattern.test(error.message), `${message} (${error.message})`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+const SECRET = 'c2VjcmV0LXdpdGgtcGFkZGluZw==';
+const now = () => Math.floor(Date.now() / 1000);
+
+// Sign a JWT with an HMAC secret or an RSA private key
+function signJwt(claims, { secret = SECRET, privateKey, kid, alg = privateKey ? 'RS256' : 'HS256' } = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = { alg, typ: 'JWT', ...(kid ? { kid } : {}) };
+  const signed = `${encode(header)}.${encode(claims)}`;
+  const signature = privateKey
+    ? crypto.sign('sha256', Buffer.from(signed), privateKey)
+    : crypto.createHmac('sha256', secret).update(signed).digest();
+  return `${signed}.${signature.toString('base64url')}`;
+}
+
+// Minimal Express request/response doubles
+function fakeReq(headers = {}, body) {
+  return { headers, body, secure: false };
+}
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; }
+  };
+}
+
+// Run a middleware, resolving with the response and whether next() was called
+async function runMiddleware(middleware, req) {
+  const res = fakeRes();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+// Minimal Express app double collecting the mounted routes
+function fakeApp() {
+  const routes = {};
+  const register = method => (route, ...handlers) => { routes[`${method} ${route}`] = handlers; };
+  return { routes, get: register('GET'), post: register('POST') };
+}
+
+async function run() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  const usersFile = path.join(tmpDir, 'users.json');
+  const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+  fs.writeFileSync(usersFile, JSON.stringify({
+    users: [
+      { name: 'alice@example.com', role: 'editor', tokenSha256: sha256Hex('alice-token') },
+      { name: 'ci-reader', role: 'viewer', token: 'ci-token' }
+    ]
+  }));
+
+  // ==================== ROLES ====================
+
+  section('1. Role Tests');
+
+  assertDeepEqual(ROLES, ['viewer', 'editor', 'admin'], 'Roles are ordered viewer < editor < admin');
+  assert(hasRole('admin', 'viewer') && hasRole('admin', 'editor') && hasRole('admin', 'admin'),
+    'admin passes every check');
+  assert(hasRole('editor', 'viewer') && !hasRole('editor', 'admin'), 'editor passes viewer but not admin');
+  assert(!hasRole('viewer', 'editor'), 'viewer does not pass editor');
+  assert(!hasRole('superuser', 'viewer') && !hasRole(undefined, 'viewer'), 'Unknown roles pass nothing');
+
+  // ==================== TOKEN FILE ====================
+
+  section('2. Token File Verifier Tests');
+
+  {
+    const verify = createTokenFileVerifier(usersFile);
+    assertDeepEqual(await verify('alice-token'), { name: 'alice@example.com', role: 'editor', via: 'token' },
+      'Token matched by its SHA-256 hash');
+    assertDeepEqual(await verify('ci-token'), { name: 'ci-reader', role: 'viewer', via: 'token' },
+      'Plain token matched');
+    assert(await verify('wrong-token') === null, 'Unknown token rejected');
+    assert(await verify('') === null, 'Empty token rejected');
+
+    // Rotating the file takes effect without a new verifier
+    fs.writeFileSync(usersFile, JSON.stringify({ users: [{ name: 'bob', role: 'admin', token: 'bob-token' }] }));
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(usersFile, later, later);
+    assertDeepEqual(await verify('bob-token'), { name: 'bob', role: 'admin', via: 'token' }, 'Changed file is re-read');
+    assert(await verify('ci-token') === null, 'Removed token no longer accepted');
+  }
+
+  assertThrows(() => createTokenFileVerifier(), /requires AUTH_USERS_FILE/, 'Missing users file path throws');
+  assertThrows(() => createTokenFileVerifier(path.join(tmpDir, 'missing.json')), /ENOENT/,
+    'Missing users file throws at startup');
+  {
+    const invalidFile = path.join(tmpDir, 'invalid.json');
+    fs.writeFileSync(invalidFile, JSON.stringify({ users: [{ name: 'eve', role: 'root', token: 'x' }] }));
+    assertThrows(() => createTokenFileVerifier(invalidFile), /Invalid user entry #1/, 'Invalid role in users file throws');
+  }
+
+  // ==================== JWT (HS256) ====================
+
+  section('3. JWT Signature Tests (HS256)');
+
+  {
+    const verify = createJwtVerifier({ secret: SECRET, defaultRole: 'viewer' });
+    const claims = { sub: 'user-1', email: 'user@example.com', exp: now() + 600 };
+
+    const user = await verify(signJwt(claims));
+    assertDeepEqual(user, { name: 'user@example.com', role: 'viewer', via: 'jwt', expiresAt: claims.exp * 1000 },
+      'Valid HS256 token accepted');
+
+    assert(await verify(signJwt(claims, { secret: 'other-secret' })) === null, 'Token signed with another secret rejected');
+
+    const [header, , signature] = signJwt(claims).split('.');
+    const tampered = Buffer.from(JSON.stringify({ ...claims, email: 'admin@example.com' })).toString('base64url');
+    assert(await verify(`${header}.${tampered}.${signature}`) === null, 'Tampered claims rejected');
+
+    assert(await verify(signJwt(claims, { alg: 'none' })) === null, 'alg=none rejected');
+    assert(await verify('not-a-jwt') === null, 'Malformed token rejected');
+    assert(await verify('a.b.c') === null, 'Undecodable token rejected');
+
+    const rsOnly = createJwtVerifier({ jwksUri: 'https://idp.example.com/jwks', defaultRole: 'viewer' });
+    assert(await rsOnly(signJwt(claims)) === null, 'HS256 token rejected without a shared secret');
+  }
+
+  assertThrows(() => createJwtVerifier({}), /requires OIDC_ISSUER, OIDC_JWKS_URI or JWT_SECRET/,
+    'Verifier without issuer, JWKS or secret throws');
+
+  // ==================== EXP / NBF ====================
+
+  section('4. Expiry and Not-Before Tests');
+
+  {
+    const verify = createJwtVerifier({ secret: SECRET, defaultRole: 'viewer' });
+    assert(await verify(signJwt({ sub: 'u', exp: now() + 60 })) !== null, 'Unexpired token accepted');
+    assert(await verify(signJwt({ sub: 'u', exp: now() - 600 })) === null, 'Expired token rejected');
+    assert(await verify(signJwt({ sub: 'u', exp: now() - 30 })) !== null, 'Token expired within the clock skew accepted');
+    assert(await verify(signJwt({ sub: 'u' })) === null, 'Token without exp rejected');
+    assert(await verify(signJwt({ sub: 'u', exp: String(now() + 600) })) === null, 'Token with a non-numeric exp rejected');
+    assert(await verify(signJwt({ sub: 'u', exp: now() + 600, nbf: now() + 600 })) === null, 'Token not yet valid rejected');
+    assert(await verify(signJwt({ sub: 'u', exp: now() + 600, nbf: now() + 30 })) !== null,
+      'Token valid within the clock skew accepted');
+    assert(await verify(signJwt({ sub: 'u', exp: now() + 600, nbf: now() - 600 })) !== null, 'Token past nbf accepted');
+  }
+
+  // ==================== ISSUER / AUDIENCE ====================
+
+  section('5. Issuer and Audience Tests');
+
+  {
+    const verify = createJwtVerifier({ secret: SECRET, audience: 'da-admin', defaultRole: 'viewer' });
+    const exp = now() + 600;
+    assert(await verify(signJwt({ sub: 'u', exp, aud: 'da-admin' })) !== null, 'Matching audience accepted');
+    assert(await verify(signJwt({ sub: 'u', exp, aud: ['other', 'da-admin'] })) !== null, 'Audience in a list accepted');
+    assert(await verify(signJwt({ sub: 'u', exp, aud: 'other' })) === null, 'Other audience rejected');
+    assert(await verify(signJwt({ sub: 'u', exp })) === null, 'Missing audience rejected');
+  }
+
+  // ==================== JWT (RS256 / JWKS) ====================
+
+  section('6. JWKS Tests (RS256)');
+
+  {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+    const issuer = 'https://idp.example.com/';
+    const requests = [];
+
+    const originalFetch = global.fetch;
+    global.fetch = async (url) => {
+      requests.push(url);
+      if (url === 'https://idp.example.com/.well-known/openid-configuration') {
+        return { ok: true, json: async () => ({ jwks_uri: 'https://idp.example.com/keys' }) };
+      }
+      if (url === 'https://idp.example.com/keys') {
+        return { ok: true, json: async () => ({ keys: [jwk] }) };
+      }
+      return { ok: false, status: 404, json: async () => ({}) };
+    };
+
+    try {
+      const verify = createJwtVerifier({ issuer, audience: 'da-admin', defaultRole: 'viewer' });
+      const claims = { iss: issuer, aud: 'da-admin', sub: 'user-1', preferred_username: 'user1', exp: now() + 600 };
+
+      const user = await verify(signJwt(claims, { privateKey, kid: 'key-1' }));
+      assert(user !== null && user.name === 'user1' && user.role === 'viewer', 'RS256 token verified with the discovered JWKS');
+      assertDeepEqual(requests, ['https://idp.example.com/.well-known/openid-configuration', 'https://idp.example.com/keys'],
+        'JWKS URL discovered from the issuer metadata');
+
+      await verify(signJwt(claims, { privateKey, kid: 'key-1' }));
+      assert(requests.length === 2, 'JWKS is cached between requests');
+
+      assert(await verify(signJwt(claims, { privateKey: other.privateKey, kid: 'key-1' })) === null,
+        'Token signed with another key rejected');
+      assert(await verify(signJwt({ ...claims, iss: 'https://evil.example.com/' }, { privateKey, kid: 'key-1' })) === null,
+        'Other issuer rejected');
+      assert(await verify(signJwt(claims, { privateKey, kid: 'unknown' })) === null, 'Unknown key id rejected');
+      assert(await verify(signJwt(claims, { privateKey })) !== null, 'Token without kid accepted when the set holds one key');
+      assert(await verify(signJwt(claims)) === null, 'HS256 token rejected without a shared secret');
+
+      const direct = createJwtVerifier({ jwksUri: 'https://idp.example.com/keys', defaultRole: 'viewer' });
+      requests.length = 0;
+      assert(await direct(signJwt(claims, { privateKey, kid: 'key-1' })) !== null, 'OIDC_JWKS_URI skips discovery');
+      assertDeepEqual(requests, ['https://idp.example.com/keys'], 'Only the JWKS URL is fetched');
+
+      const broken = createJwtVerifier({ jwksUri: 'https://idp.example.com/missing', defaultRole: 'viewer' });
+      let error = null;
+      try {
+        await broken(signJwt(claims, { privateKey, kid: 'key-1' }));
+      } catch (e) {
+        error = e;
+      }
+      assert(error && /JWKS request failed with status 404/.test(error.message), 'Failed JWKS request throws');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  }
+
+  // ==================== ROLE MAPPING ====================
+
+  section('7. Role Mapping Tests');
+
+  {
+    const roleMap = { 'da-admins': 'admin', 'da-editors': 'editor' };
+    const exp = now() + 600;
+    const verify = createJwtVerifier({ secret: SECRET, roleClaim: 'groups', roleMap });
+    const roleOf = async (claims) => {
+      const user = await verify(signJwt({ sub: 'u', exp, ...claims }));
+      return user ? user.role : null;
+    };
+
+    assert(await roleOf({ groups: ['da-editors'] }) === 'editor', 'Mapped group gives its role');
+    assert(await roleOf({ groups: 'da-admins' }) === 'admin', 'Single claim value is mapped');
+    assert(await roleOf({ groups: ['da-editors', 'da-admins', 'staff'] }) === 'admin', 'Highest mapped role wins');
+    assert(await roleOf({ groups: ['viewer'] }) === 'viewer', 'Role names are accepted as claim values');
+    assert(await roleOf({ groups: ['staff'] }) === null, 'Token without a mapped role rejected');
+    assert(await roleOf({ roles: ['da-admins'] }) === null, 'Only the configured role claim is read');
+
+    const withDefault = createJwtVerifier({ secret: SECRET, roleClaim: 'groups', roleMap, defaultRole: 'viewer' });
+    assert((await withDefault(signJwt({ sub: 'u', exp, groups: ['staff'] }))).role === 'viewer',
+      'Default role applies to tokens without a mapped role');
+    assert((await withDefault(signJwt({ sub: 'u', exp, groups: ['da-editors'] }))).role === 'editor',
+      'Mapped role takes precedence over the default role');
+
+    const auth = createAuth({
+      AUTH_MODE: 'oidc',
+      JWT_SECRET: SECRET,
+      OIDC_ROLE_CLAIM: 'groups',
+      OIDC_ROLE_MAP: 'da-admins:admin, urn:groups:editors:editor'
+    });
+    const { res, nextCalled } = await runMiddleware(auth.authenticate,
+      fakeReq({ authorization: `Bearer ${signJwt({ sub: 'u', exp, groups: ['urn:groups:editors'] })}` }));
+    assert(nextCalled && res.statusCode === 200, 'OIDC_ROLE_MAP values may contain colons');
+
+    assertThrows(() => createAuth({ AUTH_MODE: 'oidc', JWT_SECRET: SECRET, OIDC_ROLE_MAP: 'da-admins:root' }),
+      /Invalid OIDC_ROLE_MAP entry: da-admins:root/, 'Unknown role in OIDC_ROLE_MAP throws');
+    assertThrows(() => createAuth({ AUTH_MODE: 'oidc', JWT_SECRET: SECRET, OIDC_DEFAULT_ROLE: 'root' }),
+      /Invalid OIDC_DEFAULT_ROLE: root/, 'Unknown OIDC_DEFAULT_ROLE throws');
+  }
+
+  // ==================== AUTH_MODE ====================
+
+  section('8. AUTH_MODE Tests');
+
+  fs.writeFileSync(usersFile, JSON.stringify({
+    users: [
+      { name: 'alice@example.com', role: 'editor', tokenSha256: sha256Hex('alice-token') },
+      { name: 'ci-reader', role: 'viewer', token: 'ci-token' }
+    ]
+  }));
+  const jwt = signJwt({ sub: 'jwt-user', exp: now() + 600 });
+  const bearer = (token) => fakeReq({ authorization: `Bearer ${token}` });
+  const accepts = async (auth, token) => (await runMiddleware(auth.authenticate, bearer(token))).nextCalled;
+
+  assertThrows(() => createAuth({}), /Authentication is not configured\. Set AUTH_MODE/, 'Unset AUTH_MODE throws at startup');
+  assertThrows(() => createAuth({ AUTH_MODE: ' , ' }), /Authentication is not configured/, 'Empty AUTH_MODE throws at startup');
+  assertThrows(() => createAuth({ AUTH_MODE: 'ldap' }), /Unknown AUTH_MODE: ldap/, 'Unknown AUTH_MODE throws');
+  assertThrows(() => createAuth({ AUTH_MODE: 'token' }), /requires AUTH_USERS_FILE/, 'token without AUTH_USERS_FILE throws');
+  assertThrows(() => createAuth({ AUTH_MODE: 'oidc' }), /requires OIDC_ISSUER/, 'oidc without issuer or secret throws');
+
+  {
+    const auth = createAuth({ AUTH_MODE: 'none' });
+    assert(auth.mode === 'none', 'none: mode reported');
+    const req = fakeReq();
+    const { nextCalled } = await runMiddleware(auth.authenticate, req);
+    assert(nextCalled, 'none: request without credentials passes');
+    assertDeepEqual(req.user, { name: 'anonymous', role: 'admin', via: 'none' }, 'none: every request is an admin');
+  }
+
+  {
+    const auth = createAuth({ AUTH_MODE: 'token', AUTH_USERS_FILE: usersFile });
+    assert(auth.mode === 'token', 'token: mode reported');
+    assert(await accepts(auth, 'ci-token'), 'token: users file token accepted');
+    assert(!(await accepts(auth, jwt)), 'token: JWT rejected');
+  }
+
+  {
+    const auth = createAuth({ AUTH_MODE: 'oidc', JWT_SECRET: SECRET, OIDC_DEFAULT_ROLE: 'viewer' });
+    assert(auth.mode === 'oidc', 'oidc: mode reported');
+    assert(await accepts(auth, jwt), 'oidc: JWT accepted');
+    assert(!(await accepts(auth, 'ci-token')), 'oidc: users file token rejected');
+  }
+
+  {
+    const auth = createAuth({
+      AUTH_MODE: 'Token, OIDC',
+      AUTH_USERS_FILE: usersFile,
+      JWT_SECRET: SECRET,
+      OIDC_DEFAULT_ROLE: 'viewer'
+    });
+    assert(auth.mode === 'token,oidc', 'token,oidc: mode normalized');
+    assert(await accepts(auth, 'ci-token'), 'token,oidc: users file token accepted');
+    assert(await accepts(auth, jwt), 'token,oidc: JWT accepted');
+    assert(!(await accepts(auth, 'wrong-token')), 'token,oidc: unknown token rejected');
+  }
+
+  {
+    const custom = async (token) => (token === 'custom-token' ? { name: 'custom', role: 'viewer' } : null);
+    const auth = createAuth({}, { verifiers: [custom] });
+    assert(await accepts(auth, 'custom-token'), 'Extra verifiers work without AUTH_MODE');
+
+    const combined = createAuth({ AUTH_MODE: 'token', AUTH_USERS_FILE: usersFile }, { verifiers: [custom] });
+    assert(await accepts(combined, 'ci-token') && await accepts(combined, 'custom-token'),
+      'Extra verifiers are tried after the configured ones');
+
+    const disabled = createAuth({ AUTH_MODE: 'none' }, { verifiers: [async () => null] });
+    assert(await accepts(disabled, 'anything'), 'none ignores extra verifiers');
+  }
+
+  // ==================== MIDDLEWARE ====================
+
+  section('9. Middleware Tests');
+
+  {
+    const auth = createAuth({ AUTH_MODE: 'token', AUTH_USERS_FILE: usersFile });
+
+    let { res, nextCalled } = await runMiddleware(auth.authenticate, fakeReq());
+    assert(!nextCalled && res.statusCode === 401, 'Request without credentials gets 401');
+    assertDeepEqual(res.body, { success: false, error: 'Authentication required' }, '401 body');
+
+    ({ res, nextCalled } = await runMiddleware(auth.authenticate, fakeReq({ authorization: 'bearer ci-token' })));
+    assert(nextCalled, 'Bearer scheme is case-insensitive');
+
+    const req = fakeReq({ cookie: 'theme=dark; da_admin_token=alice-token' });
+    ({ res, nextCalled } = await runMiddleware(auth.authenticate, req));
+    assert(nextCalled && req.user.name === 'alice@example.com', 'Token read from the auth cookie');
+
+    const customCookie = createAuth({ AUTH_MODE: 'token', AUTH_USERS_FILE: usersFile, AUTH_COOKIE: 'session' });
+    ({ nextCalled } = await runMiddleware(customCookie.authenticate, fakeReq({ cookie: 'session=ci-token' })));
+    assert(nextCalled, 'AUTH_COOKIE sets the cookie name');
+
+    ({ res, nextCalled } = await runMiddleware(auth.requireRole('editor'), bearer('ci-token')));
+    assert(!nextCalled && res.statusCode === 403, 'viewer gets 403 on an editor route');
+    assert(res.body.error === 'This action requires the editor role', '403 names the required role');
+
+    ({ nextCalled } = await runMiddleware(auth.requireRole('viewer'), bearer('alice-token')));
+    assert(nextCalled, 'editor passes a viewer route');
+
+    ({ res, nextCalled } = await runMiddleware(auth.requireRole('viewer'), fakeReq()));
+    assert(!nextCalled && res.statusCode === 401, 'requireRole authenticates first');
+
+    assertThrows(() => auth.requireRole('owner'), /Unknown role: owner/, 'Unknown required role throws');
+
+    const failing = createAuth({}, { verifiers: [async () => { throw new Error('IdP unreachable'); }] });
+    const originalError = console.error;
+    console.error = () => {};
+    ({ res, nextCalled } = await runMiddleware(failing.authenticate, bearer('x')));
+    console.error = originalError;
+    assert(!nextCalled && res.statusCode === 500 && res.body.details === 'IdP unreachable', 'Verifier errors give 500');
+  }
+
+  // ==================== SESSION ROUTES ====================
+
+  section('10. Session Route Tests');
+
+  {
+    const auth = createAuth({
+      AUTH_MODE: 'token,oidc',
+      AUTH_USERS_FILE: usersFile,
+      JWT_SECRET: SECRET,
+      OIDC_DEFAULT_ROLE: 'viewer'
+    });
+    const app = fakeApp();
+    auth.mountRoutes(app);
+    assertDeepEqual(Object.keys(app.routes).sort(), ['GET /api/me', 'POST /api/login', 'POST /api/logout'],
+      'Login, logout and me routes mounted');
+    const [login] = app.routes['POST /api/login'];
+
+    let res = fakeRes();
+    await login(fakeReq({}, { token: 'ci-token' }), res);
+    assertDeepEqual(res.body, { success: true, user: { name: 'ci-reader', role: 'viewer' } }, 'Login with a valid token');
+    assert(/^da_admin_token=ci-token; Path=\/; HttpOnly; SameSite=Strict; Max-Age=43200$/.test(res.headers['set-cookie']),
+      'Static token cookie lasts 12 hours');
+
+    res = fakeRes();
+    const exp = now() + 300;
+    await login(fakeReq({}, { token: signJwt({ sub: 'u', exp }) }), res);
+    const maxAge = Number(/Max-Age=(\d+)/.exec(res.headers['set-cookie'])[1]);
+    assert(maxAge > 290 && maxAge <= 300, `JWT cookie expires with the token (Max-Age=${maxAge})`);
+
+    res = fakeRes();
+    await login(fakeReq({}, { token: 'wrong-token' }), res);
+    assert(res.statusCode === 401 && !res.headers['set-cookie'], 'Login with an invalid token gets 401');
+
+    res = fakeRes();
+    await login(fakeReq({}, {}), res);
+    assert(res.statusCode === 400, 'Login without a token gets 400');
+
+    res = fakeRes();
+    app.routes['POST /api/logout'][0](fakeReq(), res);
+    assert(/Max-Age=0/.test(res.headers['set-cookie']), 'Logout clears the cookie');
+
+    const [authenticate, me] = app.routes['GET /api/me'];
+    const req = bearer('alice-token');
+    res = fakeRes();
+    await authenticate(req, res, () => me(req, res));
+    assertDeepEqual(res.body, { success: true, user: { name: 'alice@example.com', role: 'editor' }, authEnabled: true },
+      'me returns the signed-in user');
+  }
+
+  // ==================== CORS ====================
+
+  section('11. CORS Tests');
+
+  {
+    const allows = (options, origin) => {
+      let allowed;
+      options.origin(origin, (error, result) => {
+        allowed = result;
+      });
+      return allowed;
+    };
+
+    const closed = createCorsOptions({});
+    assert(!allows(closed, 'https://evil.example') && !allows(closed, undefined),
+      'Without ALLOWED_ORIGINS no origin gets CORS headers');
+
+    const options = createCorsOptions({ ALLOWED_ORIGINS: 'https://admin.example.com/, http://localhost:3000' });
+    assert(allows(options, 'https://admin.example.com') && allows(options, 'http://localhost:3000'),
+      'Listed origins are allowed, trailing slashes ignored');
+    assert(!allows(options, 'https://evil.example') && !allows(options, 'https://admin.example.com.evil.example'),
+      'Other origins are refused');
+    assert(options.credentials === true, 'Credentials are allowed for listed origins, so the origin is echoed');
+
+    let error = null;
+    try {
+      createCorsOptions({ ALLOWED_ORIGINS: 'https://admin.example.com,*' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /not allowed/.test(error.message), 'A wildcard origin is rejected');
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+/**
+ * Analyze an inventory (traverse.js output) and report storage statistics.
+ *
+ * Streams the inventory once, in any format of the shared output writer, and
+ * reports the categories of the original analyze.sh (total, .da-versions,
+ * content, drafts, trash, each by file type) plus per-repo totals, a per-folder
+ * size tree, size and age histograms and the largest and oldest files.
+ * The report is printed and saved as JSON for further processing.
+ *
+ * Usage: node analyze.js [OPTIONS] [inventory]
+ */
+
+const fs = require('fs');
+const { readOutputRows } = require('./s3-utils.js');
+const { FILE_TYPES, createAnalyzer } = require('./inventory-stats.js');
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+
+function showUsage() {
+  console.error('Usage: node analyze.js [OPTIONS] [inventory]');
+  console.error('');
+  console.error('Arguments:');
+  console.error('  inventory                  traverse.js output, any format (default: files.csv)');
+  console.error('');
+  console.error('Options:');
+  console.error('  -j, --json <file>          JSON report (default: <inventory>.analysis.json)');
+  console.error('  -d, --depth <n>            Folder levels of the size tree (default: 3)');
+  console.error('  -n, --top <n>              Largest/oldest files listed (default: 20)');
+  console.error('      --format <format>      Inventory format (default: from the extension)');
+  console.error('      --no-color             Plain output');
+  console.error('  -h, --help                 Show this help');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node analyze.js');
+  console.error('  node analyze.js -d 2 -n 50 kptdobe.csv');
+  console.error('  node analyze.js -j stats.json ../encoding/files.csv');
+}
+
+let inventory = 'files.csv';
+let jsonFile = '';
+let depth = 3;
+let top = 20;
+let format = '';
+let color = process.stdout.isTTY;
+
+const argv = process.argv.slice(2);
+
+for (let i = 0; i < argv.length; i++) {
+  switch (argv[i]) {
+    case '-j': case '--json':        jsonFile = argv[++i]; break;
+    case '-d': case '--depth':       depth = parseInt(argv[++i], 10); break;
+    case '-n': case '--top':         top = parseInt(argv[++i], 10); break;
+    case '--format':                 format = argv[++i]; break;
+    case '--no-color':               color = false; break;
+    case '-h': case '--help':        showUsage(); process.exit(0); break;
+    default:
+      if (argv[i].startsWith('-')) {
+        console.error(`Unknown option: ${argv[i]}`);
+        showUsage();
+        process.exit(1);
+      }
+      inventory = argv[i];
+  }
+}
+
+if (!fs.existsSync(inventory)) {
+  console.error(`Inventory not found: ${inventory}`);
+  process.exit(1);
+}
+if (!Number.isInteger(depth) || depth < 1) {
+  console.error('--depth must be a positive integer');
+  process.exit(1);
+}
+if (!Number.isInteger(top) || top < 1) {
+  console.error('--top must be a positive integer');
+  process.exit(1);
+}
+if (!jsonFile) jsonFile = `${inventory.replace(/\.(csv|tsv|jsonl|ndjson|sqlite|db)$/i, '')}.analysis.json`;
+
+// ---------------------------------------------------------------------------
+// Output helpers
+// ---------------------------------------------------------------------------
+
+const paint = code => text => (color ? `\x1b[${code}m${text}\x1b[0m` : text);
+const header = paint('1;34');
+const info = paint('36');
+const stat = paint('32');
+const tip = paint('33');
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${units[i]}`;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? ((part * 100) / whole).toFixed(2) : '0.00';
+}
+
+function count(n) {
+  return n.toLocaleString('en-US');
+}
+
+function bar(part, whole, width = 30) {
+  return '█'.repeat(whole > 0 ? Math.round((part / whole) * width) : 0);
+}
+
+const TYPE_LABELS = {
+  html: '📄 HTML:  ',
+  json: '📋 JSON:  ',
+  image: '🖼️  Images:',
+  video: '🎬 Videos:',
+  other: '📦 Other: '
+};
+
+function printBreakdown(category, indent = '  ') {
+  console.log('');
+  for (const type of FILE_TYPES) {
+    const { files, bytes } = category.types[type];
+    console.log(stat(`${indent}${TYPE_LABELS[type]} ${count(files).padStart(12)} files (${percent(files, category.files)}%)  │  ${formatBytes(bytes)}`));
+  }
+  console.log('');
+}
+
+function printCategory(title, category, lines, indent = '  ') {
+  console.log(header(title));
+  console.log('');
+  console.log(stat(`${indent}Files:          ${count(category.files)}${lines.files || ''}`));
+  console.log(stat(`${indent}Total Size:     ${formatBytes(category.bytes)} (${count(category.bytes)} bytes)`));
+  for (const line of lines.extra || []) console.log(stat(`${indent}${line}`));
+  if (lines.note) console.log(info(`${indent}Note: ${lines.note}`));
+  printBreakdown(category, `${indent}  `);
+}
+
+function printTree(nodes, indent = '  ', limit = 10) {
+  nodes.slice(0, limit).forEach((node, i) => {
+    const last = i === Math.min(nodes.length, limit) - 1;
+    console.log(`${indent}${last ? '└─' : '├─'} ${`${node.name}/`.padEnd(Math.max(40 - indent.length, 10))} ${count(node.files).padStart(12)} files  ${formatBytes(node.bytes).padStart(12)}`);
+    printTree(node.children, `${indent}${last ? '   ' : '│  '}`, 5);
+  });
+  if (nodes.length > limit) console.log(info(`${indent}   ... ${count(nodes.length - limit)} more`));
+}
+
+function printReport(result, duration) {
+  const { categories: c } = result;
+  const total = c.total;
+  const content = c.content_all;
+
+  console.log('');
+  console.log(header('RESULTS'));
+  console.log(header('='.repeat(64)));
+  console.log('');
+
+  printCategory('📊 TOTAL', total, {});
+
+  printCategory('📦 .da-versions FOLDERS', c.versions, {
+    files: ` (${percent(c.versions.files, total.files)}% of total)`,
+    extra: [
+      `Size %:         ${percent(c.versions.bytes, total.bytes)}% of total storage`,
+      `Empty files:    ${count(result.emptyVersions)}`,
+      ...(c.versions.files > 0 ? [`Empty %:        ${percent(result.emptyVersions, c.versions.files)}% of version files`] : [])
+    ]
+  });
+
+  printCategory('📄 CONTENT (ALL)', content, {
+    files: ` (${percent(content.files, total.files)}% of total)`,
+    extra: [`Size %:         ${percent(content.bytes, total.bytes)}% of total storage`],
+    note: 'Total minus .da-versions (includes drafts and trash)'
+  });
+
+  const sub = [
+    ['  ├─ 📝 Content Files (Clean)', c.content_clean, 'Excludes drafts and trash'],
+    ['  ├─ 📝 Drafts', c.drafts],
+    ['  └─ 🗑️  Trash', c.trash]
+  ];
+  for (const [title, category, note] of sub) {
+    printCategory(title, category, {
+      files: ` (${percent(category.files, content.files)}% of content)`,
+      extra: [`Size %:         ${percent(category.bytes, content.bytes)}% of content storage`],
+      note
+    }, '    ');
+  }
+
+  console.log(header('🏢 REPOS'));
+  console.log('');
+  console.log(`  ${'Repo'.padEnd(40)} ${'Files'.padStart(12)} ${'Size'.padStart(12)} ${'Versions'.padStart(12)} ${'Drafts'.padStart(12)} ${'Trash'.padStart(12)}`);
+  for (const repo of result.repos.slice(0, top)) {
+    console.log(`  ${repo.repo.padEnd(40)} ${count(repo.files).padStart(12)} ${formatBytes(repo.bytes).padStart(12)} ${formatBytes(repo.versionsBytes).padStart(12)} ${formatBytes(repo.draftsBytes).padStart(12)} ${formatBytes(repo.trashBytes).padStart(12)}`);
+  }
+  if (result.repos.length > top) console.log(info(`  ... ${count(result.repos.length - top)} more (see ${jsonFile})`));
+  console.log('');
+
+  console.log(header(`🌳 FOLDERS (largest, ${depth} levels)`));
+  console.log('');
+  printTree(result.tree);
+  console.log('');
+
+  console.log(header('📏 SIZE HISTOGRAM'));
+  console.log('');
+  for (const bucket of result.sizeHistogram) {
+    console.log(`  ${bucket.label.padEnd(14)} ${count(bucket.files).padStart(12)} files  ${formatBytes(bucket.bytes).padStart(12)}  ${stat(bar(bucket.files, total.files))}`);
+  }
+  console.log('');
+
+  console.log(header('📅 AGE (last modified)'));
+  console.log('');
+  for (const bucket of result.ageDistribution) {
+    console.log(`  ${bucket.label.padEnd(14)} ${count(bucket.files).padStart(12)} files  ${formatBytes(bucket.bytes).padStart(12)}  ${stat(bar(bucket.files, total.files))}`);
+  }
+  if (result.oldest) console.log(info(`  Oldest: ${result.oldest}   Newest: ${result.newest}`));
+  console.log('');
+
+  console.log(header(`🐘 LARGEST FILES (top ${top})`));
+  console.log('');
+  for (const file of result.largestFiles) {
+    console.log(`  ${formatBytes(file.size).padStart(12)}  ${file.key}`);
+  }
+  console.log('');
+
+  console.log(header(`🕰️  OLDEST FILES (top ${top})`));
+  console.log('');
+  for (const file of result.oldestFiles) {
+    console.log(`  ${file.lastModified}  ${file.key}`);
+  }
+  console.log('');
+
+  console.log(header('⏱️  PERFORMANCE'));
+  console.log(stat(`  Processing time: ${duration.toFixed(1)}s`));
+  if (duration > 0) console.log(stat(`  Throughput:      ${count(Math.round(total.files / duration))} rows/second`));
+  console.log('');
+  console.log(header('='.repeat(64)));
+  console.log('');
+
+  if (c.trash.files > 0) {
+    console.log(tip(`💡 Tip: You have ${count(c.trash.files)} files in .trash folders using ${formatBytes(c.trash.bytes)}`));
+    console.log(tip('   Consider cleaning up if no longer needed.'));
+    console.log('');
+  }
+  if (result.emptyVersions > 0) {
+    console.log(tip(`💡 Tip: You have ${count(result.emptyVersions)} empty files in .da-versions folders`));
+    console.log(tip('   These might be placeholder files or corrupted versions.'));
+    console.log('');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  console.log(header('='.repeat(64)));
+  console.log(header('Inventory Analysis Report'));
+  console.log(header('='.repeat(64)));
+  console.log('');
+  console.log(info(`Analyzing: ${inventory}`));
+
+  const startTime = Date.now();
+  const analyzer = createAnalyzer({ depth, top });
+  let rows = 0;
+  for await (const row of readOutputRows(inventory, format || undefined)) {
+    analyzer.add(row);
+    if (++rows % 1000000 === 0 && process.stdout.isTTY) {
+      process.stdout.write(`\r  ${count(rows)} rows...`);
+    }
+  }
+  if (rows >= 1000000 && process.stdout.isTTY) process.stdout.write('\n');
+  const result = analyzer.summarize();
+  const duration = (Date.now() - startTime) / 1000;
+
+  printReport(result, duration);
+
+  fs.writeFileSync(jsonFile, JSON.stringify({
+    inventory,
+    analyzedAt: new Date().toISOString(),
+    depth,
+    top,
+    ...result
+  }, null, 2));
+  console.log(`JSON report saved to: ${jsonFile}`);
+}
+
+main().catch((err) => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
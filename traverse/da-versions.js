@@ -0,0 +1,199 @@
+/**
+ * Helpers for DA version snapshots, shared by find-orphans.js and migrate-versions.js
+ *
+ * Snapshots live under `.da-versions/<id>/`, keyed by the live document's
+ * `Metadata.id`, in two locations:
+ *   - legacy: <org>/.da-versions/<id>/...
+ *   - new:    <org>/<repo>/.da-versions/<id>/...
+ */
+
+const { ListObjectsV2Command, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  generateShardPrefixes,
+  generateGapShards,
+  listShardObjects,
+  formatShardLabel,
+  sendWithRetry
+} = require('./s3-utils.js');
+
+/**
+ * Split a key into its snapshot folder, if it is a version snapshot
+ * @param {string} key - Object key
+ * @returns {{location: string, id: string, file: string}|null} Folder location ('<org>' for legacy,
+ *   '<org>/<repo>' for new), id and file name inside the folder
+ */
+function parseVersionKey(key) {
+  const parts = key.split('/');
+  // <org>/.da-versions/<id>/<file>
+  if (parts[1] === '.da-versions' && parts.length >= 4 && parts[2]) {
+    return { location: parts[0], id: parts[2], file: parts.slice(3).join('/') };
+  }
+  // <org>/<repo>/.da-versions/<id>/<file>
+  if (parts[2] === '.da-versions' && parts.length >= 5 && parts[3]) {
+    return { location: `${parts[0]}/${parts[1]}`, id: parts[3], file: parts.slice(4).join('/') };
+  }
+  return null;
+}
+
+/**
+ * List every object under a prefix without sharding
+ * @param {S3Client} s3Client - Configured S3 client
+ * @param {string} bucket - S3 bucket name
+ * @param {string} prefix - Prefix to list
+ * @param {Object} [options]
+ * @param {Function} [options.onBatch] - Called with each page of objects
+ * @param {string} [options.delimiter] - Delimiter, '/' for immediate children only
+ * @returns {Promise<string[]>} Common prefixes (subfolders) when a delimiter is given
+ */
+async function listPrefix(s3Client, bucket, prefix, { onBatch, delimiter } = {}) {
+  const subfolders = [];
+  let continuationToken = null;
+  do {
+    const response = await sendWithRetry(s3Client, new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: prefix,
+      Delimiter: delimiter,
+      MaxKeys: 1000,
+      ContinuationToken: continuationToken
+    }));
+    if (onBatch && response.Contents && response.Contents.length > 0) await onBatch(response.Contents);
+    for (const cp of response.CommonPrefixes || []) subfolders.push(cp.Prefix);
+    continuationToken = response.NextContinuationToken;
+  } while (continuationToken);
+  return subfolders;
+}
+
+/**
+ * List every object of an org with sharding. The '.' shard is replaced by hex
+ * shards of the legacy .da-versions folder; gap shards list everything the
+ * char and hex shards miss (other dot entries such as .trash, non-hex ids,
+ * repos starting with other characters).
+ * @param {Object} options
+ * @param {S3Client} options.s3Client - Configured S3 client
+ * @param {string} options.bucket - S3 bucket name
+ * @param {string} options.org - Organization
+ * @param {Function} options.processQueue - helix-shared-process-queue
+ * @param {Function} options.onBatch - Called with each page of objects
+ * @param {Function} [options.onError] - Called with (label, error) for each failed listing
+ * @returns {Promise<number>} Number of failed listings; any failure means objects are missing
+ */
+async function listOrgObjects({ s3Client, bucket, org, processQueue, onBatch, onError = () => {} }) {
+  const prefix = `${org}/`;
+  const shards = generateShardPrefixes(prefix, 63, { expandPaths: ['.da-versions/'] });
+  let failed = 0;
+
+  await processQueue([...shards, ...generateGapShards(prefix, shards)], async (shard) => {
+    try {
+      await listShardObjects(s3Client, bucket, shard, prefix, onBatch);
+    } catch (error) {
+      failed++;
+      onError(formatShardLabel(shard), error);
+    }
+  }, 63);
+
+  return failed;
+}
+
+/**
+ * HEAD live objects and collect their Metadata.id
+ * @param {Object} options
+ * @param {S3Client} options.s3Client - Configured S3 client
+ * @param {string} options.bucket - S3 bucket name
+ * @param {string[]} options.keys - Live object keys
+ * @param {Function} options.processQueue - helix-shared-process-queue
+ * @param {number} [options.concurrency=50] - Concurrent HEAD requests
+ * @param {Function} [options.onProgress] - Called with (checked, total, ids) at most every 10 seconds
+ * @param {Function} [options.onError] - Called with (key, error) for each failed HEAD
+ * @returns {Promise<{ids: Map<string, string[]>, withoutId: number, failed: number}>} Id -> keys
+ *   carrying it; objects deleted since they were listed are ignored
+ */
+async function readLiveIds({ s3Client, bucket, keys, processQueue, concurrency = 50, onProgress, onError = () => {} }) {
+  const ids = new Map();
+  let withoutId = 0;
+  let failed = 0;
+  let checked = 0;
+  let lastUpdate = Date.now();
+
+  // An iterator, processQueue would shift() a large array one entry at a time
+  await processQueue(keys.values(), async (key) => {
+    try {
+      const head = await sendWithRetry(s3Client, new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      const id = head.Metadata && head.Metadata.id;
+      if (id) {
+        if (!ids.has(id)) ids.set(id, []);
+        ids.get(id).push(key);
+      } else {
+        withoutId++;
+      }
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode !== 404) {
+        failed++;
+        onError(key, error);
+      }
+    }
+    checked++;
+
+    if (onProgress && Date.now() - lastUpdate > 10000) {
+      lastUpdate = Date.now();
+      onProgress(checked, keys.length, ids.size);
+    }
+  }, concurrency);
+
+  return { ids, withoutId, failed };
+}
+
+/**
+ * Sort listed objects of an org into live keys and snapshot folders
+ * @returns {{liveKeys: string[], folders: Map<string, Object>, add: Function}} add(objects) files
+ *   each page; folders maps '<location>/.da-versions/<id>/' to { location, id, prefix, files,
+ *   bytes, lastModified }
+ */
+function createSnapshotIndex() {
+  const liveKeys = [];
+  const folders = new Map();
+
+  const add = (objects) => {
+    for (const obj of objects) {
+      const version = parseVersionKey(obj.Key);
+      if (!version) {
+        liveKeys.push(obj.Key);
+        continue;
+      }
+
+      const folderPrefix = `${version.location}/.da-versions/${version.id}/`;
+      let folder = folders.get(folderPrefix);
+      if (!folder) {
+        folder = { location: version.location, id: version.id, prefix: folderPrefix, files: 0, bytes: 0, lastModified: null };
+        folders.set(folderPrefix, folder);
+      }
+      folder.files++;
+      folder.bytes += obj.Size || 0;
+      if (obj.LastModified && (!folder.lastModified || obj.LastModified > folder.lastModified)) {
+        folder.lastModified = obj.LastModified;
+      }
+    }
+  };
+
+  return { liveKeys, folders, add };
+}
+
+/**
+ * Snapshot folders whose id no live object carries, largest first
+ * @param {Iterable<Object>} folders - Folders from createSnapshotIndex
+ * @param {Map<string, string[]>} liveIds - Id -> live keys, from readLiveIds
+ * @returns {Object[]} Orphaned folders
+ */
+function findOrphanFolders(folders, liveIds) {
+  return [...folders]
+    .filter(folder => !liveIds.has(folder.id))
+    .sort((a, b) => b.bytes - a.bytes);
+}
+
+module.exports = {
+  parseVersionKey,
+  listPrefix,
+  listOrgObjects,
+  readLiveIds,
+  createSnapshotIndex,
+  findOrphanFolders
+};
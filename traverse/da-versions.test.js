@@ -0,0 +1,264 @@
+/**
+ * Tests for the DA version snapshot helpers (org listing, live ids, orphan classification)
+ */
+
+const {
+  parseVersionKey,
+  listOrgObjects,
+  readLiveIds,
+  createSnapshotIndex,
+  findOrphanFolders
+} = require('./da-versions.js');
+const { compareKeys } = require('./sharding.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+// ---------------------------------------------------------------------------
+// In-memory S3: ListObjectsV2 (UTF-8 key order) and HeadObject on a key -> metadata map
+// ---------------------------------------------------------------------------
+
+function createFakeS3(objects, { pageSize = 1000, failHeads = [] } = {}) {
+  const keys = Object.keys(objects).sort(compareKeys);
+  const counters = { lists: 0, heads: 0 };
+
+  return {
+    counters,
+    async send(command) {
+      const name = command.constructor.name;
+      const input = command.input;
+      if (name === 'ListObjectsV2Command') {
+        counters.lists++;
+        const after = input.ContinuationToken || input.StartAfter || '';
+        const matching = keys.filter(key => key.startsWith(input.Prefix) && compareKeys(key, after) > 0);
+        const page = matching.slice(0, Math.min(input.MaxKeys || 1000, pageSize));
+        return {
+          Contents: page.map(Key => ({ Key, Size: objects[Key].size || 1, LastModified: objects[Key].lastModified })),
+          NextContinuationToken: matching.length > page.length ? page[page.length - 1] : undefined
+        };
+      }
+      if (name === 'HeadObjectCommand') {
+        counters.heads++;
+        if (failHeads.includes(input.Key)) {
+          const error = new Error('Access Denied');
+          error.$metadata = { httpStatusCode: 403 };
+          throw error;
+        }
+        const object = objects[input.Key];
+        if (!object) {
+          const error = new Error('NotFound');
+          error.name = 'NotFound';
+          error.$metadata = { httpStatusCode: 404 };
+          throw error;
+        }
+        return { ContentLength: object.size || 1, Metadata: object.id ? { id: object.id } : {} };
+      }
+      throw new Error(`Unexpected command ${name}`);
+    }
+  };
+}
+
+async function run() {
+  const { default: processQueue } = await import('@adobe/helix-shared-process-queue');
+
+  // ==================== VERSION KEYS ====================
+
+  section('1. Version Key Tests');
+
+  assertDeepEqual(parseVersionKey('org/.da-versions/abc/1.html'), { location: 'org', id: 'abc', file: '1.html' },
+    'Legacy snapshot key');
+  assertDeepEqual(parseVersionKey('org/site/.da-versions/abc/sub/1.html'),
+    { location: 'org/site', id: 'abc', file: 'sub/1.html' }, 'Repo snapshot key');
+  assert(parseVersionKey('org/site/en/index.html') === null, 'Live document is not a snapshot');
+  assert(parseVersionKey('org/.da-versions/abc') === null, 'Key without a file is not a snapshot');
+  assert(parseVersionKey('org/site/.trash/.da-versions/abc/1.html') === null, 'Snapshot path below a folder is live');
+
+  // ==================== ORG LISTING ====================
+
+  section('2. Org Listing Coverage Tests');
+
+  const day = 24 * 60 * 60 * 1000;
+  const old = new Date(Date.now() - 100 * day);
+  const objects = {
+    'org/site/en/index.html': { id: 'id-live' },
+    'org/site/.da-versions/id-live/1.html': { size: 10, lastModified: old },
+    // Repos and folders starting with characters no char shard lists
+    'org/ü-site/page.html': { id: 'id-umlaut' },
+    'org/ü-site/.da-versions/id-umlaut/1.html': { size: 20, lastModified: old },
+    'org/!bang/page.html': { id: 'id-bang' },
+    'org/+plus/page.html': { id: 'id-plus' },
+    'org/{brace}/page.html': { id: 'id-brace' },
+    // Deleted documents in trash still protect their history
+    'org/.trash/old.html': { id: 'id-trash' },
+    'org/site/.trash/old.html': { id: 'id-site-trash' },
+    // Legacy snapshots, hex and non-hex ids
+    'org/.da-versions/id-bang/1.html': { size: 30, lastModified: old },
+    'org/.da-versions/0a1b/1.html': { size: 40, lastModified: old },
+    'org/.da-versions/0a1b/2.html': { size: 41, lastModified: new Date() },
+    'org/.da-versions/id-trash/1.html': { size: 50, lastModified: old },
+    'org/.da-versions/ID-UPPER/1.html': { size: 60, lastModified: old },
+    'org/.da-versions/id-plus/1.html': { size: 70, lastModified: old },
+    'org/.da-versions/id-brace/1.html': { size: 71, lastModified: old },
+    'org/site/.da-versions/id-site-trash/1.html': { size: 80, lastModified: old },
+    'org/site/.da-versions/id-umlaut/1.html': { size: 90, lastModified: old },
+    // Other orgs are not listed
+    'org2/page.html': { id: 'id-other' },
+    'orga/page.html': { id: 'id-other' }
+  };
+
+  const listed = [];
+  const failed = await listOrgObjects({
+    s3Client: createFakeS3(objects, { pageSize: 2 }),
+    bucket: 'test-bucket',
+    org: 'org',
+    processQueue,
+    onBatch: async (batch) => { listed.push(...batch.map(obj => obj.Key)); }
+  });
+  const orgKeys = Object.keys(objects).filter(key => key.startsWith('org/'));
+
+  assert(failed === 0, 'No failed listings');
+  assertDeepEqual([...listed].sort(), [...orgKeys].sort(), 'Every object of the org listed, including unusual first characters');
+  assert(listed.length === new Set(listed).size, 'No object listed twice');
+
+  {
+    const failing = createFakeS3(objects);
+    const send = failing.send;
+    failing.send = async (command) => {
+      if (command.input.Prefix === 'org/' && command.input.StartAfter) throw new Error('SlowDown');
+      return send(command);
+    };
+    const errors = [];
+    const failedGaps = await listOrgObjects({
+      s3Client: failing,
+      bucket: 'test-bucket',
+      org: 'org',
+      processQueue,
+      onBatch: async () => {},
+      onError: (label) => errors.push(label)
+    });
+    assert(failedGaps > 0 && failedGaps === errors.length, `Failed gap listings are counted (${failedGaps})`);
+  }
+
+  // ==================== LIVE IDS ====================
+
+  section('3. Live Id Tests');
+
+  const index = createSnapshotIndex();
+  index.add(listed.map(Key => ({ Key, Size: objects[Key].size || 1, LastModified: objects[Key].lastModified })));
+
+  assertDeepEqual([...index.liveKeys].sort(), orgKeys.filter(key => !parseVersionKey(key)).sort(),
+    'Live keys are the non-snapshot objects');
+  assert(index.folders.size === 10, `Snapshot objects grouped into id folders (${index.folders.size})`);
+  const hexFolder = index.folders.get('org/.da-versions/0a1b/');
+  assert(hexFolder.files === 2 && hexFolder.bytes === 81 && hexFolder.location === 'org',
+    'Folder totals files and bytes');
+  assert(hexFolder.lastModified.getTime() > old.getTime(), 'Folder keeps the newest modification time');
+
+  const live = await readLiveIds({
+    s3Client: createFakeS3(objects, { failHeads: ['org/+plus/page.html'] }),
+    bucket: 'test-bucket',
+    keys: [...index.liveKeys, 'org/deleted-since-listing.html'],
+    processQueue,
+    concurrency: 4,
+    onError: () => {}
+  });
+  assert(live.failed === 1, 'Failed HEAD counted');
+  assert(!live.ids.has('id-plus'), 'Failed HEAD contributes no id');
+  assert(live.ids.has('id-umlaut') && live.ids.has('id-bang') && live.ids.has('id-trash'),
+    'Ids of unusual repos and trash collected');
+  assert(live.withoutId === 0, 'Objects deleted since listing are ignored');
+
+  // ==================== ORPHANS ====================
+
+  section('4. Orphan Classification Tests');
+
+  const completeIds = (await readLiveIds({
+    s3Client: createFakeS3(objects),
+    bucket: 'test-bucket',
+    keys: index.liveKeys,
+    processQueue
+  })).ids;
+  const orphans = findOrphanFolders(index.folders.values(), completeIds);
+  const orphanPrefixes = orphans.map(folder => folder.prefix);
+
+  assertDeepEqual([...orphanPrefixes].sort(), [
+    'org/.da-versions/0a1b/',
+    'org/.da-versions/ID-UPPER/'
+  ], 'Only folders without a live id are orphans');
+  assert(!orphanPrefixes.includes('org/ü-site/.da-versions/id-umlaut/'),
+    'Snapshots of a repo starting with a non-shard character are not orphans');
+  assert(!orphanPrefixes.includes('org/.da-versions/id-bang/'),
+    'Legacy snapshots of a document in such a repo are not orphans');
+  assert(!orphanPrefixes.includes('org/.da-versions/id-brace/'), 'Repos sorting after every shard character are covered');
+  assert(!orphanPrefixes.includes('org/.da-versions/id-trash/') && !orphanPrefixes.includes('org/site/.da-versions/id-site-trash/'),
+    'Documents in .trash protect their snapshots');
+  assert(!orphanPrefixes.includes('org/site/.da-versions/id-umlaut/'),
+    'A live id protects its snapshots in any repo');
+  assert(orphans[0].bytes >= orphans[orphans.length - 1].bytes, 'Orphans sorted largest first');
+
+  // Without the gap shards these documents would be missing: their snapshots must not become orphans
+  const partial = new Map([...completeIds].filter(([id]) => !['id-umlaut', 'id-bang', 'id-brace'].includes(id)));
+  const falseOrphans = findOrphanFolders(index.folders.values(), partial).map(folder => folder.id);
+  assert(falseOrphans.includes('id-umlaut') && falseOrphans.includes('id-bang'),
+    'Missing live documents would make their snapshots look orphaned');
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
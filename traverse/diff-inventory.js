@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Compare two inventories of the same prefix, e.g. traverse.js outputs of two
+ * daily runs, and report what changed.
+ *
+ * Objects are added, deleted, modified (size or LastModified changed) or moved
+ * (same size and ETag at a new key; both inventories need the ETag column, a
+ * default column of traverse.js). Changed objects are written to a CSV report and rolled
+ * up per folder into a second CSV. Folders that lost or changed a large share of
+ * their files are flagged, to catch mass deletions and unexpected bulk edits.
+ *
+ * Inventories can be in any format of the shared output writer (csv, tsv, jsonl,
+ * columnar, sqlite).
+ *
+ * Usage: node diff-inventory.js [OPTIONS] <old-inventory> <new-inventory>
+ */
+
+const fs = require('fs');
+const { readOutputRows } = require('./s3-utils.js');
+const { diffInventories, findAlerts } = require('./inventory-diff.js');
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+
+function showUsage() {
+  console.error('Usage: node diff-inventory.js [OPTIONS] <old-inventory> <new-inventory>');
+  console.error('');
+  console.error('Options:');
+  console.error('  -f, --output-file <file>     CSV report of changed objects (default: changes.csv)');
+  console.error('      --folders-file <file>    CSV per-folder rollup (default: <output-file> with -folders.csv)');
+  console.error('  -d, --depth <n>              Path segments of the rollup folders (default: 3, e.g. org/site/folder)');
+  console.error('      --format <format>        Format of both inventories (default: from the extensions)');
+  console.error('      --alert-percent <n>      Flag folders that lost or changed n% of their files (default: 50)');
+  console.error('      --fail-on-alert          Exit with code 2 when a folder is flagged');
+  console.error('  -h, --help                   Show this help');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node diff-inventory.js kptdobe-2024-11-06.csv kptdobe-2024-11-07.csv');
+  console.error('  node diff-inventory.js -d 2 -f kptdobe-changes.csv old.jsonl new.jsonl');
+  console.error('  node diff-inventory.js --alert-percent 20 --fail-on-alert yesterday.sqlite today.sqlite');
+}
+
+let outputFile = 'changes.csv';
+let foldersFile = '';
+let depth = 3;
+let format = '';
+let alertPercent = 50;
+let failOnAlert = false;
+const inventories = [];
+
+const argv = process.argv.slice(2);
+
+for (let i = 0; i < argv.length; i++) {
+  switch (argv[i]) {
+    case '-f': case '--output-file': outputFile = argv[++i]; break;
+    case '--folders-file':           foldersFile = argv[++i]; break;
+    case '-d': case '--depth':       depth = parseInt(argv[++i], 10); break;
+    case '--format':                 format = argv[++i]; break;
+    case '--alert-percent':          alertPercent = Number(argv[++i]); break;
+    case '--fail-on-alert':          failOnAlert = true; break;
+    case '-h': case '--help':        showUsage(); process.exit(0); break;
+    default:
+      if (argv[i].startsWith('-')) {
+        console.error(`Unknown option: ${argv[i]}`);
+        showUsage();
+        process.exit(1);
+      }
+      inventories.push(argv[i]);
+  }
+}
+
+if (inventories.length !== 2) {
+  console.error('Missing arguments: old and new inventory files');
+  showUsage();
+  process.exit(1);
+}
+for (const file of inventories) {
+  if (!fs.existsSync(file)) {
+    console.error(`Inventory not found: ${file}`);
+    process.exit(1);
+  }
+}
+if (!Number.isInteger(depth) || depth < 1) {
+  console.error('--depth must be a positive integer');
+  process.exit(1);
+}
+if (Number.isNaN(alertPercent) || alertPercent <= 0 || alertPercent > 100) {
+  console.error('--alert-percent must be a number between 0 and 100');
+  process.exit(1);
+}
+if (!foldersFile) foldersFile = outputFile.replace(/(\.csv)?$/i, '-folders.csv');
+
+const [oldFile, newFile] = inventories;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const sign = bytes < 0 ? '-' : '';
+  const abs = Math.abs(bytes);
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(abs) / Math.log(1024)), units.length - 1);
+  return `${sign}${(abs / Math.pow(1024, i)).toFixed(2)} ${units[i]}`;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function elapsed(startTime) {
+  return ((Date.now() - startTime) / 1000).toFixed(1);
+}
+
+async function writeCsv(file, header, rows) {
+  const out = fs.createWriteStream(file);
+  out.write(`${header.join(',')}\n`);
+  for (const row of rows) {
+    if (!out.write(`${row.map(csvField).join(',')}\n`)) {
+      await new Promise(resolve => out.once('drain', resolve));
+    }
+  }
+  await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const startTime = Date.now();
+
+  console.log('='.repeat(70));
+  console.log('Inventory Diff');
+  console.log('='.repeat(70));
+  console.log(`Old:    ${oldFile}`);
+  console.log(`New:    ${newFile}`);
+  console.log(`Depth:  ${depth}`);
+  console.log('');
+
+  const diff = await diffInventories(readOutputRows(oldFile, format || undefined), readOutputRows(newFile, format || undefined), { depth });
+  console.log(`✓ Compared ${diff.oldCount.toLocaleString()} old and ${diff.newCount.toLocaleString()} new objects in ${elapsed(startTime)}s`);
+  const noETags = diff.missingETags.join(' and ');
+  if (!diff.detectsMoves) {
+    console.log(`⚠️  No ETag column in the ${noETags} inventory: moves were NOT detected and are`);
+    console.log('   reported as deleted + added, in the report, the folder rollup and the alerts.');
+    console.log('   Write inventories with the ETag column (traverse.js default) to detect moves.');
+  }
+  console.log('');
+
+  // Change report, grouped by change
+  const report = [
+    ...diff.added.map(e => ['added', e.key, '', '', e.size, '', e.lastModified]),
+    ...diff.deleted.map(e => ['deleted', e.key, '', e.size, '', e.lastModified, '']),
+    ...diff.modified.map(c => ['modified', c.key, '', c.old.size, c.new.size, c.old.lastModified, c.new.lastModified]),
+    ...diff.moved.map(m => ['moved', m.to.key, m.from.key, m.from.size, m.to.size, m.from.lastModified, m.to.lastModified])
+  ];
+  await writeCsv(outputFile, ['Change', 'FilePath', 'OldFilePath', 'OldSize', 'NewSize', 'OldLastModified', 'NewLastModified'], report);
+
+  const changedFolders = diff.folders.filter(f => f.added + f.deleted + f.modified + f.movedIn + f.movedOut > 0);
+  await writeCsv(foldersFile, ['Folder', 'OldFiles', 'NewFiles', 'Added', 'Deleted', 'Modified', 'MovedIn', 'MovedOut', 'BytesDelta'],
+    changedFolders.map(f => [f.folder, f.oldFiles, f.newFiles, f.added, f.deleted, f.modified, f.movedIn, f.movedOut, f.bytesDelta]));
+
+  const bytesDelta = diff.folders.reduce((sum, f) => sum + f.bytesDelta, 0);
+  const alerts = findAlerts(diff.folders, { percent: alertPercent, detectsMoves: diff.detectsMoves });
+
+  console.log('='.repeat(70));
+  console.log('SUMMARY');
+  console.log('='.repeat(70));
+  console.log(`Added:           ${diff.added.length.toLocaleString()}`);
+  console.log(`Deleted:         ${diff.deleted.length.toLocaleString()}`);
+  console.log(`Modified:        ${diff.modified.length.toLocaleString()}`);
+  console.log(`Moved:           ${diff.detectsMoves ? diff.moved.length.toLocaleString() : `not detected (no ETag in the ${noETags} inventory)`}`);
+  console.log(`Unchanged:       ${diff.unchanged.toLocaleString()}`);
+  console.log(`Size change:     ${formatBytes(bytesDelta)}`);
+  console.log(`Changed folders: ${changedFolders.length.toLocaleString()}`);
+
+  const busiest = [...changedFolders]
+    .sort((a, b) => (b.added + b.deleted + b.modified + b.movedIn + b.movedOut) - (a.added + a.deleted + a.modified + a.movedIn + a.movedOut))
+    .slice(0, 10);
+  if (busiest.length > 0) {
+    console.log('');
+    console.log(`${'Folder'.padEnd(40)} ${'Added'.padStart(8)} ${'Deleted'.padStart(8)} ${'Modified'.padStart(8)} ${'Moved'.padStart(8)}`);
+    for (const f of busiest) {
+      console.log(`${f.folder.padEnd(40)} ${String(f.added).padStart(8)} ${String(f.deleted).padStart(8)} ${String(f.modified).padStart(8)} ${String(f.movedIn + f.movedOut).padStart(8)}`);
+    }
+  }
+
+  if (alerts.length > 0) {
+    console.log('');
+    console.log(`⚠️  ${alerts.length} folder(s) changed by ${alertPercent}% or more:`);
+    for (const { folder, reason } of alerts) console.log(`  ${folder.folder}: ${reason}`);
+  }
+
+  console.log('');
+  console.log(`Duration:        ${elapsed(startTime)}s`);
+  console.log(`Report saved to: ${outputFile}`);
+  console.log(`Rollup saved to: ${foldersFile}`);
+
+  if (alerts.length > 0 && failOnAlert) process.exit(2);
+}
+
+main().catch((err) => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/**
+ * Find (and optionally purge) orphaned version snapshot folders of an org.
+ *
+ * Snapshots live under `.da-versions/<id>/`, keyed by the live document's
+ * `Metadata.id`, in two locations:
+ *   - legacy: <org>/.da-versions/<id>/...
+ *   - new:    <org>/<repo>/.da-versions/<id>/...
+ * A snapshot folder is orphaned when no live object of the org carries its id.
+ * Objects in `.trash` count as live, so restoring them keeps their history.
+ *
+ * The org is listed once with sharding (legacy .da-versions hex-expanded, gap
+ * shards for keys starting with other characters), then every live object is
+ * HEAD-ed for its id. Orphans are written to a CSV report.
+ * Purging re-lists each orphaned folder and deletes it; it refuses to run when
+ * any listing or HEAD failed, since a missing id would look like an orphan.
+ *
+ * Usage: node find-orphans.js [OPTIONS] <org>
+ */
+
+const { DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+const fs = require('fs');
+const { loadEnvVars, createS3Client, sendWithRetry } = require('./s3-utils.js');
+const { listPrefix, listOrgObjects, readLiveIds, createSnapshotIndex, findOrphanFolders } = require('./da-versions.js');
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+
+function showUsage() {
+  console.error('Usage: node find-orphans.js [OPTIONS] <org>');
+  console.error('');
+  console.error('Options:');
+  console.error('  -b, --bucket <bucket>        S3 bucket name (default: aem-content)');
+  console.error('  -f, --output-file <file>     CSV report of orphaned folders (default: orphans.csv)');
+  console.error('  -c, --concurrency <n>        Concurrent HEAD requests for live objects (default: 50)');
+  console.error('      --purge                  Delete orphaned snapshot folders after the report');
+  console.error('      --confirm <org>          Required with --purge, must repeat the org name');
+  console.error('      --min-age <days>         Only purge folders unchanged for this many days (default: 30)');
+  console.error('  -h, --help                   Show this help');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node find-orphans.js kptdobe');
+  console.error('  node find-orphans.js -f kptdobe-orphans.csv kptdobe');
+  console.error('  node find-orphans.js --purge --confirm kptdobe --min-age 90 kptdobe');
+}
+
+let bucket = 'aem-content';
+let outputFile = 'orphans.csv';
+let concurrency = 50;
+let purge = false;
+let confirm = '';
+let minAgeDays = 30;
+let org = null;
+
+const argv = process.argv.slice(2);
+
+for (let i = 0; i < argv.length; i++) {
+  switch (argv[i]) {
+    case '-b': case '--bucket':      bucket = argv[++i]; break;
+    case '-f': case '--output-file': outputFile = argv[++i]; break;
+    case '-c': case '--concurrency': concurrency = parseInt(argv[++i], 10); break;
+    case '--purge':                  purge = true; break;
+    case '--confirm':                confirm = argv[++i]; break;
+    case '--min-age':                minAgeDays = Number(argv[++i]); break;
+    case '-h': case '--help':        showUsage(); process.exit(0); break;
+    default:
+      if (argv[i].startsWith('-')) {
+        console.error(`Unknown option: ${argv[i]}`);
+        showUsage();
+        process.exit(1);
+      }
+      org = argv[i];
+  }
+}
+
+if (org) org = org.replace(/^\/+|\/+$/g, '');
+
+if (!org || org.includes('/')) {
+  console.error('Missing or invalid argument: org (e.g. kptdobe)');
+  showUsage();
+  process.exit(1);
+}
+if (!Number.isInteger(concurrency) || concurrency < 1) {
+  console.error('--concurrency must be a positive integer');
+  process.exit(1);
+}
+if (Number.isNaN(minAgeDays) || minAgeDays < 0) {
+  console.error('--min-age must be a number of days >= 0');
+  process.exit(1);
+}
+if (purge && confirm !== org) {
+  console.error(`--purge deletes snapshot folders; add --confirm ${org} to proceed`);
+  process.exit(1);
+}
+
+const prefix = `${org}/`;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${units[i]}`;
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function elapsed(startTime) {
+  return ((Date.now() - startTime) / 1000).toFixed(1);
+}
+
+// ---------------------------------------------------------------------------
+// Scan state
+// ---------------------------------------------------------------------------
+
+let s3Client;
+
+const stats = {
+  listedObjects: 0,
+  liveObjects: 0,
+  versionObjects: 0,
+  liveWithoutId: 0,
+  failedShards: 0,
+  failedHeads: 0,
+  lastUpdate: Date.now()
+};
+
+// Live keys (HEAD-ed after listing) and snapshot folders
+const index = createSnapshotIndex();
+const { liveKeys, folders } = index;
+// Ids carried by live objects -> their keys
+let liveIds = new Map();
+
+function collect(objects) {
+  index.add(objects);
+  stats.listedObjects += objects.length;
+  stats.liveObjects = liveKeys.length;
+  stats.versionObjects = stats.listedObjects - stats.liveObjects;
+
+  if (Date.now() - stats.lastUpdate > 10000) {
+    stats.lastUpdate = Date.now();
+    console.log(`  ... ${stats.listedObjects.toLocaleString()} objects listed (${stats.liveObjects.toLocaleString()} live, ${stats.versionObjects.toLocaleString()} snapshots)`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Purge
+// ---------------------------------------------------------------------------
+
+/**
+ * Delete every object of an orphaned folder, re-listed so nothing is deleted by stale key
+ * @returns {Promise<{deleted: number, errors: number}>}
+ */
+async function purgeFolder(folder) {
+  let deleted = 0;
+  let errors = 0;
+  await listPrefix(s3Client, bucket, folder.prefix, {
+    onBatch: async (objects) => {
+      const result = await sendWithRetry(s3Client, new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: objects.map(obj => ({ Key: obj.Key })), Quiet: true }
+      }));
+      const failed = result.Errors || [];
+      errors += failed.length;
+      deleted += objects.length - failed.length;
+      for (const error of failed.slice(0, 5)) {
+        console.error(`  ✗ ${error.Key}: ${error.Code} ${error.Message || ''}`);
+      }
+    }
+  });
+  return { deleted, errors };
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const envVars = loadEnvVars();
+  s3Client = createS3Client(envVars);
+
+  const { default: processQueue } = await import('@adobe/helix-shared-process-queue');
+
+  console.log('='.repeat(70));
+  console.log('Orphaned Version Snapshot Detector');
+  console.log('='.repeat(70));
+  console.log(`Bucket:  ${bucket}`);
+  console.log(`Org:     ${org}`);
+  console.log(`Report:  ${outputFile}`);
+  console.log(`Mode:    ${purge ? `PURGE (folders unchanged for ${minAgeDays} days)` : 'report only'}`);
+  console.log('');
+
+  const startTime = Date.now();
+
+  console.log('Listing org...');
+  stats.failedShards = await listOrgObjects({
+    s3Client,
+    bucket,
+    org,
+    processQueue,
+    onBatch: async (objects) => collect(objects),
+    onError: (label, error) => console.error(`✗ Listing ${label} failed: ${error.message}`)
+  });
+  console.log(`✓ Listed ${stats.listedObjects.toLocaleString()} objects in ${elapsed(startTime)}s: ${stats.liveObjects.toLocaleString()} live, ${stats.versionObjects.toLocaleString()} snapshot files in ${folders.size.toLocaleString()} folders`);
+  console.log('');
+
+  console.log(`Reading ids of ${liveKeys.length.toLocaleString()} live objects...`);
+  const headStart = Date.now();
+  const live = await readLiveIds({
+    s3Client,
+    bucket,
+    keys: liveKeys,
+    processQueue,
+    concurrency,
+    onProgress: (checked, total, ids) => {
+      console.log(`  [${elapsed(headStart)}s] ${checked.toLocaleString()}/${total.toLocaleString()} live objects checked, ${ids.toLocaleString()} ids`);
+    },
+    // Deleted objects are skipped by readLiveIds, they no longer protect any snapshots
+    onError: (key, error) => {
+      if (stats.failedHeads++ < 20) console.error(`✗ HEAD ${key} failed: ${error.message}`);
+    }
+  });
+  liveIds = live.ids;
+  stats.liveWithoutId = live.withoutId;
+  console.log(`✓ ${liveIds.size.toLocaleString()} distinct ids (${stats.liveWithoutId.toLocaleString()} live objects without an id)`);
+  console.log('');
+
+  const orphans = findOrphanFolders(folders.values(), liveIds);
+
+  // Report
+  const out = fs.createWriteStream(outputFile);
+  out.write('Location,Id,Files,Bytes,LastModified\n');
+  for (const folder of orphans) {
+    const lastModified = folder.lastModified ? folder.lastModified.toISOString() : '';
+    out.write(`${csvField(folder.location)},${csvField(folder.id)},${folder.files},${folder.bytes},${lastModified}\n`);
+  }
+  await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+
+  const byLocation = new Map();
+  for (const folder of orphans) {
+    const entry = byLocation.get(folder.location) || { folders: 0, files: 0, bytes: 0 };
+    entry.folders++;
+    entry.files += folder.files;
+    entry.bytes += folder.bytes;
+    byLocation.set(folder.location, entry);
+  }
+  const totalBytes = orphans.reduce((sum, folder) => sum + folder.bytes, 0);
+  const totalFiles = orphans.reduce((sum, folder) => sum + folder.files, 0);
+  const versionBytes = [...folders.values()].reduce((sum, folder) => sum + folder.bytes, 0);
+
+  console.log('='.repeat(70));
+  console.log('SUMMARY');
+  console.log('='.repeat(70));
+  console.log(`Snapshot folders:  ${folders.size.toLocaleString()} (${formatBytes(versionBytes)})`);
+  console.log(`Orphaned folders:  ${orphans.length.toLocaleString()} (${totalFiles.toLocaleString()} files, ${formatBytes(totalBytes)})`);
+  for (const [location, entry] of [...byLocation.entries()].sort((a, b) => b[1].bytes - a[1].bytes)) {
+    const label = location === org ? `${location}/.da-versions (legacy)` : `${location}/.da-versions`;
+    console.log(`  ${label.padEnd(40)} ${String(entry.folders).padStart(8)} folders  ${formatBytes(entry.bytes).padStart(12)}`);
+  }
+  if (stats.failedShards > 0 || stats.failedHeads > 0) {
+    console.log(`⚠️  ${stats.failedShards} failed listings, ${stats.failedHeads} failed HEAD requests: live ids are incomplete, orphans may be false positives`);
+  }
+  console.log(`Duration:          ${elapsed(startTime)}s`);
+  console.log(`Report saved to:   ${outputFile}`);
+  console.log('');
+
+  if (!purge) return;
+
+  // Guarded purge
+  if (stats.failedShards > 0 || stats.failedHeads > 0) {
+    console.error('✗ Not purging: the scan was incomplete. Re-run once listings and HEAD requests succeed.');
+    process.exit(1);
+  }
+  if (liveIds.size === 0 && folders.size > 0) {
+    console.error('✗ Not purging: no live document has an id, which looks like a listing or permission problem.');
+    process.exit(1);
+  }
+
+  const cutoff = Date.now() - minAgeDays * 24 * 60 * 60 * 1000;
+  const purgeable = orphans.filter(folder => folder.lastModified && folder.lastModified.getTime() <= cutoff);
+  console.log(`Purging ${purgeable.length.toLocaleString()} of ${orphans.length.toLocaleString()} orphaned folders (${orphans.length - purgeable.length} changed in the last ${minAgeDays} days are kept)...`);
+
+  const purgeStats = { folders: 0, deleted: 0, errors: 0 };
+  await processQueue([...purgeable], async (folder) => {
+    try {
+      const { deleted, errors } = await purgeFolder(folder);
+      purgeStats.deleted += deleted;
+      purgeStats.errors += errors;
+      if (errors === 0) purgeStats.folders++;
+    } catch (error) {
+      purgeStats.errors++;
+      console.error(`✗ Purging ${folder.prefix} failed: ${error.message}`);
+    }
+  }, 8);
+
+  console.log(`✓ Purged ${purgeStats.folders.toLocaleString()} folders, ${purgeStats.deleted.toLocaleString()} objects deleted, ${purgeStats.errors} errors`);
+  if (purgeStats.errors > 0) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,199 @@
+/**
+ * Compare two inventories of the same prefix (traverse.js outputs of two runs),
+ * used by diff-inventory.js
+ *
+ * Changes between the old and the new inventory:
+ *   added     key only in the new inventory
+ *   deleted   key only in the old inventory
+ *   modified  key in both, with a different size or LastModified
+ *   moved     a deleted and an added key with the same size and ETag; needs the
+ *             ETag column in both inventories (written by default since it was
+ *             added to the default columns, older inventories lack it)
+ *
+ * The old inventory is held in memory, the new one is streamed.
+ */
+
+const path = require('path');
+
+/**
+ * Normalize an inventory row (see readOutputRows) to the fields compared
+ * @param {Object} row - Row with FilePath and optional ContentLength, LastModified, ETag
+ * @returns {{key: string, size: number, lastModified: string|null, etag: string|null}}
+ */
+function toEntry(row) {
+  return {
+    key: row.FilePath,
+    size: Number(row.ContentLength) || 0,
+    lastModified: row.LastModified || null,
+    etag: row.ETag ? String(row.ETag).replace(/"/g, '') : null
+  };
+}
+
+/**
+ * Folder a key is rolled up into: its parent folder, cut to `depth` path segments
+ * @param {string} key - Object key
+ * @param {number} depth - Path segments kept, e.g. 3 for org/site/folder
+ * @returns {string} Folder, '(root)' for keys without one
+ */
+function folderOf(key, depth) {
+  const parts = key.split('/').slice(0, -1);
+  return parts.length === 0 ? '(root)' : parts.slice(0, depth).join('/');
+}
+
+function isModified(oldEntry, newEntry) {
+  if (oldEntry.size !== newEntry.size) return true;
+  if (!oldEntry.lastModified || !newEntry.lastModified) return false;
+  return new Date(oldEntry.lastModified).getTime() !== new Date(newEntry.lastModified).getTime();
+}
+
+/**
+ * Diff two inventories
+ * @param {AsyncIterable<Object>|Iterable<Object>} oldRows - Rows of the earlier inventory
+ * @param {AsyncIterable<Object>|Iterable<Object>} newRows - Rows of the later inventory
+ * @param {Object} [options]
+ * @param {number} [options.depth=3] - Path segments of the per-folder rollup
+ * @returns {Promise<Object>} { added, deleted, modified: [{key, old, new}], moved: [{from, to}],
+ *   unchanged, oldCount, newCount, detectsMoves, missingETags, folders } where added/deleted/from/to
+ *   are entries (see toEntry), missingETags lists the inventories without ETags ('old', 'new')
+ *   and folders are per-folder rollups, sorted by folder
+ */
+async function diffInventories(oldRows, newRows, { depth = 3 } = {}) {
+  const folders = new Map();
+  const folder = (key) => {
+    const name = folderOf(key, depth);
+    let rollup = folders.get(name);
+    if (!rollup) {
+      rollup = { folder: name, oldFiles: 0, newFiles: 0, added: 0, deleted: 0, modified: 0, movedIn: 0, movedOut: 0, bytesDelta: 0 };
+      folders.set(name, rollup);
+    }
+    return rollup;
+  };
+
+  const remaining = new Map();
+  let oldEtags = false;
+  let newEtags = false;
+  let oldCount = 0;
+  for await (const row of oldRows) {
+    const entry = toEntry(row);
+    if (!entry.key) continue;
+    remaining.set(entry.key, entry);
+    folder(entry.key).oldFiles++;
+    oldEtags = oldEtags || entry.etag !== null;
+    oldCount++;
+  }
+
+  let added = [];
+  const modified = [];
+  let unchanged = 0;
+  let newCount = 0;
+  for await (const row of newRows) {
+    const entry = toEntry(row);
+    if (!entry.key) continue;
+    folder(entry.key).newFiles++;
+    newEtags = newEtags || entry.etag !== null;
+    newCount++;
+
+    const oldEntry = remaining.get(entry.key);
+    if (!oldEntry) {
+      added.push(entry);
+      continue;
+    }
+    remaining.delete(entry.key);
+    if (isModified(oldEntry, entry)) modified.push({ key: entry.key, old: oldEntry, new: entry });
+    else unchanged++;
+  }
+  let deleted = [...remaining.values()];
+
+  // Pair deleted and added keys with the same content, preferring the same file name
+  const moved = [];
+  const detectsMoves = oldEtags && newEtags;
+  if (detectsMoves) {
+    const candidates = new Map();
+    for (const entry of deleted) {
+      if (!entry.etag) continue;
+      const content = `${entry.size}:${entry.etag}`;
+      if (!candidates.has(content)) candidates.set(content, []);
+      candidates.get(content).push(entry);
+    }
+    const movedFrom = new Set();
+    added = added.filter((entry) => {
+      const sameContent = entry.etag && candidates.get(`${entry.size}:${entry.etag}`);
+      if (!sameContent || sameContent.length === 0) return true;
+      const name = path.posix.basename(entry.key);
+      const index = Math.max(sameContent.findIndex(c => path.posix.basename(c.key) === name), 0);
+      const [from] = sameContent.splice(index, 1);
+      movedFrom.add(from);
+      moved.push({ from, to: entry });
+      return false;
+    });
+    deleted = deleted.filter(entry => !movedFrom.has(entry));
+  }
+
+  for (const entry of added) {
+    folder(entry.key).added++;
+    folder(entry.key).bytesDelta += entry.size;
+  }
+  for (const entry of deleted) {
+    folder(entry.key).deleted++;
+    folder(entry.key).bytesDelta -= entry.size;
+  }
+  for (const change of modified) {
+    folder(change.key).modified++;
+    folder(change.key).bytesDelta += change.new.size - change.old.size;
+  }
+  for (const { from, to } of moved) {
+    folder(from.key).movedOut++;
+    folder(from.key).bytesDelta -= from.size;
+    folder(to.key).movedIn++;
+    folder(to.key).bytesDelta += to.size;
+  }
+
+  const byKey = (a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+  return {
+    added: added.sort(byKey),
+    deleted: deleted.sort(byKey),
+    modified: modified.sort(byKey),
+    moved: moved.sort((a, b) => byKey(a.to, b.to)),
+    unchanged,
+    oldCount,
+    newCount,
+    detectsMoves,
+    missingETags: [!oldEtags && 'old', !newEtags && 'new'].filter(Boolean),
+    folders: [...folders.values()].sort((a, b) => (a.folder < b.folder ? -1 : a.folder > b.folder ? 1 : 0))
+  };
+}
+
+/**
+ * Folders that lost or changed a large share of their files, e.g. a mass
+ * deletion or an unexpected bulk edit
+ * @param {Array} folders - Rollups from diffInventories
+ * @param {Object} [options]
+ * @param {number} [options.percent=50] - Share of the old files deleted/moved away, or modified
+ * @param {number} [options.minFiles=10] - Ignore folders that had fewer files
+ * @param {boolean} [options.detectsMoves=true] - Whether moves were detected; without, moved
+ *   files are among the deleted ones and the reason says so
+ * @returns {Array<{folder: Object, reason: string}>} Flagged folders
+ */
+function findAlerts(folders, { percent = 50, minFiles = 10, detectsMoves = true } = {}) {
+  const alerts = [];
+  for (const rollup of folders) {
+    if (rollup.oldFiles < minFiles) continue;
+    const gone = rollup.deleted + rollup.movedOut;
+    if (gone * 100 >= rollup.oldFiles * percent) {
+      const reason = detectsMoves
+        ? `${gone} of ${rollup.oldFiles} files deleted or moved away`
+        : `${gone} of ${rollup.oldFiles} files deleted (moves not detected, some may have moved)`;
+      alerts.push({ folder: rollup, reason });
+    } else if (rollup.modified * 100 >= rollup.oldFiles * percent) {
+      alerts.push({ folder: rollup, reason: `${rollup.modified} of ${rollup.oldFiles} files modified` });
+    }
+  }
+  return alerts;
+}
+
+module.exports = {
+  toEntry,
+  folderOf,
+  diffInventories,
+  findAlerts
+};
@@ -0,0 +1,163 @@
+/**
+ * Tests for inventory diffing
+ */
+
+const { diffInventories, findAlerts, folderOf } = require('./inventory-diff.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+// Errors shaped like the ones the AWS SDK throws
+
+function row(FilePath, ContentLength, LastModified = '2024-01-01T00:00:00.000Z', ETag = null) {
+  return { FilePath, ContentLength, LastModified, ETag };
+}
+
+async function* rows(list) {
+  yield* list;
+}
+
+async function run() {
+  // ==================== FOLDERS ====================
+
+  section('1. Folder Rollup Tests');
+
+  assert(folderOf('org/site/drafts/a/b.html', 3) === 'org/site/drafts', 'Folder is cut to the depth');
+  assert(folderOf('org/site/b.html', 3) === 'org/site', 'Shallow keys roll up into their parent');
+  assert(folderOf('b.html', 3) === '(root)', 'Keys without a folder roll up into (root)');
+
+  // ==================== CHANGES ====================
+
+  section('2. Change Detection Tests');
+
+  {
+    const oldRows = [
+      row('org/site/same.html', 10),
+      row('org/site/gone.html', 20),
+      row('org/site/bigger.html', 30),
+      row('org/site/touched.html', 40)
+    ];
+    const newRows = [
+      row('org/site/same.html', 10),
+      row('org/site/bigger.html', 31),
+      row('org/site/touched.html', 40, '2024-02-01T00:00:00.000Z'),
+      row('org/site/new.html', 50)
+    ];
+    const diff = await diffInventories(rows(oldRows), rows(newRows));
+    assertDeepEqual(diff.added.map(e => e.key), ['org/site/new.html'], 'Key only in the new inventory is added');
+    assertDeepEqual(diff.deleted.map(e => e.key), ['org/site/gone.html'], 'Key only in the old inventory is deleted');
+    assertDeepEqual(diff.modified.map(c => c.key), ['org/site/bigger.html', 'org/site/touched.html'],
+      'Size or LastModified change is a modification');
+    assert(diff.unchanged === 1 && diff.oldCount === 4 && diff.newCount === 4, 'Unchanged and total counts');
+    assert(!diff.detectsMoves && diff.moved.length === 0, 'No moves without ETags');
+    assertDeepEqual(diff.missingETags, ['old', 'new'], 'Inventories without ETags are named');
+    assertDeepEqual(diff.folders, [{
+      folder: 'org/site', oldFiles: 4, newFiles: 4, added: 1, deleted: 1, modified: 2, movedIn: 0, movedOut: 0, bytesDelta: 31
+    }], 'Folder rollup counts changes and the size difference');
+  }
+
+  {
+    const diff = await diffInventories(
+      [row('org/a/doc.html', 10, undefined, 'e1'), row('org/a/copy.html', 10, undefined, 'e1'), row('org/a/other.html', 10, undefined, 'e2')],
+      [row('org/b/doc.html', 10, undefined, '"e1"'), row('org/b/other.html', 11, undefined, 'e2')]
+    );
+    assert(diff.detectsMoves && diff.missingETags.length === 0, 'Moves are detected when both inventories have ETags');
+    assertDeepEqual(diff.moved.map(m => [m.from.key, m.to.key]), [['org/a/doc.html', 'org/b/doc.html']],
+      'Same size and ETag at a new key is a move, preferring the same file name');
+    assertDeepEqual(diff.deleted.map(e => e.key), ['org/a/copy.html', 'org/a/other.html'], 'Unpaired keys stay deleted');
+    assertDeepEqual(diff.added.map(e => e.key), ['org/b/other.html'], 'A different size is not a move');
+    const [a, b] = diff.folders;
+    assert(a.movedOut === 1 && b.movedIn === 1, 'Moves are rolled up in both folders');
+  }
+
+  // ==================== ALERTS ====================
+
+  section('3. Alert Tests');
+
+  {
+    const oldRows = Array.from({ length: 20 }, (_, i) => row(`org/site/drafts/p${i}.html`, 1))
+      .concat(Array.from({ length: 20 }, (_, i) => row(`org/site/docs/d${i}.html`, 1)))
+      .concat([row('org/site/tiny/t.html', 1)]);
+    const newRows = oldRows.filter(r => !/p1\d|tiny/.test(r.FilePath))
+      .map(r => (r.FilePath.includes('docs/d1') ? { ...r, ContentLength: 2 } : r));
+    const diff = await diffInventories(oldRows, newRows);
+    const alerts = findAlerts(diff.folders);
+    assertDeepEqual(alerts.map(a => [a.folder.folder, a.reason]), [
+      ['org/site/docs', '11 of 20 files modified'],
+      ['org/site/drafts', '10 of 20 files deleted or moved away']
+    ], 'Folders at or past the threshold are flagged with a reason');
+    assert(!alerts.some(a => a.folder.folder === 'org/site/tiny'), 'Folders under minFiles are ignored');
+    assertDeepEqual(findAlerts(diff.folders, { percent: 60 }), [], 'Folders below the threshold are not flagged');
+    assertDeepEqual(findAlerts(diff.folders, { detectsMoves: false }).map(a => a.reason)[1],
+      '10 of 20 files deleted (moves not detected, some may have moved)', 'Alerts say when moves were not detected');
+  }
+
+  {
+    const diff = await diffInventories(
+      [row('org/a/doc.html', 10)],
+      [row('org/b/doc.html', 10, undefined, 'e1')]
+    );
+    assert(!diff.detectsMoves && diff.moved.length === 0, 'One inventory without ETags detects no moves');
+    assertDeepEqual(diff.missingETags, ['old'], 'Only the inventory without ETags is named');
+  }
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -0,0 +1,266 @@
+/**
+ * Streaming statistics over an inventory (traverse.js output), used by analyze.js
+ *
+ * Rows are added one at a time and only aggregates are kept, so inventories of
+ * millions of rows are analyzed in constant memory (the folder tree grows with
+ * the number of folders down to `depth`, the top-N lists stay at N).
+ *
+ * Categories, as in the original analyze.sh:
+ *   total          every object
+ *   versions       keys under /.da-versions/
+ *   content_all    everything but versions
+ *   content_clean  content_all without drafts and trash
+ *   drafts         keys under a /drafts/ folder (case-insensitive)
+ *   trash          keys under /.trash/
+ * Each is broken down by file type (html, json, image, video, other).
+ */
+
+const FILE_TYPES = ['html', 'json', 'image', 'video', 'other'];
+
+const CATEGORIES = ['total', 'versions', 'content_all', 'content_clean', 'drafts', 'trash'];
+
+const EXTENSION_TYPES = {
+  html: 'html',
+  htm: 'html',
+  json: 'json',
+  jpg: 'image',
+  jpeg: 'image',
+  png: 'image',
+  gif: 'image',
+  webp: 'image',
+  svg: 'image',
+  bmp: 'image',
+  tiff: 'image',
+  tif: 'image',
+  ico: 'image',
+  mp4: 'video',
+  avi: 'video',
+  mov: 'video',
+  wmv: 'video',
+  flv: 'video',
+  webm: 'video',
+  mkv: 'video',
+  m4v: 'video',
+  mpeg: 'video',
+  mpg: 'video'
+};
+
+const KB = 1024;
+const MB = 1024 * KB;
+const GB = 1024 * MB;
+
+// Upper bounds (exclusive); the last bucket is open-ended
+const SIZE_BUCKETS = [
+  { label: '0 B', max: 1 },
+  { label: '< 1 KB', max: KB },
+  { label: '1-10 KB', max: 10 * KB },
+  { label: '10-100 KB', max: 100 * KB },
+  { label: '100 KB-1 MB', max: MB },
+  { label: '1-10 MB', max: 10 * MB },
+  { label: '10-100 MB', max: 100 * MB },
+  { label: '100 MB-1 GB', max: GB },
+  { label: '>= 1 GB', max: Infinity }
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const AGE_BUCKETS = [
+  { label: '< 1 day', max: DAY },
+  { label: '1-7 days', max: 7 * DAY },
+  { label: '7-30 days', max: 30 * DAY },
+  { label: '30-90 days', max: 90 * DAY },
+  { label: '90 days-1 year', max: 365 * DAY },
+  { label: '1-2 years', max: 2 * 365 * DAY },
+  { label: '>= 2 years', max: Infinity }
+];
+
+/**
+ * File type of a key, from its extension
+ * @param {string} key - Object key
+ * @returns {string} One of FILE_TYPES
+ */
+function getFileType(key) {
+  const match = key.match(/\.([^./]+)$/);
+  return (match && EXTENSION_TYPES[match[1].toLowerCase()]) || 'other';
+}
+
+/**
+ * Categories a key counts in
+ * @param {string} key - Object key
+ * @returns {string[]} Subset of CATEGORIES, always including 'total'
+ */
+function getCategories(key) {
+  const isVersions = key.includes('/.da-versions/');
+  const isTrash = key.includes('/.trash/');
+  const isDrafts = /\/drafts\//i.test(key);
+  const categories = ['total'];
+  if (isVersions) categories.push('versions');
+  else categories.push('content_all');
+  if (!isVersions && !isTrash && !isDrafts) categories.push('content_clean');
+  if (isDrafts) categories.push('drafts');
+  if (isTrash) categories.push('trash');
+  return categories;
+}
+
+/**
+ * Repo of a key: the first two path segments (org/repo), or the org for files
+ * at the org root
+ * @param {string} key - Object key
+ * @returns {string} Repo
+ */
+function getRepo(key) {
+  const parts = key.split('/');
+  return parts.length > 2 ? `${parts[0]}/${parts[1]}` : parts[0];
+}
+
+// Keeps the n greatest items by `compare` (descending), sorted
+function createTopN(n, compare) {
+  const items = [];
+  return {
+    add(item) {
+      if (items.length >= n && compare(item, items[items.length - 1]) <= 0) return;
+      let i = items.length;
+      while (i > 0 && compare(item, items[i - 1]) > 0) i--;
+      items.splice(i, 0, item);
+      if (items.length > n) items.pop();
+    },
+    items: () => items
+  };
+}
+
+function emptyBreakdown() {
+  return Object.fromEntries(FILE_TYPES.map(type => [type, { files: 0, bytes: 0 }]));
+}
+
+/**
+ * Create an analyzer
+ * @param {Object} [options]
+ * @param {number} [options.depth=3] - Folder levels of the size tree
+ * @param {number} [options.top=20] - Length of the largest/oldest file lists
+ * @param {Date} [options.now=new Date()] - Reference time of the age distribution
+ * @returns {Object} Analyzer: add(row) with a row as read by readOutputRows
+ *   ({FilePath, ContentLength, LastModified}), summarize() for the results
+ */
+function createAnalyzer({ depth = 3, top = 20, now = new Date() } = {}) {
+  const nowTime = now.getTime();
+  const categories = Object.fromEntries(CATEGORIES.map(name => [name, { files: 0, bytes: 0, types: emptyBreakdown() }]));
+  let emptyVersions = 0;
+  const repos = new Map();
+  const tree = { name: '', files: 0, bytes: 0, children: new Map() };
+  const sizes = SIZE_BUCKETS.map(bucket => ({ label: bucket.label, files: 0, bytes: 0 }));
+  const ages = AGE_BUCKETS.map(bucket => ({ label: bucket.label, files: 0, bytes: 0 }));
+  const unknownAge = { label: 'unknown', files: 0, bytes: 0 };
+  let oldest = null;
+  let newest = null;
+  const largest = createTopN(top, (a, b) => a.size - b.size);
+  const oldestFiles = createTopN(top, (a, b) => b.time - a.time);
+
+  return {
+    add(row) {
+      const key = row.FilePath;
+      if (!key) return;
+      const size = Number(row.ContentLength) || 0;
+      const type = getFileType(key);
+
+      const keyCategories = getCategories(key);
+      for (const name of keyCategories) {
+        const category = categories[name];
+        category.files++;
+        category.bytes += size;
+        category.types[type].files++;
+        category.types[type].bytes += size;
+      }
+      const isVersions = keyCategories.includes('versions');
+      if (isVersions && size === 0) emptyVersions++;
+
+      const repoName = getRepo(key);
+      let repo = repos.get(repoName);
+      if (!repo) {
+        repo = { repo: repoName, files: 0, bytes: 0, versionsBytes: 0, draftsBytes: 0, trashBytes: 0 };
+        repos.set(repoName, repo);
+      }
+      repo.files++;
+      repo.bytes += size;
+      if (isVersions) repo.versionsBytes += size;
+      if (keyCategories.includes('drafts')) repo.draftsBytes += size;
+      if (keyCategories.includes('trash')) repo.trashBytes += size;
+
+      // Size tree: every folder on the way down, to `depth` levels
+      tree.files++;
+      tree.bytes += size;
+      let node = tree;
+      const folders = key.split('/').slice(0, -1).slice(0, depth);
+      for (const folder of folders) {
+        let child = node.children.get(folder);
+        if (!child) {
+          child = { name: folder, files: 0, bytes: 0, children: new Map() };
+          node.children.set(folder, child);
+        }
+        child.files++;
+        child.bytes += size;
+        node = child;
+      }
+
+      const sizeBucket = sizes[SIZE_BUCKETS.findIndex(bucket => size < bucket.max)];
+      sizeBucket.files++;
+      sizeBucket.bytes += size;
+
+      const time = row.LastModified ? new Date(row.LastModified).getTime() : NaN;
+      if (Number.isNaN(time)) {
+        unknownAge.files++;
+        unknownAge.bytes += size;
+      } else {
+        const age = Math.max(nowTime - time, 0);
+        const ageBucket = ages[AGE_BUCKETS.findIndex(bucket => age < bucket.max)];
+        ageBucket.files++;
+        ageBucket.bytes += size;
+        if (oldest === null || time < oldest) oldest = time;
+        if (newest === null || time > newest) newest = time;
+        oldestFiles.add({ key, size, time });
+      }
+      largest.add({ key, size, time });
+    },
+
+    /**
+     * Results as plain JSON-serializable data
+     * @returns {Object} { categories, emptyVersions, repos, tree, sizeHistogram,
+     *   ageDistribution, oldest, newest, largestFiles, oldestFiles }
+     */
+    summarize() {
+      const toTree = n => ({
+        name: n.name,
+        files: n.files,
+        bytes: n.bytes,
+        children: [...n.children.values()].sort((a, b) => b.bytes - a.bytes).map(toTree)
+      });
+      const toFile = f => ({
+        key: f.key,
+        size: f.size,
+        lastModified: Number.isNaN(f.time) ? null : new Date(f.time).toISOString()
+      });
+      return {
+        categories,
+        emptyVersions,
+        repos: [...repos.values()].sort((a, b) => b.bytes - a.bytes),
+        tree: toTree(tree).children,
+        sizeHistogram: sizes,
+        ageDistribution: unknownAge.files > 0 ? [...ages, unknownAge] : ages,
+        oldest: oldest === null ? null : new Date(oldest).toISOString(),
+        newest: newest === null ? null : new Date(newest).toISOString(),
+        largestFiles: largest.items().map(toFile),
+        oldestFiles: oldestFiles.items().map(toFile)
+      };
+    }
+  };
+}
+
+module.exports = {
+  FILE_TYPES,
+  CATEGORIES,
+  SIZE_BUCKETS,
+  AGE_BUCKETS,
+  getFileType,
+  getCategories,
+  getRepo,
+  createAnalyzer
+};
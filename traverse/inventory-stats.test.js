@@ -0,0 +1,146 @@
+/**
+ * Tests for inventory statistics
+ */
+
+const { getFileType, getCategories, getRepo, createAnalyzer } = require('./inventory-stats.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+// Errors shaped like the ones the AWS SDK throws
+
+const now = new Date('2024-06-01T00:00:00Z');
+
+function row(FilePath, ContentLength, LastModified = '2024-05-31T12:00:00.000Z') {
+  return { FilePath, ContentLength, LastModified };
+}
+
+// ==================== CLASSIFICATION ====================
+
+section('1. Classification Tests');
+
+assert(getFileType('org/site/index.HTML') === 'html', 'Extension match is case-insensitive');
+assert(getFileType('org/site/data.json') === 'json', 'JSON files');
+assert(getFileType('org/site/media/hero.webp') === 'image', 'Image files');
+assert(getFileType('org/site/media/clip.m4v') === 'video', 'Video files');
+assert(getFileType('org/site/doc.pdf') === 'other', 'Unknown extensions are other');
+assert(getFileType('org/site.folder/README') === 'other', 'Dots in folder names are not extensions');
+
+assertDeepEqual(getCategories('org/site/en/index.html'), ['total', 'content_all', 'content_clean'], 'Content file');
+assertDeepEqual(getCategories('org/site/Drafts/page.html'), ['total', 'content_all', 'drafts'], 'Drafts, case-insensitive');
+assertDeepEqual(getCategories('org/site/.trash/page.html'), ['total', 'content_all', 'trash'], 'Trash');
+assertDeepEqual(getCategories('org/.da-versions/abc/1.html'), ['total', 'versions'], 'Versions are not content');
+
+assert(getRepo('org/site/en/index.html') === 'org/site', 'Repo is org/repo');
+assert(getRepo('org/config.json') === 'org', 'Files at the org root count for the org');
+
+// ==================== ANALYZER ====================
+
+section('2. Analyzer Tests');
+
+{
+  const analyzer = createAnalyzer({ depth: 2, top: 2, now });
+  [
+    row('org/site/en/index.html', 100),
+    row('org/site/en/big.mp4', 5 * 1024 * 1024, '2020-01-01T00:00:00.000Z'),
+    row('org/site/drafts/d.html', 10, '2024-05-20T00:00:00.000Z'),
+    row('org/site/.trash/t.json', 20, '2023-01-01T00:00:00.000Z'),
+    row('org/.da-versions/abc/1.html', 0),
+    row('org/blog/post.html', 2048, null)
+  ].forEach(r => analyzer.add(r));
+  analyzer.add({ ContentLength: 5 });
+  const result = analyzer.summarize();
+
+  const c = result.categories;
+  assert(c.total.files === 6 && c.total.bytes === 100 + 5 * 1024 * 1024 + 10 + 20 + 2048, 'Rows without a key are skipped');
+  assert(c.versions.files === 1 && result.emptyVersions === 1, 'Empty version files are counted');
+  assert(c.content_all.files === 5 && c.content_clean.files === 3, 'Clean content excludes drafts and trash');
+  assert(c.drafts.types.html.files === 1 && c.trash.types.json.bytes === 20, 'Categories are broken down by type');
+  assert(c.total.types.video.bytes === 5 * 1024 * 1024, 'Type sizes are summed');
+
+  assertDeepEqual(result.repos.map(r => [r.repo, r.files]), [['org/site', 4], ['org/blog', 1], ['org/.da-versions', 1]],
+    'Repos are sorted by size, legacy snapshots count as org/.da-versions');
+  assertDeepEqual(result.repos[0], {
+    repo: 'org/site', files: 4, bytes: 100 + 5 * 1024 * 1024 + 30, versionsBytes: 0, draftsBytes: 10, trashBytes: 20
+  }, 'Repo totals split out drafts and trash');
+
+  const [orgNode] = result.tree;
+  assert(orgNode.name === 'org' && orgNode.files === 6, 'Tree root folder holds every file below it');
+  assertDeepEqual(orgNode.children.map(n => n.name), ['site', 'blog', '.da-versions'], 'Children are sorted by size');
+  assert(orgNode.children[0].children.length === 0, 'Tree stops at the depth');
+
+  const sizes = Object.fromEntries(result.sizeHistogram.map(b => [b.label, b.files]));
+  assert(sizes['0 B'] === 1 && sizes['< 1 KB'] === 3 && sizes['1-10 KB'] === 1 && sizes['1-10 MB'] === 1,
+    'Size histogram buckets');
+
+  const ages = Object.fromEntries(result.ageDistribution.map(b => [b.label, b.files]));
+  assert(ages['< 1 day'] === 2 && ages['7-30 days'] === 1 && ages['1-2 years'] === 1 && ages['>= 2 years'] === 1,
+    'Age distribution buckets');
+  assert(ages.unknown === 1, 'Missing LastModified is an unknown age');
+  assert(result.oldest === '2020-01-01T00:00:00.000Z' && result.newest === '2024-05-31T12:00:00.000Z', 'Oldest and newest dates');
+
+  assertDeepEqual(result.largestFiles.map(f => f.key), ['org/site/en/big.mp4', 'org/blog/post.html'], 'Top-N largest files');
+  assertDeepEqual(result.oldestFiles.map(f => f.key), ['org/site/en/big.mp4', 'org/site/.trash/t.json'], 'Top-N oldest files');
+  assert(result.largestFiles[1].lastModified === null, 'Unknown dates are null in file lists');
+}
+
+{
+  const result = createAnalyzer({ now }).summarize();
+  assert(result.categories.total.files === 0 && result.oldest === null && result.tree.length === 0, 'Empty inventory');
+  assert(!result.ageDistribution.some(b => b.label === 'unknown'), 'No unknown age bucket without unknown dates');
+}
+
+// ==================== SUMMARY ====================
+
+console.log(`\n${'='.repeat(70)}`);
+console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+console.log(`${'='.repeat(70)}`);
+console.log(`Total:  ${totalTests}`);
+console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+if (failedTests > 0) {
+  console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+  process.exit(1);
+} else {
+  console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+  process.exit(0);
+}
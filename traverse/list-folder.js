@@ -5,6 +5,8 @@
  * Recursive mode shards the prefix (63 concurrent shards) for fast full listings.
  * Non-recursive mode uses delimiter-based pagination to get immediate children only.
  * Details mode includes size + last-modified; subfolder creation dates use parallel scans.
+ * With --format/--columns (or a .csv/.tsv/.jsonl/.sqlite output file) the files are
+ * saved through the shared output writer instead of as the printed listing.
  *
  * Usage: node list-folder.js [OPTIONS] <folder-path>
  */
@@ -18,6 +20,13 @@ const {
   generateShardPrefixes,
   filterObjectsByShard,
   formatShardLabel,
+  sendWithRetry,
+  OUTPUT_COLUMNS,
+  DEFAULT_COLUMNS,
+  resolveOutputFormat,
+  parseColumns,
+  createOutputWriter,
+  assertSqliteAvailable,
 } = require('./s3-utils.js');
 
 // ---------------------------------------------------------------------------
@@ -33,6 +42,10 @@ function showUsage() {
   console.error('  -r, --recursive           Recursive listing (sharded, parallel)');
   console.error('  -d, --details             Show size + last-modified; creation date for subfolders');
   console.error('  -f, --output-file <file>  Save listing to file');
+  console.error('  --format <format>         Save files as csv, tsv, jsonl, columnar or sqlite');
+  console.error('                            (default: from the output file extension, else text)');
+  console.error(`  --columns <list>          Columns to save (default: ${DEFAULT_COLUMNS.join(',')})`);
+  console.error(`                            Available: ${Object.keys(OUTPUT_COLUMNS).filter(c => !['ContentType', 'ContentEncoding'].includes(c)).join(', ')}`);
   console.error('  -h, --help                Show this help');
   console.error('');
   console.error('Examples:');
@@ -40,6 +53,7 @@ function showUsage() {
   console.error('  node list-folder.js -o myorg documents/');
   console.error('  node list-folder.js -r assets/');
   console.error('  node list-folder.js -d -f out.txt images/');
+  console.error('  node list-folder.js -r --columns FilePath,ContentLength,ETag -f out.jsonl assets/');
 }
 
 let bucket = 'aem-content';
@@ -47,6 +61,8 @@ let org = '';
 let recursive = false;
 let details = false;
 let outputFile = '';
+let format = '';
+let columnsList = '';
 let folderArg = null;
 
 const argv = process.argv.slice(2);
@@ -64,6 +80,8 @@ for (let i = 0; i < argv.length; i++) {
     case '-r': case '--recursive':   recursive = true; break;
     case '-d': case '--details':     details = true; break;
     case '-f': case '--output-file': outputFile = argv[++i]; break;
+    case '--format':                 format = argv[++i]; break;
+    case '--columns':                columnsList = argv[++i]; break;
     case '-h': case '--help':        showUsage(); process.exit(0); break;
     default:
       if (argv[i].startsWith('-')) {
@@ -84,8 +102,34 @@ if (prefix && !prefix.endsWith('/')) prefix += '/';
 // Output helpers
 // ---------------------------------------------------------------------------
 
+// Files go through the output writer for a structured output file, the printed
+// listing is saved as is otherwise
+const structured = !!outputFile && (!!format || !!columnsList || /\.(csv|tsv|jsonl|ndjson|sqlite|db)$/i.test(outputFile));
+let outputFormat = null;
+let outputColumns = null;
+if (structured) {
+  try {
+    outputFormat = resolveOutputFormat(outputFile, format);
+    outputColumns = parseColumns(columnsList);
+    if (outputFormat === 'sqlite') assertSqliteAvailable();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  // Listing doesn't return these, they need a HEAD per object
+  const headOnly = outputColumns.filter(c => ['ContentType', 'ContentEncoding'].includes(c));
+  if (headOnly.length > 0) {
+    console.error(`Error: ${headOnly.join(', ')} are not returned by listing`);
+    process.exit(1);
+  }
+} else if (format || columnsList) {
+  console.error('--format and --columns need an output file (-f)');
+  process.exit(1);
+}
+
 let outStream = null;
-if (outputFile) outStream = fs.createWriteStream(outputFile);
+if (outputFile && !structured) outStream = fs.createWriteStream(outputFile);
+let writer = null;
 
 function write(line) {
   console.log(line);
@@ -104,7 +148,7 @@ async function listImmediate(pfx) {
   const subfolders = [];
   let token = null;
   do {
-    const resp = await s3Client.send(new ListObjectsV2Command({
+    const resp = await sendWithRetry(s3Client, new ListObjectsV2Command({
       Bucket: bucket,
       Prefix: pfx,
       Delimiter: '/',
@@ -161,8 +205,13 @@ async function main() {
   console.log(`Prefix:    ${prefix || '(root)'}`);
   console.log(`Recursive: ${recursive}`);
   console.log(`Details:   ${details}`);
+  if (structured) console.log(`Format:    ${outputFormat} (${outputColumns.join(', ')})`);
   console.log('');
 
+  if (structured) {
+    writer = await createOutputWriter({ file: outputFile, format: outputFormat, columns: outputColumns });
+  }
+
   const startTime = Date.now();
   let totalFiles = 0;
 
@@ -173,6 +222,7 @@ async function main() {
         write(formatFileRow(obj));
         totalFiles++;
       }
+      if (writer) await writer.writeRows(objects);
     }, processQueue);
   } else {
     const { files, subfolders } = await listImmediate(prefix);
@@ -180,6 +230,7 @@ async function main() {
 
     if (details && files.length > 0) write('        Size  LastModified              Key');
     for (const obj of files) write(formatFileRow(obj));
+    if (writer) await writer.writeRows(files);
 
     write('');
     write('Subfolders:');
@@ -200,6 +251,7 @@ async function main() {
   if (outputFile) write(`Output:      ${outputFile}`);
 
   if (outStream) outStream.end();
+  if (writer) await writer.close();
 }
 
 main().catch((err) => {
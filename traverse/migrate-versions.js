@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+/**
+ * Move legacy version snapshots into the repo-scoped location.
+ *
+ *   <org>/.da-versions/<id>/<file>  ->  <org>/<repo>/.da-versions/<id>/<file>
+ *
+ * The repo of an id is found by HEAD-ing every live object of the org (objects
+ * in .trash included) for its Metadata.id. Ids without a live object (orphans)
+ * or carried by documents in several repos (ambiguous) are left in place and
+ * reported.
+ *
+ * Each snapshot is copied with its metadata, verified (size and MD5, read from
+ * the ETag or by hashing multipart objects) and only then deleted from the
+ * legacy location, one id folder at a time. A file that already exists at the target with different content is
+ * an id collision: the legacy snapshot is stored next to it as
+ * `<name>-legacy<ext>` instead of overwriting it.
+ *
+ * Completed folders are recorded in a checkpoint file, so an interrupted run
+ * (Ctrl+C, crash) continues where it stopped. Every object gets a row in the
+ * CSV report; a final verification re-lists the legacy location (every id, not
+ * only hex ones) and writes a JSON summary of what is left there and why.
+ * The work itself is in version-migration.js.
+ *
+ * Usage: node migrate-versions.js [OPTIONS] <org>
+ */
+
+const fs = require('fs');
+const { loadEnvVars, createS3Client } = require('./s3-utils.js');
+const { parseVersionKey, listOrgObjects, readLiveIds } = require('./da-versions.js');
+const {
+  loadCheckpoint,
+  saveCheckpoint,
+  createFolderMigrator,
+  verifyLegacyLocation
+} = require('./version-migration.js');
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+
+function showUsage() {
+  console.error('Usage: node migrate-versions.js [OPTIONS] <org>');
+  console.error('');
+  console.error('Options:');
+  console.error('  -b, --bucket <bucket>        S3 bucket name (default: aem-content)');
+  console.error('  -c, --concurrency <n>        Id folders migrated in parallel (default: 16)');
+  console.error('      --checkpoint <file>      Checkpoint file (default: migrate-versions-<org>.checkpoint.json)');
+  console.error('      --report <file>          Per-object CSV report, appended on resume (default: migrate-versions-<org>.csv)');
+  console.error('      --verification <file>    Verification summary (default: migrate-versions-<org>.verification.json)');
+  console.error('      --dry-run                Plan and report without copying or deleting anything');
+  console.error('      --keep-legacy            Copy and verify, but do not delete the legacy snapshots');
+  console.error('      --restart                Ignore an existing checkpoint and start over');
+  console.error('  -h, --help                   Show this help');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node migrate-versions.js --dry-run kptdobe');
+  console.error('  node migrate-versions.js kptdobe            # resumes from the checkpoint if present');
+  console.error('  node migrate-versions.js --keep-legacy -c 32 kptdobe');
+}
+
+let bucket = 'aem-content';
+let concurrency = 16;
+let checkpointFile = null;
+let reportFile = null;
+let verificationFile = null;
+let dryRun = false;
+let keepLegacy = false;
+let restart = false;
+let org = null;
+
+const argv = process.argv.slice(2);
+
+for (let i = 0; i < argv.length; i++) {
+  switch (argv[i]) {
+    case '-b': case '--bucket':      bucket = argv[++i]; break;
+    case '-c': case '--concurrency': concurrency = parseInt(argv[++i], 10); break;
+    case '--checkpoint':             checkpointFile = argv[++i]; break;
+    case '--report':                 reportFile = argv[++i]; break;
+    case '--verification':           verificationFile = argv[++i]; break;
+    case '--dry-run':                dryRun = true; break;
+    case '--keep-legacy':            keepLegacy = true; break;
+    case '--restart':                restart = true; break;
+    case '-h': case '--help':        showUsage(); process.exit(0); break;
+    default:
+      if (argv[i].startsWith('-')) {
+        console.error(`Unknown option: ${argv[i]}`);
+        showUsage();
+        process.exit(1);
+      }
+      org = argv[i];
+  }
+}
+
+if (org) org = org.replace(/^\/+|\/+$/g, '');
+
+if (!org || org.includes('/')) {
+  console.error('Missing or invalid argument: org (e.g. kptdobe)');
+  showUsage();
+  process.exit(1);
+}
+if (!Number.isInteger(concurrency) || concurrency < 1) {
+  console.error('--concurrency must be a positive integer');
+  process.exit(1);
+}
+
+checkpointFile = checkpointFile || `migrate-versions-${org}.checkpoint.json`;
+reportFile = reportFile || `migrate-versions-${org}.csv`;
+verificationFile = verificationFile || `migrate-versions-${org}.verification.json`;
+
+const legacyPrefix = `${org}/.da-versions/`;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${units[i]}`;
+}
+
+function csvField(value) {
+  const text = String(value === undefined || value === null ? '' : value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function elapsed(startTime) {
+  return ((Date.now() - startTime) / 1000).toFixed(1);
+}
+
+// ---------------------------------------------------------------------------
+// Checkpoint and report
+// ---------------------------------------------------------------------------
+
+let checkpoint = null;
+let checkpointDirty = false;
+let lastCheckpointSave = Date.now();
+
+function flushCheckpoint(force = false) {
+  if (dryRun || (!force && (!checkpointDirty || Date.now() - lastCheckpointSave < 5000))) return;
+  saveCheckpoint(checkpointFile, checkpoint);
+  checkpointDirty = false;
+  lastCheckpointSave = Date.now();
+}
+
+let report = null;
+
+function openReport() {
+  const exists = !restart && fs.existsSync(reportFile) && fs.statSync(reportFile).size > 0;
+  report = fs.createWriteStream(reportFile, { flags: exists ? 'a' : 'w' });
+  if (!exists) report.write('Id,Repo,SourceKey,TargetKey,Size,Status,Detail\n');
+}
+
+const statusCounts = {};
+
+function reportRow({ id, repo = '', sourceKey, targetKey = '', size = 0, status, detail = '' }) {
+  statusCounts[status] = (statusCounts[status] || 0) + 1;
+  report.write([id, repo, sourceKey, targetKey, size, status, detail].map(csvField).join(',') + '\n');
+}
+
+// ---------------------------------------------------------------------------
+// Migration
+// ---------------------------------------------------------------------------
+
+let s3Client;
+let stopping = false;
+
+const stats = {
+  liveObjects: 0,
+  legacyObjects: 0,
+  failedListings: 0,
+  failedHeads: 0,
+  foldersDone: 0,
+  foldersSkipped: 0,
+  foldersFailed: 0,
+  bytesMoved: 0,
+  lastUpdate: Date.now()
+};
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const envVars = loadEnvVars();
+  s3Client = createS3Client(envVars);
+
+  const { default: processQueue } = await import('@adobe/helix-shared-process-queue');
+
+  try {
+    checkpoint = loadCheckpoint(checkpointFile, { org, bucket, restart });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  const completed = new Set(checkpoint.completed);
+
+  console.log('='.repeat(70));
+  console.log('Legacy Versions Migration');
+  console.log('='.repeat(70));
+  console.log(`Bucket:       ${bucket}`);
+  console.log(`From:         ${legacyPrefix}<id>/`);
+  console.log(`To:           ${org}/<repo>/.da-versions/<id>/`);
+  console.log(`Mode:         ${dryRun ? 'dry run' : keepLegacy ? 'copy (legacy kept)' : 'move'}`);
+  console.log(`Checkpoint:   ${checkpointFile}${completed.size > 0 ? ` (resuming, ${completed.size.toLocaleString()} folders done)` : ''}`);
+  console.log(`Report:       ${reportFile}`);
+  console.log('');
+
+  const startTime = Date.now();
+
+  // 1. List the org: live objects and legacy snapshots
+  const liveKeys = [];
+  const legacyFolders = new Map();
+  console.log('Listing org...');
+  stats.failedListings = await listOrgObjects({
+    s3Client,
+    bucket,
+    org,
+    processQueue,
+    onBatch: async (objects) => {
+      for (const obj of objects) {
+        const version = parseVersionKey(obj.Key);
+        if (!version) {
+          stats.liveObjects++;
+          liveKeys.push(obj.Key);
+        } else if (version.location === org) {
+          stats.legacyObjects++;
+          if (!legacyFolders.has(version.id)) legacyFolders.set(version.id, []);
+          legacyFolders.get(version.id).push(obj);
+        }
+      }
+    },
+    onError: (label, error) => console.error(`✗ Listing ${label} failed: ${error.message}`)
+  });
+  console.log(`✓ ${stats.liveObjects.toLocaleString()} live objects, ${stats.legacyObjects.toLocaleString()} legacy snapshots in ${legacyFolders.size.toLocaleString()} id folders (${elapsed(startTime)}s)`);
+
+  // 2. Ids of live documents, to find the repo of each id
+  console.log(`Reading ids of ${liveKeys.length.toLocaleString()} live objects...`);
+  const live = await readLiveIds({
+    s3Client,
+    bucket,
+    keys: liveKeys,
+    processQueue,
+    onProgress: (checked, total, ids) => {
+      console.log(`  [${elapsed(startTime)}s] ${checked.toLocaleString()}/${total.toLocaleString()} live objects checked, ${ids.toLocaleString()} ids`);
+    },
+    onError: (key, error) => {
+      if (stats.failedHeads++ < 20) console.error(`✗ HEAD ${key} failed: ${error.message}`);
+    }
+  });
+  console.log(`✓ ${live.ids.size.toLocaleString()} distinct ids`);
+
+  // An incomplete id map would misreport snapshots as orphans, never guess a repo
+  if (stats.failedListings > 0 || stats.failedHeads > 0) {
+    console.error(`✗ ${stats.failedListings} failed listings, ${stats.failedHeads} failed HEAD requests: not migrating with incomplete ids. Re-run to retry.`);
+    process.exit(1);
+  }
+  console.log('');
+
+  // 3. Migrate folder by folder
+  openReport();
+  const pending = [...legacyFolders.keys()].filter(id => !completed.has(id));
+  const skippedDone = legacyFolders.size - pending.length;
+  console.log(`${dryRun ? 'Planning' : 'Migrating'} ${pending.length.toLocaleString()} id folders${skippedDone > 0 ? ` (${skippedDone.toLocaleString()} copied in earlier runs are skipped)` : ''}...`);
+
+  process.on('SIGINT', () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    console.log('\nStopping after the folders in progress, press Ctrl+C again to abort now...');
+  });
+
+  const migrateFolder = createFolderMigrator({ s3Client, bucket, org, dryRun, keepLegacy, onRow: reportRow });
+
+  let processed = 0;
+  // An iterator, processQueue would shift() a large array one entry at a time
+  await processQueue(pending.values(), async (id) => {
+    if (stopping) return;
+    const repos = [...new Set((live.ids.get(id) || []).map(key => key.split('/')[1]))];
+    try {
+      const { result, bytes } = await migrateFolder(id, legacyFolders.get(id), repos);
+      stats.bytesMoved += bytes;
+      if (result === 'skipped') {
+        stats.foldersSkipped++;
+      } else if (result === 'failed') {
+        stats.foldersFailed++;
+      } else if (result === 'migrated') {
+        stats.foldersDone++;
+        checkpoint.completed.push(id);
+        checkpointDirty = true;
+      }
+    } catch (error) {
+      stats.foldersFailed++;
+      console.error(`✗ ${legacyPrefix}${id}/: ${error.message}`);
+    }
+    processed++;
+    flushCheckpoint();
+
+    if (Date.now() - stats.lastUpdate > 10000) {
+      stats.lastUpdate = Date.now();
+      console.log(`  [${elapsed(startTime)}s] ${processed.toLocaleString()}/${pending.length.toLocaleString()} folders | ${stats.foldersDone} migrated, ${stats.foldersSkipped} skipped, ${stats.foldersFailed} failed | ${formatBytes(stats.bytesMoved)}`);
+    }
+  }, concurrency);
+
+  flushCheckpoint(true);
+  await new Promise(resolve => report.end(resolve));
+
+  console.log('');
+  console.log('='.repeat(70));
+  console.log('SUMMARY');
+  console.log('='.repeat(70));
+  console.log(`Folders migrated:  ${stats.foldersDone.toLocaleString()}${keepLegacy ? ' (legacy kept)' : ''}`);
+  console.log(`Folders skipped:   ${stats.foldersSkipped.toLocaleString()} (orphaned or ambiguous ids)`);
+  console.log(`Folders failed:    ${stats.foldersFailed.toLocaleString()}`);
+  console.log(`Bytes copied:      ${formatBytes(stats.bytesMoved)}`);
+  for (const [status, count] of Object.entries(statusCounts).sort()) {
+    console.log(`  ${status.padEnd(22)} ${count.toLocaleString()} objects`);
+  }
+
+  if (stopping) {
+    console.log('');
+    console.log(`Interrupted: ${(pending.length - processed).toLocaleString()} folders left. Run the same command again to resume.`);
+    process.exit(130);
+  }
+  if (dryRun) {
+    console.log('');
+    console.log(`Dry run: nothing was copied or deleted. Planned actions are in ${reportFile}.`);
+    return;
+  }
+
+  // 4. Verification
+  console.log('');
+  console.log('Verifying legacy location...');
+  const { newLocationOnly, ...verification } = await verifyLegacyLocation({
+    s3Client,
+    bucket,
+    org,
+    processQueue,
+    liveIds: live.ids,
+    completed: checkpoint.completed,
+    keepLegacy,
+    onError: (label, error) => console.error(`✗ Verification listing ${label} failed: ${error.message}`)
+  });
+  const summary = {
+    org,
+    bucket,
+    finishedAt: new Date().toISOString(),
+    keepLegacy,
+    folders: {
+      legacyAtStart: legacyFolders.size,
+      migrated: checkpoint.completed.length,
+      skipped: stats.foldersSkipped,
+      failed: stats.foldersFailed
+    },
+    objects: statusCounts,
+    remaining: verification,
+    newLocationOnly
+  };
+  fs.writeFileSync(verificationFile, JSON.stringify(summary, null, 2));
+
+  console.log(`Legacy folders remaining: ${verification.remainingFolders.toLocaleString()}`);
+  for (const [reason, totals] of Object.entries(verification.reasons)) {
+    console.log(`  ${reason.padEnd(12)} ${String(totals.folders).padStart(8)} folders ${String(totals.objects).padStart(10)} objects  ${formatBytes(totals.bytes)}`);
+  }
+  console.log(`Verification saved to: ${verificationFile}`);
+  console.log('');
+  if (summary.newLocationOnly) {
+    console.log(`✓ Every live document of ${org} has its snapshots in the new location.`);
+    console.log(`  The admin backend can skip the legacy lookup: add ${org} to VERSIONS_MIGRATED_ORGS.`);
+  } else {
+    console.log('⚠️  Some live documents still have legacy snapshots, see the report. Re-run to retry failed folders.');
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,459 @@
+/**
+ * Output writer shared by the traversal commands
+ *
+ * Writes listed objects as CSV, TSV, JSONL, a columnar JSON format or SQLite,
+ * with a selectable set of columns. Every format appends, and the writer
+ * reports how much has reached the file (bytes, or rows for SQLite) so a
+ * checkpointed run can cut the output back to a known position on resume.
+ * readOutputRows() reads any of them back, for tools comparing or analyzing runs.
+ *
+ * Formats:
+ *   csv       header line, RFC 4180 quoting
+ *   tsv       header line, \t \n \r \\ escaped as in PostgreSQL text format
+ *   jsonl     one JSON object per line
+ *   columnar  Parquet-like row groups as JSON lines: a schema line, then one
+ *             {"rows": n, "columns": {"FilePath": [...], ...}} line per group
+ *   sqlite    table `objects` in a SQLite database, written with the sqlite3 CLI
+ *             (not an npm dependency: assertSqliteAvailable() checks it is installed)
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { spawn, spawnSync } = require('child_process');
+
+/**
+ * Available columns. `value` reads a listed object (ListObjectsV2 entry, or a
+ * HeadObject result mapped to the same field names) and returns null when unknown.
+ * Writers for other rows (e.g. scan.js scans) pass their own definitions of the
+ * same shape.
+ */
+const OUTPUT_COLUMNS = {
+  FilePath: { type: 'string', value: obj => obj.Key ?? null },
+  ContentLength: { type: 'integer', value: obj => obj.Size ?? 0 },
+  LastModified: { type: 'string', value: obj => (obj.LastModified ? obj.LastModified.toISOString() : null) },
+  ETag: { type: 'string', value: obj => (obj.ETag ? obj.ETag.replace(/"/g, '') : null) },
+  StorageClass: { type: 'string', value: obj => obj.StorageClass ?? null },
+  ContentType: { type: 'string', value: obj => obj.ContentType ?? null },
+  ContentEncoding: { type: 'string', value: obj => obj.ContentEncoding ?? null }
+};
+
+// ETag lets diff-inventory.js recognize moved objects between two inventories
+const DEFAULT_COLUMNS = ['FilePath', 'ContentLength', 'LastModified', 'ETag'];
+
+const OUTPUT_FORMATS = ['csv', 'tsv', 'jsonl', 'columnar', 'sqlite'];
+
+const FORMAT_EXTENSIONS = {
+  csv: '.csv',
+  tsv: '.tsv',
+  jsonl: '.jsonl',
+  columnar: '.columnar.jsonl',
+  sqlite: '.sqlite'
+};
+
+/**
+ * Pick the output format from an explicit option or the file extension
+ * @param {string} file - Output file
+ * @param {string} [format] - Explicit format
+ * @returns {string} One of OUTPUT_FORMATS
+ */
+function resolveOutputFormat(file, format) {
+  if (format) {
+    const normalized = format.toLowerCase();
+    if (!OUTPUT_FORMATS.includes(normalized)) {
+      throw new Error(`Unknown output format "${format}" (use ${OUTPUT_FORMATS.join(', ')})`);
+    }
+    return normalized;
+  }
+  const lower = (file || '').toLowerCase();
+  if (lower.endsWith('.columnar.jsonl')) return 'columnar';
+  if (lower.endsWith('.jsonl') || lower.endsWith('.ndjson')) return 'jsonl';
+  if (lower.endsWith('.tsv')) return 'tsv';
+  if (lower.endsWith('.sqlite') || lower.endsWith('.db')) return 'sqlite';
+  return 'csv';
+}
+
+/**
+ * Parse a comma-separated column list, case-insensitively
+ * @param {string} [list] - e.g. "FilePath,ContentLength,ETag"
+ * @param {Object} [definitions=OUTPUT_COLUMNS] - Available columns
+ * @param {string[]} [defaults=DEFAULT_COLUMNS] - Columns when the list is empty
+ * @returns {string[]} Column names
+ */
+function parseColumns(list, definitions = OUTPUT_COLUMNS, defaults = DEFAULT_COLUMNS) {
+  if (!list) return [...defaults];
+  const names = Object.keys(definitions);
+  return list.split(',').map(c => c.trim()).filter(Boolean).map(column => {
+    const name = names.find(n => n.toLowerCase() === column.toLowerCase());
+    if (!name) throw new Error(`Unknown column "${column}" (available: ${names.join(', ')})`);
+    return name;
+  });
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function escapeTsv(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+}
+
+const SQLITE_MISSING = 'sqlite output needs the sqlite3 command line tool on the PATH (e.g. brew install sqlite, apt install sqlite3)';
+let sqliteAvailable = false;
+
+/**
+ * Check that the sqlite3 command line tool can be run, before anything is
+ * listed or written
+ * @throws {Error} If sqlite3 is not installed
+ */
+function assertSqliteAvailable() {
+  if (sqliteAvailable) return;
+  const result = spawnSync('sqlite3', ['-version'], { encoding: 'utf8' });
+  if (result.error || result.status !== 0) throw new Error(SQLITE_MISSING);
+  sqliteAvailable = true;
+}
+
+/**
+ * Writer for the text formats (csv, tsv, jsonl, columnar) on an fs write stream
+ */
+async function createFileWriter({ file, format, columns, definitions, append }) {
+  const stream = fs.createWriteStream(file, { flags: append ? 'a' : 'w' });
+  let written = append ? fs.statSync(file).size : 0;
+  let failure = null;
+  stream.on('error', (err) => { failure = err; });
+
+  const write = (chunk, onWritten) => new Promise((resolve, reject) => {
+    if (failure) return reject(failure);
+    stream.write(chunk, (err) => {
+      if (err) return reject(err);
+      // Callbacks run in write order: account for the chunk before any later one
+      written += Buffer.byteLength(chunk);
+      if (onWritten) onWritten();
+      resolve();
+    });
+  });
+
+  const encoders = {
+    csv: rows => rows.map(row => row.map(escapeCsv).join(',') + '\n').join(''),
+    tsv: rows => rows.map(row => row.map(escapeTsv).join('\t') + '\n').join(''),
+    jsonl: rows => rows.map(row => JSON.stringify(Object.fromEntries(columns.map((c, i) => [c, row[i]]))) + '\n').join(''),
+    columnar: rows => JSON.stringify({
+      rows: rows.length,
+      columns: Object.fromEntries(columns.map((c, i) => [c, rows.map(row => row[i])]))
+    }) + '\n'
+  };
+
+  if (!append) {
+    if (format === 'csv') await write(columns.join(',') + '\n');
+    if (format === 'tsv') await write(columns.join('\t') + '\n');
+    if (format === 'columnar') {
+      const schema = columns.map(name => ({ name, type: definitions[name].type }));
+      await write(JSON.stringify({ format: 'columnar', version: 1, columns: schema }) + '\n');
+    }
+  }
+
+  return {
+    encode: encoders[format],
+    write,
+    size: () => written,
+    close: () => new Promise((resolve, reject) => {
+      if (failure) return reject(failure);
+      stream.end(resolve);
+    })
+  };
+}
+
+/**
+ * Writer for sqlite: statements are piped to the sqlite3 CLI and every batch
+ * is acknowledged once committed, so size() only counts stored rows. Values
+ * are not spliced into SQL: a batch is one JSON array, unpacked by json_each,
+ * so every value keeps its JSON type (null, number, string).
+ */
+async function createSqliteWriter({ file, columns, definitions, append }) {
+  assertSqliteAvailable();
+  if (!append) {
+    for (const suffix of ['', '-journal', '-wal', '-shm']) fs.rmSync(`${file}${suffix}`, { force: true });
+  }
+
+  // Own process group: Ctrl+C stops the caller, which then closes the database cleanly
+  const proc = spawn('sqlite3', ['-batch', '-bail', '-noheader', file], { stdio: ['pipe', 'pipe', 'pipe'], detached: true });
+  const pending = [];
+  let stderr = '';
+  let failure = null;
+  let written = 0;
+
+  const fail = (err) => {
+    failure = failure || err;
+    while (pending.length > 0) pending.shift().reject(failure);
+  };
+  proc.on('error', (err) => fail(err.code === 'ENOENT' ? new Error(SQLITE_MISSING) : err));
+  proc.stdin.on('error', fail);
+  proc.stderr.on('data', (data) => { stderr += data; });
+  proc.on('close', (code) => {
+    if (code !== 0 || pending.length > 0) fail(new Error(`sqlite3 exited with code ${code}: ${stderr.trim()}`));
+  });
+  readline.createInterface({ input: proc.stdout }).on('line', (line) => {
+    if (line !== 'ack' || pending.length === 0) return;
+    const { rows, onWritten, resolve } = pending.shift();
+    written += rows;
+    if (onWritten) onWritten();
+    resolve();
+  });
+
+  const write = (sql, onWritten, rows = 0) => new Promise((resolve, reject) => {
+    if (failure) return reject(failure);
+    pending.push({ rows, onWritten, resolve, reject });
+    proc.stdin.write(`${sql}SELECT 'ack';\n`);
+  });
+
+  const typeNames = { string: 'TEXT', integer: 'INTEGER' };
+  const columnDefs = columns.map(c => `"${c}" ${typeNames[definitions[c].type]}`).join(', ');
+  await write(`PRAGMA journal_mode=WAL;\nCREATE TABLE IF NOT EXISTS objects (${columnDefs});\n`);
+  if (append) {
+    const counted = spawnSync('sqlite3', ['-batch', '-noheader', file, 'SELECT COUNT(*) FROM objects;'], { encoding: 'utf8' });
+    written = parseInt(counted.stdout, 10) || 0;
+  }
+
+  // One statement per batch, so a batch is stored completely or not at all. The JSON
+  // text (one line, control characters escaped) is the only literal: quotes doubled.
+  const insert = `INSERT INTO objects (${columns.map(c => `"${c}"`).join(', ')}) `
+    + `SELECT ${columns.map((c, i) => `json_extract(value, '$[${i}]')`).join(', ')} FROM json_each(`;
+  return {
+    encode: rows => rows,
+    write: (rows, onWritten) => write(
+      `${insert}'${JSON.stringify(rows).replace(/'/g, "''")}') ORDER BY key;\n`,
+      onWritten,
+      rows.length
+    ),
+    size: () => written,
+    close: () => new Promise((resolve, reject) => {
+      if (failure) return reject(failure);
+      proc.on('close', () => (failure ? reject(failure) : resolve()));
+      proc.stdin.end();
+    })
+  };
+}
+
+/**
+ * Open an output writer
+ * @param {Object} options
+ * @param {string} options.file - Output file
+ * @param {string} [options.format] - One of OUTPUT_FORMATS, from the extension when omitted
+ * @param {string[]} [options.columns=DEFAULT_COLUMNS] - Columns to write, in order
+ * @param {Object} [options.definitions=OUTPUT_COLUMNS] - Column definitions ({ type, value })
+ * @param {boolean} [options.append=false] - Keep existing content and skip the header
+ * @param {number} [options.rowGroupSize=10000] - Rows buffered per columnar row group;
+ *   0 writes each writeRows call as its own group
+ * @returns {Promise<Object>} Writer: writeRows(objects, onWritten), flush(), size(), close(), format, columns
+ */
+async function createOutputWriter({
+  file,
+  format,
+  columns = DEFAULT_COLUMNS,
+  definitions = OUTPUT_COLUMNS,
+  append = false,
+  rowGroupSize = 10000
+}) {
+  const resolvedFormat = resolveOutputFormat(file, format);
+  const sink = resolvedFormat === 'sqlite'
+    ? await createSqliteWriter({ file, columns, definitions, append })
+    : await createFileWriter({ file, format: resolvedFormat, columns, definitions, append });
+  const buffering = resolvedFormat === 'columnar' && rowGroupSize > 0;
+  let buffered = [];
+  let bufferedCallbacks = [];
+  // Settles after the latest write, so an empty batch is acknowledged in order too
+  let lastWrite = Promise.resolve();
+
+  const send = (rows, onWritten) => {
+    const written = sink.write(sink.encode(rows), onWritten);
+    lastWrite = written.catch(() => {});
+    return written;
+  };
+
+  const toRow = obj => columns.map(c => definitions[c].value(obj));
+
+  const flush = () => {
+    if (buffered.length === 0) return Promise.resolve();
+    const rows = buffered;
+    const callbacks = bufferedCallbacks;
+    buffered = [];
+    bufferedCallbacks = [];
+    return send(rows, () => callbacks.forEach(callback => callback()));
+  };
+
+  return {
+    format: resolvedFormat,
+    columns,
+    /**
+     * Append objects. The promise resolves once they are in the file (buffered
+     * columnar rows: once buffered); onWritten runs synchronously when they land
+     * (with their row group), in call order, so callers can checkpoint size()
+     * together with their own state.
+     */
+    writeRows(objects, onWritten) {
+      if (buffering) {
+        buffered.push(...objects.map(toRow));
+        if (onWritten) bufferedCallbacks.push(onWritten);
+        return buffered.length >= rowGroupSize ? flush() : Promise.resolve();
+      }
+      if (objects.length === 0) {
+        return lastWrite.then(() => { if (onWritten) onWritten(); });
+      }
+      return send(objects.map(toRow), onWritten);
+    },
+    flush,
+    /** Bytes written, or rows stored for sqlite */
+    size: () => sink.size(),
+    async close() {
+      await flush();
+      await sink.close();
+    }
+  };
+}
+
+/**
+ * Cut an output back to a size reported by writer.size(), dropping what was
+ * written after it
+ * @param {string} file - Output file
+ * @param {string} format - Output format
+ * @param {number} size - Bytes, or rows for sqlite
+ */
+function truncateOutput(file, format, size) {
+  if (format !== 'sqlite') {
+    fs.truncateSync(file, size);
+    return;
+  }
+  assertSqliteAvailable();
+  const result = spawnSync('sqlite3', ['-batch', '-bail', file, `DELETE FROM objects WHERE rowid > ${Number(size)};`], { encoding: 'utf8' });
+  if (result.error || result.status !== 0) {
+    throw new Error(`Could not truncate ${file}: ${result.error ? result.error.message : result.stderr.trim()}`);
+  }
+}
+
+function parseCsvRecord(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (line[i + 1] === '"') field += line[++i];
+      else quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  // An open quote means the field continues on the next line
+  if (quoted) return null;
+  fields.push(field);
+  return fields;
+}
+
+function unescapeTsv(value) {
+  const escapes = { t: '\t', n: '\n', r: '\r', '\\': '\\' };
+  return value.replace(/\\([tnr\\])/g, (match, char) => escapes[char]);
+}
+
+// Text fields of csv/tsv rows, typed like the writer's columns (empty is null)
+function typedRow(columns, values) {
+  return Object.fromEntries(columns.map((column, i) => {
+    const value = values[i];
+    if (value === undefined || value === '') return [column, null];
+    return [column, OUTPUT_COLUMNS[column] && OUTPUT_COLUMNS[column].type === 'integer' ? Number(value) : value];
+  }));
+}
+
+async function* readSqliteRows(file) {
+  // sqlite3 would create an empty database
+  if (!fs.existsSync(file)) throw new Error(`${file} does not exist`);
+  assertSqliteAvailable();
+  const info = spawnSync('sqlite3', ['-batch', '-noheader', file, 'PRAGMA table_info(objects);'], { encoding: 'utf8' });
+  if (info.error) throw info.error;
+  const columns = info.stdout.split('\n').filter(Boolean).map(line => line.split('|')[1]);
+  if (info.status !== 0 || columns.length === 0) {
+    throw new Error(`${file} has no objects table${info.stderr ? `: ${info.stderr.trim()}` : ''}`);
+  }
+
+  // One JSON array per row keeps every value on one line
+  const select = `SELECT json_array(${columns.map(c => `"${c}"`).join(', ')}) FROM objects ORDER BY rowid;`;
+  const proc = spawn('sqlite3', ['-batch', '-noheader', file, select], { stdio: ['ignore', 'pipe', 'pipe'] });
+  let stderr = '';
+  proc.stderr.on('data', (data) => { stderr += data; });
+  const closed = new Promise(resolve => proc.on('close', resolve));
+  for await (const line of readline.createInterface({ input: proc.stdout, crlfDelay: Infinity })) {
+    if (!line) continue;
+    const values = JSON.parse(line);
+    yield Object.fromEntries(columns.map((c, i) => [c, values[i]]));
+  }
+  const code = await closed;
+  if (code !== 0) throw new Error(`sqlite3 exited with code ${code}: ${stderr.trim()}`);
+}
+
+/**
+ * Read an output back, one object per row keyed by column name, in file order.
+ * Integer columns are numbers and missing values null, whatever the format.
+ * @param {string} file - Output file
+ * @param {string} [format] - One of OUTPUT_FORMATS, from the extension when omitted
+ * @returns {AsyncGenerator<Object>} Rows, e.g. {FilePath, ContentLength, LastModified}
+ */
+async function* readOutputRows(file, format) {
+  const resolvedFormat = resolveOutputFormat(file, format);
+  if (resolvedFormat === 'sqlite') {
+    yield* readSqliteRows(file);
+    return;
+  }
+
+  let columns = null;
+  let pending = null;
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (resolvedFormat === 'csv') {
+      // Quoted fields may span lines
+      pending = pending === null ? line : `${pending}\n${line}`;
+      const fields = parseCsvRecord(pending);
+      if (!fields) continue;
+      pending = null;
+      if (!columns) columns = fields;
+      else if (line || fields.length > 1) yield typedRow(columns, fields);
+    } else if (!line) {
+      continue;
+    } else if (resolvedFormat === 'tsv') {
+      const fields = line.split('\t').map(unescapeTsv);
+      if (!columns) columns = fields;
+      else yield typedRow(columns, fields);
+    } else if (resolvedFormat === 'jsonl') {
+      yield JSON.parse(line);
+    } else {
+      const record = JSON.parse(line);
+      if (!columns) {
+        columns = record.columns.map(column => column.name);
+        continue;
+      }
+      for (let i = 0; i < record.rows; i++) {
+        yield Object.fromEntries(columns.map(c => [c, record.columns[c][i]]));
+      }
+    }
+  }
+  if (pending !== null) throw new Error(`${file} ends inside a quoted field`);
+}
+
+module.exports = {
+  OUTPUT_COLUMNS,
+  OUTPUT_FORMATS,
+  DEFAULT_COLUMNS,
+  FORMAT_EXTENSIONS,
+  resolveOutputFormat,
+  parseColumns,
+  createOutputWriter,
+  truncateOutput,
+  readOutputRows,
+  assertSqliteAvailable
+};
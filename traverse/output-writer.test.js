@@ -0,0 +1,284 @@
+/**
+ * Tests for the shared output writer
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  resolveOutputFormat,
+  parseColumns,
+  createOutputWriter,
+  truncateOutput,
+  readOutputRows,
+  assertSqliteAvailable
+} = require('./output-writer.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+// Objects shaped like ListObjectsV2 entries
+const objects = [
+  { Key: 'org/a.html', Size: 10, LastModified: new Date('2024-01-01T00:00:00Z'), ETag: '"abc"', StorageClass: 'STANDARD' },
+  { Key: 'org/b,"c".html', Size: 20, LastModified: new Date('2024-01-02T00:00:00Z'), ETag: '"def"' },
+  { Key: 'org/tab\there.html', Size: 30 }
+];
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-writer-test-'));
+
+async function writeAll(file, options, batches) {
+  const writer = await createOutputWriter({ file, ...options });
+  for (const batch of batches) await writer.writeRows(batch);
+  await writer.close();
+  return fs.readFileSync(file, 'utf8');
+}
+
+async function run() {
+  // ==================== OPTIONS ====================
+
+  section('1. Format and Column Option Tests');
+
+  assert(resolveOutputFormat('files.csv') === 'csv', '.csv is csv');
+  assert(resolveOutputFormat('files.jsonl') === 'jsonl', '.jsonl is jsonl');
+  assert(resolveOutputFormat('files.columnar.jsonl') === 'columnar', '.columnar.jsonl is columnar');
+  assert(resolveOutputFormat('files.db') === 'sqlite', '.db is sqlite');
+  assert(resolveOutputFormat('files.txt') === 'csv', 'Unknown extension falls back to csv');
+  assert(resolveOutputFormat('files.csv', 'TSV') === 'tsv', 'Explicit format wins, case-insensitively');
+  let thrown = null;
+  try { resolveOutputFormat('files.csv', 'xml'); } catch (error) { thrown = error; }
+  assert(thrown && /Unknown output format/.test(thrown.message), 'Unknown format is rejected');
+
+  assertDeepEqual(parseColumns(), ['FilePath', 'ContentLength', 'LastModified', 'ETag'], 'Default columns include the ETag');
+  assertDeepEqual(parseColumns('filepath, etag,StorageClass'), ['FilePath', 'ETag', 'StorageClass'],
+    'Columns are matched case-insensitively and trimmed');
+  thrown = null;
+  try { parseColumns('FilePath,Owner'); } catch (error) { thrown = error; }
+  assert(thrown && /Unknown column "Owner"/.test(thrown.message), 'Unknown column is rejected');
+
+  // ==================== TEXT FORMATS ====================
+
+  section('2. Text Format Tests');
+
+  {
+    const csv = await writeAll(path.join(tmpDir, 'out.csv'), {}, [objects]);
+    assertDeepEqual(csv.split('\n'), [
+      'FilePath,ContentLength,LastModified,ETag',
+      'org/a.html,10,2024-01-01T00:00:00.000Z,abc',
+      '"org/b,""c"".html",20,2024-01-02T00:00:00.000Z,def',
+      'org/tab\there.html,30,,',
+      ''
+    ], 'CSV has a header, quotes special keys and leaves missing values empty');
+  }
+
+  {
+    const tsv = await writeAll(path.join(tmpDir, 'out.tsv'), { columns: ['FilePath', 'ETag'] }, [objects]);
+    assertDeepEqual(tsv.split('\n'), [
+      'FilePath\tETag',
+      'org/a.html\tabc',
+      'org/b,"c".html\tdef',
+      'org/tab\\there.html\t',
+      ''
+    ], 'TSV escapes tabs and strips ETag quotes');
+  }
+
+  {
+    const jsonl = await writeAll(path.join(tmpDir, 'out.jsonl'), { columns: ['FilePath', 'StorageClass'] }, [objects]);
+    const rows = jsonl.trim().split('\n').map(line => JSON.parse(line));
+    assertDeepEqual(rows[0], { FilePath: 'org/a.html', StorageClass: 'STANDARD' }, 'JSONL row has the selected columns');
+    assert(rows.length === 3 && rows[2].StorageClass === null, 'JSONL writes missing values as null, no header');
+  }
+
+  {
+    const columnar = await writeAll(path.join(tmpDir, 'out.columnar.jsonl'),
+      { columns: ['FilePath', 'ContentLength'], rowGroupSize: 2 }, [objects.slice(0, 1), objects.slice(1)]);
+    const lines = columnar.trim().split('\n').map(line => JSON.parse(line));
+    assertDeepEqual(lines[0], {
+      format: 'columnar',
+      version: 1,
+      columns: [{ name: 'FilePath', type: 'string' }, { name: 'ContentLength', type: 'integer' }]
+    }, 'Columnar starts with the schema');
+    assertDeepEqual(lines.slice(1).map(group => group.rows), [3], 'Rows are buffered into row groups');
+    assertDeepEqual(lines[1].columns.ContentLength, [10, 20, 30], 'Row groups hold one array per column');
+  }
+
+  // ==================== SIZE AND APPEND ====================
+
+  section('3. Size, Truncate and Append Tests');
+
+  {
+    const file = path.join(tmpDir, 'resume.csv');
+    const writer = await createOutputWriter({ file });
+    const sizes = [];
+    await Promise.all([
+      writer.writeRows(objects.slice(0, 1), () => sizes.push(writer.size())),
+      writer.writeRows(objects.slice(1, 2), () => sizes.push(writer.size())),
+      writer.writeRows([], () => sizes.push(writer.size()))
+    ]);
+    await writer.writeRows(objects.slice(2));
+    await writer.close();
+    assert(sizes[0] < sizes[1], 'onWritten runs in write order with the size so far');
+    assert(writer.size() === fs.statSync(file).size, 'size() matches the file');
+
+    truncateOutput(file, 'csv', sizes[1]);
+    const appender = await createOutputWriter({ file, append: true });
+    assert(appender.size() === sizes[1], 'Appending starts from the existing size');
+    await appender.writeRows(objects.slice(2));
+    await appender.close();
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    assert(lines.length === 4 && lines[0].startsWith('FilePath') && lines[3].startsWith('org/tab'),
+      'Truncate and append leave one header and every row once');
+  }
+
+  // ==================== READING BACK ====================
+
+  section('4. Read Back Tests');
+
+  const expected = [
+    { FilePath: 'org/a.html', ContentLength: 10, ETag: 'abc' },
+    { FilePath: 'org/b,"c".html', ContentLength: 20, ETag: 'def' },
+    { FilePath: 'org/tab\there.html', ContentLength: 30, ETag: null }
+  ];
+  for (const file of ['back.csv', 'back.tsv', 'back.jsonl', 'back.columnar.jsonl']) {
+    const target = path.join(tmpDir, file);
+    await writeAll(target, { columns: ['FilePath', 'ContentLength', 'ETag'] }, [objects.slice(0, 2), objects.slice(2)]);
+    const rows = [];
+    for await (const row of readOutputRows(target)) rows.push(row);
+    assertDeepEqual(rows, expected, `${file} reads back the written rows`);
+  }
+
+  {
+    const file = path.join(tmpDir, 'multiline.csv');
+    fs.writeFileSync(file, 'FilePath,ContentLength\n"org/line\nbreak.html",5\norg/x.html,\n');
+    const rows = [];
+    for await (const row of readOutputRows(file)) rows.push(row);
+    assertDeepEqual(rows, [
+      { FilePath: 'org/line\nbreak.html', ContentLength: 5 },
+      { FilePath: 'org/x.html', ContentLength: null }
+    ], 'CSV quoted fields may span lines');
+  }
+
+  // ==================== SQLITE ====================
+
+  section('5. SQLite Tests');
+
+  {
+    // Without sqlite3 on the PATH the writer fails before writing anything
+    const script = `
+      const { createOutputWriter } = require(${JSON.stringify(path.join(__dirname, 'output-writer.js'))});
+      createOutputWriter({ file: ${JSON.stringify(path.join(tmpDir, 'nobinary.sqlite'))} })
+        .then(() => process.exit(0), (error) => { console.log(error.message); process.exit(1); });`;
+    const result = spawnSync(process.execPath, ['-e', script], { env: { PATH: '' }, encoding: 'utf8' });
+    assert(result.status === 1 && /needs the sqlite3 command line tool/.test(result.stdout),
+      'Missing sqlite3 is reported up front with a clear error');
+    assert(!fs.existsSync(path.join(tmpDir, 'nobinary.sqlite')), 'Nothing is written without sqlite3');
+  }
+
+  let sqlite = true;
+  try {
+    assertSqliteAvailable();
+  } catch (error) {
+    sqlite = false;
+    console.log(`${colors.yellow}-${colors.reset} sqlite3 is not installed, round-trip tests skipped`);
+  }
+
+  if (sqlite) {
+    const file = path.join(tmpDir, 'out.sqlite');
+    const tricky = [
+      ...objects,
+      { Key: "org/it's'); DROP TABLE objects; --.html", Size: 40, ETag: '"ghi"' },
+      { Key: 'org/line\nbreak\r\n.quit\n', Size: 2 ** 40 },
+      { Key: 'org/ünïcødé/😀\\u0000\u0000.html', Size: NaN },
+      { Key: 'org/"double"\\back.html', Size: 0, ETag: "'" }
+    ];
+    const writer = await createOutputWriter({ file, columns: ['FilePath', 'ContentLength', 'ETag'] });
+    await writer.writeRows(tricky.slice(0, 4));
+    const sizeAfterFirst = writer.size();
+    await writer.writeRows([]);
+    await writer.writeRows(tricky.slice(4));
+    await writer.close();
+
+    const readAll = async () => {
+      const rows = [];
+      for await (const row of readOutputRows(file)) rows.push(row);
+      return rows;
+    };
+    const rows = await readAll();
+    assertDeepEqual(rows, tricky.map(obj => ({
+      FilePath: obj.Key,
+      ContentLength: Number.isNaN(obj.Size) ? null : obj.Size,
+      ETag: obj.ETag ? obj.ETag.replace(/"/g, '') : null
+    })), 'SQLite reads back quotes, SQL, newlines, unicode and large integers unchanged');
+    assert(sizeAfterFirst === 4 && writer.size() === tricky.length, 'size() counts stored rows');
+
+    truncateOutput(file, 'sqlite', sizeAfterFirst);
+    const appender = await createOutputWriter({ file, columns: ['FilePath', 'ContentLength', 'ETag'], append: true });
+    assert(appender.size() === 4, 'Appending starts from the stored row count');
+    await appender.writeRows(tricky.slice(4));
+    await appender.close();
+    assertDeepEqual((await readAll()).map(row => row.FilePath), tricky.map(obj => obj.Key),
+      'Truncate and append keep every row once, in order');
+  }
+}
+
+run().then(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
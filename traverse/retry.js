@@ -0,0 +1,209 @@
+/**
+ * Retry with backoff and adaptive concurrency for S3 (R2) requests
+ *
+ * Throttled (429/503 SlowDown) and 5xx responses, as well as dropped
+ * connections, are retried with the server's Retry-After when present and
+ * exponential backoff with jitter otherwise, like config/cloudflare-kv-export.js.
+ * An AdaptiveLimiter caps the requests in flight: it halves the limit when the
+ * server throttles and grows it back by one per window of successful requests.
+ */
+
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND']);
+const RETRYABLE_NAMES = new Set(['RequestTimeout', 'RequestTimeoutException', 'TimeoutError', 'InternalError', 'ServiceUnavailable']);
+const THROTTLING_NAMES = new Set(['SlowDown', 'Throttling', 'ThrottlingException', 'TooManyRequests', 'TooManyRequestsException']);
+
+/**
+ * HTTP status of a failed request, from an SDK error or a plain error with a status
+ * @param {Error} error - Request error
+ * @returns {number|undefined} Status code
+ */
+function getStatusCode(error) {
+  return error.$metadata?.httpStatusCode ?? error.statusCode ?? error.status;
+}
+
+/**
+ * Whether the server asked us to slow down
+ * @param {Error} error - Request error
+ * @returns {boolean} True for 429, 503 and SlowDown-style errors
+ */
+function isThrottlingError(error) {
+  const status = getStatusCode(error);
+  return status === 429 || status === 503 || THROTTLING_NAMES.has(error.name) || THROTTLING_NAMES.has(error.Code);
+}
+
+/**
+ * Whether a failed request may succeed when sent again
+ * @param {Error} error - Request error
+ * @returns {boolean} True for throttling, 5xx and network errors
+ */
+function isRetryableError(error) {
+  if (isThrottlingError(error)) return true;
+  const status = getStatusCode(error);
+  if (status >= 500 && status < 600) return true;
+  return RETRYABLE_CODES.has(error.code) || RETRYABLE_NAMES.has(error.name);
+}
+
+/**
+ * Retry-After of a failed request, in milliseconds
+ * @param {Error} error - Request error
+ * @returns {number|null} Delay asked for by the server, null when absent or unparsable
+ */
+function getRetryAfter(error) {
+  const headers = error.$response?.headers || error.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (!value) return null;
+
+  // Retry-After is either delta-seconds or an HTTP date
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Delay before the next attempt
+ * @param {Error} error - Request error
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} [options]
+ * @param {number} [options.baseDelay=1000] - Backoff of the first retry in ms, doubled for each one
+ * @param {number} [options.maxDelay=30000] - Backoff cap in ms (Retry-After is honoured beyond it)
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(error, attempt, { baseDelay = 1000, maxDelay = 30000 } = {}) {
+  const retryAfter = getRetryAfter(error);
+  if (retryAfter !== null) {
+    return retryAfter + 100; // Small buffer so we don't arrive early
+  }
+  // Backoff: 1s, 2s, 4s, 8s, 16s... capped at 30s, plus up to 1s jitter
+  return Math.min(Math.pow(2, attempt - 1) * baseDelay, maxDelay) + Math.random() * 1000;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Concurrency limiter with additive increase / multiplicative decrease
+ */
+class AdaptiveLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.initial=256] - Starting limit
+   * @param {number} [options.min=4] - Lowest limit throttling can push it to
+   * @param {number} [options.max=500] - Highest limit, e.g. the socket pool size
+   * @param {number} [options.cooldown=1000] - Minimum ms between two decreases, so a burst
+   *   of throttled responses to requests sent at the same time counts once
+   */
+  constructor({ initial = 256, min = 4, max = 500, cooldown = 1000 } = {}) {
+    this.min = min;
+    this.max = max;
+    this.limit = Math.min(Math.max(initial, min), max);
+    this.cooldown = cooldown;
+    this.inFlight = 0;
+    this.successes = 0;
+    this.lastDecrease = 0;
+    this.throttles = 0;
+    this.retries = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Wait for a free slot
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (this.inFlight < this.limit) {
+      this.inFlight++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Free a slot and hand it to the next waiter
+   */
+  release() {
+    this.inFlight--;
+    this.drain();
+  }
+
+  // Start waiters while the limit allows
+  drain() {
+    while (this.waiting.length > 0 && this.inFlight < this.limit) {
+      this.inFlight++;
+      this.waiting.shift()();
+    }
+  }
+
+  /**
+   * Record a successful request; the limit grows by one per `limit` successes
+   */
+  onSuccess() {
+    if (this.limit >= this.max) return;
+    this.successes++;
+    if (this.successes >= this.limit) {
+      this.successes = 0;
+      this.limit++;
+      this.drain();
+    }
+  }
+
+  /**
+   * Record a throttled request and halve the limit
+   */
+  onThrottle() {
+    this.throttles++;
+    this.successes = 0;
+    if (Date.now() - this.lastDecrease < this.cooldown) return;
+    this.lastDecrease = Date.now();
+    this.limit = Math.max(this.min, Math.floor(this.limit / 2));
+  }
+}
+
+/**
+ * Run a request, retrying retryable failures
+ * @param {Function} fn - () => Promise, one attempt
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries=10] - Retries after the first attempt
+ * @param {AdaptiveLimiter} [options.limiter] - Slot is held during an attempt, not while waiting
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before each wait
+ * @param {Function} [options.sleep] - Delay function, replaceable in tests
+ * @param {number} [options.baseDelay] - See getRetryDelay
+ * @param {number} [options.maxDelay] - See getRetryDelay
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function withRetry(fn, { maxRetries = 10, limiter, onRetry, sleep = delay, ...delayOptions } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (limiter) await limiter.acquire();
+    try {
+      const result = await fn();
+      if (limiter) {
+        limiter.release();
+        limiter.onSuccess();
+      }
+      return result;
+    } catch (error) {
+      if (limiter) {
+        // Shrink first so the freed slot only goes to a waiter if the new limit allows
+        if (isThrottlingError(error)) limiter.onThrottle();
+        limiter.release();
+      }
+      if (attempt >= maxRetries || !isRetryableError(error)) throw error;
+
+      const waitTime = getRetryDelay(error, attempt + 1, delayOptions);
+      if (limiter) limiter.retries++;
+      if (onRetry) onRetry(error, attempt + 1, waitTime);
+      await sleep(waitTime);
+    }
+  }
+}
+
+module.exports = {
+  AdaptiveLimiter,
+  withRetry,
+  isRetryableError,
+  isThrottlingError,
+  getRetryAfter,
+  getRetryDelay
+};
@@ -0,0 +1,259 @@
+/**
+ * Tests for retry with backoff and adaptive concurrency
+ */
+
+const {
+  AdaptiveLimiter,
+  withRetry,
+  isRetryableError,
+  isThrottlingError,
+  getRetryAfter,
+  getRetryDelay
+} = require('./retry.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+// Errors shaped like the ones the AWS SDK throws
+function s3Error(status, name = 'Error', headers = {}) {
+  const error = new Error(`${name} (${status})`);
+  error.name = name;
+  error.$metadata = { httpStatusCode: status };
+  error.$response = { headers };
+  return error;
+}
+
+// Records waits instead of sleeping
+function recordingSleep() {
+  const waits = [];
+  const sleep = async (ms) => { waits.push(ms); };
+  return { waits, sleep };
+}
+
+async function run() {
+  // ==================== CLASSIFICATION ====================
+
+  section('1. Error Classification Tests');
+
+  assert(isThrottlingError(s3Error(429)), '429 is throttling');
+  assert(isThrottlingError(s3Error(503, 'SlowDown')), '503 SlowDown is throttling');
+  assert(!isThrottlingError(s3Error(500, 'InternalError')), '500 is not throttling');
+  assert(isRetryableError(s3Error(500, 'InternalError')), '500 is retryable');
+  assert(isRetryableError(s3Error(502)), '502 is retryable');
+  assert(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), 'ECONNRESET is retryable');
+  assert(isRetryableError(Object.assign(new Error('timeout'), { name: 'TimeoutError' })), 'TimeoutError is retryable');
+  assert(!isRetryableError(s3Error(403, 'AccessDenied')), '403 is not retryable');
+  assert(!isRetryableError(s3Error(404, 'NotFound')), '404 is not retryable');
+  assert(!isRetryableError(s3Error(400, 'InvalidArgument')), '400 is not retryable');
+  assert(isRetryableError({ status: 429 }), 'Plain error with status 429 is retryable');
+
+  // ==================== DELAYS ====================
+
+  section('2. Retry Delay Tests');
+
+  assert(getRetryAfter(s3Error(429)) === null, 'No Retry-After header gives null');
+  assert(getRetryAfter(s3Error(429, 'SlowDown', { 'retry-after': '3' })) === 3000, 'Retry-After seconds parsed');
+  const httpDate = new Date(Date.now() + 5000).toUTCString();
+  const fromDate = getRetryAfter(s3Error(429, 'SlowDown', { 'retry-after': httpDate }));
+  assert(fromDate > 3000 && fromDate <= 5000, `Retry-After HTTP date parsed (got ${fromDate})`);
+  assert(getRetryAfter(s3Error(429, 'SlowDown', { 'retry-after': 'soon' })) === null, 'Unparsable Retry-After gives null');
+  const fetchHeaders = { get: (name) => (name === 'retry-after' ? '2' : null) };
+  assert(getRetryAfter({ status: 429, headers: fetchHeaders }) === 2000, 'Fetch-style headers supported');
+
+  assert(getRetryDelay(s3Error(429, 'SlowDown', { 'retry-after': '3' }), 1) === 3100,
+    'Retry-After wins over backoff (plus 100ms buffer)');
+  assert(getRetryDelay(s3Error(429, 'SlowDown', { 'retry-after': '120' }), 1) === 120100,
+    'Retry-After is honoured beyond the backoff cap');
+  const first = getRetryDelay(s3Error(500), 1);
+  const third = getRetryDelay(s3Error(500), 3);
+  const capped = getRetryDelay(s3Error(500), 20);
+  assert(first >= 1000 && first < 2000, `Attempt 1 backs off 1s + jitter (got ${first.toFixed(0)})`);
+  assert(third >= 4000 && third < 5000, `Attempt 3 backs off 4s + jitter (got ${third.toFixed(0)})`);
+  assert(capped >= 30000 && capped < 31000, `Backoff capped at 30s + jitter (got ${capped.toFixed(0)})`);
+
+  // ==================== WITH RETRY ====================
+
+  section('3. withRetry Tests');
+
+  {
+    const { waits, sleep } = recordingSleep();
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw s3Error(503, 'SlowDown', { 'retry-after': '1' });
+      return 'ok';
+    }, { sleep });
+    assert(result === 'ok', 'Succeeds after transient throttling');
+    assert(calls === 3, `Attempted 3 times (got ${calls})`);
+    assertDeepEqual(waits, [1100, 1100], 'Waited Retry-After between attempts');
+  }
+
+  {
+    const { waits, sleep } = recordingSleep();
+    let calls = 0;
+    let thrown = null;
+    try {
+      await withRetry(async () => {
+        calls++;
+        throw s3Error(403, 'AccessDenied');
+      }, { sleep });
+    } catch (error) {
+      thrown = error;
+    }
+    assert(thrown && thrown.name === 'AccessDenied', 'Non-retryable error is thrown');
+    assert(calls === 1 && waits.length === 0, 'Non-retryable error is not retried');
+  }
+
+  {
+    const { waits, sleep } = recordingSleep();
+    const retries = [];
+    let calls = 0;
+    let thrown = null;
+    try {
+      await withRetry(async () => {
+        calls++;
+        throw s3Error(500, 'InternalError');
+      }, { sleep, maxRetries: 3, onRetry: (error, attempt) => retries.push(attempt) });
+    } catch (error) {
+      thrown = error;
+    }
+    assert(thrown && thrown.name === 'InternalError', 'Last error is thrown when retries run out');
+    assert(calls === 4, `maxRetries 3 means 4 attempts (got ${calls})`);
+    assertDeepEqual(retries, [1, 2, 3], 'onRetry called with the retry number');
+    assert(waits.length === 3 && waits[0] < waits[2], 'Backoff grows between retries');
+  }
+
+  // ==================== ADAPTIVE LIMITER ====================
+
+  section('4. AdaptiveLimiter Tests');
+
+  {
+    const limiter = new AdaptiveLimiter({ initial: 2, min: 1, max: 4 });
+    await limiter.acquire();
+    await limiter.acquire();
+    let third = false;
+    const pending = limiter.acquire().then(() => { third = true; });
+    await Promise.resolve();
+    assert(!third && limiter.inFlight === 2, 'Third request waits at limit 2');
+    limiter.release();
+    await pending;
+    assert(third && limiter.inFlight === 2, 'Released slot goes to the waiter');
+    limiter.release();
+    limiter.release();
+    assert(limiter.inFlight === 0, 'All slots released');
+  }
+
+  {
+    const limiter = new AdaptiveLimiter({ initial: 16, min: 2, max: 32, cooldown: 0 });
+    limiter.onThrottle();
+    assert(limiter.limit === 8, `Throttle halves the limit (got ${limiter.limit})`);
+    limiter.onThrottle();
+    limiter.onThrottle();
+    limiter.onThrottle();
+    assert(limiter.limit === 2, `Limit never drops below min (got ${limiter.limit})`);
+    for (let i = 0; i < 2; i++) limiter.onSuccess();
+    assert(limiter.limit === 3, `Limit grows by one after a window of successes (got ${limiter.limit})`);
+    for (let i = 0; i < 2; i++) limiter.onSuccess();
+    assert(limiter.limit === 3, 'Next increase needs a full window at the new limit');
+    limiter.onSuccess();
+    assert(limiter.limit === 4, `Limit grows again after 3 more successes (got ${limiter.limit})`);
+  }
+
+  {
+    const limiter = new AdaptiveLimiter({ initial: 16, min: 1, max: 16, cooldown: 60000 });
+    limiter.onThrottle();
+    limiter.onThrottle();
+    limiter.onThrottle();
+    assert(limiter.limit === 8, `Burst of throttles within the cooldown halves once (got ${limiter.limit})`);
+    assert(limiter.throttles === 3, 'Every throttle is counted');
+    const capped = new AdaptiveLimiter({ initial: 4, max: 4 });
+    for (let i = 0; i < 100; i++) capped.onSuccess();
+    assert(capped.limit === 4, 'Limit never exceeds max');
+  }
+
+  {
+    // Simulated R2: throttles whenever more than 4 requests are in flight
+    const limiter = new AdaptiveLimiter({ initial: 32, min: 1, max: 32, cooldown: 0 });
+    const { sleep } = recordingSleep();
+    let inFlight = 0;
+    let maxInFlight = 0;
+    let throttled = 0;
+    const request = async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      if (inFlight >= 4) {
+        throttled++;
+        throw s3Error(429, 'TooManyRequests');
+      }
+      return true;
+    };
+    const results = await Promise.all(Array.from({ length: 200 }, () => withRetry(request, { limiter, sleep })));
+    assert(results.every(Boolean), 'All requests eventually succeed under throttling');
+    assert(throttled > 0, `Server throttled some requests (${throttled})`);
+    assert(limiter.limit < 32, `Limiter backed off (limit ${limiter.limit})`);
+    assert(limiter.retries === throttled, 'Limiter counts retries');
+    assert(limiter.inFlight === 0 && limiter.waiting.length === 0, 'No slot leaked');
+  }
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
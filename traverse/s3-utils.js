@@ -7,7 +7,33 @@ const { NodeHttpHandler } = require('@smithy/node-http-handler');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const { generateShardPrefixes, generateHexShardPrefixes, filterObjectsByShard, getShardStats } = require('./sharding.js');
+const {
+  generateShardPrefixes,
+  generateHexShardPrefixes,
+  generateGapShards,
+  filterObjectsByShard,
+  getShardStats,
+  splitShard,
+  compareKeys
+} = require('./sharding.js');
+const { AdaptiveLimiter, withRetry } = require('./retry.js');
+const {
+  OUTPUT_COLUMNS,
+  OUTPUT_FORMATS,
+  DEFAULT_COLUMNS,
+  FORMAT_EXTENSIONS,
+  resolveOutputFormat,
+  parseColumns,
+  createOutputWriter,
+  truncateOutput,
+  readOutputRows,
+  assertSqliteAvailable
+} = require('./output-writer.js');
+
+const MAX_SOCKETS = 500; // Safe limit for macOS (ulimit usually >256)
+
+// One limiter per client, so every tool sharing a client backs off together
+const limiters = new WeakMap();
 
 /**
  * Load environment variables from .dev.vars file
@@ -49,7 +75,8 @@ function loadEnvVars() {
 }
 
 /**
- * Create configured S3 client with optimized settings
+ * Create configured S3 client with optimized settings.
+ * The SDK does not retry on its own: send requests through sendWithRetry.
  * @param {Object} envVars - Environment variables with S3 credentials
  * @returns {S3Client} Configured S3 client
  */
@@ -62,10 +89,10 @@ function createS3Client(envVars) {
     endpoint: envVars.S3_DEF_URL,
     forcePathStyle: true,
     region: 'auto',
-    maxAttempts: 3,
+    maxAttempts: 1,
     requestHandler: new NodeHttpHandler({
     httpsAgent: new https.Agent({
-      maxSockets: 500, // Safe limit for macOS (ulimit usually >256)
+      maxSockets: MAX_SOCKETS,
       keepAlive: true,
       keepAliveMsecs: 1000
     }),
@@ -74,18 +101,50 @@ function createS3Client(envVars) {
   });
 }
 
+/**
+ * Adaptive concurrency limiter shared by all requests sent with a client
+ * @param {S3Client} s3Client - Configured S3 client
+ * @returns {AdaptiveLimiter} Limiter, created on first use
+ */
+function getLimiter(s3Client) {
+  if (!limiters.has(s3Client)) {
+    limiters.set(s3Client, new AdaptiveLimiter({ initial: MAX_SOCKETS, max: MAX_SOCKETS }));
+  }
+  return limiters.get(s3Client);
+}
+
+/**
+ * Send a command, retrying throttled (429/503), 5xx and network failures with
+ * Retry-After or exponential backoff. In-flight requests are capped by the
+ * client's adaptive limiter, which halves while R2 throttles.
+ * @param {S3Client} s3Client - Configured S3 client
+ * @param {Object} command - SDK command (ListObjectsV2, HeadObject, GetObject...)
+ * @param {Object} [options] - withRetry options, e.g. onRetry or maxRetries
+ * @returns {Promise<Object>} Command output
+ */
+function sendWithRetry(s3Client, command, options = {}) {
+  return withRetry(() => s3Client.send(command), { limiter: getLimiter(s3Client), ...options });
+}
+
 /**
  * List all objects in a shard with pagination
  * @param {S3Client} s3Client - Configured S3 client
  * @param {string} bucket - S3 bucket name
- * @param {Object} shard - Shard configuration
+ * @param {Object} shard - Shard configuration, optionally a key range (startAfter/until)
  * @param {string} basePrefix - Base prefix before sharding
  * @param {Function} onBatch - Callback for each batch of objects
+ * @param {Object} [options] - sendWithRetry options, e.g. onRetry, plus:
+ * @param {number} [options.splitAfterPages] - Split the rest of the shard every N pages
+ * @param {Function} [options.onSplit] - Called with the new sub-shards to list; this call
+ *   keeps listing the first part of the remainder. Splitting is off without it.
  * @returns {Promise<number>} Total objects found
  */
-async function listShardObjects(s3Client, bucket, shard, basePrefix, onBatch) {
+async function listShardObjects(s3Client, bucket, shard, basePrefix, onBatch, options = {}) {
+  const { splitAfterPages, onSplit, ...retryOptions } = options;
   let continuationToken = null;
   let totalCount = 0;
+  let pages = 0;
+  let firstKey = null;
   const shardPrefix = shard.prefix;
   
   do {
@@ -93,14 +152,17 @@ async function listShardObjects(s3Client, bucket, shard, basePrefix, onBatch) {
       Bucket: bucket,
       Prefix: shardPrefix,
       MaxKeys: 1000,
-      ContinuationToken: continuationToken
+      ContinuationToken: continuationToken || undefined,
+      StartAfter: continuationToken ? undefined : shard.startAfter
     });
     
-    const response = await s3Client.send(command);
+    const response = await sendWithRetry(s3Client, command, retryOptions);
+    const contents = response.Contents || [];
+    const lastKey = contents.length > 0 ? contents[contents.length - 1].Key : null;
     
-    if (response.Contents && response.Contents.length > 0) {
+    if (contents.length > 0) {
       // Filter objects for this shard to avoid duplicates
-      const filteredObjects = filterObjectsByShard(response.Contents, shard, basePrefix);
+      const filteredObjects = filterObjectsByShard(contents, shard, basePrefix);
       
       totalCount += filteredObjects.length;
       
@@ -110,7 +172,21 @@ async function listShardObjects(s3Client, bucket, shard, basePrefix, onBatch) {
       }
     }
     
-    continuationToken = response.NextContinuationToken;
+    // A range shard is done once the listing passes its end
+    continuationToken = shard.until && lastKey && compareKeys(lastKey, shard.until) >= 0
+      ? null
+      : response.NextContinuationToken;
+
+    if (!firstKey) firstKey = contents.length > 0 ? contents[0].Key : null;
+    pages++;
+    if (continuationToken && onSplit && splitAfterPages && pages % splitAfterPages === 0) {
+      const [rest, ...subShards] = splitShard(shard, firstKey, lastKey);
+      if (rest) {
+        shard = rest;
+        firstKey = null;
+        onSplit(subShards);
+      }
+    }
     
   } while (continuationToken);
   
@@ -128,7 +204,11 @@ async function listShardObjects(s3Client, bucket, shard, basePrefix, onBatch) {
  * @param {Function} options.processBatch - Function to process a batch of objects (parallel control)
  * @param {Function} options.onProgress - Progress callback
  * @param {Function} options.onShardComplete - Shard completion callback
- * @returns {Promise<Object>} Final statistics
+ * @param {number} [options.splitAfterPages=10] - Split a shard's remaining key range into
+ *   sub-shards every N pages (see splitShard), 0 to disable
+ * @returns {Promise<Object>} Final statistics. A shard whose listing still fails after
+ *   retries is listed in `failedShards` ({shardId, label, objectCount, error}); its
+ *   objects are missing from the totals, so callers must not treat the run as complete.
  */
 async function processShards(options) {
   const {
@@ -139,7 +219,8 @@ async function processShards(options) {
     processObject,
     processBatch,
     onProgress,
-    onShardComplete
+    onShardComplete,
+    splitAfterPages = 10
   } = options;
   
   // Generate shards
@@ -152,6 +233,9 @@ async function processShards(options) {
     totalShards: 0,
     completedShards: 0,
     activeShards: 0,
+    retries: 0,
+    splitShards: 0,
+    failedShards: [],
     startTime: Date.now(),
     lastUpdate: Date.now()
   };
@@ -193,6 +277,14 @@ async function processShards(options) {
             stats.lastUpdate = Date.now();
             onProgress(stats);
           }
+        },
+        {
+          onRetry: () => { stats.retries++; },
+          splitAfterPages,
+          onSplit: (subShards) => {
+            stats.splitShards++;
+            subShards.forEach(schedule);
+          }
         }
       );
       
@@ -215,12 +307,18 @@ async function processShards(options) {
       
     } catch (error) {
       stats.activeShards--;
+      stats.failedShards.push({
+        shardId,
+        label: formatShardLabel(shard),
+        objectCount: shardObjectCount,
+        error: error.message
+      });
       
       if (onShardComplete) {
         onShardComplete({
           shardId,
           shard,
-          objectCount: 0,
+          objectCount: shardObjectCount,
           duration: 0,
           success: false,
           error: error.message
@@ -231,12 +329,16 @@ async function processShards(options) {
     }
   }
   
-  // Process all shards in parallel
-  const shardPromises = shards.map((shard, index) => 
-    processShard(shard, index + 1)
-  );
+  // Process all shards in parallel; splits add sub-shards while others run
+  const shardPromises = [];
+  function schedule(shard) {
+    shardPromises.push(processShard(shard, shardPromises.length + 1));
+  }
+  shards.forEach(schedule);
   
-  await Promise.all(shardPromises);
+  for (let i = 0; i < shardPromises.length; i++) {
+    await shardPromises[i];
+  }
   
   return stats;
 }
@@ -247,6 +349,13 @@ async function processShards(options) {
  * @returns {string} Formatted label
  */
 function formatShardLabel(shard) {
+  if (shard.type === 'gap') {
+    return `(${shard.gapStart ? `${shard.gapStart}*` : shard.prefix}, ${shard.gapEnd || '∞'})`;
+  }
+  if (shard.startAfter || shard.until) {
+    const label = formatShardLabel({ ...shard, startAfter: null, until: null });
+    return `${label} (${shard.startAfter || ''}, ${shard.until || '∞'}]`;
+  }
   if (shard.type === 'catch-all') {
     return `${shard.prefix}[^0-9a-zA-Z]*`;
   } else if (shard.type === 'catch-all-hex') {
@@ -280,6 +389,9 @@ function displayShardInfo(shards) {
   if (shardStats.all > 0) {
     console.log(`  - ${shardStats.all} shard (all files)`);
   }
+  if (shardStats.gap > 0) {
+    console.log(`  - ${shardStats.gap} gap shards (keys between the other shards)`);
+  }
 
   // Show sample of shard prefixes (limit to first 20)
   const prefixSamples = shards.slice(0, 20).map(formatShardLabel);
@@ -289,13 +401,25 @@ function displayShardInfo(shards) {
 module.exports = {
   loadEnvVars,
   createS3Client,
+  sendWithRetry,
   listShardObjects,
   processShards,
   formatShardLabel,
   displayShardInfo,
   generateShardPrefixes,
   generateHexShardPrefixes,
+  generateGapShards,
   filterObjectsByShard,
-  getShardStats
+  getShardStats,
+  OUTPUT_COLUMNS,
+  OUTPUT_FORMATS,
+  DEFAULT_COLUMNS,
+  FORMAT_EXTENSIONS,
+  resolveOutputFormat,
+  parseColumns,
+  createOutputWriter,
+  truncateOutput,
+  readOutputRows,
+  assertSqliteAvailable
 };
 
@@ -0,0 +1,649 @@
+/**
+ * Sharded scan-and-act runner, used by scan.js and the tools built on it
+ * (traverse.js, find/find-hlx-ref.js)
+ *
+ * A scan is a small module that says what to do with each object under a prefix:
+ *
+ *   module.exports = {
+ *     name: 'hlx-refs',
+ *     description: 'One line for scan.js --list',
+ *     options: { hidden: { description: '...', default: 'false' } },  // --set hidden=true
+ *     filter(object, options) {},          // listed object worth a look (default: all)
+ *     fetch: 'head',                       // or 'get'; none by default
+ *     match(object, fetched, context) {},  // predicate after the fetch (default: all)
+ *     transform(object, fetched, context) {}, // row, rows or null (default: the object,
+ *                                          // with ContentType/ContentEncoding of a fetch)
+ *     act(object, fetched, context) {},    // change something; skipped by --dry-run
+ *     columns: { URL: { type: 'string', value: row => row.url } },  // default: OUTPUT_COLUMNS
+ *     defaultColumns: ['FilePath', 'URL'],
+ *     createReporter(saved) {}             // { add(object, rows), toJSON(), summary() }
+ *   };
+ *
+ * `fetched` is { metadata } for a HEAD and { metadata, body } (a Buffer, as
+ * stored) for a GET. `context` holds options, dryRun, bucket, s3Client and
+ * send(command) (sendWithRetry on the scan's client). All hooks may be async.
+ *
+ * Listing works like traverse.js: first-character shards (see scanShards), dynamic
+ * splitting of long shards, retries and a checkpoint of every shard's
+ * continuation token next to the output. A page is filtered, fetched and
+ * matched `concurrency` objects at a time across all shards, acted on, and its
+ * rows are appended with the shared output writer; the checkpoint (including
+ * the reporter's state) moves with the rows, so resume never writes an object
+ * twice. An object whose act() fails is counted as an error and gets no row;
+ * it is kept in the checkpoint and processed again by --resume. At most 8
+ * shards list at the same time, splits queue their sub-shards behind them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ListObjectsV2Command, HeadObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { splitShard, compareKeys } = require('./sharding.js');
+const {
+  generateShardPrefixes,
+  generateHexShardPrefixes,
+  filterObjectsByShard,
+  formatShardLabel,
+  sendWithRetry,
+  OUTPUT_COLUMNS,
+  DEFAULT_COLUMNS,
+  resolveOutputFormat,
+  createOutputWriter,
+  truncateOutput
+} = require('./s3-utils.js');
+
+const SCANS_DIR = path.join(__dirname, 'scans');
+const STATE_VERSION = 4;
+const STATE_SAVE_INTERVAL = 5000;
+const PROGRESS_INTERVAL = 10000;
+const DEFAULT_CONCURRENCY = 50;
+const SHARD_CONCURRENCY = 8;
+// Listing fields kept for objects to process again on resume
+const FAILED_OBJECT_FIELDS = ['Key', 'Size', 'LastModified', 'ETag', 'StorageClass'];
+// Object errors beyond this are counted but not logged
+const MAX_ERROR_SAMPLES = 20;
+
+/**
+ * Names of the scans shipped in scans/
+ * @returns {string[]} Scan names
+ */
+function listScans() {
+  return fs.readdirSync(SCANS_DIR)
+    .filter(name => name.endsWith('.js'))
+    .map(name => name.slice(0, -3))
+    .sort();
+}
+
+/**
+ * Load and check a scan module
+ * @param {string} nameOrPath - Name of a scan in scans/, or a path to a module
+ * @returns {Object} The scan
+ * @throws {Error} If the scan is unknown or malformed
+ */
+function loadScan(nameOrPath) {
+  const isPath = nameOrPath.includes('/') || nameOrPath.endsWith('.js');
+  if (!isPath && !listScans().includes(nameOrPath)) {
+    throw new Error(`Unknown scan "${nameOrPath}" (built-in: ${listScans().join(', ')}, or a path to a module)`);
+  }
+  const scan = require(isPath ? path.resolve(nameOrPath) : path.join(SCANS_DIR, `${nameOrPath}.js`));
+
+  if (!scan || typeof scan.name !== 'string') {
+    throw new Error(`${nameOrPath} does not export a scan (an object with a name)`);
+  }
+  if (scan.fetch !== undefined && !['head', 'get'].includes(scan.fetch)) {
+    throw new Error(`Scan ${scan.name}: fetch must be 'head' or 'get'`);
+  }
+  for (const hook of ['filter', 'match', 'transform', 'act', 'createReporter']) {
+    if (scan[hook] !== undefined && typeof scan[hook] !== 'function') {
+      throw new Error(`Scan ${scan.name}: ${hook} must be a function`);
+    }
+  }
+  return scan;
+}
+
+/**
+ * Resolve scan options from key=value pairs, filling in defaults
+ * @param {Object} scan - Scan module
+ * @param {string[]} [pairs] - e.g. ['hidden=true']
+ * @returns {Object} Options, values are strings
+ * @throws {Error} On an unknown option or a pair without '='
+ */
+function parseScanOptions(scan, pairs = []) {
+  const declared = scan.options || {};
+  const options = Object.fromEntries(Object.entries(declared).map(([key, option]) => [key, option.default ?? null]));
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator < 1) throw new Error(`Scan options are key=value, got "${pair}"`);
+    const key = pair.slice(0, separator);
+    if (!(key in declared)) {
+      const known = Object.keys(declared);
+      throw new Error(`Scan ${scan.name} has no option "${key}"${known.length ? ` (available: ${known.join(', ')})` : ''}`);
+    }
+    options[key] = pair.slice(separator + 1);
+  }
+  return options;
+}
+
+/**
+ * Fetch an object for a scan
+ * @param {S3Client} s3Client - Configured S3 client
+ * @param {string} bucket - S3 bucket name
+ * @param {Object} object - Listed object
+ * @param {string} mode - 'head' or 'get'
+ * @param {Object} [options] - sendWithRetry options
+ * @returns {Promise<{metadata: Object, body?: Buffer}>} HEAD result, or GET result and body
+ */
+async function fetchObject(s3Client, bucket, object, mode, options = {}) {
+  const Command = mode === 'get' ? GetObjectCommand : HeadObjectCommand;
+  const response = await sendWithRetry(s3Client, new Command({ Bucket: bucket, Key: object.Key }), options);
+  if (mode !== 'get') return { metadata: response };
+
+  const { Body, ...metadata } = response;
+  const chunks = [];
+  for await (const chunk of Body) {
+    chunks.push(chunk);
+  }
+  return { metadata, body: Buffer.concat(chunks) };
+}
+
+/**
+ * Root shards of a scan, the same layout as traverse.js
+ * @param {string} prefix - Prefix to scan
+ * @param {Object} [options]
+ * @param {boolean} [options.hex=false] - 256 two-char hex shards, also used for .da-versions prefixes
+ * @param {string[]} [options.hexExtra=[]] - Explicit shards for these first characters (implies hex)
+ * @param {string[]} [options.expandPaths=['.da-versions/']] - Sub-paths listed with hex shards
+ *   instead of the shard of their first character
+ * @returns {Array<Object>} Shard definitions
+ */
+function scanShards(prefix, { hex = false, hexExtra = [], expandPaths = ['.da-versions/'] } = {}) {
+  return hex || hexExtra.length > 0 || prefix.includes('.da-versions')
+    ? generateHexShardPrefixes(prefix, { extraChars: hexExtra })
+    : generateShardPrefixes(prefix, 63, { expandPaths });
+}
+
+// The row of an object when the scan has no transform
+function defaultRow(object, fetched) {
+  if (!fetched) return object;
+  const { ContentType, ContentEncoding } = fetched.metadata;
+  return { ...object, ContentType, ContentEncoding };
+}
+
+// Run at most `max` tasks at a time, in submission order
+function createLimit(max) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+// Counts the rows when a scan brings no reporter of its own
+function createDefaultReporter(saved) {
+  let rows = saved ? saved.rows : 0;
+  return {
+    add(object, objectRows) { rows += objectRows.length; },
+    toJSON: () => ({ rows }),
+    summary: () => []
+  };
+}
+
+/**
+ * Run a scan over every object under a prefix
+ * @param {Object} options
+ * @param {Object} options.scan - Scan module (see loadScan)
+ * @param {Object} [options.options={}] - Scan options (see parseScanOptions)
+ * @param {S3Client} options.s3Client - Configured S3 client
+ * @param {string} options.bucket - S3 bucket name
+ * @param {string} options.prefix - Prefix to scan, without a leading slash
+ * @param {string} options.outputFile - Output file
+ * @param {string} [options.format] - Output format, from the extension when omitted
+ * @param {string[]} [options.columns] - Output columns (default: the scan's defaultColumns)
+ * @param {string} [options.stateFile] - Checkpoint file (default: <outputFile>.state.json)
+ * @param {boolean} [options.resume=false] - Continue the run recorded in the checkpoint
+ * @param {boolean} [options.hex=false] - 256 two-char hex shards, also used for .da-versions prefixes
+ * @param {string[]} [options.hexExtra=[]] - Explicit shards for these first characters (implies hex)
+ * @param {string[]} [options.expandPaths=['.da-versions/']] - Sub-paths listed with hex shards (see scanShards)
+ * @param {number} [options.splitAfterPages=10] - Split a shard's remaining key range every N pages, 0 to disable
+ * @param {number} [options.concurrency=50] - Objects fetched and processed at the same time, across shards
+ * @param {number} [options.shardConcurrency=8] - Shards listed at the same time
+ * @param {boolean} [options.dryRun=false] - Run everything but act()
+ * @param {AbortSignal} [options.signal] - Stop after the current pages and save the checkpoint
+ * @param {Function} [options.log=console.log] - Progress output
+ * @param {Function} [options.logError=console.error] - Error output
+ * @returns {Promise<Object>} { fresh, interrupted, state, totals, resumedTotals, reporter,
+ *   failedShards: [[label, shardState]], stats: { totalShards, completedShards, splitShards, retries, duration } }
+ * @throws {Error} If the checkpoint does not match the run, or the output cannot be written
+ */
+async function runScan({
+  scan,
+  options = {},
+  s3Client,
+  bucket,
+  prefix,
+  outputFile,
+  format,
+  columns,
+  stateFile = `${outputFile}.state.json`,
+  resume = false,
+  hex = false,
+  hexExtra = [],
+  expandPaths = ['.da-versions/'],
+  splitAfterPages = 10,
+  concurrency = DEFAULT_CONCURRENCY,
+  shardConcurrency = SHARD_CONCURRENCY,
+  dryRun = false,
+  signal,
+  log = console.log,
+  logError = console.error
+}) {
+  const definitions = scan.columns || OUTPUT_COLUMNS;
+  const outputFormat = resolveOutputFormat(outputFile, format);
+  const outputColumns = columns || [...(scan.defaultColumns || DEFAULT_COLUMNS)];
+  // ContentType and ContentEncoding need a HEAD per object, listing doesn't return them
+  const headOnly = scan.columns || scan.fetch ? [] : outputColumns.filter(c => ['ContentType', 'ContentEncoding'].includes(c));
+  if (headOnly.length > 0) {
+    throw new Error(`${headOnly.join(', ')} are not returned by listing`);
+  }
+  const shards = scanShards(prefix, { hex, hexExtra, expandPaths });
+  const labels = shards.map(formatShardLabel);
+
+  const stats = { totalShards: 0, completedShards: 0, activeShards: 0, splitShards: 0, retries: 0 };
+  const retryOptions = { onRetry: () => { stats.retries++; } };
+  const context = {
+    options,
+    dryRun,
+    bucket,
+    s3Client,
+    send: command => sendWithRetry(s3Client, command, retryOptions)
+  };
+  const limit = createLimit(concurrency);
+  const shardLimit = createLimit(shardConcurrency);
+  const stopping = () => Boolean(signal && signal.aborted);
+  let errorSamples = 0;
+
+  // --------------------------------------------------------------------------
+  // Checkpoint state
+  // --------------------------------------------------------------------------
+  // state.shards is keyed by shard label: { shard, status, continuationToken, lastKey, keys, error }
+  // where shard is the shard definition, including sub-shards created by splits and
+  // the narrowed range of the shards they were split from. state.outputSize is the
+  // output size (bytes, rows for sqlite) those shard entries account for, state.totals
+  // and state.report the counters and reporter state of the same pages. All are
+  // updated together when a page lands in the output, so a saved state never
+  // claims rows that are not in it. state.failed lists the objects whose
+  // processing failed (listing fields only), retried by the next resume.
+  let state = null;
+  let stateDirty = false;
+  let lastStateSave = 0;
+
+  const saveState = (force = false) => {
+    if (!force && (!stateDirty || Date.now() - lastStateSave < STATE_SAVE_INTERVAL)) return;
+    state.updatedAt = new Date().toISOString();
+    const tmpFile = `${stateFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpFile, stateFile);
+    stateDirty = false;
+    lastStateSave = Date.now();
+  };
+
+  const newShardState = shard => ({ shard, status: 'pending', continuationToken: null, lastKey: null, keys: 0, error: null });
+
+  let saved = null;
+  if (fs.existsSync(stateFile)) {
+    try {
+      saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`could not read checkpoint ${stateFile}: ${error.message}`);
+    }
+  }
+
+  const fresh = !resume;
+  if (fresh) {
+    if (saved && saved.shards && Object.values(saved.shards).some(s => s.status !== 'completed')) {
+      log(`⚠️  ${stateFile} holds an unfinished run; starting over (use --resume to continue it)`);
+      log('');
+    }
+    state = {
+      version: STATE_VERSION,
+      scan: scan.name,
+      options,
+      dryRun,
+      bucket,
+      prefix,
+      outputFile,
+      format: outputFormat,
+      columns: outputColumns,
+      startedAt: new Date().toISOString(),
+      updatedAt: null,
+      outputSize: 0,
+      totals: { listed: 0, candidates: 0, matched: 0, rows: 0, acted: 0, errors: 0 },
+      report: null,
+      failed: [],
+      roots: labels,
+      shards: Object.fromEntries(shards.map((shard, i) => [labels[i], newShardState(shard)]))
+    };
+  } else {
+    if (!saved) {
+      throw new Error(`no checkpoint found at ${stateFile}; run without --resume first`);
+    }
+    if (saved.version !== STATE_VERSION) {
+      throw new Error(`${stateFile} was written by an older version; run without --resume to start over`);
+    }
+    if (saved.scan !== scan.name || JSON.stringify(saved.options) !== JSON.stringify(options) || saved.dryRun !== dryRun) {
+      throw new Error(`${stateFile} belongs to a different scan (${saved.scan}${saved.dryRun ? ', dry run' : ''}, options ${JSON.stringify(saved.options)}); resume with the same scan and options`);
+    }
+    if (saved.bucket !== bucket || saved.prefix !== prefix) {
+      throw new Error(`${stateFile} belongs to ${saved.bucket}/${saved.prefix}, not ${bucket}/${prefix}`);
+    }
+    if (saved.roots.length !== labels.length || labels.some((label, i) => saved.roots[i] !== label)) {
+      throw new Error(`the shard layout differs from ${stateFile}; resume with the same --hex/--hex-extra options`);
+    }
+    if (saved.format !== outputFormat || saved.columns.join(',') !== outputColumns.join(',')) {
+      throw new Error(`${stateFile} was written as ${saved.format} with columns ${saved.columns.join(',')}; resume with the same --format/--columns`);
+    }
+    if (!fs.existsSync(outputFile) || (outputFormat !== 'sqlite' && fs.statSync(outputFile).size < saved.outputSize)) {
+      throw new Error(`${outputFile} is shorter than the checkpoint expects (${saved.outputSize} bytes)`);
+    }
+    state = saved;
+    // Drop rows written after the last checkpoint, they are scanned again
+    truncateOutput(outputFile, state.format, state.outputSize);
+  }
+
+  const reporter = (scan.createReporter || createDefaultReporter)(state.report);
+  const resumedTotals = { ...state.totals };
+
+  // Columnar row groups are written page by page so the checkpoint can follow them
+  const writer = await createOutputWriter({
+    file: outputFile,
+    format: outputFormat,
+    columns: outputColumns,
+    definitions,
+    append: !fresh,
+    rowGroupSize: 0
+  });
+  state.outputSize = writer.size();
+  saveState(true);
+
+  // --------------------------------------------------------------------------
+  // Objects
+  // --------------------------------------------------------------------------
+
+  const reportError = (key, message) => {
+    if (errorSamples++ < MAX_ERROR_SAMPLES) logError(`✗ ${key}: ${message}`);
+    else if (errorSamples === MAX_ERROR_SAMPLES + 1) logError('  (further object errors are counted but not shown)');
+  };
+
+  // filter → fetch → match → transform → act; returns what the page records
+  const processObject = async (object) => {
+    try {
+      const fetched = scan.fetch ? await fetchObject(s3Client, bucket, object, scan.fetch, retryOptions) : null;
+      if (scan.match && !(await scan.match(object, fetched, context))) return { object, matched: false, rows: [] };
+
+      const output = scan.transform ? await scan.transform(object, fetched, context) : defaultRow(object, fetched);
+      const rows = output === null || output === undefined ? [] : [].concat(output);
+      if (scan.act && !dryRun) await scan.act(object, fetched, context);
+      return { object, matched: true, rows };
+    } catch (error) {
+      // Deleted between listing and fetch: nothing to report
+      if (error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return { object, matched: false, rows: [] };
+      }
+      reportError(object.Key, error.message);
+      return { object, matched: false, error: true, rows: [] };
+    }
+  };
+
+  const processPage = async (listed) => {
+    const candidates = scan.filter ? listed.filter(object => scan.filter(object, options)) : listed;
+    const outcomes = await Promise.all(candidates.map(object => limit(() => processObject(object))));
+    return { candidates: candidates.length, outcomes };
+  };
+
+  // Count processed objects in the totals and the reporter, keeping failed ones for a resume
+  const recordOutcomes = (outcomes) => {
+    const { totals } = state;
+    for (const outcome of outcomes) {
+      if (outcome.error) {
+        totals.errors++;
+        const failed = {};
+        for (const field of FAILED_OBJECT_FIELDS) {
+          if (outcome.object[field] !== undefined) failed[field] = outcome.object[field];
+        }
+        state.failed.push(failed);
+      }
+      if (!outcome.matched) continue;
+      totals.matched++;
+      totals.rows += outcome.rows.length;
+      if (scan.act && !dryRun) totals.acted++;
+      reporter.add(outcome.object, outcome.rows);
+    }
+    state.report = reporter.toJSON();
+  };
+
+  // Process the objects that failed in earlier runs again, a page at a time
+  const retryFailed = async () => {
+    let remaining = state.failed.length;
+    while (remaining > 0 && !stopping()) {
+      const batch = state.failed.slice(0, Math.min(remaining, 1000));
+      remaining -= batch.length;
+      const objects = batch.map(object => ({
+        ...object,
+        LastModified: object.LastModified ? new Date(object.LastModified) : undefined
+      }));
+      const outcomes = await Promise.all(objects.map(object => limit(() => processObject(object))));
+
+      await writer.writeRows(outcomes.flatMap(outcome => outcome.rows), () => {
+        // Failing again puts them back at the end of the list
+        state.failed = state.failed.slice(batch.length);
+        state.totals.errors -= batch.length;
+        recordOutcomes(outcomes);
+        state.outputSize = writer.size();
+        stateDirty = true;
+      });
+      saveState();
+    }
+  };
+
+  // --------------------------------------------------------------------------
+  // Shards
+  // --------------------------------------------------------------------------
+
+  // Shards still to list, started as soon as they are added (splits add more)
+  const shardPromises = [];
+  let lastProgress = Date.now();
+
+  const scheduleShard = (shardLabel) => {
+    const shardId = shardPromises.length + 1;
+    shardPromises.push(shardLimit(() => listShard(shardLabel, shardId)));
+  };
+
+  // Split the rest of a shard into sub-shards, checkpoint and start them
+  const splitRemainder = (shardState, firstKey, lastKey) => {
+    const [rest, ...subShards] = splitShard(shardState.shard, firstKey, lastKey);
+    if (!rest) return false;
+
+    shardState.shard = rest;
+    for (const subShard of subShards) {
+      state.shards[formatShardLabel(subShard)] = newShardState(subShard);
+    }
+    stats.splitShards++;
+    stateDirty = true;
+    subShards.forEach(subShard => scheduleShard(formatShardLabel(subShard)));
+    return true;
+  };
+
+  // List and process all keys in a shard with pagination, starting from its checkpoint
+  async function listShard(shardLabel, shardId) {
+    const shardState = state.shards[shardLabel];
+    stats.totalShards++;
+    stats.activeShards++;
+
+    let continuationToken = shardState.continuationToken;
+    // A saved token may have expired; retry once from the last key written instead
+    let fromCheckpoint = !!continuationToken;
+    // Without a token, start after the last key written, or where the range begins
+    let startAfter = continuationToken ? null : (shardState.lastKey || shardState.shard.startAfter);
+    let shardKeyCount = shardState.keys;
+    // Pages and first key since the shard started or was last split
+    let pages = 0;
+    let firstKey = null;
+    const startTime = Date.now();
+    shardState.status = 'running';
+    shardState.error = null;
+
+    try {
+      do {
+        if (stopping()) {
+          stats.activeShards--;
+          return shardKeyCount;
+        }
+
+        const command = new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: shardState.shard.prefix,
+          MaxKeys: 1000,
+          ContinuationToken: continuationToken || undefined,
+          StartAfter: startAfter || undefined
+        });
+
+        let response;
+        try {
+          response = await sendWithRetry(s3Client, command, retryOptions);
+        } catch (error) {
+          if (!fromCheckpoint || !shardState.lastKey) throw error;
+          logError(`  Shard ${shardId} (${shardLabel}): checkpoint token rejected, continuing after ${shardState.lastKey}`);
+          fromCheckpoint = false;
+          continuationToken = null;
+          startAfter = shardState.lastKey;
+          continue;
+        }
+        fromCheckpoint = false;
+        startAfter = null;
+
+        // Filter keys for this shard to avoid duplicates
+        const contents = response.Contents || [];
+        const listed = filterObjectsByShard(contents, shardState.shard, prefix);
+
+        const lastKey = contents.length > 0 ? contents[contents.length - 1].Key : null;
+        const { until } = shardState.shard;
+        // A range shard is done once the listing passes its end
+        continuationToken = until && lastKey && compareKeys(lastKey, until) >= 0
+          ? null
+          : response.NextContinuationToken;
+
+        const page = await processPage(listed);
+
+        // Write the page as one batch; the checkpoint moves with it, page by page
+        await writer.writeRows(page.outcomes.flatMap(outcome => outcome.rows), () => {
+          shardKeyCount += listed.length;
+          state.totals.listed += listed.length;
+          state.totals.candidates += page.candidates;
+          recordOutcomes(page.outcomes);
+          shardState.keys = shardKeyCount;
+          shardState.continuationToken = continuationToken || null;
+          if (lastKey) shardState.lastKey = lastKey;
+          state.outputSize = writer.size();
+          stateDirty = true;
+        });
+
+        if (!firstKey && contents.length > 0) firstKey = contents[0].Key;
+        pages++;
+        if (continuationToken && splitAfterPages && pages % splitAfterPages === 0 && !stopping()) {
+          if (splitRemainder(shardState, firstKey, lastKey)) firstKey = null;
+        }
+        saveState();
+
+        // Progress update every 10 seconds
+        if (Date.now() - lastProgress > PROGRESS_INTERVAL) {
+          const { totals } = state;
+          const elapsed = ((Date.now() - runStart) / 1000).toFixed(1);
+          const matched = scan.fetch || scan.filter || scan.match ? ` | Matched: ${totals.matched}` : '';
+          log(`[${elapsed}s] Shard ${shardId}: ${shardKeyCount} keys | Total: ${totals.listed} keys${matched} | Active: ${stats.activeShards} | Completed: ${stats.completedShards}/${stats.totalShards}`);
+          lastProgress = Date.now();
+        }
+
+      } while (continuationToken || startAfter);
+
+      stats.completedShards++;
+      stats.activeShards--;
+      shardState.status = 'completed';
+      stateDirty = true;
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      log(`✓ Shard ${shardId} (${shardLabel}): ${shardKeyCount} keys in ${duration}s`);
+
+      return shardKeyCount;
+
+    } catch (error) {
+      stats.activeShards--;
+      shardState.status = 'failed';
+      shardState.error = error.message;
+      stateDirty = true;
+      logError(`✗ Shard ${shardId} (${shardLabel}) failed: ${error.message}`);
+      return 0;
+    }
+  }
+
+  // Includes sub-shards split off in an earlier run
+  const allLabels = Object.keys(state.shards);
+  const pending = allLabels.filter(label => state.shards[label].status !== 'completed');
+  stats.completedShards = allLabels.length - pending.length;
+  stats.totalShards = allLabels.length - pending.length;
+
+  if (!fresh) {
+    log(`Resuming: ${stats.completedShards} of ${allLabels.length} shards complete, ${pending.length} to run, ${resumedTotals.listed.toLocaleString()} keys already scanned`);
+    if (state.failed.length > 0) log(`Retrying ${state.failed.length.toLocaleString()} objects that failed before`);
+    log('');
+  }
+
+  const runStart = Date.now();
+  try {
+    await retryFailed();
+    // Process shards concurrently, shardConcurrency at a time; splits queue sub-shards while others run
+    pending.forEach(scheduleShard);
+    for (let i = 0; i < shardPromises.length; i++) {
+      await shardPromises[i];
+    }
+  } finally {
+    // Close the output before the final checkpoint so outputSize matches the file
+    await writer.close();
+    saveState(true);
+  }
+
+  return {
+    fresh,
+    interrupted: stopping(),
+    state,
+    totals: state.totals,
+    resumedTotals,
+    reporter,
+    failedShards: Object.entries(state.shards).filter(([, s]) => s.status !== 'completed'),
+    stats: {
+      totalShards: stats.totalShards,
+      completedShards: stats.completedShards,
+      splitShards: stats.splitShards,
+      retries: stats.retries,
+      duration: (Date.now() - runStart) / 1000
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  listScans,
+  loadScan,
+  scanShards,
+  parseScanOptions,
+  fetchObject,
+  runScan
+};
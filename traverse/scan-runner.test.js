@@ -0,0 +1,363 @@
+/**
+ * Tests for the scan runner, against an in-memory S3 client
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CopyObjectCommand } = require('@aws-sdk/client-s3');
+const { readOutputRows } = require('./output-writer.js');
+const { listScans, loadScan, parseScanOptions, runScan } = require('./scan-runner.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+    assert(false, message);
+  } catch (error) {
+    assert(pattern.test(error.message), message);
+  }
+}
+
+async function assertRejects(promise, pattern, message) {
+  try {
+    await promise;
+    assert(false, message);
+  } catch (error) {
+    assert(pattern.test(error.message), message);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+// ---------------------------------------------------------------------------
+// In-memory S3: ListObjectsV2, HeadObject and GetObject on a key -> object map
+// ---------------------------------------------------------------------------
+
+// Pages of 100 keys so shards page and split with few objects
+function createFakeS3(objects, { delay = 0, pageSize = 100 } = {}) {
+  const keys = Object.keys(objects).sort();
+  const counters = { heads: 0, gets: 0, inFlight: 0, maxInFlight: 0, listsInFlight: 0, maxListsInFlight: 0, commands: [] };
+  const wait = () => new Promise(resolve => setTimeout(resolve, delay));
+
+  const client = {
+    counters,
+    async send(command) {
+      const name = command.constructor.name;
+      const input = command.input;
+      if (name === 'ListObjectsV2Command') {
+        counters.listsInFlight++;
+        counters.maxListsInFlight = Math.max(counters.maxListsInFlight, counters.listsInFlight);
+        await wait();
+        counters.listsInFlight--;
+        const after = input.ContinuationToken || input.StartAfter || '';
+        const matching = keys.filter(key => key.startsWith(input.Prefix) && key > after);
+        const page = matching.slice(0, Math.min(input.MaxKeys || 1000, pageSize));
+        return {
+          Contents: page.map(Key => ({ Key, Size: objects[Key].body.length, LastModified: new Date('2024-01-01T00:00:00Z') })),
+          NextContinuationToken: matching.length > page.length ? page[page.length - 1] : undefined
+        };
+      }
+      if (name === 'HeadObjectCommand' || name === 'GetObjectCommand') {
+        counters[name === 'GetObjectCommand' ? 'gets' : 'heads']++;
+        counters.inFlight++;
+        counters.maxInFlight = Math.max(counters.maxInFlight, counters.inFlight);
+        await wait();
+        counters.inFlight--;
+        const object = objects[input.Key];
+        const metadata = { ContentLength: object.body.length, ContentType: object.type, ContentEncoding: object.encoding };
+        if (name === 'HeadObjectCommand') return metadata;
+        return { ...metadata, Body: [Buffer.from(object.body)] };
+      }
+      counters.commands.push({ name, input });
+      return {};
+    }
+  };
+  return client;
+}
+
+// 2500 documents under org/site/, a tenth gzip-encoded, a seventh referencing .hlx.page,
+// and a version snapshot referencing .hlx.live
+const objects = {};
+for (let i = 0; i < 2500; i++) {
+  const key = `org/site/${'abc'[i % 3]}${String(i).padStart(5, '0')}${i % 2 ? '.html' : '.png'}`;
+  objects[key] = {
+    body: i % 7 === 0 ? `<a href="https://main--site--org.hlx.page/p${i}">x</a>` : 'plain',
+    type: i % 2 ? 'text/html' : 'image/png',
+    encoding: i % 10 === 0 ? 'gzip' : undefined
+  };
+}
+objects['org/site/.da-versions/ab01/old.html'] = { body: 'https://main--site--org.hlx.live/old', type: 'text/html' };
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-runner-test-'));
+const quiet = () => {};
+
+function scanOptions(overrides) {
+  return {
+    s3Client: createFakeS3(objects),
+    bucket: 'test-bucket',
+    prefix: 'org/site/',
+    splitAfterPages: 0,
+    log: quiet,
+    logError: quiet,
+    ...overrides
+  };
+}
+
+async function readRows(file) {
+  const rows = [];
+  for await (const row of readOutputRows(file)) rows.push(row);
+  return rows;
+}
+
+async function run() {
+  // ==================== SCAN MODULES ====================
+
+  section('1. Scan Module Tests');
+
+  assertDeepEqual(listScans(), ['gzip-encoding', 'hlx-refs', 'inventory'], 'Built-in scans are listed by name');
+  assert(loadScan('hlx-refs').fetch === 'get', 'Built-in scans load by name');
+  assertThrows(() => loadScan('nope'), /Unknown scan "nope"/, 'Unknown scan names are rejected');
+
+  const badScan = path.join(tmpDir, 'bad-scan.js');
+  fs.writeFileSync(badScan, "module.exports = { name: 'bad', fetch: 'post' };");
+  assertThrows(() => loadScan(badScan), /fetch must be 'head' or 'get'/, 'Scans loaded by path are checked');
+
+  const hlxRefs = loadScan('hlx-refs');
+  assertDeepEqual(parseScanOptions(hlxRefs), { hidden: 'false' }, 'Scan options default to their declared defaults');
+  assertDeepEqual(parseScanOptions(hlxRefs, ['hidden=true']), { hidden: 'true' }, 'key=value pairs override defaults');
+  assertThrows(() => parseScanOptions(hlxRefs, ['depth=2']), /no option "depth" \(available: hidden\)/, 'Unknown scan options are rejected');
+  assertThrows(() => parseScanOptions(hlxRefs, ['hidden']), /key=value/, 'Pairs without = are rejected');
+
+  // ==================== LISTING ====================
+
+  section('2. Listing Tests');
+
+  {
+    const outputFile = path.join(tmpDir, 'inventory.csv');
+    const result = await runScan(scanOptions({ scan: loadScan('inventory'), outputFile, splitAfterPages: 1 }));
+    const rows = await readRows(outputFile);
+    const keys = rows.map(row => row.FilePath).sort();
+    assertDeepEqual(keys, Object.keys(objects).sort(), 'Inventory writes every key exactly once, across split shards');
+    assert(result.stats.splitShards > 0, 'Long shards are split');
+    assertDeepEqual(result.totals, { listed: 2501, candidates: 2501, matched: 2501, rows: 2501, acted: 0, errors: 0 }, 'Totals count listed, matched and written objects');
+    assertDeepEqual(Object.keys(rows[0]), ['FilePath', 'ContentLength', 'LastModified', 'ETag'], 'Default columns are the writer\'s');
+    assertDeepEqual(result.reporter.toJSON().files, 2501, 'The scan reporter sees every matched object');
+    const state = JSON.parse(fs.readFileSync(`${outputFile}.state.json`, 'utf8'));
+    assert(state.version === 4 && state.scan === 'inventory' && Object.values(state.shards).every(s => s.status === 'completed'),
+      'The checkpoint records the scan and completed shards');
+  }
+
+  await assertRejects(
+    runScan(scanOptions({ scan: loadScan('inventory'), outputFile: path.join(tmpDir, 'types.csv'), columns: ['FilePath', 'ContentType'] })),
+    /ContentType are not returned by listing/,
+    'Metadata columns need a scan that fetches'
+  );
+
+  // ==================== FETCH, MATCH, TRANSFORM ====================
+
+  section('3. Fetch, Match and Transform Tests');
+
+  {
+    const outputFile = path.join(tmpDir, 'gzip.jsonl');
+    const s3Client = createFakeS3(objects);
+    const result = await runScan(scanOptions({ scan: loadScan('gzip-encoding'), options: parseScanOptions(loadScan('gzip-encoding')), s3Client, outputFile }));
+    const rows = await readRows(outputFile);
+    assert(s3Client.counters.heads === 2501, 'A head scan HEADs every candidate');
+    assert(rows.length === 250 && rows.every(row => row.ContentEncoding === 'gzip'), 'Only matching objects are written');
+    assertDeepEqual(Object.keys(rows[0]), ['FilePath', 'ContentLength', 'ContentType', 'ContentEncoding'], 'HEAD metadata fills the scan\'s default columns');
+    assert(result.totals.candidates === 2501 && result.totals.matched === 250, 'Totals count candidates and matches');
+  }
+
+  {
+    const outputFile = path.join(tmpDir, 'refs.tsv');
+    const s3Client = createFakeS3(objects);
+    const scan = loadScan('hlx-refs');
+    const result = await runScan(scanOptions({ scan, options: parseScanOptions(scan), s3Client, outputFile }));
+    const rows = await readRows(outputFile);
+    assert(s3Client.counters.gets === 1250, 'The filter keeps GETs to documents outside .da-versions');
+    assert(fs.readFileSync(outputFile, 'utf8').startsWith('File Path\tType\tURL\n'), 'Custom column definitions name the header');
+    assert(rows.length === 179 && rows.every(row => row.Type === '.hlx.page' && row.URL.startsWith('https://main--site--org.hlx.page/')),
+      'A transform writes one row per reference');
+    assertDeepEqual(result.reporter.toJSON().counts, { html: 1250, json: 0, page: 179, live: 0 }, 'The reporter counts documents and references');
+
+    const hidden = await runScan(scanOptions({ scan, options: parseScanOptions(scan, ['hidden=true']), outputFile: path.join(tmpDir, 'hidden.tsv') }));
+    assert(hidden.totals.rows === 180, 'Scan options reach the filter');
+  }
+
+  {
+    const s3Client = createFakeS3(objects, { delay: 2 });
+    await runScan(scanOptions({ scan: loadScan('gzip-encoding'), options: { encoding: 'gzip' }, s3Client, outputFile: path.join(tmpDir, 'limit.csv'), concurrency: 7 }));
+    assert(s3Client.counters.maxInFlight === 7, 'Concurrency caps fetches across all shards');
+  }
+
+  {
+    const s3Client = createFakeS3(objects, { delay: 2 });
+    const result = await runScan(scanOptions({ scan: loadScan('inventory'), s3Client, outputFile: path.join(tmpDir, 'shards.csv'), splitAfterPages: 1 }));
+    assert(s3Client.counters.maxListsInFlight === 8, 'At most 8 shards list at the same time');
+    assert(result.failedShards.length === 0 && result.totals.listed === 2501, 'Queued shards and split sub-shards all complete');
+
+    const narrow = createFakeS3(objects, { delay: 2 });
+    await runScan(scanOptions({ scan: loadScan('inventory'), s3Client: narrow, outputFile: path.join(tmpDir, 'shards3.csv'), shardConcurrency: 3 }));
+    assert(narrow.counters.maxListsInFlight === 3, 'shardConcurrency sets the shard limit');
+  }
+
+  // ==================== ACT ====================
+
+  section('4. Act and Dry Run Tests');
+
+  const copyScan = {
+    name: 'copy-gzip',
+    fetch: 'head',
+    match: (object, fetched) => fetched.metadata.ContentEncoding === 'gzip',
+    async act(object, fetched, { bucket, send }) {
+      if (object.Key.endsWith('00010.png')) throw new Error('copy refused');
+      await send(new CopyObjectCommand({ Bucket: bucket, Key: `${object.Key}.bak`, CopySource: `${bucket}/${object.Key}` }));
+    }
+  };
+
+  {
+    const s3Client = createFakeS3(objects);
+    const outputFile = path.join(tmpDir, 'dry.csv');
+    const result = await runScan(scanOptions({ scan: copyScan, s3Client, outputFile, dryRun: true }));
+    assert(s3Client.counters.commands.length === 0, 'A dry run does not act');
+    assert(result.totals.rows === 250 && result.totals.acted === 0, 'A dry run still writes what it would act on');
+  }
+
+  {
+    const s3Client = createFakeS3(objects);
+    const outputFile = path.join(tmpDir, 'act.csv');
+    const errors = [];
+    const result = await runScan(scanOptions({ scan: copyScan, s3Client, outputFile, logError: message => errors.push(message) }));
+    const rows = await readRows(outputFile);
+    assert(s3Client.counters.commands.length === 249, 'Act runs for every match');
+    assert(result.totals.acted === 249 && result.totals.errors === 1, 'A failed act counts as an error');
+    assert(rows.length === 249 && !rows.some(row => row.FilePath.endsWith('00010.png')), 'A failed act writes no row');
+    assert(errors.some(message => message.includes('00010.png: copy refused')), 'A failed act is logged with its key');
+
+    const state = JSON.parse(fs.readFileSync(`${outputFile}.state.json`, 'utf8'));
+    assertDeepEqual(state.failed.map(object => object.Key), ['org/site/b00010.png'], 'The failed object is kept in the checkpoint');
+
+    // Resuming the completed run processes the failed object again, and only that one
+    const fixed = { ...copyScan, act: (object, fetched, context) => context.send(new CopyObjectCommand({ Bucket: context.bucket, Key: `${object.Key}.bak` })) };
+    const retried = await runScan(scanOptions({ scan: fixed, s3Client, outputFile, resume: true }));
+    const retriedRows = await readRows(outputFile);
+    assert(s3Client.counters.commands.length === 250, 'Resume retries the failed object without listing again');
+    assert(retried.totals.errors === 0 && retried.totals.acted === 250 && retried.totals.listed === 2501,
+      'Totals move the object from errors to acted');
+    assert(retriedRows.length === 250 && retriedRows.some(row => row.FilePath === 'org/site/b00010.png'), 'The retried object gets its row');
+    assert(JSON.parse(fs.readFileSync(`${outputFile}.state.json`, 'utf8')).failed.length === 0, 'The checkpoint no longer lists it');
+  }
+
+  {
+    const s3Client = createFakeS3(objects);
+    const outputFile = path.join(tmpDir, 'act-again.csv');
+    await runScan(scanOptions({ scan: copyScan, s3Client, outputFile, logError: () => {} }));
+    const again = await runScan(scanOptions({ scan: copyScan, s3Client, outputFile, resume: true, logError: () => {} }));
+    assert(again.totals.errors === 1 && again.totals.acted === 249, 'An object failing again stays counted once');
+    assert(JSON.parse(fs.readFileSync(`${outputFile}.state.json`, 'utf8')).failed.length === 1, 'and stays in the checkpoint');
+  }
+
+  // ==================== RESUME ====================
+
+  section('5. Checkpoint and Resume Tests');
+
+  {
+    const outputFile = path.join(tmpDir, 'resume.csv');
+    const scan = loadScan('inventory');
+    const controller = new AbortController();
+    let seen = 0;
+    // The inventory scan, stopped after a few pages
+    const stopping = {
+      ...scan,
+      transform: (object) => {
+        if (++seen === 300) controller.abort();
+        return object;
+      }
+    };
+    const first = await runScan(scanOptions({ scan: stopping, outputFile, signal: controller.signal }));
+    assert(first.interrupted && first.failedShards.length > 0, 'An aborted run stops with unfinished shards');
+
+    // Rows written after the checkpoint must be dropped on resume
+    fs.appendFileSync(outputFile, 'org/site/stale.html,1,2024-01-01T00:00:00.000Z\n');
+    const resumed = await runScan(scanOptions({ scan, outputFile, resume: true }));
+    const keys = (await readRows(outputFile)).map(row => row.FilePath).sort();
+    assert(!resumed.interrupted && resumed.failedShards.length === 0, 'The resumed run completes');
+    assertDeepEqual(keys, Object.keys(objects).sort(), 'Resuming writes every remaining key once');
+    assert(resumed.totals.listed === 2501 && resumed.resumedTotals.listed === first.totals.listed, 'Totals carry over from the checkpoint');
+    assertDeepEqual(resumed.reporter.toJSON().files, 2501, 'The reporter state carries over from the checkpoint');
+
+    await assertRejects(
+      runScan(scanOptions({ scan: loadScan('gzip-encoding'), options: { encoding: 'gzip' }, outputFile, resume: true })),
+      /belongs to a different scan/,
+      'A checkpoint only resumes the same scan and options'
+    );
+    await assertRejects(
+      runScan(scanOptions({ scan, outputFile: path.join(tmpDir, 'missing.csv'), resume: true })),
+      /no checkpoint found/,
+      'Resuming without a checkpoint is rejected'
+    );
+  }
+}
+
+run().then(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Run a scan over every object under a prefix.
+ *
+ * A scan is a small module (see scan-runner.js) saying which listed objects
+ * to look at, whether to HEAD or GET them, which to keep, the rows to write
+ * and, optionally, what to change. Built-in scans live in scans/, others are
+ * loaded by path. Sharded listing, --hex, checkpoints and --resume,
+ * concurrency, --dry-run and the output formats and columns of the shared
+ * output writer work the same for every scan.
+ *
+ * Usage: node scan.js [OPTIONS] <scan> <prefix>
+ */
+
+const { loadEnvVars, createS3Client, displayShardInfo, OUTPUT_COLUMNS, FORMAT_EXTENSIONS, resolveOutputFormat, parseColumns, assertSqliteAvailable } = require('./s3-utils.js');
+const { DEFAULT_CONCURRENCY, listScans, loadScan, scanShards, parseScanOptions, runScan } = require('./scan-runner.js');
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+
+function showUsage() {
+  console.error('Usage: node scan.js [OPTIONS] <scan> <prefix>');
+  console.error('');
+  console.error('Arguments:');
+  console.error(`  scan                       Built-in scan (${listScans().join(', ')}) or path to a scan module`);
+  console.error('  prefix                     Path prefix to scan (e.g. kptdobe or kptdobe/daplayground)');
+  console.error('');
+  console.error('Options:');
+  console.error('  -o, --output <file>        Output file (default: <scan>.csv, or <scan>.<ext> for --format)');
+  console.error('      --format <format>      csv, tsv, jsonl, columnar or sqlite (default: from the extension)');
+  console.error('      --columns <list>       Comma-separated columns (default: the scan\'s)');
+  console.error('      --set <key=value>      Scan option, repeatable (see --list)');
+  console.error('  -c, --concurrency <n>      Objects fetched and processed at the same time (default: 50)');
+  console.error('      --dry-run              Plan and report without changing anything');
+  console.error('      --hex                  256 two-char hex shards (00-ff), for UUID-keyed paths');
+  console.error('      --hex-extra <chars>    Like --hex plus explicit shards for these first chars (e.g. .,_,-,@)');
+  console.error('      --split-after <n>      Split a shard\'s remaining key range every n pages (default: 10, 0 to disable)');
+  console.error('      --resume               Continue an interrupted run from its checkpoint');
+  console.error('      --state <file>         Checkpoint file (default: <output>.state.json)');
+  console.error('  -b, --bucket <bucket>      S3 bucket name (default: aem-content)');
+  console.error('      --list                 List the built-in scans and their options');
+  console.error('  -h, --help                 Show this help');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node scan.js inventory kptdobe');
+  console.error('  node scan.js -o refs.tsv --set hidden=true hlx-refs cmegroup/www');
+  console.error('  node scan.js --format jsonl gzip-encoding cmegroup');
+  console.error('  node scan.js --resume -o refs.tsv --set hidden=true hlx-refs cmegroup/www');
+  console.error('  node scan.js ./my-scan.js kptdobe');
+}
+
+function showScans() {
+  for (const name of listScans()) {
+    const scan = loadScan(name);
+    console.log(`${name.padEnd(16)} ${scan.description || ''}`);
+    for (const [key, option] of Object.entries(scan.options || {})) {
+      console.log(`  --set ${key}=...`.padEnd(30) + `${option.description}${option.default !== undefined ? ` (default: ${option.default})` : ''}`);
+    }
+    if (scan.columns) console.log(`  columns: ${Object.keys(scan.columns).join(', ')}`);
+  }
+}
+
+let bucket = 'aem-content';
+let outputFile = '';
+let format = '';
+let columnsArg = '';
+let concurrency = DEFAULT_CONCURRENCY;
+let dryRun = false;
+let hex = false;
+let hexExtra = [];
+let splitAfterPages = 10;
+let resume = false;
+let stateFile = '';
+const optionPairs = [];
+const positional = [];
+
+const argv = process.argv.slice(2);
+
+for (let i = 0; i < argv.length; i++) {
+  switch (argv[i]) {
+    case '-o': case '--output':      outputFile = argv[++i]; break;
+    case '--format':                 format = argv[++i]; break;
+    case '--columns':                columnsArg = argv[++i]; break;
+    case '--set':                    optionPairs.push(argv[++i] || ''); break;
+    case '-c': case '--concurrency': concurrency = parseInt(argv[++i], 10); break;
+    case '--dry-run':                dryRun = true; break;
+    case '--hex':                    hex = true; break;
+    case '--hex-extra':              hexExtra = (argv[++i] || '').split(',').filter(Boolean); break;
+    case '--split-after':            splitAfterPages = parseInt(argv[++i], 10); break;
+    case '--resume':                 resume = true; break;
+    case '--state':                  stateFile = argv[++i]; break;
+    case '-b': case '--bucket':      bucket = argv[++i]; break;
+    case '--list':                   showScans(); process.exit(0); break;
+    case '-h': case '--help':        showUsage(); process.exit(0); break;
+    default:
+      if (argv[i].startsWith('-')) {
+        console.error(`Unknown option: ${argv[i]}`);
+        showUsage();
+        process.exit(1);
+      }
+      positional.push(argv[i]);
+  }
+}
+
+if (positional.length !== 2) {
+  console.error('Missing or extra arguments: expected <scan> <prefix>');
+  showUsage();
+  process.exit(1);
+}
+if (!Number.isInteger(concurrency) || concurrency < 1) {
+  console.error('--concurrency must be a positive integer');
+  process.exit(1);
+}
+if (!Number.isInteger(splitAfterPages) || splitAfterPages < 0) {
+  console.error('--split-after must be a number of pages (0 to disable)');
+  process.exit(1);
+}
+
+const prefix = positional[1].replace(/^\/+/, '');
+
+let scan;
+let scanOptions;
+let outputFormat;
+let outputColumns;
+try {
+  scan = loadScan(positional[0]);
+  scanOptions = parseScanOptions(scan, optionPairs);
+  outputFormat = resolveOutputFormat(outputFile || undefined, format || undefined);
+  outputColumns = columnsArg ? parseColumns(columnsArg, scan.columns || OUTPUT_COLUMNS) : null;
+  if (outputFormat === 'sqlite') assertSqliteAvailable();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+if (!outputFile) outputFile = `${scan.name}${FORMAT_EXTENSIONS[outputFormat]}`;
+if (!stateFile) stateFile = `${outputFile}.state.json`;
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  console.log('='.repeat(70));
+  console.log(`S3 Scan: ${scan.name}${dryRun ? ' (dry run)' : ''}`);
+  console.log('='.repeat(70));
+  console.log(`Bucket:  ${bucket}`);
+  console.log(`Prefix:  ${prefix}`);
+  if (Object.keys(scanOptions).length > 0) {
+    console.log(`Options: ${Object.entries(scanOptions).map(([key, value]) => `${key}=${value}`).join(', ')}`);
+  }
+  console.log(`Output:  ${outputFile} (${outputFormat})`);
+  console.log(`State:   ${stateFile}${resume ? ' (resuming)' : ''}`);
+  console.log('');
+
+  displayShardInfo(scanShards(prefix, { hex, hexExtra }));
+  console.log('');
+
+  const s3Client = createS3Client(loadEnvVars());
+
+  // Ctrl+C: let shards finish their current page, then save the checkpoint
+  const controller = new AbortController();
+  process.on('SIGINT', () => {
+    if (controller.signal.aborted) process.exit(130);
+    controller.abort();
+    console.log('\nInterrupted, saving checkpoint (press Ctrl+C again to abort)...');
+  });
+
+  const result = await runScan({
+    scan,
+    options: scanOptions,
+    s3Client,
+    bucket,
+    prefix,
+    outputFile,
+    format: outputFormat,
+    columns: outputColumns,
+    stateFile,
+    resume,
+    hex,
+    hexExtra,
+    splitAfterPages,
+    concurrency,
+    dryRun,
+    signal: controller.signal
+  });
+
+  if (result.interrupted) {
+    console.log(`Checkpoint saved to ${stateFile}`);
+    console.log(`Continue with: node scan.js --resume ${process.argv.slice(2).filter(a => a !== '--resume').join(' ')}`);
+    process.exit(130);
+  }
+
+  const { totals, stats, failedShards } = result;
+  console.log('');
+  console.log('='.repeat(70));
+  console.log('SUMMARY');
+  console.log('='.repeat(70));
+  console.log(`Objects listed: ${totals.listed.toLocaleString()}`);
+  console.log(`Objects checked: ${totals.candidates.toLocaleString()}`);
+  console.log(`Objects matched: ${totals.matched.toLocaleString()}`);
+  if (scan.act) console.log(`Objects changed: ${dryRun ? '0 (dry run)' : totals.acted.toLocaleString()}`);
+  console.log(`Rows written: ${totals.rows.toLocaleString()}`);
+  console.log(`Errors: ${totals.errors.toLocaleString()}`);
+  for (const line of result.reporter.summary()) {
+    console.log(line);
+  }
+  console.log(`Total shards: ${stats.totalShards}`);
+  console.log(`Failed shards: ${failedShards.length}`);
+  console.log(`Split shards: ${stats.splitShards}${splitAfterPages ? '' : ' (splitting disabled)'}`);
+  console.log(`Retried requests: ${stats.retries}`);
+  for (const [label, s] of failedShards) {
+    console.log(`  ${label}: ${s.error}`);
+  }
+  console.log(`Duration: ${stats.duration.toFixed(2)}s`);
+  console.log('');
+  console.log(`Output saved to: ${outputFile}`);
+  console.log('');
+
+  if (failedShards.length > 0) {
+    console.log(`⚠️  ${failedShards.length} shard(s) failed, the output is incomplete.`);
+    console.log('   Re-run the same command with --resume to retry only those shards.');
+    process.exitCode = 1;
+  } else if (totals.errors > 0) {
+    console.log(`⚠️  ${totals.errors} object(s) could not be processed, see the errors above.`);
+    console.log('   Re-run the same command with --resume to retry only those objects.');
+    process.exitCode = 1;
+  } else {
+    console.log('✓ Scan complete!');
+  }
+}
+
+main().catch((err) => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+/**
+ * gzip-encoding: objects stored with Content-Encoding: gzip (one HEAD per object)
+ *
+ * The same check as encoding/find-gzip-files.js, whose list feeds the
+ * re-encoding scripts in encoding/.
+ */
+
+module.exports = {
+  name: 'gzip-encoding',
+  description: 'Objects stored with Content-Encoding: gzip (HEAD per object)',
+  options: {
+    encoding: { description: 'Content-Encoding to look for', default: 'gzip' }
+  },
+  fetch: 'head',
+  defaultColumns: ['FilePath', 'ContentLength', 'ContentType', 'ContentEncoding'],
+
+  match(object, fetched, { options }) {
+    return fetched.metadata.ContentEncoding === options.encoding;
+  },
+
+  createReporter(saved) {
+    const contentTypes = new Map(saved ? Object.entries(saved.contentTypes) : []);
+    return {
+      add(object, rows) {
+        for (const row of rows) {
+          const type = row.ContentType || '(none)';
+          contentTypes.set(type, (contentTypes.get(type) || 0) + 1);
+        }
+      },
+      toJSON: () => ({ contentTypes: Object.fromEntries(contentTypes) }),
+      summary: () => [...contentTypes.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, count]) => `${type}: ${count.toLocaleString()}`)
+    };
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * hlx-refs: HTML and JSON documents referencing .hlx.page or .hlx.live URLs
+ *
+ * Reads every .html/.htm/.json document and writes one row per unique URL,
+ * as find/find-hlx-ref.js does. .da-versions and .trash are skipped unless
+ * hidden=true.
+ */
+
+// Full URLs in href, src and other attributes, including protocol and path
+const URL_PATTERN = /https?:\/\/[^\s"'<>]+\.hlx\.(page|live)[^\s"'<>]*/gi;
+
+function documentType(key) {
+  const lowerKey = key.toLowerCase();
+  if (lowerKey.endsWith('.html') || lowerKey.endsWith('.htm')) return 'html';
+  if (lowerKey.endsWith('.json')) return 'json';
+  return null;
+}
+
+module.exports = {
+  name: 'hlx-refs',
+  description: 'HTML and JSON documents with .hlx.page/.hlx.live URLs (GET per document)',
+  options: {
+    hidden: { description: 'Also read .da-versions and .trash', default: 'false' }
+  },
+  fetch: 'get',
+  // Named as the header of the original find-hlx-ref.js output
+  columns: {
+    'File Path': { type: 'string', value: row => row.key },
+    Type: { type: 'string', value: row => row.type },
+    URL: { type: 'string', value: row => row.url },
+    ContentLength: { type: 'integer', value: row => row.size ?? null }
+  },
+  defaultColumns: ['File Path', 'Type', 'URL'],
+
+  filter(object, options) {
+    if (options.hidden !== 'true' && (object.Key.includes('/.da-versions/') || object.Key.includes('/.trash/'))) {
+      return false;
+    }
+    return documentType(object.Key) !== null;
+  },
+
+  transform(object, fetched) {
+    const urls = [...new Set(fetched.body.toString('utf-8').match(URL_PATTERN) || [])];
+    // .hlx.page first, as find-hlx-ref.js always wrote them
+    const typed = [
+      ...urls.filter(url => url.includes('.hlx.page')).map(url => ({ url, type: '.hlx.page' })),
+      ...urls.filter(url => !url.includes('.hlx.page')).map(url => ({ url, type: '.hlx.live' }))
+    ];
+    return typed.map(({ url, type }) => ({ key: object.Key, type, url, size: fetched.metadata.ContentLength }));
+  },
+
+  createReporter(saved) {
+    const counts = saved ? saved.counts : { html: 0, json: 0, page: 0, live: 0 };
+    // { key, page, live, size } of each document with references
+    const files = saved ? saved.files : [];
+    return {
+      add(object, rows) {
+        counts[documentType(object.Key)]++;
+        if (rows.length === 0) return;
+        const page = rows.filter(row => row.type === '.hlx.page').length;
+        counts.page += page;
+        counts.live += rows.length - page;
+        files.push({ key: object.Key, page, live: rows.length - page, size: rows[0].size });
+      },
+      toJSON: () => ({ counts, files }),
+      summary: () => [
+        `HTML files read: ${counts.html.toLocaleString()}`,
+        `JSON files read: ${counts.json.toLocaleString()}`,
+        `Files with HLX references: ${files.length.toLocaleString()}`,
+        `Total .hlx.page references: ${counts.page.toLocaleString()}`,
+        `Total .hlx.live references: ${counts.live.toLocaleString()}`
+      ]
+    };
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * inventory: every object under the prefix, as listed (what traverse.js writes)
+ */
+
+module.exports = {
+  name: 'inventory',
+  description: 'Every object under the prefix with its listing metadata (traverse.js)',
+
+  createReporter(saved) {
+    let files = saved ? saved.files : 0;
+    let bytes = saved ? saved.bytes : 0;
+    return {
+      add(object) {
+        files++;
+        bytes += object.Size || 0;
+      },
+      toJSON: () => ({ files, bytes }),
+      summary: () => [
+        `Files: ${files.toLocaleString()}`,
+        `Total size: ${bytes.toLocaleString()} bytes`
+      ]
+    };
+  }
+};
@@ -3,7 +3,44 @@
  * 
  * Generates shard prefixes for parallel S3 listing operations.
  * Handles all alphanumeric characters (0-9, a-z, A-Z) and special characters.
+ *
+ * Shards can also be key ranges: `startAfter` (exclusive) and `until` (inclusive)
+ * bound the keys a shard owns under its prefix. splitShard() creates them while a
+ * shard is being listed, so skewed prefixes are parallelized without expandPaths.
+ */
+
+// All characters to shard on — no catch-all, every known char gets its own focused S3 query.
+// Alphanum + special chars observed in real S3 key data.
+const SHARD_CHARS = '0123456789' + 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' + 'abcdefghijklmnopqrstuvwxyz' + `_-.@$%'(,;[~`;
+
+// Split boundaries in S3 listing order
+const BOUNDARY_CHARS = [...SHARD_CHARS].sort();
+
+// Highest code point (F4 8F BF BF in UTF-8): a prefix followed by it sorts after the prefix's keys
+const MAX_KEY_CHAR = '\u{10FFFF}';
+
+/**
+ * Compare two keys in S3 listing order (UTF-8 bytes; differs from JS string
+ * comparison for some non-BMP characters)
+ * @param {string} a - Key
+ * @param {string} b - Key
+ * @returns {number} Negative, zero or positive
  */
+function compareKeys(a, b) {
+  return Buffer.compare(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Whether a key lies inside a shard's key range, if it has one
+ * @param {string} key - The S3 key to check
+ * @param {object} shard - The shard configuration
+ * @returns {boolean} True when the key is after startAfter and not past until
+ */
+function keyInShardRange(key, shard) {
+  if (shard.startAfter && compareKeys(key, shard.startAfter) <= 0) return false;
+  if (shard.until && compareKeys(key, shard.until) > 0) return false;
+  return true;
+}
 
 /**
  * Generate shard prefixes for S3 key distribution
@@ -40,22 +77,13 @@ function generateShardPrefixes(basePrefix, count, { expandPaths = [] } = {}) {
 
   const shards = [];
 
-  // All characters to shard on — no catch-all, every known char gets its own focused S3 query.
-  // Alphanum + special chars observed in real S3 key data.
-  const digits = '0123456789';
-  const lowercase = 'abcdefghijklmnopqrstuvwxyz';
-  const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  const specialChars = `_-.@$%'(,;[~`;
-
-  const allChars = digits + uppercase + lowercase + specialChars;
-
   // Build a set of expanded sub-paths for quick lookup
   const expandSet = new Set((expandPaths || []).map(p => basePrefix + p));
 
   // Generate one shard per character.
   // If a char leads to a known heavy sub-path (e.g. .da-versions/), expand it into
   // 256 hex sub-shards instead — no catch-all full scan needed.
-  for (const char of allChars) {
+  for (const char of SHARD_CHARS) {
     const shardPrefix = basePrefix + char;
 
     const matchingExpandPath = [...expandSet].find(p => p.startsWith(shardPrefix));
@@ -86,6 +114,58 @@ function generateShardPrefixes(basePrefix, count, { expandPaths = [] } = {}) {
   return shards;
 }
 
+/**
+ * Smallest string that sorts after every key starting with a prefix ('org/a' -> 'org/b')
+ * @param {string} prefix - Non-empty prefix
+ * @returns {string} Prefix with its last character incremented
+ */
+function prefixSuccessor(prefix) {
+  const chars = Array.from(prefix);
+  const last = chars.pop();
+  return chars.join('') + String.fromCodePoint(last.codePointAt(0) + 1);
+}
+
+/**
+ * Generate the shards that cover what a set of prefix shards misses.
+ *
+ * Char and hex shards only list keys starting with their prefix, so keys under
+ * basePrefix starting with any other character (e.g. 'ü', '!', a non-hex id, or
+ * '.trash' when '.' is hex-expanded) are never listed. Gap shards are key ranges
+ * of basePrefix between the sorted shard prefixes: each starts after the keys of
+ * one prefix and ends at the next one. A gap with no keys costs one request.
+ *
+ * @param {string} basePrefix - The base S3 prefix the shards divide
+ * @param {Array} shards - Prefix shards under basePrefix (e.g. from generateShardPrefixes)
+ * @returns {Array} Gap shards in key order (type 'gap', with startAfter/until and the
+ *   neighbouring prefixes gapStart/gapEnd whose keys they skip)
+ */
+function generateGapShards(basePrefix, shards) {
+  const sorted = [...new Set(shards.map(shard => shard.prefix))].sort(compareKeys);
+  // Keys of a nested prefix are already covered by the enclosing one
+  const prefixes = sorted.filter(prefix => !sorted.some(other => other !== prefix && prefix.startsWith(other)));
+  if (prefixes.includes(basePrefix)) return [];
+
+  const gaps = [];
+  for (let i = 0; i <= prefixes.length; i++) {
+    const gapStart = prefixes[i - 1] || null;
+    const gapEnd = prefixes[i] || null;
+    // Adjacent prefixes ('org/0', 'org/1') leave nothing in between
+    if (gapStart && gapEnd && prefixSuccessor(gapStart) === gapEnd) continue;
+
+    gaps.push({
+      prefix: basePrefix,
+      type: 'gap',
+      description: `Keys between '${gapStart ? `${gapStart}*` : basePrefix}' and '${gapEnd || 'end'}'`,
+      charRange: null,
+      startAfter: gapStart ? gapStart + MAX_KEY_CHAR : null,
+      until: gapEnd,
+      gapStart,
+      gapEnd
+    });
+  }
+  return gaps;
+}
+
 /**
  * Check if a key should be processed by a specific shard
  * 
@@ -99,12 +179,17 @@ function keyBelongsToShard(key, shard, basePrefix) {
   if (!key.startsWith(basePrefix)) {
     return false;
   }
+
+  // Range shards (from splitShard) only own part of their prefix
+  if (!keyInShardRange(key, shard)) {
+    return false;
+  }
   
   const keyAfterPrefix = key.substring(basePrefix.length);
   
   // Empty key after prefix shouldn't happen but handle it
   if (!keyAfterPrefix) {
-    return shard.type === 'catch-all' || shard.type === 'all';
+    return shard.type === 'catch-all' || shard.type === 'all' || shard.type === 'gap';
   }
   
   const firstChar = keyAfterPrefix[0];
@@ -113,6 +198,11 @@ function keyBelongsToShard(key, shard, basePrefix) {
   if (shard.type === 'all') {
     return true;
   }
+
+  // Gap shards own what their neighbouring prefix shards don't
+  if (shard.type === 'gap') {
+    return !inGapNeighbour(key, shard);
+  }
   
   // Explicit shards (alphanum + _ - .)
   if (shard.type === 'explicit' || shard.type === 'alphanum') {
@@ -171,6 +261,11 @@ function generateHexShardPrefixes(basePrefix, { extraChars = [] } = {}) {
   return shards;
 }
 
+// Whether a key belongs to one of the prefix shards around a gap shard
+function inGapNeighbour(key, shard) {
+  return (shard.gapStart && key.startsWith(shard.gapStart)) || (shard.gapEnd && key.startsWith(shard.gapEnd));
+}
+
 /**
  * Filter S3 objects by shard to avoid duplicates between overlapping prefixes
  *
@@ -184,11 +279,21 @@ function filterObjectsByShard(objects, shard, basePrefix) {
     return [];
   }
 
+  // Range shards: the last page may run past the end of the range
+  if (shard.until) {
+    objects = objects.filter(obj => keyInShardRange(obj.Key, shard));
+  }
+
   // hex shards: S3 prefix is exact 2-char match, no client-side filter needed
   if (shard.type === 'hex') {
     return objects;
   }
 
+  // gap shards: the range ends on (and may start in) a prefix listed by its own shard
+  if (shard.type === 'gap') {
+    return objects.filter(obj => !inGapNeighbour(obj.Key, shard));
+  }
+
   // catch-all for hex mode: keep only objects NOT starting with 2 hex chars
   if (shard.type === 'catch-all-hex') {
     return objects.filter(obj => {
@@ -203,6 +308,54 @@ function filterObjectsByShard(objects, shard, basePrefix) {
   return objects;
 }
 
+/**
+ * Split the unlisted remainder of a shard into key-range sub-shards.
+ *
+ * The split happens at the first character after the common prefix of the keys
+ * listed since the last split (e.g. 'org/drafts/' while paging through its
+ * folders), one boundary per shard character that sorts after the current key:
+ * (lastKey, C+c1], (C+c1, C+c2], ..., (C+cn, until]. Ranges exclude their start
+ * and include their end, so together they cover every remaining key exactly once,
+ * including characters that are not shard characters. When nothing sorts after
+ * the current key at that level, deeper levels of lastKey are tried.
+ *
+ * @param {object} shard - Shard being listed (possibly already a range)
+ * @param {string} firstKey - First key listed since the shard started or last split
+ * @param {string} lastKey - Last key listed; listing continues after it
+ * @returns {Array} Sub-shards in key order; the first one is the remainder of the
+ *   current listing (it continues with its continuation token), the others are new.
+ *   Empty when the remainder cannot be split.
+ */
+function splitShard(shard, firstKey, lastKey) {
+  let level = shard.prefix.length;
+  // Stop at lastKey's last character at the latest, there is always one to split on
+  while (level < firstKey.length && level < lastKey.length - 1 && firstKey[level] === lastKey[level]) {
+    level++;
+  }
+
+  for (; level < lastKey.length; level++) {
+    const base = lastKey.substring(0, level);
+    const current = lastKey[level];
+    const boundaries = BOUNDARY_CHARS
+      .filter(c => c > current)
+      .map(c => base + c)
+      .filter(b => !shard.until || compareKeys(b, shard.until) < 0);
+    if (boundaries.length === 0) continue;
+
+    const starts = [lastKey, ...boundaries];
+    const ends = [...boundaries, shard.until || null];
+    return starts.map((startAfter, i) => ({
+      ...shard,
+      startAfter,
+      until: ends[i],
+      description: `${shard.description} after '${startAfter}'${ends[i] ? ` up to '${ends[i]}'` : ''}`,
+      splitFrom: shard.splitFrom || shard.prefix
+    }));
+  }
+
+  return [];
+}
+
 /**
  * Get statistics about shard distribution
  *
@@ -216,6 +369,7 @@ function getShardStats(shards) {
     alphanum: 0, // Kept for compatibility (includes explicit)
     explicit: 0,
     hex: 0,
+    gap: 0,
     all: 0,
     catchAll: 0, // Alias for backward compat
     characters: []
@@ -233,6 +387,8 @@ function getShardStats(shards) {
       }
     } else if (shard.type === 'hex') {
       stats.hex++;
+    } else if (shard.type === 'gap') {
+      stats.gap++;
     } else if (shard.type === 'all') {
       stats.all++;
     }
@@ -242,8 +398,13 @@ function getShardStats(shards) {
 }
 
 module.exports = {
+  SHARD_CHARS,
+  compareKeys,
+  keyInShardRange,
+  splitShard,
   generateShardPrefixes,
   generateHexShardPrefixes,
+  generateGapShards,
   keyBelongsToShard,
   filterObjectsByShard,
   getShardStats
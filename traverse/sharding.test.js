@@ -5,9 +5,13 @@
 const {
   generateShardPrefixes,
   generateHexShardPrefixes,
+  generateGapShards,
   keyBelongsToShard,
   filterObjectsByShard,
-  getShardStats
+  getShardStats,
+  splitShard,
+  compareKeys,
+  keyInShardRange
 } = require('./sharding.js');
 
 // Color output for test results
@@ -412,6 +416,131 @@ const hexFiltered00 = filterObjectsByShard(s3ResultFor00, hexShard00, hexBase);
 assert(hexFiltered00.length === 1, `Hex filter: shard 00 pass-through keeps 1 object (got ${hexFiltered00.length})`);
 assert(hexFiltered00[0].Key === 'org/.da-versions/00abcdef/file.html', 'Hex filter: shard 00 kept correct key');
 
+// ==================== SHARD SPLITTING ====================
+
+section('12. Shard Splitting Tests');
+
+assert(compareKeys('a', 'b') < 0 && compareKeys('b', 'a') > 0 && compareKeys('a', 'a') === 0,
+  'compareKeys: basic ordering');
+assert(compareKeys('z', 'é') < 0, 'compareKeys: non-ASCII sorts after ASCII');
+assert(compareKeys('\uFFFF', '\u{10000}') < 0 && '\uFFFF' > '\u{10000}',
+  'compareKeys: UTF-8 byte order where JS string order differs');
+
+const splitBase = 'org/';
+const dShard = generateShardPrefixes(splitBase, 63).find(s => s.prefix === 'org/d');
+const splitFirst = 'org/drafts/a/1.html';
+const splitLast = 'org/drafts/m/5.html';
+const ranges = splitShard(dShard, splitFirst, splitLast);
+
+assert(ranges.length > 1, `Split: remainder split into ${ranges.length} ranges`);
+assert(ranges[0].startAfter === splitLast, 'Split: first range continues after the last listed key');
+assert(ranges[0].until === 'org/drafts/n', `Split: first boundary at next char of common prefix (got ${ranges[0].until})`);
+assert(ranges[ranges.length - 1].until === null, 'Split: last range is open-ended like the parent');
+assert(ranges.every((r, i) => i === 0 || r.startAfter === ranges[i - 1].until), 'Split: ranges are contiguous');
+assert(ranges.every(r => r.prefix === dShard.prefix && r.type === dShard.type), 'Split: ranges keep prefix and type');
+assert(ranges.every(r => r.splitFrom === 'org/d'), 'Split: ranges record the shard they came from');
+
+// Every remaining key belongs to exactly one range, already listed keys to none
+const splitKeys = [
+  'org/d', 'org/d/x', 'org/da.html', 'org/drafts/a/1.html', 'org/drafts/m/5.html', 'org/drafts/m/6.html',
+  'org/drafts/m/zz', 'org/drafts/n', 'org/drafts/n/1.html', 'org/drafts/n!', 'org/drafts/o/2.html',
+  'org/drafts/~/x', 'org/drafts/é/x', 'org/drafts/!/x', 'org/drafts/Z/x', 'org/drafts2/x', 'org/dz',
+  'org/d~', 'org/dé'
+];
+let splitCoverageOk = true;
+splitKeys.forEach(key => {
+  const owners = ranges.filter(r => keyBelongsToShard(key, r, splitBase)).length;
+  const expected = compareKeys(key, splitLast) > 0 ? 1 : 0;
+  if (owners !== expected) {
+    splitCoverageOk = false;
+    console.log(`  ${key}: ${owners} owners, expected ${expected}`);
+  }
+});
+assert(splitCoverageOk, 'Split: remaining keys covered exactly once, listed keys not at all');
+
+// Splitting a range again stays inside it
+const middle = ranges[2];
+const subRanges = splitShard(middle, 'org/drafts/o/a.html', 'org/drafts/o/k.html');
+assert(subRanges.length > 1, `Re-split: range split into ${subRanges.length} ranges`);
+assert(subRanges[subRanges.length - 1].until === middle.until, 'Re-split: last sub-range ends where the range ended');
+assert(subRanges.every(r => r.until === null || compareKeys(r.until, middle.until) <= 0),
+  'Re-split: no boundary past the range end');
+
+// Nothing sorts after the current key at any level
+assert(splitShard(dShard, 'org/d~', 'org/d~').length === 0, 'Split: empty when the remainder cannot be split');
+const deeper = splitShard({ ...dShard, until: 'org/dr' }, 'org/dq', 'org/dq');
+assert(deeper.length === 0, 'Split: empty when every boundary is past the range end');
+const nested = splitShard(dShard, 'org/d~/a', 'org/d~/a');
+assert(nested.length > 1 && nested[0].until === 'org/d~/b', 'Split: goes one level deeper when needed');
+
+// Range filtering
+const rangeObjects = ['org/drafts/m/5.html', 'org/drafts/m/9.html', 'org/drafts/n', 'org/drafts/n/1.html']
+  .map(Key => ({ Key }));
+const inFirst = filterObjectsByShard(rangeObjects, ranges[0], splitBase).map(o => o.Key);
+assertDeepEqual(inFirst, ['org/drafts/m/9.html', 'org/drafts/n'], 'Range filter: keeps (startAfter, until]');
+assert(keyInShardRange('anything', dShard), 'Range filter: shards without a range keep everything');
+
+section('13. Gap Shard Tests');
+
+// Keys no char or hex shard lists: unusual first chars, dot folders next to an
+// expanded .da-versions/, non-hex ids, the folder marker itself
+const gapBase = 'org/';
+const gapPrefixShards = generateShardPrefixes(gapBase, 63, { expandPaths: ['.da-versions/'] });
+const gapShards = generateGapShards(gapBase, gapPrefixShards);
+const gapKeys = [
+  'org/', 'org/ site/a.html', 'org/!site/a.html', 'org/#x', 'org/&x', 'org/+plus/a', 'org//double',
+  'org/:x', 'org/=x', 'org/?x', 'org/\\x', 'org/]x', 'org/^x', 'org/`x', 'org/{x', 'org/|x', 'org/}x',
+  'org/é-site/a.html', 'org/ü/a', 'org/中文/a', 'org/😀/a',
+  'org/.trash/en/a.html', 'org/.hidden', 'org/.', 'org/.da', 'org/.da-versions', 'org/.da-versions/',
+  'org/.da-versions/G1/x.html', 'org/.da-versions/0g/x.html', 'org/.da-versions/AB/x.html',
+  'org/.da-versions/-x/y', 'org/.da-versions/0/x', 'org/.da-versions/é/x',
+  'org/.da-versionsX/a', 'org/.db/a'
+];
+const coveredKeys = [
+  'org/a/b.html', 'org/Z/x', 'org/0/x', 'org/~x', 'org/$x', "org/'x", 'org/_x', 'org/-x', 'org/@x',
+  'org/.da-versions/00/x', 'org/.da-versions/0a/x', 'org/.da-versions/ff/x', 'org/.da-versions/9f'
+];
+
+assert(gapShards.length > 0 && gapShards.every(shard => shard.type === 'gap' && shard.prefix === gapBase),
+  `Gap: ${gapShards.length} gap shards under the base prefix`);
+assert(gapShards.length < 60, 'Gap: adjacent prefixes (0-9, a-z, 00-0f) leave no gap');
+assert(gapShards[0].startAfter === null && gapShards[gapShards.length - 1].until === null,
+  'Gap: first gap starts at the base prefix, last one is open-ended');
+
+let gapCoverageOk = true;
+[...gapKeys, ...coveredKeys].forEach(key => {
+  const owners = [...gapPrefixShards, ...gapShards].filter(shard =>
+    (shard.type === 'gap' ? keyBelongsToShard(key, shard, gapBase) : key.startsWith(shard.prefix))).length;
+  if (owners !== 1) {
+    gapCoverageOk = false;
+    console.log(`  ${key}: ${owners} owners`);
+  }
+});
+assert(gapCoverageOk, 'Gap: every key covered exactly once by prefix and gap shards');
+assert(gapKeys.every(key => gapShards.some(shard => keyBelongsToShard(key, shard, gapBase))),
+  'Gap: keys outside the shard characters are owned by a gap shard');
+
+// A gap listing starts inside or ends on a neighbouring prefix, whose keys are dropped
+const dotGap = gapShards.find(shard => shard.gapEnd === 'org/.da-versions/00');
+const dotObjects = ['org/.a', 'org/.da-versions/', 'org/.da-versions/00', 'org/.da-versions/00/x'].map(Key => ({ Key }));
+assertDeepEqual(filterObjectsByShard(dotObjects, dotGap, gapBase).map(o => o.Key), ['org/.a', 'org/.da-versions/'],
+  'Gap filter: drops keys of the next prefix shard');
+const tail = gapShards.find(shard => shard.gapStart === 'org/~');
+assertDeepEqual(filterObjectsByShard([{ Key: 'org/~\u{10FFFF}x' }, { Key: 'org/é' }], tail, gapBase).map(o => o.Key),
+  ['org/é'], 'Gap filter: drops keys of the previous prefix shard');
+assert(compareKeys(tail.startAfter, 'org/~~~~~~') > 0 && compareKeys(tail.startAfter, 'org/é') < 0,
+  'Gap: starts after every key of the previous prefix');
+
+const hexGapBase = 'org/.da-versions/';
+const hexGaps = generateGapShards(hexGapBase, generateHexShardPrefixes(hexGapBase));
+assert(hexGaps.length === 33, `Gap: 33 gaps around the 256 hex shards (got ${hexGaps.length})`);
+assert(['G1/x', 'AB/x', '0/x', '-x', '0g/x', 'é/x'].every(id =>
+  hexGaps.filter(shard => keyBelongsToShard(hexGapBase + id, shard, hexGapBase)).length === 1),
+'Gap: non-hex ids owned by exactly one hex gap');
+assertDeepEqual(generateGapShards(gapBase, generateShardPrefixes(gapBase, 1)), [],
+  'Gap: none when a shard covers the whole prefix');
+assertDeepEqual(getShardStats(gapShards).gap, gapShards.length, 'Gap: counted in shard stats');
+
 // ==================== SUMMARY ====================
 
 console.log(`\n${'='.repeat(70)}`);
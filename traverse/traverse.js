@@ -1,45 +1,86 @@
 #!/usr/bin/env node
 // Efficiently traverse S3 bucket using key sharding and concurrent pagination
-// Usage: node traverse.js <prefix> [output-file] [shard-count]
-// Example: node traverse.js /kptdobe files.csv 16
+// Usage: node traverse.js [--hex] [--split-after=<n>] [--resume] <prefix> [output-file]
+// Example: node traverse.js /kptdobe files.csv
+//
+// Results are written with the shared output writer: CSV by default, or TSV,
+// JSONL, columnar or SQLite (--format, or from the file extension), with the
+// columns chosen by --columns.
+//
+// Progress of every shard (status, continuation token, last key written) is
+// checkpointed to <output-file>.state.json together with the output size it
+// matches. --resume cuts the output back to that size and re-runs only the
+// incomplete or failed shards from their last token, so no key is written twice.
+//
+// A shard that keeps paging (e.g. everything under drafts/) has its remaining key
+// range split into sub-shards every --split-after pages, listed concurrently.
+//
+// This is the `inventory` scan of scan.js (see scan-runner.js) with the
+// original command line.
 
-const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
-const fs = require('fs');
 const {
   loadEnvVars,
   createS3Client,
-  generateShardPrefixes,
-  generateHexShardPrefixes,
-  filterObjectsByShard,
-  listShardObjects,
   displayShardInfo,
-  formatShardLabel
+  OUTPUT_COLUMNS,
+  DEFAULT_COLUMNS,
+  FORMAT_EXTENSIONS,
+  resolveOutputFormat,
+  parseColumns,
+  assertSqliteAvailable
 } = require('./s3-utils.js');
+const { loadScan, scanShards, runScan } = require('./scan-runner.js');
+
+// "329 shards (73 explicit + 256 hex)", from the shards a run lists
+function describeShards(shards) {
+  const counts = {};
+  for (const shard of shards) counts[shard.type] = (counts[shard.type] || 0) + 1;
+  return `${shards.length} shards (${Object.entries(counts).map(([type, n]) => `${n} ${type}`).join(' + ')})`;
+}
 
 // Parse command line arguments
 // --hex-extra=.,_,-,@ adds explicit shards for those characters alongside hex shards
 const hexExtraArg = process.argv.find(a => a.startsWith('--hex-extra='));
 const hexExtraChars = hexExtraArg ? hexExtraArg.split('=')[1].split(',') : [];
-const args = process.argv.slice(2).filter(a => a !== '--hex' && !a.startsWith('--hex-extra'));
+const stateArg = process.argv.find(a => a.startsWith('--state='));
+const splitArg = process.argv.find(a => a.startsWith('--split-after='));
+const formatArg = process.argv.find(a => a.startsWith('--format='));
+const columnsArg = process.argv.find(a => a.startsWith('--columns='));
+const resume = process.argv.includes('--resume');
+const valueOptions = ['--hex-extra=', '--state=', '--split-after=', '--format=', '--columns='];
+const args = process.argv.slice(2).filter(a => !['--hex', '--resume'].includes(a) &&
+  !valueOptions.some(option => a.startsWith(option)));
 const explicitHex = process.argv.includes('--hex') || !!hexExtraArg;
 
 if (args.length < 1) {
-  console.error('Usage: node traverse.js [--hex] <prefix> [output-file]');
+  console.error('Usage: node traverse.js [--hex] [--split-after=<n>] [--resume] <prefix> [output-file]');
   console.error('Example: node traverse.js /kptdobe files.csv');
   console.error('Example: node traverse.js kptdobe/daplayground output.csv');
   console.error('Example: node traverse.js --hex adobecom/.da-versions/ versions.csv');
+  console.error('Example: node traverse.js --resume adobecom adobecom.csv');
+  console.error('Example: node traverse.js --columns=FilePath,ContentLength,ETag adobecom adobecom.jsonl');
   console.error('');
   console.error('Arguments:');
   console.error('  prefix       - Path prefix to traverse (e.g., /kptdobe or kptdobe/subfolder)');
-  console.error('  output-file  - CSV output file (default: files.csv)');
+  console.error('  output-file  - Output file (default: files.csv, or files.<ext> for --format)');
   console.error('');
   console.error('Options:');
   console.error('  --hex                Use 256 two-char hex shards (00-ff). Best for UUID-keyed');
   console.error('                       paths like org/.da-versions/.');
   console.error('  --hex-extra=<chars>  Like --hex plus explicit shards for given first chars.');
   console.error('                       E.g. --hex-extra=.,_,-,@ adds one focused S3 query per char.');
+  console.error('  --resume             Continue an interrupted run: re-run incomplete and failed');
+  console.error('                       shards from their checkpoint and append to output-file.');
+  console.error('  --state=<file>       Checkpoint file (default: <output-file>.state.json)');
+  console.error('  --split-after=<n>    Split a shard\'s remaining key range into sub-shards every');
+  console.error('                       n pages of 1000 keys (default: 10, 0 to disable)');
+  console.error('  --format=<format>    csv, tsv, jsonl, columnar or sqlite (default: from the');
+  console.error('                       output-file extension, else csv)');
+  console.error(`  --columns=<list>     Comma-separated columns (default: ${DEFAULT_COLUMNS.join(',')})`);
+  console.error(`                       Available: ${Object.keys(OUTPUT_COLUMNS).filter(c => !['ContentType', 'ContentEncoding'].includes(c)).join(', ')}`);
   console.error('');
-  console.error('Note: Default uses 66 concurrent shards (1 catch-all + 65 alphanumeric/special)');
+  console.error(`Note: Default uses ${describeShards(scanShards('org/'))}: one per first character, plus`);
+  console.error('      hex shards for .da-versions/. At most 8 shards list at the same time.');
   process.exit(1);
 }
 
@@ -51,98 +92,34 @@ if (prefix.startsWith('/')) {
   prefix = prefix.substring(1);
 }
 
-const outputFile = args[1] || 'files.csv';
-const shardCount = 63; // Used only in non-hex mode
+let outputFormat;
+let outputColumns;
+try {
+  outputFormat = resolveOutputFormat(args[1], formatArg && formatArg.split('=')[1]);
+  outputColumns = parseColumns(columnsArg && columnsArg.split('=')[1]);
+  if (outputFormat === 'sqlite') assertSqliteAvailable();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+// ContentType and ContentEncoding need a HEAD per object, listing doesn't return them
+const headOnly = outputColumns.filter(c => ['ContentType', 'ContentEncoding'].includes(c));
+if (headOnly.length > 0) {
+  console.error(`Error: ${headOnly.join(', ')} are not returned by listing`);
+  process.exit(1);
+}
+const outputFile = args[1] || `files${FORMAT_EXTENSIONS[outputFormat]}`;
+const stateFile = stateArg ? stateArg.split('=')[1] : `${outputFile}.state.json`;
+const splitAfterPages = splitArg ? parseInt(splitArg.split('=')[1], 10) : 10;
+if (!Number.isInteger(splitAfterPages) || splitAfterPages < 0) {
+  console.error('Error: --split-after must be a number of pages (0 to disable)');
+  process.exit(1);
+}
 
 // Auto-detect hex mode: explicit flag, or direct traversal of a .da-versions path.
 // When traversing at org root, generateShardPrefixes auto-expands .da-versions/ with hex shards.
 const useHex = explicitHex || prefix.includes('.da-versions');
 
-// Initialize S3 client
-const envVars = loadEnvVars();
-const s3Client = createS3Client(envVars);
-
-// Statistics
-const stats = {
-  totalKeys: 0,
-  totalShards: 0,
-  completedShards: 0,
-  activeShards: 0,
-  startTime: Date.now(),
-  lastUpdate: Date.now()
-};
-
-// Create output stream
-let outputStream = null;
-
-// List all keys in a shard with pagination
-async function listShard(shard, shardId) {
-  stats.totalShards++;
-  stats.activeShards++;
-  
-  let continuationToken = null;
-  let shardKeyCount = 0;
-  const startTime = Date.now();
-  const shardPrefix = shard.prefix;
-  
-  try {
-    do {
-      const command = new ListObjectsV2Command({
-        Bucket: bucket,
-        Prefix: shardPrefix,
-        MaxKeys: 1000,
-        ContinuationToken: continuationToken
-      });
-      
-      const response = await s3Client.send(command);
-      
-      if (response.Contents && response.Contents.length > 0) {
-        // Filter keys for this shard to avoid duplicates
-        const keysToProcess = filterObjectsByShard(response.Contents, shard, prefix);
-        
-        shardKeyCount += keysToProcess.length;
-        stats.totalKeys += keysToProcess.length;
-        
-        // Write to CSV
-        for (const obj of keysToProcess) {
-          const key = obj.Key || '';
-          const size = obj.Size || 0;
-          const lastModified = obj.LastModified ? obj.LastModified.toISOString() : '';
-          
-          // Escape CSV fields
-          const escapedKey = key.includes(',') || key.includes('"') ? `"${key.replace(/"/g, '""')}"` : key;
-          outputStream.write(`${escapedKey},${size},${lastModified}\n`);
-        }
-      }
-      
-      continuationToken = response.NextContinuationToken;
-      
-      // Progress update every 10 seconds
-      if (Date.now() - stats.lastUpdate > 10000) {
-        const elapsed = ((Date.now() - stats.startTime) / 1000).toFixed(1);
-        console.log(`[${elapsed}s] Shard ${shardId}: ${shardKeyCount} keys | Total: ${stats.totalKeys} keys | Active: ${stats.activeShards} | Completed: ${stats.completedShards}/${stats.totalShards}`);
-        stats.lastUpdate = Date.now();
-      }
-      
-    } while (continuationToken);
-    
-    stats.completedShards++;
-    stats.activeShards--;
-    
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    const shardLabel = formatShardLabel(shard);
-    console.log(`✓ Shard ${shardId} (${shardLabel}): ${shardKeyCount} keys in ${duration}s`);
-    
-    return shardKeyCount;
-    
-  } catch (error) {
-    stats.activeShards--;
-    const shardLabel = formatShardLabel(shard);
-    console.error(`✗ Shard ${shardId} (${shardLabel}) failed: ${error.message}`);
-    return 0;
-  }
-}
-
 // Main function
 async function main() {
   console.log('='.repeat(70));
@@ -151,67 +128,88 @@ async function main() {
   console.log(`Bucket: ${bucket}`);
   console.log(`Prefix: ${prefix}`);
   console.log(`Output: ${outputFile}`);
-  const hexExtra = hexExtraChars.length ? ` + explicit: ${hexExtraChars.join(',')}` : '';
+  console.log(`Format: ${outputFormat} (${outputColumns.join(', ')})`);
+  console.log(`State:  ${stateFile}${resume ? ' (resuming)' : ''}`);
+  const hexExtra = hexExtraChars.length ? `, explicit: ${hexExtraChars.join(',')}` : '';
   const hexReason = useHex && !explicitHex ? ' [auto: .da-versions]' : '';
+  const shards = scanShards(prefix, { hex: explicitHex, hexExtra: hexExtraChars });
   const modeLabel = useHex
-    ? `hex (256 two-char shards, 00-ff${hexExtra})${hexReason}`
-    : '66 concurrent shards + .da-versions auto-expanded to hex';
+    ? `hex, ${describeShards(shards)}${hexExtra}${hexReason}`
+    : `${describeShards(shards)}, .da-versions auto-expanded to hex`;
   console.log(`Mode:   ${modeLabel}`);
   console.log('');
   
-  // Create output stream with CSV header
-  outputStream = fs.createWriteStream(outputFile);
-  outputStream.write('FilePath,ContentLength,LastModified\n');
-  
-  outputStream.on('error', (err) => {
-    console.error(`Error writing to ${outputFile}:`, err.message);
-  });
-  
   try {
-    // Generate shard prefixes
-    const shards = useHex
-      ? generateHexShardPrefixes(prefix, { extraChars: hexExtraChars })
-      : generateShardPrefixes(prefix, shardCount, { expandPaths: ['.da-versions/'] });
     displayShardInfo(shards);
-    
     console.log('');
+
     console.log('Starting traversal...');
     console.log('');
-    
-    stats.startTime = Date.now();
-    stats.lastUpdate = Date.now();
-    
-    // Process all shards concurrently
-    const shardPromises = shards.map((shard, index) => 
-      listShard(shard, index + 1)
-    );
-    
-    const results = await Promise.all(shardPromises);
-    
-    // Close output stream
-    outputStream.end();
+
+    // Ctrl+C: let shards finish their current page, then save the checkpoint
+    const controller = new AbortController();
+    process.on('SIGINT', () => {
+      if (controller.signal.aborted) process.exit(130);
+      controller.abort();
+      console.log('\nInterrupted, saving checkpoint (press Ctrl+C again to abort)...');
+    });
+
+    const result = await runScan({
+      scan: loadScan('inventory'),
+      s3Client: createS3Client(loadEnvVars()),
+      bucket,
+      prefix,
+      outputFile,
+      format: outputFormat,
+      columns: outputColumns,
+      stateFile,
+      resume,
+      hex: explicitHex,
+      hexExtra: hexExtraChars,
+      splitAfterPages,
+      signal: controller.signal
+    });
+
+    if (result.interrupted) {
+      console.log(`Checkpoint saved to ${stateFile}`);
+      console.log(`Continue with: node traverse.js --resume ${process.argv.slice(2).filter(a => a !== '--resume').join(' ')}`);
+      process.exit(130);
+    }
+
+    const { stats, failedShards } = result;
+    const totalKeys = result.totals.listed;
+    const resumedKeys = result.resumedTotals.listed;
     
     // Summary
     console.log('');
     console.log('='.repeat(70));
     console.log('SUMMARY');
     console.log('='.repeat(70));
-    console.log(`Total keys found: ${stats.totalKeys.toLocaleString()}`);
+    console.log(`Total keys found: ${totalKeys.toLocaleString()}`);
     console.log(`Total shards: ${stats.totalShards}`);
     console.log(`Successful shards: ${stats.completedShards}`);
-    console.log(`Failed shards: ${stats.totalShards - stats.completedShards}`);
+    console.log(`Failed shards: ${failedShards.length}`);
+    console.log(`Split shards: ${stats.splitShards}${splitAfterPages ? '' : ' (splitting disabled)'}`);
+    console.log(`Retried requests: ${stats.retries}`);
+    for (const [label, s] of failedShards) {
+      console.log(`  ${label}: ${s.error}`);
+    }
     
-    const duration = ((Date.now() - stats.startTime) / 1000).toFixed(2);
+    const duration = stats.duration.toFixed(2);
     console.log(`Duration: ${duration}s`);
     
-    const keysPerSecond = (stats.totalKeys / (duration || 1)).toFixed(0);
+    const keysPerSecond = ((totalKeys - resumedKeys) / (stats.duration || 1)).toFixed(0);
     console.log(`Throughput: ${keysPerSecond} keys/second`);
     
     console.log('');
     console.log(`Output saved to: ${outputFile}`);
     console.log('');
     
-    if (stats.totalKeys === 0) {
+    if (failedShards.length > 0) {
+      console.log(`⚠️  ${failedShards.length} shard(s) failed, the output is incomplete.`);
+      console.log('   Re-run the same command with --resume to retry only those shards.');
+      process.exitCode = 1;
+    } else if (totalKeys === 0) {
       console.log('⚠️  No keys found. Check your prefix and permissions.');
     } else {
       console.log('✓ Traversal complete!');
@@ -219,10 +217,6 @@ async function main() {
     
   } catch (error) {
     console.error('Error:', error.message);
-    console.error(error.stack);
-    if (outputStream) {
-      outputStream.end();
-    }
     process.exit(1);
   }
 }
@@ -232,4 +226,3 @@ main().catch(error => {
   console.error('Fatal error:', error);
   process.exit(1);
 });
-
@@ -1,7 +1,7 @@
 #!/bin/bash
 
 # Wrapper script for traverse.js - S3 Key Sharding Traversal
-# Usage: ./traverse.sh [--hex] <prefix> [output-file]
+# Usage: ./traverse.sh [--hex] [--split-after=<n>] [--format=<format>] [--columns=<list>] [--resume] <prefix> [output-file]
 
 set -e  # Exit on any error
 
@@ -17,25 +17,35 @@ print_error() {
 }
 
 show_usage() {
-    echo "Usage: $0 [--hex] <prefix> [output-file]"
+    echo "Usage: $0 [--hex] [--split-after=<n>] [--format=<format>] [--columns=<list>] [--resume] <prefix> [output-file]"
     echo ""
     echo "Arguments:"
     echo "  prefix       Path prefix to traverse (required)"
-    echo "  output-file  CSV output file (default: files.csv)"
+    echo "  output-file  Output file (default: files.csv, or files.<ext> for --format)"
     echo ""
     echo "Options:"
     echo "  --hex                Use 256 two-char hex shards (00-ff). Auto-enabled for .da-versions."
     echo "  --hex-extra=<chars>  Like --hex plus explicit shards for given first chars."
     echo "                       E.g. --hex-extra=.,_,-,@ adds one focused S3 query per char."
+    echo "  --split-after=<n>    Split a slow shard's remaining keys into sub-shards every"
+    echo "                       n pages (default: 10, 0 to disable)."
+    echo "  --format=<format>    csv, tsv, jsonl, columnar or sqlite (default: from the"
+    echo "                       output-file extension, else csv)."
+    echo "  --columns=<list>     Comma-separated columns (default: FilePath,ContentLength,LastModified)."
+    echo "                       Also available: ETag, StorageClass."
+    echo "  --resume             Continue an interrupted run from <output-file>.state.json,"
+    echo "                       re-running only incomplete or failed shards."
     echo ""
     echo "Description:"
     echo "  Efficiently traverses S3 bucket using key sharding and concurrent pagination."
-    echo "  Outputs CSV with: FilePath, ContentLength, LastModified"
+    echo "  Outputs CSV with: FilePath, ContentLength, LastModified (see --format/--columns)"
     echo ""
     echo "Examples:"
     echo "  $0 kptdobe/daplayground files.csv"
     echo "  $0 adobecom/.da-versions/ versions.csv        # auto uses --hex"
     echo "  $0 --hex org/.da-versions/ output.csv"
+    echo "  $0 --resume kptdobe/daplayground files.csv   # after Ctrl+C or failed shards"
+    echo "  $0 --columns=FilePath,ContentLength,ETag kptdobe/daplayground files.jsonl"
 }
 
 SCRIPT_DIR="$( cd "$( dirname "${BASH_SOURCE[0]}" )" && pwd )"
@@ -51,18 +61,26 @@ if [[ "$1" == "-h" || "$1" == "--help" ]]; then
     exit 0
 fi
 
-# Parse --hex / --hex-extra flag
+# Parse --hex / --hex-extra / --split-after / --format / --columns / --resume flags
 HEX_FLAG=""
-if [[ "$1" == --hex-extra=* ]]; then
-    HEX_FLAG="$1"
+SPLIT_FLAG=""
+FORMAT_FLAG=""
+COLUMNS_FLAG=""
+RESUME_FLAG=""
+while [[ "$1" == --* ]]; do
+    case "$1" in
+        --hex-extra=*|--hex) HEX_FLAG="$1" ;;
+        --split-after=*) SPLIT_FLAG="$1" ;;
+        --format=*) FORMAT_FLAG="$1" ;;
+        --columns=*) COLUMNS_FLAG="$1" ;;
+        --resume) RESUME_FLAG="--resume" ;;
+        *) print_error "Unknown option: $1"; show_usage; exit 1 ;;
+    esac
     shift
-elif [[ "$1" == "--hex" ]]; then
-    HEX_FLAG="--hex"
-    shift
-fi
+done
 
 PREFIX="$1"
-OUTPUT_FILE="${2:-files.csv}"
+OUTPUT_FILE="$2"
 
 
 if ! command -v node &> /dev/null; then
@@ -83,5 +101,6 @@ if [[ ! -d "$SCRIPT_DIR/node_modules" ]]; then
 fi
 
 cd "$SCRIPT_DIR"
-node traverse.js $HEX_FLAG "$PREFIX" "$OUTPUT_FILE"
+# traverse.js picks the default output file for the format
+node traverse.js $HEX_FLAG $SPLIT_FLAG $FORMAT_FLAG $COLUMNS_FLAG $RESUME_FLAG "$PREFIX" ${OUTPUT_FILE:+"$OUTPUT_FILE"}
 
@@ -0,0 +1,344 @@
+/**
+ * Moving legacy version snapshots into the repo-scoped location, used by migrate-versions.js
+ *
+ *   <org>/.da-versions/<id>/<file>  ->  <org>/<repo>/.da-versions/<id>/<file>
+ *
+ * Content is compared by MD5: a single-part ETag is the MD5 of the object, a
+ * multipart ETag ("<md5>-<parts>") is not and changes when the object is
+ * copied, so those objects are read and hashed instead.
+ */
+
+const {
+  HeadObjectCommand,
+  GetObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  generateHexShardPrefixes,
+  generateGapShards,
+  listShardObjects,
+  formatShardLabel,
+  sendWithRetry
+} = require('./s3-utils.js');
+const { parseVersionKey, listPrefix } = require('./da-versions.js');
+
+/**
+ * Whether an ETag belongs to a multipart upload and is not the MD5 of the content
+ * @param {string} etag - ETag, quoted or not
+ * @returns {boolean}
+ */
+function isMultipartETag(etag) {
+  return typeof etag === 'string' && etag.includes('-');
+}
+
+/**
+ * Stream an object and compute the MD5 of its content
+ * @param {S3Client} s3Client - Configured S3 client
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - Object key
+ * @returns {Promise<string>} Hex MD5
+ */
+async function hashObject(s3Client, bucket, key) {
+  const response = await sendWithRetry(s3Client, new GetObjectCommand({ Bucket: bucket, Key: key }));
+  const hash = crypto.createHash('md5');
+  for await (const chunk of response.Body) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Whether two objects hold the same bytes
+ * @param {{Key: string, Size: number, ETag: string}} source - Listed or HEAD-ed object
+ * @param {{Key: string, Size: number, ETag: string}} target - Listed or HEAD-ed object
+ * @param {Function} hash - Called with an object whose ETag is multipart, resolves to its hex MD5
+ * @returns {Promise<boolean>}
+ */
+async function sameContent(source, target, hash) {
+  if (source.Size !== target.Size) return false;
+  const md5 = (obj) => (isMultipartETag(obj.ETag) || !obj.ETag ? hash(obj) : obj.ETag.replace(/"/g, ''));
+  return await md5(source) === await md5(target);
+}
+
+/**
+ * Name for a legacy snapshot whose name is taken at the target by different content
+ * @param {string} file - File name inside the id folder
+ * @param {number} attempt - 1 for the first collision, 2 for the next, ...
+ * @returns {string} "abc.html" -> "abc-legacy.html", "abc-legacy-2.html", ...
+ */
+function collisionName(file, attempt) {
+  const ext = path.posix.extname(file);
+  const base = file.slice(0, file.length - ext.length);
+  return `${base}-legacy${attempt > 1 ? `-${attempt}` : ''}${ext}`;
+}
+
+/**
+ * Read the checkpoint of an earlier run, or start a new one
+ * @param {string} file - Checkpoint file
+ * @param {Object} options
+ * @param {string} options.org - Organization being migrated
+ * @param {string} options.bucket - S3 bucket name
+ * @param {boolean} [options.restart] - Ignore an existing checkpoint
+ * @returns {{org: string, bucket: string, startedAt: string, updatedAt: string|null, completed: string[]}}
+ * @throws {Error} When the checkpoint belongs to another bucket or org
+ */
+function loadCheckpoint(file, { org, bucket, restart = false }) {
+  if (restart || !fs.existsSync(file)) {
+    return { org, bucket, startedAt: new Date().toISOString(), updatedAt: null, completed: [] };
+  }
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (saved.org !== org || saved.bucket !== bucket) {
+    throw new Error(`Checkpoint ${file} belongs to ${saved.bucket}/${saved.org}; use --checkpoint or --restart`);
+  }
+  return saved;
+}
+
+/**
+ * Write a checkpoint atomically, an interrupted write leaves the previous one
+ * @param {string} file - Checkpoint file
+ * @param {Object} checkpoint - Checkpoint from loadCheckpoint
+ */
+function saveCheckpoint(file, checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Create the function migrating the snapshots of one id folder
+ * @param {Object} options
+ * @param {S3Client} options.s3Client - Configured S3 client
+ * @param {string} options.bucket - S3 bucket name
+ * @param {string} options.org - Organization
+ * @param {boolean} [options.dryRun] - Plan and report without copying or deleting
+ * @param {boolean} [options.keepLegacy] - Copy and verify, but do not delete the legacy snapshots
+ * @param {Function} options.onRow - Called with a report row per object
+ *   ({ id, repo, sourceKey, targetKey, size, status, detail })
+ * @returns {Function} migrateFolder(id, objects, repos) resolving to { result, bytes }, result being
+ *   'migrated' (safe to checkpoint), 'skipped' (orphaned or ambiguous id), 'failed' or 'planned'
+ */
+function createFolderMigrator({ s3Client, bucket, org, dryRun = false, keepLegacy = false, onRow }) {
+  const send = command => sendWithRetry(s3Client, command);
+
+  /**
+   * Copy one snapshot and check the copy
+   * @returns {Promise<string|null>} Error detail, null when the copy verified
+   */
+  async function copyVerified(source, targetKey, hash) {
+    await send(new CopyObjectCommand({
+      Bucket: bucket,
+      Key: targetKey,
+      CopySource: `${bucket}/${source.Key.split('/').map(encodeURIComponent).join('/')}`,
+      CopySourceIfMatch: source.ETag,
+      MetadataDirective: 'COPY'
+    }));
+    const copied = await send(new HeadObjectCommand({ Bucket: bucket, Key: targetKey }));
+    return await sameContent(source, { Key: targetKey, Size: copied.ContentLength, ETag: copied.ETag }, hash)
+      ? null
+      : `Copy differs: ${copied.ContentLength} bytes, ETag ${copied.ETag}`;
+  }
+
+  return async function migrateFolder(id, objects, repos) {
+    if (repos.length !== 1) {
+      const status = repos.length === 0 ? 'orphan' : 'ambiguous';
+      const detail = repos.length === 0 ? 'No live document has this id' : `Id used in ${repos.join(', ')}`;
+      for (const obj of objects) onRow({ id, sourceKey: obj.Key, size: obj.Size, status, detail });
+      return { result: 'skipped', bytes: 0 };
+    }
+
+    const repo = repos[0];
+    const targetPrefix = `${org}/${repo}/.da-versions/${id}/`;
+
+    // Each multipart object of the folder is read at most once
+    const hashes = new Map();
+    const hash = (obj) => {
+      if (!hashes.has(obj.Key)) hashes.set(obj.Key, hashObject(s3Client, bucket, obj.Key));
+      return hashes.get(obj.Key);
+    };
+
+    // Snapshots already at the target, by file name
+    const existing = new Map();
+    await listPrefix(s3Client, bucket, targetPrefix, {
+      onBatch: async (targets) => {
+        for (const obj of targets) existing.set(obj.Key.slice(targetPrefix.length), obj);
+      }
+    });
+
+    const toDelete = [];
+    let failed = false;
+    let bytes = 0;
+
+    for (const obj of objects) {
+      const { file } = parseVersionKey(obj.Key);
+      const row = { id, repo, sourceKey: obj.Key, size: obj.Size };
+      let targetFile = file;
+      let status = 'migrated';
+      let attempt = 0;
+
+      try {
+        // Collision: the target holds different content under the same name
+        while (existing.has(targetFile) && !(await sameContent(obj, existing.get(targetFile), hash))) {
+          targetFile = collisionName(file, ++attempt);
+          status = 'migrated-renamed';
+        }
+      } catch (error) {
+        failed = true;
+        onRow({ ...row, status: 'failed', detail: `Comparing with the target failed: ${error.message}` });
+        continue;
+      }
+      const targetKey = `${targetPrefix}${targetFile}`;
+      row.targetKey = targetKey;
+
+      if (existing.has(targetFile)) {
+        // Copied by an earlier, interrupted run (or identical content already there)
+        onRow({ ...row, status: 'already-present' });
+        toDelete.push(obj);
+        continue;
+      }
+      if (dryRun) {
+        onRow({ ...row, status: `would-${status === 'migrated' ? 'migrate' : 'migrate-renamed'}` });
+        continue;
+      }
+
+      try {
+        const error = await copyVerified(obj, targetKey, hash);
+        if (error) {
+          failed = true;
+          onRow({ ...row, status: 'verify-failed', detail: error });
+          continue;
+        }
+        existing.set(targetFile, { ...obj, Key: targetKey });
+        onRow({ ...row, status, detail: attempt > 0 ? `${file} exists at the target with different content` : '' });
+        toDelete.push(obj);
+        bytes += obj.Size;
+      } catch (error) {
+        failed = true;
+        onRow({ ...row, status: 'failed', detail: error.message });
+      }
+    }
+
+    if (dryRun) return { result: 'planned', bytes: 0 };
+
+    // Only a fully copied folder leaves the legacy location
+    if (!failed && !keepLegacy && toDelete.length > 0) {
+      for (let i = 0; i < toDelete.length; i += 1000) {
+        const result = await send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: toDelete.slice(i, i + 1000).map(obj => ({ Key: obj.Key })), Quiet: true }
+        }));
+        for (const error of result.Errors || []) {
+          failed = true;
+          onRow({ id, repo, sourceKey: error.Key, size: 0, status: 'delete-failed', detail: `${error.Code} ${error.Message || ''}` });
+        }
+      }
+    }
+
+    return { result: failed ? 'failed' : 'migrated', bytes };
+  };
+}
+
+/**
+ * List every legacy snapshot of an org: hex shards of <org>/.da-versions/ plus
+ * gap shards for ids starting with any other character
+ * @param {Object} options
+ * @param {S3Client} options.s3Client - Configured S3 client
+ * @param {string} options.bucket - S3 bucket name
+ * @param {string} options.org - Organization
+ * @param {Function} options.processQueue - helix-shared-process-queue
+ * @param {Function} options.onBatch - Called with each page of objects
+ * @param {Function} [options.onError] - Called with (label, error) for each failed listing
+ * @returns {Promise<number>} Number of failed listings; any failure means objects are missing
+ */
+async function listLegacySnapshots({ s3Client, bucket, org, processQueue, onBatch, onError = () => {} }) {
+  const legacyPrefix = `${org}/.da-versions/`;
+  const shards = generateHexShardPrefixes(legacyPrefix);
+  let failed = 0;
+
+  await processQueue([...shards, ...generateGapShards(legacyPrefix, shards)], async (shard) => {
+    try {
+      await listShardObjects(s3Client, bucket, shard, legacyPrefix, onBatch);
+    } catch (error) {
+      failed++;
+      onError(formatShardLabel(shard), error);
+    }
+  }, 64);
+
+  return failed;
+}
+
+/**
+ * Re-list the legacy location and explain every id folder still there
+ * @param {Object} options
+ * @param {S3Client} options.s3Client - Configured S3 client
+ * @param {string} options.bucket - S3 bucket name
+ * @param {string} options.org - Organization
+ * @param {Function} options.processQueue - helix-shared-process-queue
+ * @param {Map<string, string[]>} options.liveIds - Id -> live keys, from readLiveIds
+ * @param {Iterable<string>} options.completed - Ids migrated according to the checkpoint
+ * @param {boolean} [options.keepLegacy] - Completed folders were kept on purpose
+ * @param {Function} [options.onError] - Called with (label, error) for each failed listing
+ * @returns {Promise<{remainingFolders: number, reasons: Object, failedListings: number, newLocationOnly: boolean}>}
+ *   reasons maps 'orphan', 'ambiguous', 'kept' and 'failed' to { folders, objects, bytes }
+ */
+async function verifyLegacyLocation({ s3Client, bucket, org, processQueue, liveIds, completed, keepLegacy = false, onError }) {
+  const remaining = new Map();
+  const completedIds = new Set(completed);
+
+  const failedListings = await listLegacySnapshots({
+    s3Client,
+    bucket,
+    org,
+    processQueue,
+    onError,
+    onBatch: async (objects) => {
+      for (const obj of objects) {
+        const version = parseVersionKey(obj.Key);
+        if (!version) continue;
+        const entry = remaining.get(version.id) || { objects: 0, bytes: 0 };
+        entry.objects++;
+        entry.bytes += obj.Size || 0;
+        remaining.set(version.id, entry);
+      }
+    }
+  });
+
+  const reasons = {};
+  for (const [id, entry] of remaining) {
+    const repos = new Set((liveIds.get(id) || []).map(key => key.split('/')[1]));
+    let reason = 'failed';
+    if (repos.size === 0) reason = 'orphan';
+    else if (repos.size > 1) reason = 'ambiguous';
+    else if (keepLegacy && completedIds.has(id)) reason = 'kept';
+    const totals = reasons[reason] || { folders: 0, objects: 0, bytes: 0 };
+    totals.folders++;
+    totals.objects += entry.objects;
+    totals.bytes += entry.bytes;
+    reasons[reason] = totals;
+  }
+
+  // Orphans belong to no live document and kept folders are copies, so readers only need the new location
+  const blocking = Object.entries(reasons)
+    .filter(([reason]) => reason !== 'orphan' && reason !== 'kept')
+    .reduce((sum, [, totals]) => sum + totals.folders, 0);
+
+  return {
+    remainingFolders: remaining.size,
+    reasons,
+    failedListings,
+    newLocationOnly: failedListings === 0 && blocking === 0
+  };
+}
+
+module.exports = {
+  isMultipartETag,
+  hashObject,
+  sameContent,
+  collisionName,
+  loadCheckpoint,
+  saveCheckpoint,
+  createFolderMigrator,
+  listLegacySnapshots,
+  verifyLegacyLocation
+};
@@ -0,0 +1,365 @@
+/**
+ * Tests for the legacy version snapshot migration, against an in-memory S3 client
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isMultipartETag,
+  hashObject,
+  sameContent,
+  collisionName,
+  loadCheckpoint,
+  saveCheckpoint,
+  createFolderMigrator,
+  verifyLegacyLocation
+} = require('./version-migration.js');
+const { compareKeys } = require('./sharding.js');
+
+// Color output for test results
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+function assert(condition, message) {
+  totalTests++;
+  if (condition) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  totalTests++;
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    passedTests++;
+    console.log(`${colors.green}✓${colors.reset} ${message}`);
+  } else {
+    failedTests++;
+    console.log(`${colors.red}✗${colors.reset} ${message}`);
+    console.log(`  Expected: ${expectedStr}`);
+    console.log(`  Actual:   ${actualStr}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${colors.cyan}${title}${colors.reset}`);
+}
+
+// ---------------------------------------------------------------------------
+// In-memory S3: list, head, get, copy and delete on a key -> object map. Objects
+// flagged multipart get a multipart ETag; copies get the MD5 of their content.
+// ---------------------------------------------------------------------------
+
+const md5 = (body) => crypto.createHash('md5').update(body).digest('hex');
+
+function s3Error(name, status) {
+  const error = new Error(name);
+  error.name = name;
+  error.$metadata = { httpStatusCode: status };
+  return error;
+}
+
+function createFakeS3(initial, { corruptCopies = false } = {}) {
+  const objects = new Map();
+  const put = (key, { body, multipart = false, metadata = {} }) => {
+    objects.set(key, { body, metadata, ETag: multipart ? `"${md5('parts' + body)}-2"` : `"${md5(body)}"` });
+  };
+  for (const [key, object] of Object.entries(initial)) put(key, object);
+  const counters = { gets: 0, copies: 0 };
+
+  return {
+    objects,
+    counters,
+    async send(command) {
+      const name = command.constructor.name;
+      const input = command.input;
+      if (name === 'ListObjectsV2Command') {
+        const after = input.ContinuationToken || input.StartAfter || '';
+        const matching = [...objects.keys()].sort(compareKeys)
+          .filter(key => key.startsWith(input.Prefix) && compareKeys(key, after) > 0);
+        const page = matching.slice(0, 2);
+        return {
+          Contents: page.map(Key => ({ Key, Size: objects.get(Key).body.length, ETag: objects.get(Key).ETag })),
+          NextContinuationToken: matching.length > page.length ? page[page.length - 1] : undefined
+        };
+      }
+      const object = objects.get(input.Key);
+      if (name === 'HeadObjectCommand' || name === 'GetObjectCommand') {
+        if (!object) throw s3Error('NotFound', 404);
+        const head = { ContentLength: object.body.length, ETag: object.ETag, Metadata: object.metadata };
+        if (name === 'HeadObjectCommand') return head;
+        counters.gets++;
+        return { ...head, Body: [Buffer.from(object.body)] };
+      }
+      if (name === 'CopyObjectCommand') {
+        counters.copies++;
+        const sourceKey = input.CopySource.slice(input.CopySource.indexOf('/') + 1).split('/').map(decodeURIComponent).join('/');
+        const source = objects.get(sourceKey);
+        if (!source) throw s3Error('NoSuchKey', 404);
+        if (input.CopySourceIfMatch !== source.ETag) throw s3Error('PreconditionFailed', 412);
+        put(input.Key, { body: corruptCopies ? source.body.slice(1) + '?' : source.body, metadata: source.metadata });
+        return {};
+      }
+      if (name === 'DeleteObjectsCommand') {
+        for (const { Key } of input.Delete.Objects) objects.delete(Key);
+        return {};
+      }
+      throw new Error(`Unexpected command ${name}`);
+    }
+  };
+}
+
+// Legacy objects of an id folder, as the org listing returns them
+function listedFolder(s3, id) {
+  const prefix = `org/.da-versions/${id}/`;
+  return [...s3.objects.keys()].filter(key => key.startsWith(prefix)).sort()
+    .map(Key => ({ Key, Size: s3.objects.get(Key).body.length, ETag: s3.objects.get(Key).ETag }));
+}
+
+async function run() {
+  const { default: processQueue } = await import('@adobe/helix-shared-process-queue');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'version-migration-test-'));
+
+  // ==================== COLLISION NAMES ====================
+
+  section('1. Collision Name Tests');
+
+  assert(collisionName('abc.html', 1) === 'abc-legacy.html', 'First collision gets -legacy');
+  assert(collisionName('abc.html', 2) === 'abc-legacy-2.html', 'Later collisions are numbered');
+  assert(collisionName('abc', 1) === 'abc-legacy', 'File without extension');
+  assert(collisionName('sub/abc.tar.gz', 3) === 'sub/abc.tar-legacy-3.gz', 'Only the last extension is kept apart');
+  assert(collisionName('.hidden', 1) === '.hidden-legacy', 'Dot file is a name, not an extension');
+
+  // ==================== CONTENT COMPARISON ====================
+
+  section('2. Content Comparison Tests');
+
+  assert(isMultipartETag('"0123abcd-12"') && !isMultipartETag('"0123abcd"'), 'Multipart ETags detected');
+
+  {
+    const hashed = [];
+    const hash = async (obj) => { hashed.push(obj.Key); return obj.md5; };
+    const single = (Key, body) => ({ Key, Size: body.length, ETag: `"${md5(body)}"`, md5: md5(body) });
+    const multipart = (Key, body) => ({ Key, Size: body.length, ETag: `"${md5('x')}-3"`, md5: md5(body) });
+
+    assert(await sameContent(single('a', 'one'), single('b', 'one'), hash), 'Equal single-part ETags are the same content');
+    assert(!(await sameContent(single('a', 'one'), single('b', 'two'), hash)), 'Different single-part ETags differ');
+    assert(!(await sameContent(multipart('a', 'one'), single('b', 'four'), hash)), 'Different sizes differ');
+    assert(hashed.length === 0, 'Single-part ETags and sizes need no reads');
+
+    assert(await sameContent(multipart('a', 'same'), single('b', 'same'), hash), 'Multipart source and its single-part copy match');
+    assertDeepEqual(hashed, ['a'], 'Only the multipart side is read');
+    assert(!(await sameContent(multipart('a', 'same'), single('b', 'diff'), hash)),
+      'Multipart object with the same size but other bytes differs');
+    assert(!(await sameContent(multipart('a', 'same'), multipart('b', 'diff'), hash)),
+      'Two multipart objects are compared by content');
+  }
+
+  {
+    const s3 = createFakeS3({ 'org/file.html': { body: 'hello' } });
+    assert(await hashObject(s3, 'bucket', 'org/file.html') === md5('hello'), 'hashObject streams the MD5 of the content');
+  }
+
+  // ==================== CHECKPOINT ====================
+
+  section('3. Checkpoint Tests');
+
+  {
+    const file = path.join(tmpDir, 'checkpoint.json');
+    const fresh = loadCheckpoint(file, { org: 'org', bucket: 'bucket' });
+    assertDeepEqual([fresh.org, fresh.bucket, fresh.completed], ['org', 'bucket', []], 'New checkpoint without a file');
+
+    fresh.completed.push('id-1', 'id-2');
+    saveCheckpoint(file, fresh);
+    assert(!fs.existsSync(`${file}.tmp`), 'Checkpoint written atomically, no temporary file left');
+
+    const resumed = loadCheckpoint(file, { org: 'org', bucket: 'bucket' });
+    assertDeepEqual(resumed.completed, ['id-1', 'id-2'], 'Resumed checkpoint has the completed folders');
+    assert(resumed.startedAt === fresh.startedAt && resumed.updatedAt !== null, 'Resumed checkpoint keeps the start time');
+    assert(loadCheckpoint(file, { org: 'org', bucket: 'bucket', restart: true }).completed.length === 0, '--restart ignores it');
+
+    let error = null;
+    try {
+      loadCheckpoint(file, { org: 'other', bucket: 'bucket' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /belongs to bucket\/org/.test(error.message), 'Checkpoint of another org rejected');
+  }
+
+  // ==================== FOLDER MIGRATION ====================
+
+  section('4. Folder Migration Tests');
+
+  const migrator = (s3, options = {}) => {
+    const rows = [];
+    const migrateFolder = createFolderMigrator({
+      s3Client: s3, bucket: 'bucket', org: 'org', onRow: row => rows.push(row), ...options
+    });
+    return { rows, migrateFolder };
+  };
+  const statuses = rows => rows.map(row => row.status);
+
+  {
+    const s3 = createFakeS3({
+      'org/.da-versions/id-1/1.html': { body: 'first' },
+      'org/.da-versions/id-1/2.html': { body: 'second, uploaded in parts', multipart: true },
+      // Same name, same size, other content: must not be taken as already migrated
+      'org/.da-versions/id-1/3.html': { body: 'third', multipart: true },
+      'org/site/.da-versions/id-1/3.html': { body: 'THIRD' }
+    });
+    const { rows, migrateFolder } = migrator(s3);
+    const result = await migrateFolder('id-1', listedFolder(s3, 'id-1'), ['site']);
+
+    assertDeepEqual(statuses(rows), ['migrated', 'migrated', 'migrated-renamed'], 'Folder migrated, collision renamed');
+    assert(result.result === 'migrated' && result.bytes === 35, 'Folder reported migrated with its bytes');
+    assert(s3.objects.get('org/site/.da-versions/id-1/2.html').body === 'second, uploaded in parts',
+      'Multipart snapshot copied and verified by content');
+    assert(s3.objects.get('org/site/.da-versions/id-1/3-legacy.html').body === 'third', 'Legacy content stored next to the existing file');
+    assert(s3.objects.get('org/site/.da-versions/id-1/3.html').body === 'THIRD', 'Existing snapshot not overwritten');
+    assert(listedFolder(s3, 'id-1').length === 0, 'Legacy folder deleted');
+  }
+
+  {
+    const s3 = createFakeS3({ 'org/.da-versions/id-2/1.html': { body: 'content', multipart: true } }, { corruptCopies: true });
+    const { rows, migrateFolder } = migrator(s3);
+    const result = await migrateFolder('id-2', listedFolder(s3, 'id-2'), ['site']);
+
+    assertDeepEqual(statuses(rows), ['verify-failed'], 'Same-size copy with other bytes fails verification');
+    assert(result.result === 'failed' && listedFolder(s3, 'id-2').length === 1, 'Failed folder stays in the legacy location');
+  }
+
+  {
+    const s3 = createFakeS3({
+      'org/.da-versions/id-3/1.html': { body: 'orphan' },
+      'org/.da-versions/id-4/1.html': { body: 'shared' }
+    });
+    const { rows, migrateFolder } = migrator(s3);
+    assert((await migrateFolder('id-3', listedFolder(s3, 'id-3'), [])).result === 'skipped', 'Orphaned id skipped');
+    assert((await migrateFolder('id-4', listedFolder(s3, 'id-4'), ['a', 'b'])).result === 'skipped', 'Ambiguous id skipped');
+    assertDeepEqual(statuses(rows), ['orphan', 'ambiguous'], 'Skipped objects reported');
+    assert(s3.counters.copies === 0 && s3.objects.size === 2, 'Nothing copied or deleted');
+  }
+
+  {
+    const s3 = createFakeS3({ 'org/.da-versions/id-5/1.html': { body: 'plan' } });
+    const dry = migrator(s3, { dryRun: true });
+    assert((await dry.migrateFolder('id-5', listedFolder(s3, 'id-5'), ['site'])).result === 'planned', 'Dry run plans');
+    assertDeepEqual(statuses(dry.rows), ['would-migrate'], 'Dry run reports the planned action');
+    assert(s3.counters.copies === 0, 'Dry run copies nothing');
+
+    const keep = migrator(s3, { keepLegacy: true });
+    assert((await keep.migrateFolder('id-5', listedFolder(s3, 'id-5'), ['site'])).result === 'migrated', '--keep-legacy migrates');
+    assert(listedFolder(s3, 'id-5').length === 1 && s3.objects.has('org/site/.da-versions/id-5/1.html'),
+      '--keep-legacy copies without deleting');
+  }
+
+  // ==================== RESUME ====================
+
+  section('5. Resume Tests');
+
+  {
+    const s3 = createFakeS3({
+      'org/.da-versions/id-a/1.html': { body: 'a' },
+      'org/.da-versions/id-b/1.html': { body: 'b1', multipart: true },
+      'org/.da-versions/id-b/2.html': { body: 'b2' }
+    });
+    const file = path.join(tmpDir, 'resume.json');
+    const folders = new Map(['id-a', 'id-b'].map(id => [id, listedFolder(s3, id)]));
+
+    // First run: id-a completes, id-b is interrupted after copying its first snapshot
+    const first = loadCheckpoint(file, { org: 'org', bucket: 'bucket' });
+    const { migrateFolder } = migrator(s3);
+    if ((await migrateFolder('id-a', folders.get('id-a'), ['site'])).result === 'migrated') first.completed.push('id-a');
+    await migrator(s3, { keepLegacy: true }).migrateFolder('id-b', folders.get('id-b').slice(0, 1), ['site']);
+    saveCheckpoint(file, first);
+
+    // Second run: completed folders skipped, copied snapshots recognised by content
+    const second = loadCheckpoint(file, { org: 'org', bucket: 'bucket' });
+    const pending = [...folders.keys()].filter(id => !second.completed.includes(id));
+    assertDeepEqual(pending, ['id-b'], 'Completed folder skipped on resume');
+
+    const resumed = migrator(s3);
+    const copiesBefore = s3.counters.copies;
+    const result = await resumed.migrateFolder('id-b', listedFolder(s3, 'id-b'), ['site']);
+    assertDeepEqual(statuses(resumed.rows), ['already-present', 'migrated'], 'Copied multipart snapshot is already present');
+    assert(s3.counters.copies === copiesBefore + 1, 'Only the missing snapshot is copied');
+    assert(result.result === 'migrated' && listedFolder(s3, 'id-b').length === 0, 'Resumed folder completes');
+    assert(!s3.objects.has('org/site/.da-versions/id-b/1-legacy.html'), 'No duplicate of the copied snapshot');
+  }
+
+  // ==================== VERIFICATION ====================
+
+  section('6. Verification Tests');
+
+  {
+    const liveIds = new Map([
+      ['0abc', ['org/site/a.html']],
+      ['ID-UPPER', ['org/site/b.html']],
+      ['id-both', ['org/site/c.html', 'org/other/c.html']]
+    ]);
+    const s3 = createFakeS3({
+      'org/.da-versions/ID-UPPER/1.html': { body: 'left' },
+      'org/.da-versions/~tilde/1.html': { body: 'orphan' },
+      'org/.da-versions/id-both/1.html': { body: 'ambiguous' },
+      'org/site/.da-versions/0abc/1.html': { body: 'moved' }
+    });
+    const verifyOptions = { s3Client: s3, bucket: 'bucket', org: 'org', processQueue, liveIds, completed: [] };
+
+    const verification = await verifyLegacyLocation(verifyOptions);
+    assert(verification.remainingFolders === 3, 'Folders with non-hex ids are found');
+    assertDeepEqual(Object.keys(verification.reasons).sort(), ['ambiguous', 'failed', 'orphan'], 'Remaining folders classified');
+    assert(!verification.newLocationOnly, 'A live id left in the legacy location blocks newLocationOnly');
+
+    s3.objects.delete('org/.da-versions/ID-UPPER/1.html');
+    s3.objects.delete('org/.da-versions/id-both/1.html');
+    assert((await verifyLegacyLocation(verifyOptions)).newLocationOnly, 'Only orphans left: new location only');
+
+    s3.objects.set('org/.da-versions/ID-UPPER/1.html', { body: 'kept', metadata: {}, ETag: `"${md5('kept')}"` });
+    const kept = await verifyLegacyLocation({ ...verifyOptions, completed: ['ID-UPPER'], keepLegacy: true });
+    assert(kept.reasons.kept.folders === 1 && kept.newLocationOnly, 'Folders kept on purpose do not block');
+
+    const send = s3.send;
+    const failing = { ...s3, send: command => (command.input.StartAfter ? Promise.reject(new Error('SlowDown')) : send(command)) };
+    const failed = await verifyLegacyLocation({ ...verifyOptions, s3Client: failing, onError: () => {} });
+    assert(failed.failedListings > 0 && !failed.newLocationOnly, 'A failed listing blocks newLocationOnly');
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+run().then(() => {
+  // ==================== SUMMARY ====================
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`${colors.cyan}TEST SUMMARY${colors.reset}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`Total:  ${totalTests}`);
+  console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+  if (failedTests > 0) {
+    console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+    process.exit(1);
+  } else {
+    console.log(`${colors.green}All tests passed! ✓${colors.reset}`);
+    process.exit(0);
+  }
+}).catch(error => {
+  console.error(`${colors.red}Test run crashed:${colors.reset}`, error);
+  process.exit(1);
+});